@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const { User } = require('../models');
+
+// 토큰 발급 뒤에 바뀔 수 있어 요청마다 DB에서 다시 읽는 사용자 필드
+const CURRENT_USER_ATTRIBUTES = ['id', 'role', 'companyId'];
 
 // 1. 인증 미들웨어 (Authentication Middleware)
 function authenticateJWT(req, res, next) {
@@ -12,7 +16,7 @@ function authenticateJWT(req, res, next) {
         });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
         if (err) {
             // 만약 토큰이 만료된 경우
             if (err.name === 'TokenExpiredError') {
@@ -30,7 +34,23 @@ function authenticateJWT(req, res, next) {
         }
 
         // 토큰이 유효하면 user 정보를 req.user에 추가
-        req.user = user;
+        // 관리자가 역할이나 소속 회사를 바꾸면 기존 토큰에도 바로 반영되도록 역할과 소속 회사는 DB에서 읽음
+        try {
+            const currentUser = await User.findByPk(user.id, { attributes: CURRENT_USER_ATTRIBUTES });
+            if (!currentUser) {
+                return res.status(403).json({
+                    status: 'error',
+                    message: '유효하지 않은 토큰입니다.'
+                });
+            }
+            req.user = { ...user, role: currentUser.role, companyId: currentUser.companyId };
+        } catch (error) {
+            console.error(error);
+            return res.status(500).json({
+                status: 'error',
+                message: '사용자 정보를 확인하는 중 오류가 발생했습니다.'
+            });
+        }
 
         next();
     });
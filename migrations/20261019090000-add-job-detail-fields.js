@@ -0,0 +1,21 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      // 상세 페이지 본문을 저장할 수 있도록 설명 컬럼을 TEXT로 변경
+      await queryInterface.changeColumn('jobs', 'description', {
+          type: Sequelize.TEXT,
+      });
+      await queryInterface.addColumn('jobpositions', 'benefits', {
+          type: Sequelize.TEXT,
+      });
+      await queryInterface.addColumn('jobpositions', 'hiringProcess', {
+          type: Sequelize.TEXT,
+      });
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeColumn('jobpositions', 'hiringProcess');
+      await queryInterface.removeColumn('jobpositions', 'benefits');
+      await queryInterface.changeColumn('jobs', 'description', {
+          type: Sequelize.STRING,
+      });
+  }
+};
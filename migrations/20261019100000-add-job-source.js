@@ -0,0 +1,12 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('jobs', 'source', {
+          type: Sequelize.STRING,
+      });
+      // 기존 크롤링 데이터는 모두 사람인에서 가져온 공고
+      await queryInterface.sequelize.query("UPDATE jobs SET source = 'saramin' WHERE link LIKE 'https://www.saramin.co.kr%'");
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeColumn('jobs', 'source');
+  }
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('jobs', 'status', {
+          type: Sequelize.STRING,
+          allowNull: false,
+          defaultValue: 'open',
+      });
+      await queryInterface.addColumn('jobs', 'lastSeenAt', {
+          type: Sequelize.DATE,
+      });
+      await queryInterface.addColumn('jobs', 'missedCrawls', {
+          type: Sequelize.INTEGER,
+          defaultValue: 0,
+      });
+      await queryInterface.addIndex('jobs', ['status']);
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeIndex('jobs', ['status']);
+      await queryInterface.removeColumn('jobs', 'missedCrawls');
+      await queryInterface.removeColumn('jobs', 'lastSeenAt');
+      await queryInterface.removeColumn('jobs', 'status');
+  }
+};
@@ -0,0 +1,31 @@
+const { parseSalary } = require('../services/salary');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('jobs', 'salaryMin', {
+          type: Sequelize.INTEGER,
+      });
+      await queryInterface.addColumn('jobs', 'salaryMax', {
+          type: Sequelize.INTEGER,
+      });
+      await queryInterface.addColumn('jobs', 'salaryPeriod', {
+          type: Sequelize.STRING,
+      });
+      await queryInterface.addColumn('jobs', 'salaryNegotiable', {
+          type: Sequelize.BOOLEAN,
+          defaultValue: false,
+      });
+
+      // 기존 급여 문구를 구조화된 값으로 채움
+      const [jobs] = await queryInterface.sequelize.query('SELECT id, salary FROM jobs WHERE salary IS NOT NULL');
+      for (const job of jobs) {
+          await queryInterface.bulkUpdate('jobs', parseSalary(job.salary), { id: job.id });
+      }
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeColumn('jobs', 'salaryNegotiable');
+      await queryInterface.removeColumn('jobs', 'salaryPeriod');
+      await queryInterface.removeColumn('jobs', 'salaryMax');
+      await queryInterface.removeColumn('jobs', 'salaryMin');
+  }
+};
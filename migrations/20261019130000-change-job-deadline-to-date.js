@@ -0,0 +1,26 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('jobs', 'deadlineType', {
+          type: Sequelize.STRING,
+      });
+
+      // 날짜로 변환할 수 없는 값은 비우고, ISO 시각 문자열은 날짜 부분만 남김
+      await queryInterface.sequelize.query(
+          "UPDATE jobs SET deadline = NULL WHERE deadline NOT REGEXP '^[0-9]{4}-[0-9]{2}-[0-9]{2}'"
+      );
+      await queryInterface.sequelize.query('UPDATE jobs SET deadline = LEFT(deadline, 10) WHERE deadline IS NOT NULL');
+      await queryInterface.sequelize.query("UPDATE jobs SET deadlineType = 'fixed' WHERE deadline IS NOT NULL");
+
+      await queryInterface.changeColumn('jobs', 'deadline', {
+          type: Sequelize.DATEONLY,
+      });
+      await queryInterface.addIndex('jobs', ['deadline']);
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeIndex('jobs', ['deadline']);
+      await queryInterface.changeColumn('jobs', 'deadline', {
+          type: Sequelize.STRING,
+      });
+      await queryInterface.removeColumn('jobs', 'deadlineType');
+  }
+};
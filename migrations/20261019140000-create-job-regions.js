@@ -0,0 +1,45 @@
+const { matchRegions } = require('../services/regions');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.createTable('job_regions', {
+          id: {
+              type: Sequelize.INTEGER,
+              primaryKey: true,
+              autoIncrement: true,
+          },
+          jobId: {
+              type: Sequelize.INTEGER,
+              allowNull: false,
+              references: {
+                  model: 'jobs',
+                  key: 'id',
+              },
+              onDelete: 'CASCADE',
+          },
+          sidoCode: {
+              type: Sequelize.STRING(2),
+              allowNull: false,
+          },
+          regionCode: {
+              type: Sequelize.STRING(5),
+              allowNull: true,
+          },
+      });
+      await queryInterface.addIndex('job_regions', ['sidoCode']);
+      await queryInterface.addIndex('job_regions', ['regionCode']);
+
+      // 기존 공고의 근무지 문구를 지역 코드로 채움
+      const [jobs] = await queryInterface.sequelize.query('SELECT id, location FROM jobs WHERE location IS NOT NULL');
+      const rows = [];
+      jobs.forEach((job) => {
+          matchRegions(job.location).forEach(match => rows.push({ jobId: job.id, ...match }));
+      });
+      if (rows.length > 0) {
+          await queryInterface.bulkInsert('job_regions', rows);
+      }
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.dropTable('job_regions');
+  }
+};
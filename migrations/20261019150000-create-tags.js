@@ -0,0 +1,71 @@
+const { parseTags } = require('../services/tags');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.createTable('tags', {
+          id: {
+              type: Sequelize.INTEGER,
+              primaryKey: true,
+              autoIncrement: true,
+          },
+          name: {
+              type: Sequelize.STRING,
+              allowNull: false,
+              unique: true,
+          },
+          createdAt: {
+              type: Sequelize.DATE,
+              allowNull: false,
+          },
+          updatedAt: {
+              type: Sequelize.DATE,
+              allowNull: false,
+          },
+      });
+      await queryInterface.createTable('job_tags', {
+          jobId: {
+              type: Sequelize.INTEGER,
+              primaryKey: true,
+              references: {
+                  model: 'jobs',
+                  key: 'id',
+              },
+              onDelete: 'CASCADE',
+          },
+          tagId: {
+              type: Sequelize.INTEGER,
+              primaryKey: true,
+              references: {
+                  model: 'tags',
+                  key: 'id',
+              },
+              onDelete: 'CASCADE',
+          },
+      });
+
+      // 기존 공고의 techStack 문자열을 태그로 나눠서 연결
+      const [jobs] = await queryInterface.sequelize.query('SELECT id, techStack FROM jobs WHERE techStack IS NOT NULL');
+      const tagNamesByJob = jobs.map(job => ({ jobId: job.id, names: parseTags(job.techStack) }));
+      // 대소문자만 다른 이름은 하나의 태그로 저장 (tags.name은 대소문자를 구분하지 않는 unique)
+      const allNames = [...new Map(tagNamesByJob.flatMap(({ names }) => names).map(name => [name.toLowerCase(), name])).values()];
+      if (allNames.length === 0) {
+          return;
+      }
+
+      const now = new Date();
+      await queryInterface.bulkInsert('tags', allNames.map(name => ({ name, createdAt: now, updatedAt: now })));
+      const [tags] = await queryInterface.sequelize.query('SELECT id, name FROM tags');
+      const tagIdByName = new Map(tags.map(tag => [tag.name.toLowerCase(), tag.id]));
+
+      const rows = [];
+      tagNamesByJob.forEach(({ jobId, names }) => {
+          const tagIds = new Set(names.map(name => tagIdByName.get(name.toLowerCase())));
+          tagIds.forEach(tagId => rows.push({ jobId, tagId }));
+      });
+      await queryInterface.bulkInsert('job_tags', rows);
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.dropTable('job_tags');
+      await queryInterface.dropTable('tags');
+  }
+};
@@ -0,0 +1,66 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('companies', 'size', {
+          type: Sequelize.STRING,
+      });
+      await queryInterface.addColumn('companies', 'foundedYear', {
+          type: Sequelize.INTEGER,
+      });
+      await queryInterface.addColumn('companies', 'address', {
+          type: Sequelize.STRING,
+      });
+      await queryInterface.addColumn('companies', 'source', {
+          type: Sequelize.STRING,
+      });
+      await queryInterface.addColumn('companies', 'externalId', {
+          type: Sequelize.STRING,
+      });
+      await queryInterface.addColumn('companies', 'detailFetchedAt', {
+          type: Sequelize.DATE,
+      });
+      await queryInterface.addIndex('companies', ['source', 'externalId'], { unique: true });
+
+      // 이전의 Company.belongsTo(Job) 관계로 생긴 컬럼 정리
+      const companyColumns = await queryInterface.describeTable('companies');
+      if (companyColumns.jobId) {
+          const [foreignKeys] = await queryInterface.sequelize.query(
+              "SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'companies' AND COLUMN_NAME = 'jobId' AND REFERENCED_TABLE_NAME IS NOT NULL"
+          );
+          for (const { CONSTRAINT_NAME: name } of foreignKeys) {
+              await queryInterface.removeConstraint('companies', name);
+          }
+          await queryInterface.removeColumn('companies', 'jobId');
+      }
+
+      await queryInterface.addColumn('jobs', 'companyId', {
+          type: Sequelize.INTEGER,
+          references: {
+              model: 'companies',
+              key: 'id',
+          },
+          onDelete: 'SET NULL',
+      });
+
+      // 기존 공고의 회사명으로 회사를 찾거나 만들어서 연결
+      const [names] = await queryInterface.sequelize.query('SELECT DISTINCT company FROM jobs WHERE company IS NOT NULL AND company <> \'\'');
+      for (const { company: name } of names) {
+          let [[company]] = await queryInterface.sequelize.query('SELECT id FROM companies WHERE name = ? LIMIT 1', { replacements: [name] });
+          if (!company) {
+              const now = new Date();
+              await queryInterface.bulkInsert('companies', [{ name, createdAt: now, updatedAt: now }]);
+              [[company]] = await queryInterface.sequelize.query('SELECT id FROM companies WHERE name = ? LIMIT 1', { replacements: [name] });
+          }
+          await queryInterface.bulkUpdate('jobs', { companyId: company.id }, { company: name });
+      }
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeColumn('jobs', 'companyId');
+      await queryInterface.removeIndex('companies', ['source', 'externalId']);
+      await queryInterface.removeColumn('companies', 'detailFetchedAt');
+      await queryInterface.removeColumn('companies', 'externalId');
+      await queryInterface.removeColumn('companies', 'source');
+      await queryInterface.removeColumn('companies', 'address');
+      await queryInterface.removeColumn('companies', 'foundedYear');
+      await queryInterface.removeColumn('companies', 'size');
+  }
+};
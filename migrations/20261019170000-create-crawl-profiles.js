@@ -0,0 +1,72 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.createTable('crawl_profiles', {
+          id: {
+              type: Sequelize.INTEGER,
+              primaryKey: true,
+              autoIncrement: true,
+          },
+          name: {
+              type: Sequelize.STRING,
+              allowNull: false,
+              unique: true,
+          },
+          source: {
+              type: Sequelize.STRING,
+              allowNull: false,
+              defaultValue: 'saramin',
+          },
+          keyword: {
+              type: Sequelize.STRING,
+          },
+          category: {
+              type: Sequelize.STRING,
+          },
+          region: {
+              type: Sequelize.STRING(5),
+          },
+          careerLevel: {
+              type: Sequelize.STRING,
+          },
+          pages: {
+              type: Sequelize.INTEGER,
+              allowNull: false,
+              defaultValue: 3,
+          },
+          intervalMinutes: {
+              type: Sequelize.INTEGER,
+              allowNull: false,
+              defaultValue: 60,
+          },
+          enabled: {
+              type: Sequelize.BOOLEAN,
+              allowNull: false,
+              defaultValue: true,
+          },
+          lastRunAt: {
+              type: Sequelize.DATE,
+          },
+          createdAt: {
+              type: Sequelize.DATE,
+              allowNull: false,
+          },
+          updatedAt: {
+              type: Sequelize.DATE,
+              allowNull: false,
+          },
+      });
+      await queryInterface.addColumn('crawl_runs', 'profileId', {
+          type: Sequelize.INTEGER,
+          references: {
+              model: 'crawl_profiles',
+              key: 'id',
+          },
+          onDelete: 'SET NULL',
+      });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeColumn('crawl_runs', 'profileId');
+      await queryInterface.dropTable('crawl_profiles');
+  }
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('crawl_runs', 'quality', {
+          type: Sequelize.JSON,
+      });
+      await queryInterface.addColumn('crawl_runs', 'alertedAt', {
+          type: Sequelize.DATE,
+      });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeColumn('crawl_runs', 'alertedAt');
+      await queryInterface.removeColumn('crawl_runs', 'quality');
+  }
+};
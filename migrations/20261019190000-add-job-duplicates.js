@@ -0,0 +1,55 @@
+const { normalizeCompanyName, pickCanonical } = require('../services/duplicates');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('jobs', 'normalizedCompany', {
+          type: Sequelize.STRING,
+      });
+      await queryInterface.addColumn('jobs', 'canonicalJobId', {
+          type: Sequelize.INTEGER,
+          references: {
+              model: 'jobs',
+              key: 'id',
+          },
+          onDelete: 'SET NULL',
+      });
+      await queryInterface.addColumn('jobs', 'duplicateLocked', {
+          type: Sequelize.BOOLEAN,
+          defaultValue: false,
+      });
+      await queryInterface.addIndex('jobs', ['normalizedCompany']);
+      await queryInterface.addIndex('jobs', ['canonicalJobId']);
+
+      // 기존 공고를 등록 순서대로 비교해서, 먼저 등록된 공고를 대표 공고로 연결
+      const [jobs] = await queryInterface.sequelize.query(
+          'SELECT id, title, company, location, deadline, deadlineType FROM jobs ORDER BY id ASC'
+      );
+      const canonicalsByCompany = new Map();
+      for (const job of jobs) {
+          const normalizedCompany = normalizeCompanyName(job.company);
+          if (!normalizedCompany) {
+              continue;
+          }
+
+          const canonicals = canonicalsByCompany.get(normalizedCompany) || [];
+          const canonical = pickCanonical(job, canonicals);
+          if (!canonical) {
+              canonicals.push(job);
+              canonicalsByCompany.set(normalizedCompany, canonicals);
+          }
+          await queryInterface.bulkUpdate(
+              'jobs',
+              { normalizedCompany, canonicalJobId: canonical ? canonical.id : null },
+              { id: job.id }
+          );
+      }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeIndex('jobs', ['canonicalJobId']);
+      await queryInterface.removeIndex('jobs', ['normalizedCompany']);
+      await queryInterface.removeColumn('jobs', 'duplicateLocked');
+      await queryInterface.removeColumn('jobs', 'canonicalJobId');
+      await queryInterface.removeColumn('jobs', 'normalizedCompany');
+  }
+};
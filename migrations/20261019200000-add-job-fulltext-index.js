@@ -0,0 +1,20 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      // 한국어 복합어 검색을 위해 ngram 파서 사용 (토큰 길이는 MySQL ngram_token_size, 기본값 2)
+      await queryInterface.addIndex('jobs', ['title'], {
+          name: 'jobs_title_fulltext',
+          type: 'FULLTEXT',
+          parser: 'ngram',
+      });
+      await queryInterface.addIndex('jobs', ['title', 'description'], {
+          name: 'jobs_title_description_fulltext',
+          type: 'FULLTEXT',
+          parser: 'ngram',
+      });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeIndex('jobs', 'jobs_title_description_fulltext');
+      await queryInterface.removeIndex('jobs', 'jobs_title_fulltext');
+  }
+};
@@ -0,0 +1,59 @@
+// 초성 검색용 키를 만드는 규칙 (services/suggest.js의 toInitials, buildSuggestFields를 이 마이그레이션 시점 그대로 옮겨 둠)
+// 서비스 코드가 바뀌어도 이 마이그레이션의 결과는 바뀌지 않도록 서비스를 불러오지 않음
+const CHOSEONG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+const HANGUL_START = 0xAC00; // '가'
+const HANGUL_END = 0xD7A3; // '힣'
+const SYLLABLES_PER_CHOSEONG = 21 * 28; // 중성 21개 × 종성 28개
+const COMPANY_SUFFIX_PATTERN = /\(주\)|\(유\)|\(사\)|\(재\)|㈜|주식회사|유한회사|유한책임회사|사단법인|재단법인/g;
+
+// 한글 음절은 초성으로, 영문은 소문자로 바꾸고 공백과 기호는 제거 (비어 있으면 null)
+function toInitials(text) {
+    const initials = [...(text || '').toLowerCase()].map((char) => {
+        const code = char.charCodeAt(0);
+        if (code >= HANGUL_START && code <= HANGUL_END) {
+            return CHOSEONG[Math.floor((code - HANGUL_START) / SYLLABLES_PER_CHOSEONG)];
+        }
+        return /[0-9a-zㄱ-ㅎ]/.test(char) ? char : '';
+    }).join('');
+    return initials || null;
+}
+
+// 법인 표기, 공백, 기호를 뺀 회사명 (비어 있으면 null)
+function normalizeCompanyName(name) {
+    return (name || '').replace(COMPANY_SUFFIX_PATTERN, '').toLowerCase().replace(/[^0-9a-z가-힣]/g, '') || null;
+}
+
+const buildSuggestFields = ({ title, company }) => ({
+    titleInitials: toInitials(title),
+    companyInitials: toInitials(normalizeCompanyName(company)),
+});
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('jobs', 'titleInitials', {
+          type: Sequelize.STRING,
+      });
+      await queryInterface.addColumn('jobs', 'companyInitials', {
+          type: Sequelize.STRING,
+      });
+      await queryInterface.addIndex('jobs', ['title']);
+      await queryInterface.addIndex('jobs', ['company']);
+      await queryInterface.addIndex('jobs', ['titleInitials']);
+      await queryInterface.addIndex('jobs', ['companyInitials']);
+
+      // 기존 공고의 초성 검색용 키 채우기
+      const [jobs] = await queryInterface.sequelize.query('SELECT id, title, company FROM jobs');
+      for (const job of jobs) {
+          await queryInterface.bulkUpdate('jobs', buildSuggestFields(job), { id: job.id });
+      }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeIndex('jobs', ['companyInitials']);
+      await queryInterface.removeIndex('jobs', ['titleInitials']);
+      await queryInterface.removeIndex('jobs', ['company']);
+      await queryInterface.removeIndex('jobs', ['title']);
+      await queryInterface.removeColumn('jobs', 'companyInitials');
+      await queryInterface.removeColumn('jobs', 'titleInitials');
+  }
+};
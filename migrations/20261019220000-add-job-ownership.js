@@ -0,0 +1,24 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('users', 'companyId', {
+          type: Sequelize.INTEGER,
+          references: {
+              model: 'companies',
+              key: 'id',
+          },
+          onDelete: 'SET NULL',
+      });
+      await queryInterface.addColumn('jobs', 'userId', {
+          type: Sequelize.INTEGER,
+          references: {
+              model: 'users',
+              key: 'id',
+          },
+          onDelete: 'SET NULL',
+      });
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeColumn('jobs', 'userId');
+      await queryInterface.removeColumn('users', 'companyId');
+  }
+};
@@ -0,0 +1,26 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('jobs', 'publishAt', {
+          type: Sequelize.DATE,
+      });
+      await queryInterface.addColumn('jobs', 'closeAt', {
+          type: Sequelize.DATE,
+      });
+      await queryInterface.addColumn('jobs', 'closedAt', {
+          type: Sequelize.DATE,
+      });
+      await queryInterface.addColumn('jobs', 'archivedAt', {
+          type: Sequelize.DATE,
+      });
+      await queryInterface.addIndex('jobs', ['status', 'publishAt']);
+      await queryInterface.addIndex('jobs', ['status', 'closeAt']);
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeIndex('jobs', ['status', 'closeAt']);
+      await queryInterface.removeIndex('jobs', ['status', 'publishAt']);
+      await queryInterface.removeColumn('jobs', 'archivedAt');
+      await queryInterface.removeColumn('jobs', 'closedAt');
+      await queryInterface.removeColumn('jobs', 'closeAt');
+      await queryInterface.removeColumn('jobs', 'publishAt');
+  }
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('jobs', 'version', {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+      });
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeColumn('jobs', 'version');
+  }
+};
@@ -0,0 +1,33 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.createTable('job_neighbors', {
+          jobId: {
+              type: Sequelize.INTEGER,
+              primaryKey: true,
+              references: {
+                  model: 'jobs',
+                  key: 'id',
+              },
+              onDelete: 'CASCADE',
+          },
+          neighborJobId: {
+              type: Sequelize.INTEGER,
+              primaryKey: true,
+              references: {
+                  model: 'jobs',
+                  key: 'id',
+              },
+              onDelete: 'CASCADE',
+          },
+          score: {
+              type: Sequelize.FLOAT,
+              allowNull: false,
+          },
+      });
+      await queryInterface.addIndex('job_neighbors', ['jobId', 'score']);
+      // 유사 공고 목록은 다음 크롤링이 끝날 때 계산됨 (그 전에는 상세 조회 시 바로 계산)
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.dropTable('job_neighbors');
+  }
+};
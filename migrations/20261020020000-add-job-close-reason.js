@@ -0,0 +1,16 @@
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+      await queryInterface.addColumn('jobs', 'closeReason', {
+          type: Sequelize.STRING,
+      });
+      // 크롤링 목록에서 보이지 않아 마감된 공고는 누락 횟수가 남아 있음 (목록에서 다시 확인되면 0)
+      await queryInterface.bulkUpdate('jobs', { closeReason: 'missing' }, {
+          status: 'closed',
+          missedCrawls: { [Sequelize.Op.gt]: 0 },
+      });
+      await queryInterface.bulkUpdate('jobs', { closeReason: 'deadline' }, { status: 'expired' });
+  },
+  down: async (queryInterface, Sequelize) => {
+      await queryInterface.removeColumn('jobs', 'closeReason');
+  }
+};
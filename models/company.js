@@ -17,10 +17,34 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.STRING,
             allowNull: true,
         },
+        size: {
+            type: DataTypes.STRING,
+            allowNull: true, // 기업 형태 또는 사원 수 (예: 중소기업, 50명)
+        },
+        foundedYear: {
+            type: DataTypes.INTEGER,
+            allowNull: true, // 설립 연도
+        },
+        address: {
+            type: DataTypes.STRING,
+            allowNull: true, // 회사 주소 (기업정보 페이지 기준)
+        },
         website: {
             type: DataTypes.STRING,
             allowNull: true,
         },
+        source: {
+            type: DataTypes.STRING,
+            allowNull: true, // 크롤링 소스 이름 (직접 등록한 회사는 null)
+        },
+        externalId: {
+            type: DataTypes.STRING,
+            allowNull: true, // 소스에서 쓰는 회사 식별자 (사람인 csn)
+        },
+        detailFetchedAt: {
+            type: DataTypes.DATE,
+            allowNull: true, // 기업정보 페이지를 마지막으로 가져온 시각
+        },
         contact_number: {
             type: DataTypes.STRING,
             allowNull: true,
@@ -38,9 +62,15 @@ module.exports = (sequelize, DataTypes) => {
         },
     }, {
         tableName: 'companies',  // 테이블 이름을 소문자 'jobs'로 명시
+        indexes: [
+            { unique: true, fields: ['source', 'externalId'] },
+        ],
     });
     Company.associate = (models) => {
-        Company.belongsTo(models.Job, { foreignKey: 'jobId' });
+        // 회사의 채용 공고
+        Company.hasMany(models.Job, { foreignKey: 'companyId', as: 'jobs' });
+        // 회사 공고를 관리하는 회사 사용자
+        Company.hasMany(models.User, { foreignKey: 'companyId', as: 'users' });
     };
 
     return Company;
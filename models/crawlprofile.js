@@ -0,0 +1,63 @@
+module.exports = (sequelize, DataTypes) => {
+    const CrawlProfile = sequelize.define('CrawlProfile', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: true,
+        },
+        source: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'saramin',
+        },
+        keyword: {
+            type: DataTypes.STRING,
+            allowNull: true, // 검색어
+        },
+        category: {
+            type: DataTypes.STRING,
+            allowNull: true, // 직무 카테고리 코드 (사람인 cat_kewd, 쉼표로 여러 개)
+        },
+        region: {
+            type: DataTypes.STRING(5),
+            allowNull: true, // 시/도 또는 시/군/구 코드 (data/regions.json 참고)
+        },
+        careerLevel: {
+            type: DataTypes.STRING,
+            allowNull: true, // 'entry', 'experienced', 'any'
+        },
+        pages: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 3, // 한 번 실행할 때 크롤링할 페이지 수
+        },
+        intervalMinutes: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 60, // 실행 주기 (0이면 자동 실행하지 않음)
+        },
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+        },
+        lastRunAt: {
+            type: DataTypes.DATE,
+            allowNull: true, // 마지막으로 크롤링을 시작한 시각
+        },
+    }, {
+        tableName: 'crawl_profiles',  // 테이블 이름을 소문자로 명시
+    });
+
+    CrawlProfile.associate = (models) => {
+        // 이 프로필로 실행한 크롤링 기록
+        CrawlProfile.hasMany(models.CrawlRun, { foreignKey: 'profileId', as: 'runs' });
+    };
+
+    return CrawlProfile;
+};
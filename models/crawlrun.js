@@ -0,0 +1,86 @@
+module.exports = (sequelize, DataTypes) => {
+    const CrawlRun = sequelize.define('CrawlRun', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        source: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+        profileId: {
+            type: DataTypes.INTEGER,
+            allowNull: true, // 크롤링 프로필로 실행한 경우 (전체 공고 목록은 null)
+            references: {
+                model: 'crawl_profiles',
+                key: 'id',
+            },
+            onDelete: 'SET NULL',
+        },
+        triggeredBy: {
+            type: DataTypes.STRING,
+            defaultValue: 'schedule', // 'schedule', 'manual', 'cli'
+        },
+        status: {
+            type: DataTypes.STRING,
+            defaultValue: 'running', // 'running', 'completed', 'degraded' (파싱 품질 기준 미달), 'failed'
+        },
+        pages: {
+            type: DataTypes.INTEGER,
+            allowNull: false, // 요청한 페이지 수
+        },
+        pagesCrawled: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0, // 실제로 처리한 페이지 수
+        },
+        itemsSeen: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        inserted: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        updated: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        skipped: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0, // 변경 없음 또는 유효하지 않은 항목
+        },
+        errorCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        errors: {
+            type: DataTypes.JSON,
+            allowNull: true, // [{ page, link, message }] 형태 (최대 100개 저장)
+        },
+        quality: {
+            type: DataTypes.JSON,
+            allowNull: true, // 목록 파싱 품질 { items, pages, emptyPages, fields: { title: { missing, ratio, threshold } }, issues }
+        },
+        alertedAt: {
+            type: DataTypes.DATE,
+            allowNull: true, // 파싱 이상을 관리자에게 알린 시각
+        },
+        startedAt: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW,
+        },
+        finishedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+    }, {
+        tableName: 'crawl_runs',  // 테이블 이름을 소문자로 명시
+    });
+
+    CrawlRun.associate = (models) => {
+        CrawlRun.belongsTo(models.CrawlProfile, { foreignKey: 'profileId', as: 'profile' });
+    };
+
+    return CrawlRun;
+};
@@ -1,19 +1,107 @@
 module.exports = (sequelize, DataTypes) => {
     const Job = sequelize.define('Job', {
         title: DataTypes.STRING,
-        company: DataTypes.STRING,
+        company: DataTypes.STRING,  // 공고에 표시된 회사명
+        companyId: {
+            type: DataTypes.INTEGER,
+            allowNull: true, // 연결된 회사 (companies 테이블)
+            references: {
+                model: 'companies',
+                key: 'id',
+            },
+            onDelete: 'SET NULL',
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: true, // 공고를 등록한 사용자 (크롤링한 공고는 null)
+            references: {
+                model: 'users',
+                key: 'id',
+            },
+            onDelete: 'SET NULL',
+        },
         location: DataTypes.STRING,
         experience: DataTypes.STRING,  // 추가된 컬럼
         education: DataTypes.STRING,   // 추가된 컬럼
         employmentType: DataTypes.STRING,  // 추가된 컬럼
-        deadline: DataTypes.STRING,
-        techStack: DataTypes.STRING,
-        salary: DataTypes.STRING,
-        description: DataTypes.STRING,
+        deadline: DataTypes.DATEONLY,  // 마감일 (마감일이 없는 상시채용 등은 null)
+        deadlineType: DataTypes.STRING,  // 'fixed', 'rolling', 'until_filled' (services/deadline.js 참고)
+        techStack: DataTypes.STRING,  // 원본 기술 스택 문구 (쉼표로 구분, 정규화된 태그는 tags 참고)
+        salary: DataTypes.STRING,  // 원본 급여 문구
+        salaryMin: DataTypes.INTEGER,  // 최소 급여 (원)
+        salaryMax: DataTypes.INTEGER,  // 최대 급여 (원)
+        salaryPeriod: DataTypes.STRING,  // 'annual', 'monthly', 'daily', 'hourly'
+        salaryNegotiable: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false, // 면접 후 결정, 회사 내규 등 협의 여부
+        },
+        description: DataTypes.TEXT,  // 상세 페이지 본문 전체를 저장
         link: {
             type: DataTypes.STRING,
             unique: true,  // 링크는 고유해야 하므로 unique 제약조건을 추가
         },
+        source: {
+            type: DataTypes.STRING,
+            allowNull: true, // 크롤링 소스 이름 (직접 등록한 공고는 null)
+        },
+        status: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'open', // 'draft', 'scheduled', 'open', 'closed', 'expired', 'archived' (services/jobStatus.js 참고)
+        },
+        publishAt: {
+            type: DataTypes.DATE,
+            allowNull: true, // 게시 시각 (게시 예정 공고는 이 시각에 모집 중으로 바뀜, 크롤링한 공고는 null)
+        },
+        closeAt: {
+            type: DataTypes.DATE,
+            allowNull: true, // 마감 예정 시각 (이 시각에 모집 중인 공고를 마감)
+        },
+        closedAt: {
+            type: DataTypes.DATE,
+            allowNull: true, // 마감된 시각
+        },
+        closeReason: {
+            type: DataTypes.STRING,
+            allowNull: true, // 마감 사유 'manual', 'scheduled', 'missing', 'deadline' (services/jobStatus.js 참고)
+        },
+        archivedAt: {
+            type: DataTypes.DATE,
+            allowNull: true, // 보관된 시각
+        },
+        normalizedCompany: {
+            type: DataTypes.STRING,
+            allowNull: true, // 중복 공고 비교용 회사명 (법인 표기, 공백 제거. services/duplicates.js 참고)
+        },
+        canonicalJobId: {
+            type: DataTypes.INTEGER,
+            allowNull: true, // 같은 공고로 판단된 대표 공고 (대표 공고이거나 중복이 없으면 null)
+            references: {
+                model: 'jobs',
+                key: 'id',
+            },
+            onDelete: 'SET NULL',
+        },
+        titleInitials: {
+            type: DataTypes.STRING,
+            allowNull: true, // 초성 검색용 제목 키 (예: "백엔드 개발자" → "ㅂㅇㄷㄱㅂㅈ". services/suggest.js 참고)
+        },
+        companyInitials: {
+            type: DataTypes.STRING,
+            allowNull: true, // 초성 검색용 회사명 키 (법인 표기 제외)
+        },
+        duplicateLocked: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false, // 관리자가 직접 묶거나 분리해서 자동 중복 판단에서 제외
+        },
+        lastSeenAt: {
+            type: DataTypes.DATE,
+            allowNull: true, // 크롤링 목록에서 마지막으로 확인된 시각
+        },
+        missedCrawls: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0, // 크롤링 목록에서 연속으로 보이지 않은 횟수
+        },
         views: {
             type: DataTypes.INTEGER,
             defaultValue: 0, // 기본값 설정
@@ -21,6 +109,45 @@ module.exports = (sequelize, DataTypes) => {
     },
     {
         tableName: 'jobs',  // 테이블 이름을 소문자 'jobs'로 명시
+        version: true, // 수정할 때마다 version 증가, 그사이 다른 수정이 있으면 OptimisticLockError (ETag로 노출)
+        indexes: [
+            { fields: ['normalizedCompany'] },
+            { fields: ['canonicalJobId'] },
+            // 마감일 정렬과 마감 임박/마감일 경과 확인 (services/jobStatus.js)
+            { fields: ['deadline'] },
+            // 게시/마감 예정 공고 확인 (services/jobScheduler.js)
+            { fields: ['status', 'publishAt'] },
+            { fields: ['status', 'closeAt'] },
+            // 검색어 자동완성 (접두어/초성 일치)
+            { fields: ['title'] },
+            { fields: ['company'] },
+            { fields: ['titleInitials'] },
+            { fields: ['companyInitials'] },
+            // 한국어 복합어도 찾을 수 있도록 ngram 파서로 전문 검색 (services/search.js 참고)
+            { name: 'jobs_title_fulltext', type: 'FULLTEXT', parser: 'ngram', fields: ['title'] },
+            { name: 'jobs_title_description_fulltext', type: 'FULLTEXT', parser: 'ngram', fields: ['title', 'description'] },
+        ],
       });
+
+    Job.associate = (models) => {
+        // 공고를 낸 회사 (company 컬럼은 회사명 문자열이라 별칭을 다르게 둠)
+        Job.belongsTo(models.Company, { foreignKey: 'companyId', as: 'companyInfo' });
+        // 공고를 등록한 사용자
+        Job.belongsTo(models.User, { foreignKey: 'userId', as: 'owner' });
+        // 상세 페이지에서 추출한 모집 내용
+        Job.hasMany(models.JobPosition, { foreignKey: 'jobId', as: 'positions' });
+        // 재크롤링 시 감지된 공고 변경 이력
+        Job.hasMany(models.JobRevision, { foreignKey: 'jobId', as: 'revisions' });
+        // 근무지 문구에서 추출한 지역 코드
+        Job.hasMany(models.JobRegion, { foreignKey: 'jobId', as: 'regions' });
+        // techStack에서 추출한 기술 스택 태그
+        Job.belongsToMany(models.Tag, { through: models.JobTag, foreignKey: 'jobId', otherKey: 'tagId', as: 'tags' });
+        // 같은 공고로 판단된 대표 공고와 중복 공고 (다른 URL로 재게시되었거나 다른 소스에서 가져온 공고)
+        Job.belongsTo(models.Job, { foreignKey: 'canonicalJobId', as: 'canonicalJob' });
+        Job.hasMany(models.Job, { foreignKey: 'canonicalJobId', as: 'duplicates' });
+        // 미리 계산한 유사 공고 (services/similarity.js)
+        Job.hasMany(models.JobNeighbor, { foreignKey: 'jobId', as: 'neighbors' });
+    };
+
     return Job;
 };
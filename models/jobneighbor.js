@@ -0,0 +1,39 @@
+module.exports = (sequelize, DataTypes) => {
+    const JobNeighbor = sequelize.define('JobNeighbor', {
+        jobId: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            references: {
+                model: 'jobs',
+                key: 'id',
+            },
+            onDelete: 'CASCADE',
+        },
+        neighborJobId: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            references: {
+                model: 'jobs',
+                key: 'id',
+            },
+            onDelete: 'CASCADE',
+        },
+        score: {
+            type: DataTypes.FLOAT,
+            allowNull: false, // 유사도 점수 (0~1, services/similarity.js 참고)
+        },
+    }, {
+        tableName: 'job_neighbors',  // 테이블 이름을 소문자로 명시
+        timestamps: false, // 크롤링이 끝날 때마다 통째로 다시 계산하는 목록이므로 시각 기록 안 함
+        indexes: [
+            { fields: ['jobId', 'score'] },
+        ],
+    });
+
+    JobNeighbor.associate = (models) => {
+        JobNeighbor.belongsTo(models.Job, { foreignKey: 'jobId', as: 'job' });
+        JobNeighbor.belongsTo(models.Job, { foreignKey: 'neighborJobId', as: 'neighbor' });
+    };
+
+    return JobNeighbor;
+};
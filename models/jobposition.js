@@ -24,7 +24,7 @@ module.exports = (sequelize) => {
                 type: DataTypes.INTEGER,
                 allowNull: false,
                 references: {
-                    model: 'Jobs', // 연관된 테이블
+                    model: 'jobs', // 연관된 테이블
                     key: 'id',
                 },
                 onDelete: 'CASCADE',
@@ -46,6 +46,14 @@ module.exports = (sequelize) => {
                 type: DataTypes.TEXT,
                 allowNull: true,
             },
+            benefits: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
+            hiringProcess: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+            },
             createdAt: {
                 type: DataTypes.DATE,
                 allowNull: false,
@@ -0,0 +1,39 @@
+module.exports = (sequelize, DataTypes) => {
+    const JobRegion = sequelize.define('JobRegion', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        jobId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'jobs',
+                key: 'id',
+            },
+            onDelete: 'CASCADE',
+        },
+        sidoCode: {
+            type: DataTypes.STRING(2),
+            allowNull: false, // 시/도 코드 (data/regions.json 참고)
+        },
+        regionCode: {
+            type: DataTypes.STRING(5),
+            allowNull: true, // 시/군/구 코드 (시/도만 적힌 근무지는 null)
+        },
+    }, {
+        tableName: 'job_regions',  // 테이블 이름을 소문자로 명시
+        timestamps: false, // 근무지 문구에서 다시 만들 수 있는 매핑이므로 시각 기록 안 함
+        indexes: [
+            { fields: ['sidoCode'] },
+            { fields: ['regionCode'] },
+        ],
+    });
+
+    JobRegion.associate = (models) => {
+        JobRegion.belongsTo(models.Job, { foreignKey: 'jobId', as: 'job' });
+    };
+
+    return JobRegion;
+};
@@ -0,0 +1,36 @@
+module.exports = (sequelize, DataTypes) => {
+    const JobRevision = sequelize.define('JobRevision', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        jobId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'jobs',
+                key: 'id',
+            },
+            onDelete: 'CASCADE',
+        },
+        crawlRunId: {
+            type: DataTypes.INTEGER,
+            allowNull: true, // 변경을 감지한 크롤링 실행 기록
+        },
+        changes: {
+            type: DataTypes.JSON,
+            allowNull: false, // { 필드명: { from, to } } 형태의 필드별 변경 내역
+        },
+    }, {
+        tableName: 'job_revisions',  // 테이블 이름을 소문자로 명시
+        updatedAt: false, // 변경 이력은 수정하지 않음
+    });
+
+    JobRevision.associate = (models) => {
+        JobRevision.belongsTo(models.Job, { foreignKey: 'jobId', as: 'job' });
+        JobRevision.belongsTo(models.CrawlRun, { foreignKey: 'crawlRunId', as: 'crawlRun', constraints: false });
+    };
+
+    return JobRevision;
+};
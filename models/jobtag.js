@@ -0,0 +1,27 @@
+module.exports = (sequelize, DataTypes) => {
+    const JobTag = sequelize.define('JobTag', {
+        jobId: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            references: {
+                model: 'jobs',
+                key: 'id',
+            },
+            onDelete: 'CASCADE',
+        },
+        tagId: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            references: {
+                model: 'tags',
+                key: 'id',
+            },
+            onDelete: 'CASCADE',
+        },
+    }, {
+        tableName: 'job_tags',  // 테이블 이름을 소문자로 명시
+        timestamps: false, // techStack에서 다시 만들 수 있는 매핑이므로 시각 기록 안 함
+    });
+
+    return JobTag;
+};
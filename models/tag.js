@@ -0,0 +1,23 @@
+module.exports = (sequelize, DataTypes) => {
+    const Tag = sequelize.define('Tag', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: true, // 정규화된 이름 (별칭은 data/tagSynonyms.json 참고)
+        },
+    }, {
+        tableName: 'tags',  // 테이블 이름을 소문자로 명시
+    });
+
+    Tag.associate = (models) => {
+        // 태그가 붙은 채용 공고
+        Tag.belongsToMany(models.Job, { through: models.JobTag, foreignKey: 'tagId', otherKey: 'jobId', as: 'jobs' });
+    };
+
+    return Tag;
+};
@@ -24,10 +24,23 @@ module.exports = (sequelize, DataTypes) => {
           type: DataTypes.STRING,
           defaultValue: 'user',
           allowNull: false
+      },
+      companyId: {
+          type: DataTypes.INTEGER,
+          allowNull: true, // 회사 사용자(companyuser)의 소속 회사
+          references: {
+              model: 'companies',
+              key: 'id'
+          },
+          onDelete: 'SET NULL'
       }
     }, {
         tableName: 'users',  // 테이블 이름을 소문자 'jobs'로 명시
     });
+  User.associate = (models) => {
+      // 회사 사용자의 소속 회사 (이 회사의 공고를 등록/수정/삭제할 수 있음)
+      User.belongsTo(models.Company, { foreignKey: 'companyId', as: 'company' });
+  };
 
   return User;
 };
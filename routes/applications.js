@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { Application, Job, User, sequelize } = require('../models');
 const { authenticateJWT, authorizeRoles } = require('../middleware/authenticateJWT');
+const { JOB_STATUS } = require('../services/jobStatus');
+const { canViewJob } = require('../services/jobAccess');
 
 /**
  * @swagger
@@ -27,9 +29,9 @@ const { authenticateJWT, authorizeRoles } = require('../middleware/authenticateJ
  *       201:
  *         description: "지원 성공"
  *       400:
- *         description: "잘못된 요청 (예: 채용 공고 ID 미제공, 이미 지원한 경우)"
+ *         description: "잘못된 요청 (예: 채용 공고 ID 미제공, 이미 지원한 경우, 마감된 공고)"
  *       404:
- *         description: "채용 공고를 찾을 수 없음"
+ *         description: "채용 공고를 찾을 수 없음 (작성 중, 게시 예정, 보관된 공고 포함)"
  *       500:
  *         description: "서버 오류"
  */
@@ -40,7 +42,7 @@ const { authenticateJWT, authorizeRoles } = require('../middleware/authenticateJ
  * @param {Object} req - Express 요청 객체, `jobId`와 `resume` 포함
  * @param {Object} res - Express 응답 객체, 성공 시 지원한 데이터 반환
  * 
- * @throws {Error} 채용 공고를 찾을 수 없거나 이미 지원한 경우
+ * @throws {Error} 채용 공고를 찾을 수 없거나 마감되었거나 이미 지원한 경우
  * 
  * @returns {Object} 201 Created 응답 객체 (지원 성공), 400 Bad Request 응답 객체 (잘못된 입력), 
  * 404 Not Found 응답 객체 (채용 공고 없음), 500 Internal Server Error 응답 객체 (서버 오류)
@@ -58,14 +60,30 @@ router.post('/', authenticateJWT, async (req, res) => {
     }
 
     try {
+        // 작성 중, 게시 예정, 보관된 공고는 볼 수 있는 사용자(등록한 회사, 관리자)가 아니면 없는 공고로 처리
         const job = await Job.findByPk(jobId);
-        if (!job) {
+        if (!job || !(await canViewJob(req, job))) {
             return res.status(404).json({
                 status: 'error',
                 message: '해당 채용 공고를 찾을 수 없습니다.',
             });
         }
 
+        // 마감되었거나 만료된 공고에는 지원 불가
+        if (job.status === JOB_STATUS.CLOSED || job.status === JOB_STATUS.EXPIRED) {
+            return res.status(400).json({
+                status: 'error',
+                message: '마감된 채용 공고에는 지원할 수 없습니다.',
+            });
+        }
+        // 게시되지 않았거나 보관된 공고에는 지원 불가
+        if (job.status !== JOB_STATUS.OPEN) {
+            return res.status(400).json({
+                status: 'error',
+                message: '모집 중인 채용 공고에만 지원할 수 있습니다.',
+            });
+        }
+
         // 이미 지원한 기록이 있는지 확인
         const existingApplication = await Application.findOne({
             where: { userId: req.user.id, jobId },
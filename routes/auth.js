@@ -197,7 +197,7 @@ router.post('/refresh', (req, res) => {
 
     try {
         // refreshToken 검증
-        jwt.verify(refreshToken, process.env.JWT_SECRET, (err, decoded) => {
+        jwt.verify(refreshToken, process.env.JWT_SECRET, async (err, decoded) => {
             if (err) {
                 return res.status(403).json({
                     status: 'error',
@@ -205,21 +205,39 @@ router.post('/refresh', (req, res) => {
                 });
             }
 
-            // 새로운 액세스 토큰 발급
-            const payload = {
-                id: decoded.id,
-                email: decoded.email,
-                name: decoded.name
-            };
+            try {
+                // 리프레시 토큰 발급 뒤 역할이 바뀌었을 수 있으므로 현재 사용자 정보로 발급
+                const user = await User.findByPk(decoded.id);
+                if (!user) {
+                    return res.status(403).json({
+                        status: 'error',
+                        message: '유효하지 않은 리프레시 토큰입니다.'
+                    });
+                }
 
-            const newAccessToken = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
+                // 새로운 액세스 토큰 발급
+                const payload = {
+                    id: user.id,
+                    email: user.email,
+                    name: user.name,
+                    role: user.role
+                };
 
-            res.status(200).json({
-                status: 'success',
-                data: {
-                    accessToken: newAccessToken
-                }
-            });
+                const newAccessToken = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+                res.status(200).json({
+                    status: 'success',
+                    data: {
+                        accessToken: newAccessToken
+                    }
+                });
+            } catch (error) {
+                console.error(error);
+                res.status(500).json({
+                    status: 'error',
+                    message: '토큰 갱신 중 오류가 발생했습니다.'
+                });
+            }
         });
     } catch (error) {
         console.error(error);
@@ -2,6 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { Bookmark, Job } = require('../models');
 const { authenticateJWT } = require('../middleware/authenticateJWT');
+const { parseListQuery, findPage, setLinkHeader } = require('../services/pagination');
+
+// 북마크 목록에서 정렬할 수 있는 필드
+const BOOKMARK_SORT_FIELDS = {
+    id: 'id',
+    createdAt: { column: 'createdAt', type: 'date' },
+};
 
 /**
  * @swagger
@@ -155,14 +162,27 @@ router.post('/', authenticateJWT, async (req, res) => {
  *           default: 1
  *       - name: limit
  *         in: query
- *         description: "한 페이지에 표시할 항목 수 (기본값: 10)"
+ *         description: "한 페이지에 표시할 항목 수 (기본값: 10, 최대 100)"
  *         required: false
  *         schema:
  *           type: integer
  *           default: 10
+ *       - name: sort
+ *         in: query
+ *         description: "정렬 기준 (쉼표로 여러 필드, 앞에 -를 붙이면 내림차순). id, createdAt 사용 가능"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *       - name: cursor
+ *         in: query
+ *         description: "이전 응답의 pagination.nextCursor. 지정하면 page 대신 커서 다음 항목부터 조회"
+ *         required: false
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: "북마크 목록 조회 성공"
+ *         description: "북마크 목록 조회 성공 (Link 헤더에 다른 페이지 주소 포함)"
  *         content:
  *           application/json:
  *             schema:
@@ -194,6 +214,16 @@ router.post('/', authenticateJWT, async (req, res) => {
  *                       type: integer
  *                       description: "한 페이지에 표시되는 항목 수"
  *                       example: 10
+ *                     hasMore:
+ *                       type: boolean
+ *                       description: "다음 페이지가 있는지 여부"
+ *                       example: true
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: "다음 페이지를 조회할 커서 (커서로 조회하면 totalCount, totalPages, currentPage는 null)"
+ *       400:
+ *         description: "잘못된 페이지, 정렬 또는 커서"
  *       500:
  *         description: "서버 오류"
  *         content:
@@ -222,36 +252,32 @@ router.post('/', authenticateJWT, async (req, res) => {
 
 // 북마크 목록 조회 API (GET /bookmarks)
 router.get('/', authenticateJWT, async (req, res) => {
-    // 클라이언트로부터 page와 limit 값을 받아옵니다.
-    const { page = 1, limit = 10 } = req.query;
-
-    const offset = (page - 1) * limit; // 페이지 번호를 기반으로 시작 위치 계산
-
-    try {
-        // 전체 북마크 수를 먼저 구합니다.
-        const totalCount = await Bookmark.count({
-            where: { userId: req.user.id },
+    // 클라이언트로부터 page, limit, 정렬, 커서 값을 받아옵니다.
+    const { error, value: list } = parseListQuery(req.query, {
+        sortFields: BOOKMARK_SORT_FIELDS,
+        defaultSort: '-createdAt',
+        defaultLimit: 10,
+    });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
         });
+    }
 
-        // 해당 페이지에 맞는 북마크들을 조회합니다.
-        const bookmarks = await Bookmark.findAll({
+    try {
+        // 해당 페이지에 맞는 북마크들과 전체 북마크 수를 조회합니다.
+        const { rows, pagination } = await findPage(Bookmark, {
             where: { userId: req.user.id },
             include: { model: Job, as: 'job' },
-            order: [['createdAt', 'DESC']],
-            limit: parseInt(limit, 10),
-            offset: parseInt(offset, 10),
-        });
+        }, list);
 
-        // 페이지네이션 정보를 응답에 추가합니다.
+        // 페이지네이션 정보를 응답에 추가하고 Link 헤더를 붙입니다.
+        setLinkHeader(req, res, pagination);
         res.status(200).json({
             status: 'success',
-            data: bookmarks,
-            pagination: {
-                totalCount, // 전체 아이템 수
-                totalPages: Math.ceil(totalCount / limit), // 전체 페이지 수
-                currentPage: parseInt(page, 10), // 현재 페이지
-                pageSize: parseInt(limit, 10), // 페이지 크기
-            },
+            data: rows,
+            pagination,
         });
     } catch (error) {
         console.error(error);
@@ -1,7 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { Company } = require('../models');
-const { authenticateJWT } = require('../middleware/authenticateJWT');
+const { Company, Job, User } = require('../models');
+const { authenticateJWT, authorizeRoles } = require('../middleware/authenticateJWT');
+const { JOB_STATUS } = require('../services/jobStatus');
+const { parseListQuery, findPage, setLinkHeader } = require('../services/pagination');
+
+// 회사 목록에서 정렬할 수 있는 필드
+const COMPANY_SORT_FIELDS = {
+    id: 'id',
+    name: 'name',
+    createdAt: { column: 'createdAt', type: 'date' },
+};
 
 /**
  * @swagger
@@ -9,9 +18,37 @@ const { authenticateJWT } = require('../middleware/authenticateJWT');
  *   get:
  *     summary: "회사의 목록을 조회"
  *     description: "전체 회사 목록을 조회합니다."
+ *     parameters:
+ *       - name: page
+ *         in: query
+ *         description: "페이지 번호 (기본값: 1)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         description: "페이지 크기 (기본값: 20, 최대 100)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - name: sort
+ *         in: query
+ *         description: "정렬 기준 (쉼표로 여러 필드, 앞에 -를 붙이면 내림차순). id, name, createdAt 사용 가능"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: 'id'
+ *       - name: cursor
+ *         in: query
+ *         description: "이전 응답의 pagination.nextCursor. 지정하면 page 대신 커서 다음 항목부터 조회"
+ *         required: false
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: "회사의 목록 조회 성공"
+ *         description: "회사의 목록 조회 성공 (Link 헤더에 다른 페이지 주소 포함)"
  *         content:
  *           application/json:
  *             schema:
@@ -24,6 +61,11 @@ const { authenticateJWT } = require('../middleware/authenticateJWT');
  *                   type: array
  *                   items:
  *                     type: object
+ *                 pagination:
+ *                   type: object
+ *                   description: "totalCount, totalPages, currentPage, pageSize, hasMore, nextCursor (커서로 조회하면 totalCount, totalPages, currentPage는 null)"
+ *       400:
+ *         description: "잘못된 페이지, 정렬 또는 커서"
  *       500:
  *         description: "서버 오류"
  *         content:
@@ -42,20 +84,30 @@ const { authenticateJWT } = require('../middleware/authenticateJWT');
 /**
  * 회사 목록을 조회하는 API 엔드포인트
  * 
- * @param {Object} req - Express 요청 객체
+ * @param {Object} req - Express 요청 객체 (`page`, `limit`, `sort`, `cursor` 쿼리 포함)
  * @param {Object} res - Express 응답 객체
  * 
  * @throws {Error} 회사 목록을 조회하는 중 발생한 오류
  * 
- * @returns {Object} 200 OK 응답 객체 또는 서버 오류 시 500 응답 객체
+ * @returns {Object} 200 OK 응답 객체, 잘못된 페이지/정렬 조건이면 400, 서버 오류 시 500 응답 객체
  */
 // 회사 목록 조회 (GET /companies)
 router.get('/', authenticateJWT, async (req, res) => {
+    const { error, value: list } = parseListQuery(req.query, { sortFields: COMPANY_SORT_FIELDS, defaultSort: 'id' });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
+        });
+    }
+
     try {
-        const companies = await Company.findAll();
+        const { rows, pagination } = await findPage(Company, {}, list);
+        setLinkHeader(req, res, pagination);
         res.status(200).json({
             status: 'success',
-            data: companies,
+            data: rows,
+            pagination,
         });
     } catch (error) {
         console.error('Error fetching companies:', error);
@@ -71,7 +123,7 @@ router.get('/', authenticateJWT, async (req, res) => {
  * /companies/{id}:
  *   get:
  *     summary: "특정 회사를 조회"
- *     description: "특정 ID를 가진 회사를 조회합니다."
+ *     description: "특정 ID를 가진 회사와 모집 중인 채용 공고를 조회합니다."
  *     parameters:
  *       - name: id
  *         in: path
@@ -92,6 +144,43 @@ router.get('/', authenticateJWT, async (req, res) => {
  *                   example: "success"
  *                 data:
  *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     name:
+ *                       type: string
+ *                       example: "ABC Corp"
+ *                     industry:
+ *                       type: string
+ *                       example: "응용 소프트웨어 개발 및 공급업"
+ *                     size:
+ *                       type: string
+ *                       example: "중소기업"
+ *                     foundedYear:
+ *                       type: integer
+ *                       example: 2010
+ *                     address:
+ *                       type: string
+ *                       example: "서울 강남구 테헤란로 123"
+ *                     website:
+ *                       type: string
+ *                       example: "https://example.com"
+ *                     jobs:
+ *                       type: array
+ *                       description: "모집 중인 채용 공고"
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             example: 10
+ *                           title:
+ *                             type: string
+ *                             example: "백엔드 개발자 모집"
+ *                           deadline:
+ *                             type: string
+ *                             example: "2024-12-31"
  *       404:
  *         description: "회사를 찾을 수 없음"
  *         content:
@@ -134,7 +223,16 @@ router.get('/', authenticateJWT, async (req, res) => {
 router.get('/:id', authenticateJWT, async (req, res) => {
     try {
         const { id } = req.params;
-        const company = await Company.findByPk(id);
+        const company = await Company.findByPk(id, {
+            include: [{
+                model: Job,
+                as: 'jobs',
+                where: { status: JOB_STATUS.OPEN }, // 모집 중인 공고만 포함
+                required: false, // 공고가 없어도 회사는 조회
+                attributes: ['id', 'title', 'location', 'experience', 'deadline', 'deadlineType', 'salary', 'link'],
+            }],
+            order: [[{ model: Job, as: 'jobs' }, 'id', 'DESC']],
+        });
 
         if (!company) {
             return res.status(404).json({
@@ -276,4 +374,151 @@ router.post('/', authenticateJWT, async (req, res) => {
     }
 });
 
+// 회사 사용자 정보로 응답할 필드
+const COMPANY_USER_ATTRIBUTES = ['id', 'email', 'name', 'role', 'companyId'];
+
+/**
+ * @swagger
+ * /companies/{id}/users/{userId}:
+ *   put:
+ *     summary: "회사 사용자 지정"
+ *     description: "사용자를 회사의 회사 사용자(companyuser)로 지정합니다. 회사 사용자는 소속 회사의 채용 공고를 등록, 수정, 삭제할 수 있습니다. 다른 회사에 소속되어 있었다면 이 회사로 옮겨집니다. 관리자만 접근 가능합니다."
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: "회사 ID"
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: userId
+ *         in: path
+ *         description: "사용자 ID"
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "회사 사용자 지정 성공 (data에 사용자 id, email, name, role, companyId 포함)"
+ *       403:
+ *         description: "권한이 없음"
+ *       404:
+ *         description: "회사 또는 사용자를 찾을 수 없음"
+ *       500:
+ *         description: "서버 오류"
+ *   delete:
+ *     summary: "회사 사용자 해제"
+ *     description: "사용자를 회사에서 해제하고 일반 사용자(user)로 되돌립니다. 관리자는 역할을 유지합니다. 관리자만 접근 가능합니다."
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: "회사 ID"
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: userId
+ *         in: path
+ *         description: "사용자 ID"
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "회사 사용자 해제 성공"
+ *       403:
+ *         description: "권한이 없음"
+ *       404:
+ *         description: "해당 회사에 소속된 사용자를 찾을 수 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 사용자를 회사의 회사 사용자로 지정하는 API 엔드포인트
+ *
+ * @param {Object} req - Express 요청 객체, `id`(회사 ID), `userId` 파라미터 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (지정된 사용자), 회사나 사용자가 없으면 404, 서버 오류 시 500 응답 객체
+ */
+// 회사 사용자 지정 (PUT /companies/:id/users/:userId)
+router.put('/:id/users/:userId', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    try {
+        const company = await Company.findByPk(req.params.id);
+        if (!company) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 회사를 찾을 수 없습니다.',
+            });
+        }
+
+        const user = await User.findByPk(req.params.userId, { attributes: COMPANY_USER_ATTRIBUTES });
+        if (!user) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 사용자를 찾을 수 없습니다.',
+            });
+        }
+
+        user.companyId = company.id;
+        if (user.role !== 'admin') {
+            user.role = 'companyuser';
+        }
+        await user.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: `${user.name} 사용자를 ${company.name}의 회사 사용자로 지정했습니다.`,
+            data: user,
+        });
+    } catch (error) {
+        console.error('Error assigning company user:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '회사 사용자를 지정하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * 사용자를 회사에서 해제하는 API 엔드포인트
+ *
+ * @param {Object} req - Express 요청 객체, `id`(회사 ID), `userId` 파라미터 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (해제된 사용자), 회사에 소속된 사용자가 아니면 404, 서버 오류 시 500 응답 객체
+ */
+// 회사 사용자 해제 (DELETE /companies/:id/users/:userId)
+router.delete('/:id/users/:userId', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    try {
+        const user = await User.findOne({
+            where: { id: req.params.userId, companyId: req.params.id },
+            attributes: COMPANY_USER_ATTRIBUTES,
+        });
+        if (!user) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 회사에 소속된 사용자를 찾을 수 없습니다.',
+            });
+        }
+
+        user.companyId = null;
+        if (user.role === 'companyuser') {
+            user.role = 'user';
+        }
+        await user.save();
+
+        res.status(200).json({
+            status: 'success',
+            message: '회사 사용자를 해제했습니다.',
+            data: user,
+        });
+    } catch (error) {
+        console.error('Error removing company user:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '회사 사용자를 해제하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
 module.exports = router;
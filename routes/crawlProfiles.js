@@ -0,0 +1,507 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');  // Joi를 사용하여 데이터 검증
+const { CrawlProfile, CrawlRun } = require('../models');
+const { authenticateJWT, authorizeRoles } = require('../middleware/authenticateJWT');
+const { startCrawl, getCurrentRun } = require('../services/crawlScheduler');
+const { CAREER_LEVELS, getCrawlConfig } = require('../services/crawlConfig');
+const { listSources } = require('../services/sources');
+const { resolveRegion } = require('../services/regions');
+
+// 프로필 하나가 한 번에 크롤링할 수 있는 최대 페이지 수
+const MAX_PROFILE_PAGES = 20;
+
+// 프로필 상세에서 보여줄 최근 실행 기록 수
+const RECENT_RUN_LIMIT = 10;
+
+// 크롤링 프로필 입력값 검증 스키마
+const profileSchema = Joi.object({
+    name: Joi.string().max(100).required().messages({
+        'string.empty': '프로필 이름은 필수 항목입니다.',
+        'string.max': '프로필 이름은 최대 100자까지 가능합니다.',
+        'any.required': '프로필 이름은 필수 항목입니다.',
+    }),
+    source: Joi.string().valid(...listSources()).optional().messages({
+        'any.only': `지원하지 않는 크롤링 소스입니다. (${listSources().join(', ')})`,
+    }),
+    keyword: Joi.string().max(100).allow(null, '').optional().messages({
+        'string.max': '검색어는 최대 100자까지 가능합니다.',
+    }),
+    category: Joi.string().pattern(/^\d+(,\d+)*$/).allow(null, '').optional().messages({
+        'string.pattern.base': '직무 카테고리 코드는 숫자 또는 쉼표로 구분된 숫자여야 합니다.',
+    }),
+    region: Joi.string().allow(null, '').optional(),
+    careerLevel: Joi.string().valid(...CAREER_LEVELS).allow(null).optional().messages({
+        'any.only': `경력 조건은 ${CAREER_LEVELS.join(', ')} 중 하나여야 합니다.`,
+    }),
+    pages: Joi.number().integer().min(1).max(MAX_PROFILE_PAGES).optional().messages({
+        'number.base': '페이지 수는 숫자여야 합니다.',
+        'number.min': '페이지 수는 1 이상이어야 합니다.',
+        'number.max': `페이지 수는 최대 ${MAX_PROFILE_PAGES}까지 가능합니다.`,
+    }),
+    intervalMinutes: Joi.number().integer().min(0).optional().messages({
+        'number.base': '실행 주기는 숫자(분)여야 합니다.',
+        'number.min': '실행 주기는 0 이상이어야 합니다.',
+    }),
+    enabled: Joi.boolean().optional(),
+});
+
+/**
+ * 요청 본문을 검증하고 CrawlProfile에 저장할 값으로 바꾸는 함수
+ * 지역은 이름("서울", "경기 성남시")도 받아서 지역 코드로 저장합니다.
+ * @param {Object} body - 요청 본문
+ * @returns {{ error: string|null, values: Object }} 검증 오류 메시지 또는 저장할 값
+ */
+function parseProfile(body) {
+    const { error, value } = profileSchema.validate(body, { abortEarly: false });
+    if (error) {
+        return { error: error.details.map(err => err.message).join(', '), values: null };
+    }
+
+    let region = null;
+    if (value.region) {
+        const match = resolveRegion(value.region);
+        if (!match) {
+            return { error: `알 수 없는 지역입니다: ${value.region}`, values: null };
+        }
+        region = match.regionCode || match.sidoCode;
+    }
+
+    const config = getCrawlConfig();
+    return {
+        error: null,
+        values: {
+            name: value.name,
+            source: value.source || config.source,
+            keyword: value.keyword || null,
+            category: value.category || null,
+            region,
+            careerLevel: value.careerLevel || null,
+            pages: value.pages ?? config.pages,
+            intervalMinutes: value.intervalMinutes ?? config.intervalMinutes,
+            enabled: value.enabled ?? true,
+        },
+    };
+}
+
+/**
+ * @swagger
+ * /crawl-profiles:
+ *   get:
+ *     summary: "크롤링 프로필 목록 조회"
+ *     description: "검색어, 직무 카테고리, 지역, 경력 조건으로 사람인 검색을 크롤링하는 프로필 목록을 조회합니다. 관리자만 접근 가능합니다."
+ *     responses:
+ *       200:
+ *         description: "프로필 목록 조회 성공"
+ *       403:
+ *         description: "권한이 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 크롤링 프로필 목록을 조회하는 API
+ *
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (프로필 목록), 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 크롤링 프로필 목록 조회 API (GET /crawl-profiles)
+router.get('/', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    try {
+        const profiles = await CrawlProfile.findAll({ order: [['id', 'ASC']] });
+
+        res.status(200).json({
+            status: 'success',
+            data: profiles,
+        });
+    } catch (error) {
+        console.error('Error fetching crawl profiles:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '크롤링 프로필을 조회하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /crawl-profiles:
+ *   post:
+ *     summary: "크롤링 프로필 등록"
+ *     description: "사람인 검색 조건과 페이지 수, 실행 주기를 가진 크롤링 프로필을 등록합니다. 스케줄러가 프로필별 주기마다 실행합니다. 관리자만 접근 가능합니다."
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "서울 백엔드 경력"
+ *               source:
+ *                 type: string
+ *                 description: "크롤링 소스 이름 (기본값: CRAWL_SOURCE)"
+ *                 example: "saramin"
+ *               keyword:
+ *                 type: string
+ *                 description: "검색어"
+ *                 example: "백엔드"
+ *               category:
+ *                 type: string
+ *                 description: "직무 카테고리 코드 (사람인 cat_kewd, 쉼표로 여러 개)"
+ *                 example: "84,87"
+ *               region:
+ *                 type: string
+ *                 description: "지역 코드 또는 이름 (GET /regions 참고, 사람인 검색은 시/도 단위)"
+ *                 example: "11"
+ *               careerLevel:
+ *                 type: string
+ *                 enum: [entry, experienced, any]
+ *                 description: "경력 조건 (신입, 경력, 경력무관)"
+ *               pages:
+ *                 type: integer
+ *                 description: "한 번 실행할 때 크롤링할 페이지 수 (기본값: CRAWL_PAGES, 최대 20)"
+ *                 example: 2
+ *               intervalMinutes:
+ *                 type: integer
+ *                 description: "실행 주기(분), 0이면 자동 실행하지 않음 (기본값: CRAWL_INTERVAL_MINUTES)"
+ *                 example: 120
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: "프로필 등록 성공"
+ *       400:
+ *         description: "잘못된 입력 또는 이미 있는 프로필 이름"
+ *       403:
+ *         description: "권한이 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 크롤링 프로필을 등록하는 API
+ *
+ * @param {Object} req - Express 요청 객체, 본문에 프로필 정보 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 201 Created 응답 객체 (등록된 프로필), 400 Bad Request 응답 객체 (잘못된 입력),
+ * 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 크롤링 프로필 등록 API (POST /crawl-profiles)
+router.post('/', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    const { error, values } = parseProfile(req.body);
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
+        });
+    }
+
+    try {
+        const existing = await CrawlProfile.findOne({ where: { name: values.name } });
+        if (existing) {
+            return res.status(400).json({
+                status: 'error',
+                message: '이미 같은 이름의 크롤링 프로필이 있습니다.',
+            });
+        }
+
+        const profile = await CrawlProfile.create(values);
+        res.status(201).json({
+            status: 'success',
+            message: '크롤링 프로필이 등록되었습니다.',
+            data: profile,
+        });
+    } catch (error) {
+        console.error('Error creating crawl profile:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '크롤링 프로필을 등록하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /crawl-profiles/{id}:
+ *   get:
+ *     summary: "크롤링 프로필 상세 조회"
+ *     description: "프로필과 최근 실행 기록 10개를 조회합니다. 관리자만 접근 가능합니다."
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: "프로필 ID"
+ *     responses:
+ *       200:
+ *         description: "프로필 조회 성공"
+ *       403:
+ *         description: "권한이 없음"
+ *       404:
+ *         description: "프로필을 찾을 수 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 크롤링 프로필 하나를 조회하는 API
+ *
+ * @param {Object} req - Express 요청 객체, `id` 파라미터 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (프로필과 최근 실행 기록), 404 Not Found 응답 객체 (프로필 없음),
+ * 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 크롤링 프로필 상세 조회 API (GET /crawl-profiles/:id)
+router.get('/:id', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    try {
+        const profile = await CrawlProfile.findByPk(req.params.id);
+        if (!profile) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 크롤링 프로필을 찾을 수 없습니다.',
+            });
+        }
+
+        const recentRuns = await CrawlRun.findAll({
+            where: { profileId: profile.id },
+            attributes: { exclude: ['errors'] }, // 목록에서는 오류 상세 제외
+            order: [['startedAt', 'DESC']],
+            limit: RECENT_RUN_LIMIT,
+        });
+
+        res.status(200).json({
+            status: 'success',
+            data: { ...profile.toJSON(), recentRuns },
+        });
+    } catch (error) {
+        console.error('Error fetching crawl profile:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '크롤링 프로필을 조회하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /crawl-profiles/{id}:
+ *   put:
+ *     summary: "크롤링 프로필 수정"
+ *     description: "프로필의 검색 조건, 페이지 수, 실행 주기를 수정합니다. 요청 본문은 등록과 같고, 생략한 값은 기본값으로 바뀝니다. 관리자만 접근 가능합니다."
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: "프로필 ID"
+ *     responses:
+ *       200:
+ *         description: "프로필 수정 성공"
+ *       400:
+ *         description: "잘못된 입력 또는 이미 있는 프로필 이름"
+ *       403:
+ *         description: "권한이 없음"
+ *       404:
+ *         description: "프로필을 찾을 수 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 크롤링 프로필을 수정하는 API
+ *
+ * @param {Object} req - Express 요청 객체, `id` 파라미터와 본문에 프로필 정보 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (수정된 프로필), 400 Bad Request 응답 객체 (잘못된 입력),
+ * 404 Not Found 응답 객체 (프로필 없음), 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 크롤링 프로필 수정 API (PUT /crawl-profiles/:id)
+router.put('/:id', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    const { error, values } = parseProfile(req.body);
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
+        });
+    }
+
+    try {
+        const profile = await CrawlProfile.findByPk(req.params.id);
+        if (!profile) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 크롤링 프로필을 찾을 수 없습니다.',
+            });
+        }
+
+        const existing = await CrawlProfile.findOne({ where: { name: values.name } });
+        if (existing && existing.id !== profile.id) {
+            return res.status(400).json({
+                status: 'error',
+                message: '이미 같은 이름의 크롤링 프로필이 있습니다.',
+            });
+        }
+
+        await profile.update(values);
+        res.status(200).json({
+            status: 'success',
+            message: '크롤링 프로필이 수정되었습니다.',
+            data: profile,
+        });
+    } catch (error) {
+        console.error('Error updating crawl profile:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '크롤링 프로필을 수정하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /crawl-profiles/{id}:
+ *   delete:
+ *     summary: "크롤링 프로필 삭제"
+ *     description: "프로필을 삭제합니다. 이 프로필로 실행한 크롤링 기록은 남습니다. 관리자만 접근 가능합니다."
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: "프로필 ID"
+ *     responses:
+ *       200:
+ *         description: "프로필 삭제 성공"
+ *       403:
+ *         description: "권한이 없음"
+ *       404:
+ *         description: "프로필을 찾을 수 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 크롤링 프로필을 삭제하는 API
+ *
+ * @param {Object} req - Express 요청 객체, `id` 파라미터 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (삭제 완료), 404 Not Found 응답 객체 (프로필 없음),
+ * 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 크롤링 프로필 삭제 API (DELETE /crawl-profiles/:id)
+router.delete('/:id', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    try {
+        const profile = await CrawlProfile.findByPk(req.params.id);
+        if (!profile) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 크롤링 프로필을 찾을 수 없습니다.',
+            });
+        }
+
+        await profile.destroy();
+        res.status(200).json({
+            status: 'success',
+            message: '크롤링 프로필이 삭제되었습니다.',
+        });
+    } catch (error) {
+        console.error('Error deleting crawl profile:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '크롤링 프로필을 삭제하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /crawl-profiles/{id}/run:
+ *   post:
+ *     summary: "크롤링 프로필 즉시 실행"
+ *     description: "스케줄과 관계없이 프로필의 조건으로 크롤링을 바로 시작하고 실행 기록을 반환합니다. 비활성화된 프로필도 실행할 수 있습니다. 관리자만 접근 가능합니다."
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: "프로필 ID"
+ *     responses:
+ *       202:
+ *         description: "크롤링 시작 (data에 생성된 실행 기록 포함)"
+ *       403:
+ *         description: "권한이 없음"
+ *       404:
+ *         description: "프로필을 찾을 수 없음"
+ *       409:
+ *         description: "이미 크롤링이 진행 중"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 크롤링 프로필을 즉시 실행하는 API
+ *
+ * @param {Object} req - Express 요청 객체, `id` 파라미터 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 202 Accepted 응답 객체 (크롤링 시작), 404 Not Found 응답 객체 (프로필 없음),
+ * 409 Conflict 응답 객체 (이미 실행 중), 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 크롤링 프로필 즉시 실행 API (POST /crawl-profiles/:id/run)
+router.post('/:id/run', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    try {
+        const profile = await CrawlProfile.findByPk(req.params.id);
+        if (!profile) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 크롤링 프로필을 찾을 수 없습니다.',
+            });
+        }
+
+        const started = startCrawl({ profile, trigger: 'manual' });
+        if (!started) {
+            const currentRun = getCurrentRun();
+            return res.status(409).json({
+                status: 'error',
+                message: '이미 크롤링이 진행 중입니다.',
+                data: currentRun ? { id: currentRun.id } : undefined,
+            });
+        }
+
+        const run = await started;
+        res.status(202).json({
+            status: 'success',
+            message: '크롤링을 시작했습니다.',
+            data: run,
+        });
+    } catch (error) {
+        console.error('Error starting crawl profile:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '크롤링을 시작하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const router = express.Router();
+const { CrawlRun } = require('../models');
+const { authenticateJWT, authorizeRoles } = require('../middleware/authenticateJWT');
+const { startCrawl, getCrawlConfig, getCurrentRun } = require('../services/crawlScheduler');
+const { listSources } = require('../services/sources');
+const { parseListQuery, findPage, setLinkHeader } = require('../services/pagination');
+
+// 실행 기록 목록에서 정렬할 수 있는 필드
+const CRAWL_RUN_SORT_FIELDS = {
+    id: 'id',
+    startedAt: { column: 'startedAt', type: 'date' },
+};
+
+/**
+ * @swagger
+ * /crawls:
+ *   post:
+ *     summary: "크롤링 즉시 실행"
+ *     description: "스케줄과 관계없이 크롤링을 바로 시작하고 실행 기록을 반환합니다. 관리자만 접근 가능합니다."
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pages:
+ *                 type: integer
+ *                 description: "크롤링할 페이지 수 (기본값: CRAWL_PAGES)"
+ *                 example: 3
+ *               source:
+ *                 type: string
+ *                 description: "크롤링할 소스 이름 (기본값: CRAWL_SOURCE)"
+ *                 example: "saramin"
+ *     responses:
+ *       202:
+ *         description: "크롤링 시작 (data에 생성된 실행 기록 포함)"
+ *       400:
+ *         description: "잘못된 페이지 수 또는 소스 이름"
+ *       403:
+ *         description: "권한이 없음"
+ *       409:
+ *         description: "이미 크롤링이 진행 중"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 크롤링을 즉시 시작하는 API
+ *
+ * @param {Object} req - Express 요청 객체, 선택적으로 `pages`, `source` 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 202 Accepted 응답 객체 (크롤링 시작), 400 Bad Request 응답 객체 (잘못된 입력),
+ * 409 Conflict 응답 객체 (이미 실행 중), 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 크롤링 즉시 실행 API (POST /crawls)
+router.post('/', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    const config = getCrawlConfig();
+    const pages = req.body.pages === undefined ? config.pages : parseInt(req.body.pages, 10);
+    const source = req.body.source || config.source;
+
+    if (Number.isNaN(pages) || pages < 1) {
+        return res.status(400).json({
+            status: 'error',
+            message: '페이지 수는 1 이상의 숫자여야 합니다.',
+        });
+    }
+
+    if (!listSources().includes(source)) {
+        return res.status(400).json({
+            status: 'error',
+            message: `지원하지 않는 크롤링 소스입니다. (${listSources().join(', ')})`,
+        });
+    }
+
+    try {
+        const started = startCrawl({ pages, source, trigger: 'manual' });
+        if (!started) {
+            const currentRun = getCurrentRun();
+            return res.status(409).json({
+                status: 'error',
+                message: '이미 크롤링이 진행 중입니다.',
+                data: currentRun ? { id: currentRun.id } : undefined,
+            });
+        }
+
+        const run = await started;
+        res.status(202).json({
+            status: 'success',
+            message: '크롤링을 시작했습니다.',
+            data: run,
+        });
+    } catch (error) {
+        console.error('Error starting crawl:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '크롤링을 시작하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /crawls:
+ *   get:
+ *     summary: "크롤링 실행 기록 목록 조회"
+ *     description: "최근 크롤링 실행 기록을 최신순으로 조회합니다. 관리자만 접근 가능합니다."
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: "페이지 번호"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: "페이지 크기 (최대 100)"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-startedAt'
+ *         description: "정렬 기준 (쉼표로 여러 필드, 앞에 -를 붙이면 내림차순). id, startedAt 사용 가능"
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: "이전 응답의 pagination.nextCursor. 지정하면 page 대신 커서 다음 항목부터 조회"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, degraded, failed]
+ *         description: "실행 상태 필터 (degraded: 목록 파싱 품질이 기준에 못 미침)"
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: "소스 이름 필터"
+ *       - in: query
+ *         name: profileId
+ *         schema:
+ *           type: integer
+ *         description: "크롤링 프로필 ID 필터"
+ *     responses:
+ *       200:
+ *         description: "실행 기록 조회 성공 (Link 헤더에 다른 페이지 주소 포함)"
+ *       400:
+ *         description: "잘못된 페이지, 정렬 또는 커서"
+ *       403:
+ *         description: "권한이 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 크롤링 실행 기록 목록을 조회하는 API
+ *
+ * @param {Object} req - Express 요청 객체, `page`, `limit`, `sort`, `cursor`, `status`, `source`, `profileId` 쿼리 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (실행 기록 목록), 400 Bad Request 응답 객체 (잘못된 페이지/정렬 조건),
+ * 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 크롤링 실행 기록 목록 조회 API (GET /crawls)
+router.get('/', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    const { status, source, profileId } = req.query;
+    const { error, value: list } = parseListQuery(req.query, { sortFields: CRAWL_RUN_SORT_FIELDS, defaultSort: '-startedAt' });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
+        });
+    }
+
+    try {
+        const filter = {};
+        if (status) filter.status = status;
+        if (source) filter.source = source;
+        if (profileId) filter.profileId = profileId;
+
+        const { rows, pagination } = await findPage(CrawlRun, {
+            where: filter,
+            attributes: { exclude: ['errors'] }, // 목록에서는 오류 상세 제외
+        }, list);
+
+        setLinkHeader(req, res, pagination);
+        res.status(200).json({
+            status: 'success',
+            data: rows,
+            pagination,
+        });
+    } catch (error) {
+        console.error('Error fetching crawl runs:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '크롤링 기록을 조회하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /crawls/{id}:
+ *   get:
+ *     summary: "크롤링 실행 기록 상세 조회"
+ *     description: "실행 중인 크롤링의 진행 상황이나 완료된 크롤링의 결과와 오류 목록을 조회합니다. 관리자만 접근 가능합니다."
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: "실행 기록 ID"
+ *     responses:
+ *       200:
+ *         description: "실행 기록 조회 성공"
+ *       403:
+ *         description: "권한이 없음"
+ *       404:
+ *         description: "실행 기록을 찾을 수 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 크롤링 실행 기록 하나를 조회하는 API
+ *
+ * @param {Object} req - Express 요청 객체, `id` 파라미터 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (실행 기록), 404 Not Found 응답 객체 (기록 없음),
+ * 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 크롤링 실행 기록 상세 조회 API (GET /crawls/:id)
+router.get('/:id', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    try {
+        const run = await CrawlRun.findByPk(req.params.id);
+        if (!run) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 크롤링 기록을 찾을 수 없습니다.',
+            });
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: run,
+        });
+    } catch (error) {
+        console.error('Error fetching crawl run:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '크롤링 기록을 조회하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const Joi = require('joi');  // Joi를 사용하여 데이터 검증
+const { Job, sequelize } = require('../models');
+const { authenticateJWT, authorizeRoles } = require('../middleware/authenticateJWT');
+const { mergeJobs, splitJobs } = require('../services/duplicates');
+const { parseListQuery, findPage, setLinkHeader } = require('../services/pagination');
+
+// 묶음 목록에서 보여줄 공고 필드
+const CLUSTER_ATTRIBUTES = ['id', 'title', 'company', 'location', 'deadline', 'deadlineType', 'source', 'link', 'status', 'duplicateLocked', 'createdAt'];
+
+// 묶음 목록에서 정렬할 수 있는 필드 (대표 공고 기준)
+const CLUSTER_SORT_FIELDS = {
+    id: 'id',
+    createdAt: { column: 'createdAt', type: 'date' },
+};
+
+// 병합/분리 요청 검증 스키마
+const jobIdsSchema = Joi.array().items(Joi.number().integer().positive()).min(1).max(100).required().messages({
+    'array.base': '공고 ID 목록은 배열이어야 합니다.',
+    'array.min': '공고 ID를 하나 이상 지정해야 합니다.',
+    'array.max': '한 번에 최대 100개의 공고를 처리할 수 있습니다.',
+    'number.base': '공고 ID는 숫자여야 합니다.',
+    'any.required': '공고 ID 목록(jobIds)은 필수 항목입니다.',
+});
+const mergeSchema = Joi.object({
+    canonicalJobId: Joi.number().integer().positive().required().messages({
+        'number.base': '대표 공고 ID는 숫자여야 합니다.',
+        'any.required': '대표 공고 ID(canonicalJobId)는 필수 항목입니다.',
+    }),
+    jobIds: jobIdsSchema,
+});
+const splitSchema = Joi.object({
+    jobIds: jobIdsSchema,
+});
+
+// Joi 검증 오류를 하나의 메시지로
+const validationMessage = (error) => error.details.map(err => err.message).join(', ');
+
+/**
+ * 지정한 공고가 모두 있는지 확인하는 함수
+ * @param {number[]} ids - 공고 ID 목록
+ * @returns {Promise<number[]>} 없는 공고 ID 목록
+ */
+async function findMissingJobIds(ids) {
+    const jobs = await Job.findAll({ where: { id: { [Op.in]: ids } }, attributes: ['id'] });
+    const found = new Set(jobs.map(job => job.id));
+    return ids.filter(id => !found.has(id));
+}
+
+// 대표 공고와 중복 공고를 묶음 형태로 조회
+function findCluster(canonicalJobId) {
+    return Job.findByPk(canonicalJobId, {
+        attributes: CLUSTER_ATTRIBUTES,
+        include: [{ model: Job, as: 'duplicates', attributes: CLUSTER_ATTRIBUTES }],
+    });
+}
+
+/**
+ * @swagger
+ * /duplicates:
+ *   get:
+ *     summary: "중복 공고 묶음 목록 조회"
+ *     description: "같은 공고로 판단되어 대표 공고에 묶인 중복 공고(다른 URL로 재게시되었거나 다른 소스에서 가져온 공고)를 묶음별로 조회합니다. 관리자만 접근 가능합니다."
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: "페이지 번호"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: "페이지 크기 (최대 100)"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-id'
+ *         description: "정렬 기준 (쉼표로 여러 필드, 앞에 -를 붙이면 내림차순). id, createdAt 사용 가능"
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: "이전 응답의 pagination.nextCursor. 지정하면 page 대신 커서 다음 항목부터 조회"
+ *     responses:
+ *       200:
+ *         description: "묶음 목록 조회 성공 (data의 각 항목은 대표 공고이며 duplicates에 중복 공고 포함. Link 헤더에 다른 페이지 주소 포함)"
+ *       400:
+ *         description: "잘못된 페이지, 정렬 또는 커서"
+ *       403:
+ *         description: "권한이 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 중복 공고 묶음 목록을 조회하는 API
+ *
+ * @param {Object} req - Express 요청 객체, `page`, `limit`, `sort`, `cursor` 쿼리 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (묶음 목록), 400 Bad Request 응답 객체 (잘못된 페이지/정렬 조건),
+ * 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 중복 공고 묶음 목록 조회 API (GET /duplicates)
+router.get('/', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    const { error, value: list } = parseListQuery(req.query, { sortFields: CLUSTER_SORT_FIELDS, defaultSort: '-id' });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
+        });
+    }
+
+    try {
+        const { rows, pagination } = await findPage(Job, {
+            where: {
+                id: { [Op.in]: sequelize.literal('(SELECT DISTINCT canonicalJobId FROM jobs WHERE canonicalJobId IS NOT NULL)') },
+            },
+            attributes: CLUSTER_ATTRIBUTES,
+            include: [{ model: Job, as: 'duplicates', attributes: CLUSTER_ATTRIBUTES }],
+            distinct: true, // 중복 공고 수만큼 묶음 수가 늘어나지 않도록
+            order: [[{ model: Job, as: 'duplicates' }, 'id', 'ASC']],
+        }, list);
+
+        setLinkHeader(req, res, pagination);
+        res.status(200).json({
+            status: 'success',
+            data: rows,
+            pagination,
+        });
+    } catch (error) {
+        console.error('Error fetching duplicate clusters:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '중복 공고 묶음을 조회하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /duplicates/merge:
+ *   post:
+ *     summary: "공고 병합"
+ *     description: "지정한 공고들을 대표 공고의 중복 공고로 묶습니다. 묶인 공고의 중복 공고도 함께 옮겨지며, 직접 묶은 공고는 이후 자동 중복 판단에서 바뀌지 않습니다. 관리자만 접근 가능합니다."
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - canonicalJobId
+ *               - jobIds
+ *             properties:
+ *               canonicalJobId:
+ *                 type: integer
+ *                 description: "대표 공고로 남길 공고 ID"
+ *                 example: 12
+ *               jobIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: "대표 공고에 묶을 공고 ID 목록"
+ *                 example: [31, 45]
+ *     responses:
+ *       200:
+ *         description: "병합 성공 (data에 병합된 묶음 포함)"
+ *       400:
+ *         description: "잘못된 입력"
+ *       403:
+ *         description: "권한이 없음"
+ *       404:
+ *         description: "공고를 찾을 수 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 공고들을 하나의 대표 공고로 병합하는 API
+ *
+ * @param {Object} req - Express 요청 객체, 본문에 `canonicalJobId`, `jobIds` 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (병합된 묶음), 400 Bad Request 응답 객체 (잘못된 입력),
+ * 404 Not Found 응답 객체 (공고 없음), 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 공고 병합 API (POST /duplicates/merge)
+router.post('/merge', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    const { error, value } = mergeSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: validationMessage(error),
+        });
+    }
+
+    const { canonicalJobId, jobIds } = value;
+    if (jobIds.every(id => id === canonicalJobId)) {
+        return res.status(400).json({
+            status: 'error',
+            message: '대표 공고 외에 묶을 공고를 하나 이상 지정해야 합니다.',
+        });
+    }
+
+    try {
+        const missingIds = await findMissingJobIds([canonicalJobId, ...jobIds]);
+        if (missingIds.length > 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: `해당 채용 공고를 찾을 수 없습니다: ${missingIds.join(', ')}`,
+            });
+        }
+
+        await mergeJobs(canonicalJobId, jobIds);
+        res.status(200).json({
+            status: 'success',
+            message: '공고를 병합했습니다.',
+            data: await findCluster(canonicalJobId),
+        });
+    } catch (error) {
+        console.error('Error merging jobs:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '공고를 병합하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /duplicates/split:
+ *   post:
+ *     summary: "공고 분리"
+ *     description: "지정한 공고를 중복 공고 묶음에서 분리해 별도 공고로 되돌립니다. 대표 공고를 분리하면 남은 중복 공고 중 가장 먼저 등록된 공고가 새 대표 공고가 됩니다. 분리한 공고는 이후 자동 중복 판단에서 다시 묶이지 않습니다. 관리자만 접근 가능합니다."
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - jobIds
+ *             properties:
+ *               jobIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: "분리할 공고 ID 목록"
+ *                 example: [45]
+ *     responses:
+ *       200:
+ *         description: "분리 성공"
+ *       400:
+ *         description: "잘못된 입력"
+ *       403:
+ *         description: "권한이 없음"
+ *       404:
+ *         description: "공고를 찾을 수 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 공고를 중복 공고 묶음에서 분리하는 API
+ *
+ * @param {Object} req - Express 요청 객체, 본문에 `jobIds` 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (분리 완료), 400 Bad Request 응답 객체 (잘못된 입력),
+ * 404 Not Found 응답 객체 (공고 없음), 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 공고 분리 API (POST /duplicates/split)
+router.post('/split', authenticateJWT, authorizeRoles(['admin']), async (req, res) => {
+    const { error, value } = splitSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: validationMessage(error),
+        });
+    }
+
+    try {
+        const missingIds = await findMissingJobIds(value.jobIds);
+        if (missingIds.length > 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: `해당 채용 공고를 찾을 수 없습니다: ${missingIds.join(', ')}`,
+            });
+        }
+
+        await splitJobs(value.jobIds);
+        res.status(200).json({
+            status: 'success',
+            message: '공고를 분리했습니다.',
+        });
+    } catch (error) {
+        console.error('Error splitting jobs:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '공고를 분리하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+module.exports = router;
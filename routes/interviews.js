@@ -3,6 +3,14 @@ const router = express.Router();
 const { Interview, Application } = require('../models');
 const { authenticateJWT } = require('../middleware/authenticateJWT');
 const { Op } = require('sequelize');
+const { parseListQuery, findPage, setLinkHeader } = require('../services/pagination');
+
+// 인터뷰 목록에서 정렬할 수 있는 필드
+const INTERVIEW_SORT_FIELDS = {
+    id: 'id',
+    interview_date: { column: 'interview_date', type: 'date' },
+    createdAt: { column: 'createdAt', type: 'date' },
+};
 
 /**
  * @swagger
@@ -10,9 +18,37 @@ const { Op } = require('sequelize');
  *   get:
  *     summary: "인터뷰 목록 조회"
  *     description: "사용자가 지원한 모든 인터뷰 목록을 조회합니다."
+ *     parameters:
+ *       - name: page
+ *         in: query
+ *         description: "페이지 번호 (기본값: 1)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         description: "페이지 크기 (기본값: 20, 최대 100)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - name: sort
+ *         in: query
+ *         description: "정렬 기준 (쉼표로 여러 필드, 앞에 -를 붙이면 내림차순). id, interview_date, createdAt 사용 가능"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: 'id'
+ *       - name: cursor
+ *         in: query
+ *         description: "이전 응답의 pagination.nextCursor. 지정하면 page 대신 커서 다음 항목부터 조회"
+ *         required: false
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: "인터뷰 목록 조회 성공"
+ *         description: "인터뷰 목록 조회 성공 (Link 헤더에 다른 페이지 주소 포함)"
  *         content:
  *           application/json:
  *             schema:
@@ -25,6 +61,11 @@ const { Op } = require('sequelize');
  *                   type: array
  *                   items:
  *                     type: object
+ *                 pagination:
+ *                   type: object
+ *                   description: "totalCount, totalPages, currentPage, pageSize, hasMore, nextCursor (커서로 조회하면 totalCount, totalPages, currentPage는 null)"
+ *       400:
+ *         description: "잘못된 페이지, 정렬 또는 커서"
  *       500:
  *         description: "서버 오류"
  *         content:
@@ -54,13 +95,22 @@ const { Op } = require('sequelize');
 // 인터뷰 목록 조회 API (GET /interviews)
 router.get('/', authenticateJWT, async (req, res) => {
     const userId = req.user.id;
+    const { error, value: list } = parseListQuery(req.query, { sortFields: INTERVIEW_SORT_FIELDS, defaultSort: 'id' });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
+        });
+    }
 
     try {
-        const interviews = await Interview.findAll();
+        const { rows, pagination } = await findPage(Interview, {}, list);
 
+        setLinkHeader(req, res, pagination);
         res.status(200).json({
             status: 'success',
-            data: interviews,
+            data: rows,
+            pagination,
         });
     } catch (error) {
         console.error('Error fetching interviews:', error);
@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { JobReview } = require('../models');
 const { authenticateJWT } = require('../middleware/authenticateJWT');
+const { parseListQuery, findPage, setLinkHeader } = require('../services/pagination');
+
+// 리뷰 목록에서 정렬할 수 있는 필드
+const REVIEW_SORT_FIELDS = {
+    id: 'id',
+    rating: 'rating',
+    createdAt: { column: 'createdAt', type: 'date' },
+};
 
 /**
  * @swagger
@@ -16,9 +24,36 @@ const { authenticateJWT } = require('../middleware/authenticateJWT');
  *         required: true
  *         schema:
  *           type: string
+ *       - name: page
+ *         in: query
+ *         description: "페이지 번호 (기본값: 1)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         description: "페이지 크기 (기본값: 20, 최대 100)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - name: sort
+ *         in: query
+ *         description: "정렬 기준 (쉼표로 여러 필드, 앞에 -를 붙이면 내림차순). id, rating, createdAt 사용 가능"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *       - name: cursor
+ *         in: query
+ *         description: "이전 응답의 pagination.nextCursor. 지정하면 page 대신 커서 다음 항목부터 조회"
+ *         required: false
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: "리뷰 조회 성공"
+ *         description: "리뷰 조회 성공 (Link 헤더에 다른 페이지 주소 포함)"
  *         content:
  *           application/json:
  *             schema:
@@ -31,6 +66,11 @@ const { authenticateJWT } = require('../middleware/authenticateJWT');
  *                   type: array
  *                   items:
  *                     type: object
+ *                 pagination:
+ *                   type: object
+ *                   description: "totalCount, totalPages, currentPage, pageSize, hasMore, nextCursor (커서로 조회하면 totalCount, totalPages, currentPage는 null)"
+ *       400:
+ *         description: "잘못된 페이지, 정렬 또는 커서"
  *       404:
  *         description: "리뷰를 찾을 수 없음"
  *         content:
@@ -72,20 +112,31 @@ const { authenticateJWT } = require('../middleware/authenticateJWT');
 
 // 특정 공고의 리뷰 조회 (GET /jobreviews/:jobId)
 router.get('/:jobId', authenticateJWT, async (req, res) => {
+    const { error, value: list } = parseListQuery(req.query, { sortFields: REVIEW_SORT_FIELDS, defaultSort: '-createdAt' });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
+        });
+    }
+
     try {
         const { jobId } = req.params;
-        const reviews = await JobReview.findAll({ where: { jobId } });
+        const { rows, pagination } = await findPage(JobReview, { where: { jobId } }, list);
 
-        if (reviews.length === 0) {
+        // 리뷰가 하나도 없는 공고 (커서로 조회한 마지막 페이지는 비어 있을 수 있음)
+        if (pagination.totalCount === 0) {
             return res.status(404).json({
                 status: 'error',
                 message: '해당 공고에 대한 리뷰를 찾을 수 없습니다.',
             });
         }
 
+        setLinkHeader(req, res, pagination);
         res.status(200).json({
             status: 'success',
-            data: reviews,
+            data: rows,
+            pagination,
         });
     } catch (error) {
         console.error('Error fetching reviews:', error);
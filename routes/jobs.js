@@ -1,9 +1,370 @@
 const express = require('express');
 const router = express.Router();
-const { Job } = require('../models');
-const { authenticateJWT } = require('../middleware/authenticateJWT');
-const { Op } = require('sequelize');
+const { Job, JobPosition, JobRevision, JobRegion, Tag, sequelize } = require('../models');
+const { authenticateJWT, authorizeRoles } = require('../middleware/authenticateJWT');
+const { Op, OptimisticLockError } = require('sequelize');
 const Joi = require('joi');  // Joi를 사용하여 데이터 검증
+const { JOB_STATUS, PUBLIC_JOB_STATUSES, closeJobs, publishStatus } = require('../services/jobStatus');
+const { SALARY_PERIODS, buildSalaryFields } = require('../services/salary');
+const { DEADLINE_TYPES, toDateString } = require('../services/deadline');
+const { resolveRegion, syncJobRegions } = require('../services/regions');
+const { parseTags, syncJobTags } = require('../services/tags');
+const { findOrCreateCompany } = require('../services/companies');
+const { findUserCompanyId, canViewJob } = require('../services/jobAccess');
+const { DUPLICATE_FIELDS, syncJobDuplicate } = require('../services/duplicates');
+const { parseSearchQuery, buildBooleanQuery, relevanceSql, exclusionSql, highlight, buildSnippet } = require('../services/search');
+const { FACETS, parseFacets, countFacets } = require('../services/facets');
+const { buildSuggestFields, escapeLike, suggest } = require('../services/suggest');
+const { parseListQuery, findPage, findEach, setLinkHeader } = require('../services/pagination');
+const { findRelatedJobs } = require('../services/similarity');
+const { TRANSFER_FORMATS, CONTENT_TYPES, EXPORT_FIELDS, parseImportRows, createExportWriter } = require('../services/jobTransfer');
+
+// 목록 조회에서 정렬할 수 있는 필드 (급여/마감일은 값이 없는 공고를 항상 뒤로 보냄)
+const JOB_SORT_FIELDS = {
+    id: 'id',
+    createdAt: { column: 'createdAt', type: 'date' },
+    views: 'views',
+    salary: {
+        expression: sequelize.fn('COALESCE', sequelize.col('salaryMax'), sequelize.col('salaryMin')),
+        value: job => job.salaryMax ?? job.salaryMin,
+        nullsLast: true,
+    },
+    deadline: { column: 'deadline', nullsLast: true },
+};
+
+// 상세 조회에서 대표 공고/중복 공고로 보여줄 필드
+const DUPLICATE_ATTRIBUTES = ['id', 'title', 'company', 'source', 'link', 'status'];
+
+// 공고를 등록/수정/삭제할 수 있는 역할
+const JOB_MANAGER_ROLES = ['companyuser', 'admin'];
+
+// 공고 게시 시각 (생략하면 바로 게시)
+const publishAtField = Joi.date().iso().allow(null).optional().messages({
+    'date.base': '게시 시각(publishAt)은 유효한 날짜 형식이어야 합니다.',
+    'date.format': '게시 시각(publishAt)은 유효한 날짜 형식이어야 합니다.',
+});
+
+// 공고 마감 예정 시각 (현재와 게시 시각 이후, null이면 마감 예정 없음)
+const closeAtField = Joi.date().iso().greater('now')
+    .when('publishAt', { is: Joi.date().required(), then: Joi.date().greater(Joi.ref('publishAt')) })
+    .allow(null).optional().messages({
+        'date.base': '마감 예정 시각(closeAt)은 유효한 날짜 형식이어야 합니다.',
+        'date.format': '마감 예정 시각(closeAt)은 유효한 날짜 형식이어야 합니다.',
+        'date.greater': '마감 예정 시각(closeAt)은 현재와 게시 시각 이후여야 합니다.',
+    });
+
+// 공고 게시, 다시 열기 요청 검증 스키마
+const publishSchema = Joi.object({
+    publishAt: publishAtField,
+    closeAt: closeAtField,
+});
+const reopenSchema = Joi.object({
+    closeAt: closeAtField,
+});
+
+// 공고 필드별 검증 규칙 (PUT, POST, PATCH 공용. 필수 여부와 마감일 규칙은 스키마마다 따로 정함)
+const jobFieldRules = {
+    title: Joi.string().min(3).max(255).messages({
+        'string.empty': '제목은 필수 항목입니다.',
+        'string.min': '제목은 최소 3자 이상이어야 합니다.',
+        'string.max': '제목은 최대 255자까지 가능합니다.',
+    }),
+    company: Joi.string().min(3).max(255).messages({
+        'string.empty': '회사명은 필수 항목입니다.',
+        'string.min': '회사명은 최소 3자 이상이어야 합니다.',
+        'string.max': '회사명은 최대 255자까지 가능합니다.',
+    }),
+    location: Joi.string().min(3).max(255).messages({
+        'string.empty': '위치는 필수 항목입니다.',
+        'string.min': '위치는 최소 3자 이상이어야 합니다.',
+        'string.max': '위치는 최대 255자까지 가능합니다.',
+    }),
+    experience: Joi.string().min(3).max(255).messages({
+        'string.empty': '경력 요구사항은 필수 항목입니다.',
+        'string.min': '경력 요구사항은 최소 3자 이상이어야 합니다.',
+        'string.max': '경력 요구사항은 최대 255자까지 가능합니다.',
+    }),
+    education: Joi.string().min(3).max(255).messages({
+        'string.empty': '학력 요구사항은 필수 항목입니다.',
+        'string.min': '학력 요구사항은 최소 3자 이상이어야 합니다.',
+        'string.max': '학력 요구사항은 최대 255자까지 가능합니다.',
+    }),
+    employmentType: Joi.string().valid('full-time', 'part-time', 'contract', 'internship').messages({
+        'any.only': '고용 형태는 full-time, part-time, contract, internship 중 하나여야 합니다.',
+        'string.empty': '고용 형태는 필수 항목입니다.',
+    }),
+    deadlineType: Joi.string().valid(...Object.values(DEADLINE_TYPES)).messages({
+        'any.only': `마감 유형은 ${Object.values(DEADLINE_TYPES).join(', ')} 중 하나여야 합니다.`,
+    }),
+    techStack: Joi.array().items(Joi.string()).min(1).messages({
+        'array.min': '기술 스택은 최소 1개 이상이어야 합니다.',
+        'array.base': '기술 스택은 배열 형태여야 합니다.',
+        'string.base': '기술 스택의 각 항목은 문자열이어야 합니다.',
+    }),
+    salary: Joi.alternatives().try(
+        Joi.number().positive().messages({
+            'number.positive': '급여는 양수여야 합니다.',
+        }),
+        Joi.string().min(1).max(255).messages({
+            'string.empty': '급여는 필수 항목입니다.',
+            'string.max': '급여는 최대 255자까지 가능합니다.',
+        })
+    ).messages({
+        'alternatives.types': '급여는 금액(숫자)이나 "연봉 3,000~4,000만원", "면접 후 결정" 같은 문구여야 합니다.',
+        'any.required': '급여는 필수 항목입니다.',
+    }),
+    salaryPeriod: Joi.string().valid(...SALARY_PERIODS).messages({
+        'any.only': `급여 지급 주기는 ${SALARY_PERIODS.join(', ')} 중 하나여야 합니다.`,
+    }),
+    description: Joi.string().min(10).messages({
+        'string.empty': '설명은 필수 항목입니다.',
+        'string.min': '설명은 최소 10자 이상이어야 합니다.',
+    }),
+    link: Joi.string().uri().messages({
+        'string.uri': '링크는 유효한 URL 형식이어야 합니다.',
+        'string.empty': '링크는 필수 항목입니다.',
+    }),
+    closeAt: closeAtField,
+};
+
+const deadlineMessages = {
+    'any.required': '마감일은 필수 항목입니다.',
+    'date.base': '마감일은 유효한 날짜 형식이어야 합니다.',
+    'date.format': '마감일은 유효한 날짜 형식이어야 합니다.',
+};
+
+// 공고 전체를 보낼 때(PUT, POST) 반드시 있어야 하는 필드
+const REQUIRED_JOB_FIELDS = ['title', 'company', 'location', 'experience', 'education', 'employmentType', 'techStack', 'salary', 'description', 'link'];
+
+// 공고 전체 수정(PUT) 검증 스키마
+const jobSchema = Joi.object({
+    ...jobFieldRules,
+    // 상시채용(rolling), 채용시 마감(until_filled)이 아니면 마감일 필수
+    deadline: Joi.when('deadlineType', {
+        is: Joi.valid(DEADLINE_TYPES.ROLLING, DEADLINE_TYPES.UNTIL_FILLED).required(),
+        then: Joi.date().iso().allow(null).optional(),
+        otherwise: Joi.date().iso().required(),
+    }).messages(deadlineMessages),
+}).fork(REQUIRED_JOB_FIELDS, rule => rule.required());
+
+// 공고 등록(POST) 검증 스키마
+const createJobSchema = jobSchema.keys({
+    draft: Joi.boolean().optional().messages({
+        'boolean.base': '임시 저장 여부(draft)는 true 또는 false여야 합니다.',
+    }),
+    publishAt: publishAtField,
+});
+
+// 공고 부분 수정(PATCH) 검증 스키마 (보낸 필드만 검증, 마감일 필수 여부는 기존 값과 합쳐서 applyJobChanges에서 확인)
+const patchJobSchema = Joi.object({
+    ...jobFieldRules,
+    deadline: Joi.date().iso().allow(null).messages(deadlineMessages),
+}).min(1).messages({
+    'object.min': '수정할 항목을 하나 이상 보내야 합니다.',
+});
+
+// Joi 검증 오류를 하나의 메시지로
+const validationMessage = (error) => error.details.map(err => err.message).join(', ');
+
+/**
+ * 쉼표로 구분하거나 여러 번 보낸 쿼리 값을 목록으로 나누는 함수 (예: status=open,closed 또는 status=open&status=closed)
+ * @param {string|string[]} value - req.query의 값
+ * @returns {string[]|null} 앞뒤 공백을 뺀 값 목록 (문자열이 아닌 값이 있으면 null)
+ */
+function splitQueryValues(value) {
+    const values = [].concat(value);
+    if (values.some(item => typeof item !== 'string')) {
+        return null;
+    }
+    return values.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 회사 사용자의 소속 회사 ID를 req.userCompanyId에 담는 미들웨어 (관리자는 null)
+ * @param {Object} req - 요청 객체 (authenticateJWT 이후)
+ * @param {Object} res - 응답 객체
+ * @param {Function} next - 다음 미들웨어
+ */
+function loadUserCompany(req, res, next) {
+    req.userCompanyId = findUserCompanyId(req.user);
+    if (req.user.role === 'companyuser' && !req.userCompanyId) {
+        return res.status(403).json({
+            status: 'error',
+            message: '소속 회사가 지정되지 않은 회사 사용자입니다. 관리자에게 문의하세요.',
+        });
+    }
+    next();
+}
+
+/**
+ * 요청한 사용자가 공고를 수정/삭제할 수 있는지 확인하는 함수
+ * 관리자는 모든 공고, 회사 사용자는 소속 회사의 공고만 관리할 수 있습니다.
+ * @param {Object} req - loadUserCompany를 거친 요청 객체
+ * @param {Object} job - 공고
+ * @returns {boolean}
+ */
+const canManageJob = (req, job) => req.user.role === 'admin' || job.companyId === req.userCompanyId;
+
+/**
+ * 공고를 찾아 req.job에 담는 미들웨어 (loadUserCompany 이후, 관리 권한이 없으면 403)
+ * @param {Object} req - 요청 객체, `id` 파라미터 포함
+ * @param {Object} res - 응답 객체
+ * @param {Function} next - 다음 미들웨어
+ */
+async function loadManagedJob(req, res, next) {
+    try {
+        const job = await Job.findByPk(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 채용 공고를 찾을 수 없습니다.',
+            });
+        }
+        if (!canManageJob(req, job)) {
+            return res.status(403).json({
+                status: 'error',
+                message: '해당 채용 공고를 관리할 권한이 없습니다.',
+            });
+        }
+        req.job = job;
+        next();
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            status: 'error',
+            message: '채용 공고를 조회하는 중 오류가 발생했습니다.',
+        });
+    }
+}
+
+// 다른 사용자가 먼저 공고를 수정해 If-Match가 맞지 않을 때의 메시지
+const JOB_MODIFIED_MESSAGE = '다른 사용자가 먼저 채용 공고를 수정했습니다. 공고를 다시 조회한 뒤 시도해 주세요.';
+
+// 공고 버전(version)으로 만든 ETag (내용이 바뀌어 저장될 때마다 바뀜)
+const jobETag = (job) => `"${job.version}"`;
+
+/**
+ * If-Match 헤더가 공고의 현재 ETag와 맞는지 확인하는 함수 (헤더가 없거나 *이면 통과)
+ * @param {Object} req - 요청 객체
+ * @param {Object} job - 공고
+ * @returns {boolean}
+ */
+function matchesIfMatch(req, job) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') {
+        return true;
+    }
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(jobETag(job));
+}
+
+/**
+ * 요청 본문의 공고 필드를 공고에 반영하는 함수 (PUT, PATCH 공용, 저장은 하지 않음)
+ * 보낸 필드만 바꾸고, 회사, 기술 스택, 급여, 마감일, 초성 검색 키처럼 다른 값에서 파생되는 컬럼도 함께 갱신합니다.
+ * @param {Object} req - loadUserCompany를 거친 요청 객체
+ * @param {Object} job - 수정할 공고
+ * @param {Object} changes - 검증된 요청 본문
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - 함께 묶을 트랜잭션
+ * @returns {Promise<string|null>} 반영할 수 없으면 오류 메시지
+ */
+async function applyJobChanges(req, job, changes, { transaction } = {}) {
+    const { company, techStack, salary, salaryPeriod, deadline, deadlineType, ...fields } = changes;
+
+    // 마감 유형이 fixed이면 마감일 필수 (보내지 않은 값은 기존 값으로 판단)
+    if (deadline !== undefined || deadlineType !== undefined) {
+        const type = deadlineType ?? job.deadlineType ?? DEADLINE_TYPES.FIXED;
+        const date = deadline !== undefined ? deadline : job.deadline;
+        if (type === DEADLINE_TYPES.FIXED && !date) {
+            return '마감일은 필수 항목입니다.';
+        }
+        job.deadlineType = type;
+        job.deadline = type === DEADLINE_TYPES.FIXED ? date : null;
+    }
+
+    job.set(fields);
+    // 회사 사용자의 공고는 소속 회사에 그대로 두고, 관리자는 회사명으로 회사를 찾거나 만듦
+    if (company !== undefined) {
+        job.company = company;
+        job.companyId = req.userCompanyId ?? (await findOrCreateCompany({ name: company }, { transaction })).id;
+    }
+    if (techStack !== undefined) {
+        job.techStack = parseTags(techStack).join(', ');
+    }
+    // 급여 문구를 바꾸면 새 문구로, 지급 주기만 바꾸면 기존 문구로 다시 해석
+    if (salary !== undefined) {
+        job.set(buildSalaryFields(salary, salaryPeriod));
+    } else if (salaryPeriod !== undefined) {
+        job.set(buildSalaryFields(job.salary, salaryPeriod));
+    }
+    if (fields.title !== undefined || company !== undefined) {
+        job.set(buildSuggestFields({ title: job.title, company: job.company }));
+    }
+    return null;
+}
+
+/**
+ * 수정한 공고를 저장하고 바뀐 필드에 따라 지역, 기술 스택 태그, 중복 공고를 다시 계산하는 함수
+ * 저장할 때 버전을 비교해 그사이 다른 요청이 공고를 수정했으면 OptimisticLockError가 발생합니다.
+ * @param {Object} job - applyJobChanges로 수정한 공고
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - 함께 묶을 트랜잭션
+ * @returns {Promise<void>}
+ */
+async function saveJobChanges(job, { transaction } = {}) {
+    const changed = job.changed() || [];
+    await job.save({ transaction });
+    if (changed.includes('location')) {
+        await syncJobRegions(job, { transaction });
+    }
+    if (changed.includes('techStack')) {
+        await syncJobTags(job, { transaction });
+    }
+    if (DUPLICATE_FIELDS.some(field => changed.includes(field))) {
+        await syncJobDuplicate(job, { transaction });
+    }
+}
+
+/**
+ * 공고를 등록하고 지역, 기술 스택 태그, 중복 공고를 계산하는 함수 (POST /jobs, 공고 가져오기 공용)
+ * 회사 사용자는 소속 회사의 공고로 등록하고, 관리자는 회사명으로 회사를 찾거나 만듭니다.
+ * @param {Object} req - loadUserCompany를 거친 요청 객체
+ * @param {Object} fields - createJobSchema로 검증한 공고 필드
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - 함께 묶을 트랜잭션
+ * @returns {Promise<Object>} 등록한 공고
+ */
+async function createJob(req, fields, { transaction } = {}) {
+    const { title, company, location, experience, education, employmentType, deadline, deadlineType = DEADLINE_TYPES.FIXED, techStack, salary, salaryPeriod, description, link, draft = false, publishAt, closeAt } = fields;
+
+    const companyId = req.userCompanyId ?? (await findOrCreateCompany({ name: company }, { transaction })).id;
+    // 임시 저장이 아니면 게시 시각에 따라 바로 게시하거나 게시 예정으로 등록
+    const status = draft ? JOB_STATUS.DRAFT : publishStatus(publishAt);
+    const job = await Job.create({
+        title,
+        company,
+        companyId,
+        location,
+        experience,
+        education,
+        employmentType,
+        deadlineType,
+        deadline: deadlineType === DEADLINE_TYPES.FIXED ? deadline : null,
+        techStack: parseTags(techStack).join(', '),
+        ...buildSalaryFields(salary, salaryPeriod),
+        ...buildSuggestFields({ title, company }),
+        description,
+        link,
+        views: 0,
+        status,
+        publishAt: status === JOB_STATUS.OPEN ? new Date() : publishAt ?? null,
+        closeAt: closeAt ?? null,
+        userId: req.user.id, // 공고를 등록한 사용자 ID
+    }, { transaction });
+    await syncJobRegions(job, { transaction });
+    await syncJobTags(job, { transaction });
+    await syncJobDuplicate(job, { transaction });
+    return job;
+}
 
 /**
  * 빈 문자열을 '미기제'로 변환하는 함수
@@ -14,6 +375,220 @@ const Joi = require('joi');  // Joi를 사용하여 데이터 검증
 // 빈 문자열을 '미기제'로 변환하는 함수
 const handleEmptyField = (field) => (field === "" || field === null) ? "미기제" : field;
 
+/**
+ * 목록 조회 쿼리로 공고 조회 조건을 만드는 함수 (GET /jobs, GET /jobs/export 공용)
+ * buildWhere(excludedFacet)는 excludedFacet의 필터를 뺀 where 조건을 돌려줍니다. (패싯 개수 계산용, 생략하면 모든 필터 적용)
+ * @param {Object} query - req.query
+ * @returns {{ error: string|null, value: Object|null }} 오류 메시지 또는 { buildWhere, list, relevance, searchWords }
+ */
+function buildJobListQuery(query) {
+    const {
+        location,
+        region,
+        experience,
+        education,
+        employmentType,
+        salary,
+        salaryMin,
+        salaryMax,
+        salaryPeriod,
+        techStack,
+        tags,
+        tagMatch = 'any',
+        keyword,
+        company,
+        position,
+        closingWithin,
+        status = JOB_STATUS.OPEN, // 기본적으로 모집 중인 공고만 조회
+        includeDuplicates = 'false',
+    } = query;
+
+    const filters = {};
+    const conditions = []; // Op.and로 묶을 조건 (급여 범위, 검색어, 중복 공고)
+    // 패싯별 필터 조건 (패싯 개수는 자기 필터를 뺀 나머지 조건으로 계산)
+    const facetConditions = Object.fromEntries(FACETS.map(facet => [facet, []]));
+
+    // 공고 상태 필터 (status=all이면 공개된 모든 상태, 작성 중/게시 예정/보관된 공고는 제외)
+    // 쉼표로 구분하거나 status=open&status=closed처럼 여러 번 보낼 수 있음
+    const statusList = splitQueryValues(status);
+    if (!statusList) {
+        return { error: '공고 상태(status)는 쉼표로 구분한 문자열이어야 합니다.', value: null };
+    }
+    const statuses = statusList.includes('all') ? PUBLIC_JOB_STATUSES : statusList;
+    filters.status = { [Op.in]: statuses.filter(value => PUBLIC_JOB_STATUSES.includes(value)) };
+
+    // 필터링 조건 추가
+    // 부분 문구로 찾는 필터는 입력한 %, _를 와일드카드가 아닌 글자로 비교 (예: 경력 "경력 3년↑")
+    const contains = (value) => ({ [Op.like]: `%${escapeLike(String(value))}%` });
+    if (location) facetConditions.location.push({ location: contains(location) });
+    if (experience) facetConditions.experience.push({ experience: contains(experience) });
+    if (education) facetConditions.education.push({ education });
+    if (employmentType) facetConditions.employmentType.push({ employmentType });
+    if (salary) filters.salary = contains(salary);
+    if (techStack) facetConditions.techStack.push({ techStack: contains(techStack) });
+
+    // 지역 필터: 시/도 코드면 하위 시/군/구까지, 시/군/구 코드면 해당 지역만 조회
+    if (region) {
+        const regionValues = splitQueryValues(region);
+        if (!regionValues || regionValues.length === 0) {
+            return { error: '지역(region)은 쉼표로 구분한 지역 코드나 이름이어야 합니다.', value: null };
+        }
+        const resolved = regionValues.map(resolveRegion);
+        const unknownIndex = resolved.indexOf(null);
+        if (unknownIndex !== -1) {
+            return { error: `알 수 없는 지역입니다: ${regionValues[unknownIndex]}`, value: null };
+        }
+
+        const regionConditions = resolved.map(({ sidoCode, regionCode }) => (regionCode
+            ? `regionCode = ${sequelize.escape(regionCode)}`
+            : `sidoCode = ${sequelize.escape(sidoCode)}`));
+        facetConditions.location.push({
+            id: { [Op.in]: sequelize.literal(`(SELECT jobId FROM job_regions WHERE ${regionConditions.join(' OR ')})`) },
+        });
+    }
+
+    // 태그 필터: any는 태그 중 하나라도, all은 모든 태그가 붙은 공고 조회 (별칭은 대표 이름으로 변환)
+    if (tags) {
+        if (!['any', 'all'].includes(tagMatch)) {
+            return { error: '태그 매칭 방식은 any 또는 all이어야 합니다.', value: null };
+        }
+
+        // 쉼표로 구분하거나 tags=React&tags=Node.js처럼 여러 번 보낼 수 있음
+        const tagValues = splitQueryValues(tags);
+        if (!tagValues) {
+            return { error: '태그(tags)는 쉼표로 구분한 문자열이어야 합니다.', value: null };
+        }
+        const tagNames = parseTags(tagValues);
+        if (tagNames.length > 0) {
+            const having = tagMatch === 'all' ? ` HAVING COUNT(DISTINCT tags.id) = ${tagNames.length}` : '';
+            facetConditions.techStack.push({
+                id: {
+                    [Op.in]: sequelize.literal(
+                        '(SELECT job_tags.jobId FROM job_tags JOIN tags ON tags.id = job_tags.tagId'
+                        + ` WHERE tags.name IN (${tagNames.map(name => sequelize.escape(name)).join(', ')})`
+                        + ` GROUP BY job_tags.jobId${having})`
+                    ),
+                },
+            });
+        }
+    }
+
+    // 숫자 필터 검증 (급여는 원 단위, 마감 임박은 일 수)
+    const minSalary = salaryMin ? Number(salaryMin) : null;
+    const maxSalary = salaryMax ? Number(salaryMax) : null;
+    const closingDays = closingWithin ? Number(closingWithin) : null;
+    if (minSalary !== null && (!Number.isInteger(minSalary) || minSalary < 0)) {
+        return { error: '최소 급여(salaryMin)는 0 이상의 정수여야 합니다.', value: null };
+    }
+    if (maxSalary !== null && (!Number.isInteger(maxSalary) || maxSalary < 0)) {
+        return { error: '최대 급여(salaryMax)는 0 이상의 정수여야 합니다.', value: null };
+    }
+    if (closingDays !== null && (!Number.isInteger(closingDays) || closingDays < 0)) {
+        return { error: '마감 임박 기간(closingWithin)은 0 이상의 정수여야 합니다.', value: null };
+    }
+
+    // 급여 범위 필터: 공고의 급여 범위가 요청 범위와 겹치는 공고 조회 (최대/최소가 없으면 다른 쪽 값 사용)
+    if (minSalary !== null || maxSalary !== null) {
+        if (minSalary !== null) {
+            conditions.push(sequelize.where(
+                sequelize.fn('COALESCE', sequelize.col('salaryMax'), sequelize.col('salaryMin')),
+                { [Op.gte]: minSalary }
+            ));
+        }
+        if (maxSalary !== null) {
+            conditions.push(sequelize.where(
+                sequelize.fn('COALESCE', sequelize.col('salaryMin'), sequelize.col('salaryMax')),
+                { [Op.lte]: maxSalary }
+            ));
+        }
+        filters.salaryPeriod = salaryPeriod || 'annual';
+    } else if (salaryPeriod) {
+        filters.salaryPeriod = salaryPeriod;
+    }
+
+    // 마감 임박 필터: 오늘부터 closingWithin일 이내 마감
+    if (closingDays !== null) {
+        const today = new Date();
+        const until = new Date(today.getFullYear(), today.getMonth(), today.getDate() + closingDays);
+        filters.deadlineType = DEADLINE_TYPES.FIXED;
+        filters.deadline = { [Op.between]: [toDateString(today), toDateString(until)] };
+    }
+
+    // 검색 기능: 제목과 본문을 ngram 전문 검색으로 찾고 관련도를 계산
+    // 전문 검색으로 찾을 수 없는 한 글자 검색어는 LIKE로 찾음
+    let relevance = null;
+    let searchWords = [];
+    if (keyword !== undefined && typeof keyword !== 'string') {
+        return { error: '검색어(keyword)는 문자열 하나로 입력해야 합니다.', value: null };
+    }
+    if (keyword) {
+        const parsed = parseSearchQuery(keyword);
+        const { against, excluding, shortTerms, shortExcluded } = buildBooleanQuery(parsed);
+        searchWords = [...parsed.phrases, ...parsed.terms];
+
+        if (against) {
+            relevance = sequelize.literal(relevanceSql(value => sequelize.escape(value), against));
+            conditions.push(sequelize.where(relevance, { [Op.gt]: 0 }));
+        }
+        // 찾을 단어 없이 제외어만 있으면 제외어가 들어간 공고만 뺌 (예: keyword=-인턴)
+        if (excluding) {
+            conditions.push(sequelize.where(sequelize.literal(exclusionSql(value => sequelize.escape(value), excluding)), 0));
+        }
+        shortTerms.forEach((term) => {
+            conditions.push({
+                [Op.or]: [
+                    { title: contains(term) },
+                    { description: contains(term) },
+                ],
+            });
+        });
+        // 본문이 없는 공고는 제외어가 없는 것으로 봄
+        shortExcluded.forEach((word) => {
+            const notContains = { [Op.notLike]: `%${escapeLike(word)}%` };
+            conditions.push({ title: notContains });
+            conditions.push(sequelize.where(sequelize.fn('COALESCE', sequelize.col('description'), ''), notContains));
+        });
+    }
+
+    // 페이지와 정렬 조건 (관련도는 검색어가 있을 때만, 지정하지 않으면 높은 순)
+    const { error: listError, value: list } = parseListQuery(query, {
+        sortFields: { ...JOB_SORT_FIELDS, relevance: { expression: relevance, defaultDirection: 'DESC', cursor: false } },
+        defaultSort: 'id',
+    });
+    if (listError) {
+        return { error: listError, value: null };
+    }
+    if (list.sort.some(({ field }) => field.name === 'relevance') && !relevance) {
+        return { error: '관련도 정렬(sort=relevance)은 검색어(keyword)와 함께 사용해야 합니다.', value: null };
+    }
+    if (company) filters.company = contains(company);
+    if (position) filters.description = contains(position);
+
+    // 중복 공고는 대표 공고가 모집 중이면 숨김 (대표 공고가 마감되면 남은 중복 공고를 보여줌)
+    if (includeDuplicates !== 'true') {
+        conditions.push({
+            [Op.or]: [
+                { canonicalJobId: null },
+                sequelize.literal(
+                    'NOT EXISTS (SELECT 1 FROM jobs AS canonicalJob WHERE canonicalJob.id = Job.canonicalJobId'
+                    + ` AND canonicalJob.status = ${sequelize.escape(JOB_STATUS.OPEN)})`
+                ),
+            ],
+        });
+    }
+
+    // excludedFacet의 필터를 뺀 조회 조건 (excludedFacet이 없으면 모든 필터 적용)
+    const buildWhere = (excludedFacet) => {
+        const applied = [
+            ...conditions,
+            ...FACETS.filter(facet => facet !== excludedFacet).flatMap(facet => facetConditions[facet]),
+        ];
+        return applied.length > 0 ? { ...filters, [Op.and]: applied } : { ...filters };
+    };
+
+    return { error: null, value: { buildWhere, list, relevance, searchWords } };
+}
+
 /**
  * @swagger
  * /jobs:
@@ -28,47 +603,121 @@ const handleEmptyField = (field) => (field === "" || field === null) ? "미기
  *         schema:
  *           type: integer
  *           default: 1
- *       - name: sortBy
+ *       - name: limit
+ *         in: query
+ *         description: "페이지 크기 (기본값: 20, 최대 100)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - name: sort
  *         in: query
- *         description: "정렬 기준 (기본값: 'id')"
+ *         description: "정렬 기준 (쉼표로 여러 필드, 앞에 -를 붙이면 내림차순). id, createdAt, views, salary, deadline, relevance 사용 가능. salary와 deadline은 값이 없는 공고를 뒤로 보내며, relevance는 keyword와 함께 사용하고 기본이 높은 순"
  *         required: false
  *         schema:
  *           type: string
  *           default: 'id'
+ *           example: 'deadline,-salary'
+ *       - name: sortBy
+ *         in: query
+ *         description: "정렬 기준 (이전 형식, sort가 없을 때 사용. 쉼표로 여러 필드)"
+ *         required: false
+ *         schema:
+ *           type: string
  *       - name: sortOrder
  *         in: query
- *         description: "정렬 순서 (기본값: 'ASC')"
+ *         description: "sortBy의 정렬 순서 (ASC 또는 DESC, 쉼표로 필드별 지정)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: cursor
+ *         in: query
+ *         description: "이전 응답의 pagination.nextCursor. 지정하면 page 대신 커서 다음 공고부터 조회 (relevance 정렬에서는 사용할 수 없음)"
  *         required: false
  *         schema:
  *           type: string
- *           default: 'ASC'
  *       - name: location
  *         in: query
  *         description: 채용 공고의 위치
  *         required: false
  *         schema:
  *           type: string
+ *       - name: region
+ *         in: query
+ *         description: "지역 코드 또는 이름 (시/도, 시/군구 모두 가능, 쉼표로 구분하거나 여러 번 지정해 여러 지역). 예: '41', '경기도', '서울 강남구'. 코드는 GET /regions 참고"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '경기'
  *       - name: experience
  *         in: query
- *         description: 요구되는 경력
+ *         description: 요구되는 경력 (경력 문구에 이 값이 포함된 공고 조회)
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: education
+ *         in: query
+ *         description: 학력 (패싯 값과 같은 값으로 조회)
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: employmentType
+ *         in: query
+ *         description: 고용 형태 (패싯 값과 같은 값으로 조회)
  *         required: false
  *         schema:
  *           type: string
  *       - name: salary
  *         in: query
- *         description: 급여
+ *         description: 급여 문구 검색
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: salaryMin
+ *         in: query
+ *         description: "최소 급여 (원 단위, salaryPeriod 기준). 최대 급여가 이 값 이상인 공고 조회"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           example: 30000000
+ *       - name: salaryMax
+ *         in: query
+ *         description: "최대 급여 (원 단위, salaryPeriod 기준). 최소 급여가 이 값 이하인 공고 조회"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           example: 50000000
+ *       - name: salaryPeriod
+ *         in: query
+ *         description: "급여 지급 주기 (salaryMin/salaryMax 사용 시 기본값: annual)"
  *         required: false
  *         schema:
  *           type: string
+ *           enum: [annual, monthly, daily, hourly]
  *       - name: techStack
  *         in: query
  *         description: 기술 스택
  *         required: false
  *         schema:
  *           type: string
+ *       - name: tags
+ *         in: query
+ *         description: "기술 스택 태그 (쉼표로 구분하거나 여러 번 지정, 별칭 사용 가능. 예: '리액트,Node.js')"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 'React,Node.js'
+ *       - name: tagMatch
+ *         in: query
+ *         description: "태그 매칭 방식 (any: 하나라도 포함, all: 모두 포함)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: 'any'
  *       - name: keyword
  *         in: query
- *         description: 키워드로 공고를 검색
+ *         description: "제목과 본문 전문 검색 (여러 단어는 모두 포함, \"큰따옴표\"는 구문 검색, -단어는 제외). 결과에 relevance와 강조된 highlights 포함"
  *         required: false
  *         schema:
  *           type: string
@@ -84,9 +733,37 @@ const handleEmptyField = (field) => (field === "" || field === null) ? "미기
  *         required: false
  *         schema:
  *           type: string
+ *       - name: closingWithin
+ *         in: query
+ *         description: "마감 임박 필터. 오늘부터 N일 이내에 마감되는 공고만 조회 (상시채용 등 마감일이 없는 공고 제외)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           example: 7
+ *       - name: status
+ *         in: query
+ *         description: "공고 상태 (open, closed, expired를 쉼표로 구분하거나 여러 번 지정, all이면 세 상태 모두). 기본값은 모집 중인 공고(open)만 조회. 작성 중, 게시 예정, 보관된 공고는 GET /jobs/mine에서 조회"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: 'open'
+ *       - name: includeDuplicates
+ *         in: query
+ *         description: "true이면 중복 공고(다른 URL이나 다른 소스에 올라온 같은 공고)도 모두 조회. 기본값은 대표 공고만 조회"
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: facets
+ *         in: query
+ *         description: "패싯별 공고 수를 함께 조회 (location, experience, education, employmentType, techStack을 쉼표로 구분, true이면 전체). 각 패싯은 자기 필터를 뺀 나머지 필터를 적용해 셈"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 'location,experience'
  *     responses:
  *       200:
- *         description: 채용 공고 목록 조회 성공
+ *         description: "채용 공고 목록 조회 성공 (Link 헤더에 first, prev, next, last 페이지 주소 포함)"
  *         content:
  *           application/json:
  *             schema:
@@ -112,93 +789,826 @@ const handleEmptyField = (field) => (field === "" || field === null) ? "미기
  *                       deadline:
  *                         type: string
  *                         example: '2024-12-31'
+ *                       deadlineType:
+ *                         type: string
+ *                         example: 'fixed'
+ *                       status:
+ *                         type: string
+ *                         example: 'open'
+ *                       salary:
+ *                         type: string
+ *                         example: '연봉 3,000~4,000만원'
+ *                       salaryMin:
+ *                         type: integer
+ *                         example: 30000000
+ *                       salaryMax:
+ *                         type: integer
+ *                         example: 40000000
+ *                       salaryPeriod:
+ *                         type: string
+ *                         example: 'annual'
+ *                       salaryNegotiable:
+ *                         type: boolean
+ *                         example: false
+ *                       duplicateCount:
+ *                         type: integer
+ *                         description: 이 공고로 묶인 중복 공고 수
+ *                         example: 1
+ *                       relevance:
+ *                         type: number
+ *                         description: keyword 관련도 점수 (keyword가 있을 때만)
+ *                         example: 1.52
+ *                       highlights:
+ *                         type: object
+ *                         description: 검색어를 <mark>로 감싼 제목과 본문 스니펫 (keyword가 있을 때만)
+ *                         properties:
+ *                           title:
+ *                             type: string
+ *                             example: '<mark>백엔드</mark> 개발자 모집'
+ *                           snippet:
+ *                             type: string
+ *                             example: '…Node.js 기반 <mark>백엔드</mark> API 개발…'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     totalCount:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: 전체 공고 수 (커서로 조회하면 null)
+ *                       example: 100
+ *                     totalPages:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 5
+ *                     currentPage:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 1
+ *                     pageSize:
+ *                       type: integer
+ *                       example: 20
+ *                     hasMore:
+ *                       type: boolean
+ *                       example: true
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: 다음 페이지를 조회할 커서 (다음 페이지가 없거나 relevance 정렬이면 null)
  *                 totalItems:
  *                   type: integer
+ *                   description: pagination.totalCount와 같음 (이전 형식)
  *                   example: 100
  *                 totalPages:
  *                   type: integer
+ *                   description: pagination.totalPages와 같음 (이전 형식)
  *                   example: 5
  *                 currentPage:
  *                   type: integer
+ *                   description: pagination.currentPage와 같음 (이전 형식)
  *                   example: 1
+ *                 facets:
+ *                   type: object
+ *                   description: "패싯 이름별 값과 공고 수 (facets를 요청했을 때만). location의 value는 region 필터에, techStack의 value는 tags 필터에 사용"
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         value:
+ *                           type: string
+ *                           example: '11'
+ *                         label:
+ *                           type: string
+ *                           example: '서울'
+ *                         count:
+ *                           type: integer
+ *                           example: 120
+ *       400:
+ *         description: 알 수 없는 지역이나 패싯, 잘못된 태그 매칭 방식, 정렬할 수 없는 필드, 잘못된 페이지/커서, 숫자가 아닌 급여/마감 임박 필터 또는 검색어 없는 관련도 정렬
+ *       500:
+ *         description: 서버 오류
+ */
+/**
+ * 채용 공고 목록 조회 API (GET /jobs)
+ * 
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 채용 공고 목록과 관련 데이터
+ * @throws {Error} - 데이터 조회 및 필터링 중 오류 발생 시 예외 처리
+ */
+
+// 채용 공고 목록 조회 API (GET /jobs)
+router.get('/', authenticateJWT, async (req, res) => {
+    const { keyword, facets } = req.query;
+
+    try {
+        // 패싯 요청 확인
+        let requestedFacets = [];
+        if (facets) {
+            const { facets: parsedFacets, unknown } = parseFacets(facets);
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `알 수 없는 패싯입니다: ${unknown.join(', ')} (사용 가능: ${FACETS.join(', ')})`,
+                });
+            }
+            requestedFacets = parsedFacets;
+        }
+
+        const { error: queryError, value: listQuery } = buildJobListQuery(req.query);
+        if (queryError) {
+            return res.status(400).json({
+                status: 'error',
+                message: queryError,
+            });
+        }
+        const { buildWhere, list, relevance, searchWords } = listQuery;
+
+        // 데이터 조회 (필드 제한: id, title, company, deadline)
+        const { rows, pagination } = await findPage(Job, {
+            where: buildWhere(),
+            attributes: [
+                'id', 'title', 'company', 'deadline', 'deadlineType', 'status', 'salary', 'salaryMin', 'salaryMax', 'salaryPeriod', 'salaryNegotiable',
+                [sequelize.literal(
+                    '(SELECT COUNT(*) FROM jobs AS duplicate WHERE duplicate.canonicalJobId = Job.id'
+                    + ` AND duplicate.status IN (${PUBLIC_JOB_STATUSES.map(status => sequelize.escape(status)).join(', ')}))`
+                ), 'duplicateCount'],
+                ...(keyword ? ['description'] : []), // 검색 결과 스니펫용
+                ...(relevance ? [[relevance, 'relevance']] : []),
+            ], // 필요한 필드만 조회
+        }, list);
+
+        // 빈 문자열을 '미기제'로 변환
+        const modifiedRows = rows.map(job => ({
+            id: job.id,
+            title: handleEmptyField(job.title),
+            company: handleEmptyField(job.company),
+            deadline: handleEmptyField(job.deadline),
+            deadlineType: job.deadlineType,
+            status: job.status,
+            salary: handleEmptyField(job.salary),
+            salaryMin: job.salaryMin,
+            salaryMax: job.salaryMax,
+            salaryPeriod: job.salaryPeriod,
+            salaryNegotiable: job.salaryNegotiable,
+            duplicateCount: parseInt(job.get('duplicateCount'), 10),
+            ...(keyword ? {
+                relevance: relevance ? Math.round(Number(job.get('relevance')) * 1000) / 1000 : null,
+                highlights: {
+                    title: highlight(job.title, searchWords),
+                    snippet: buildSnippet(job.description, searchWords),
+                },
+            } : {}),
+        }));
+
+        // 결과 반환 (totalItems, totalPages, currentPage는 이전 응답 형식 호환용)
+        setLinkHeader(req, res, pagination);
+        res.status(200).json({
+            status: 'success',
+            data: modifiedRows,
+            pagination,
+            totalItems: pagination.totalCount,
+            totalPages: pagination.totalPages,
+            currentPage: pagination.currentPage,
+            ...(requestedFacets.length > 0 ? { facets: await countFacets(requestedFacets, buildWhere) } : {}),
+        });
+    } catch (error) {
+        console.error('Search Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '채용 공고 검색/필터링 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+// 자동완성 검색어 최대 길이
+const MAX_SUGGEST_QUERY_LENGTH = 50;
+
+/**
+ * @swagger
+ * /jobs/suggest:
+ *   get:
+ *     summary: 검색어 자동완성
+ *     description: "입력 중인 검색어로 시작하는 공고 제목, 회사명, 기술 스택 태그를 모집 중인 공고의 조회수 합계가 높은 순으로 추천합니다. 초성만 입력하면 초성으로 찾습니다. (예: 'ㄴㅇㅂ' → 네이버, 'ㄹㅇㅌ' → React)"
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         description: 입력 중인 검색어
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 'ㄴㅇㅂ'
+ *       - name: limit
+ *         in: query
+ *         description: "종류별 최대 추천 개수 (기본값: 5, 최대 20)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: 추천 검색어 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     titles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                             example: '네이버웹툰 백엔드 개발자'
+ *                           popularity:
+ *                             type: integer
+ *                             description: 모집 중인 공고의 조회수 합계
+ *                             example: 320
+ *                           jobCount:
+ *                             type: integer
+ *                             description: 모집 중인 공고 수
+ *                             example: 2
+ *                     companies:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                             example: '네이버'
+ *                           popularity:
+ *                             type: integer
+ *                             description: 모집 중인 공고의 조회수 합계
+ *                             example: 1520
+ *                           jobCount:
+ *                             type: integer
+ *                             description: 모집 중인 공고 수
+ *                             example: 12
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                             example: 'Node.js'
+ *                           popularity:
+ *                             type: integer
+ *                             description: 모집 중인 공고의 조회수 합계
+ *                             example: 8410
+ *                           jobCount:
+ *                             type: integer
+ *                             description: 모집 중인 공고 수
+ *                             example: 57
+ *       400:
+ *         description: 검색어가 없거나 너무 길거나 여러 번 보냄
+ *       500:
+ *         description: 서버 오류
+ */
+/**
+ * 검색어 자동완성 API (GET /jobs/suggest)
+ *
+ * @param {Object} req - 요청 객체, `q`, `limit` 쿼리 포함
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 종류별 추천 검색어 (공고 제목, 회사명, 기술 스택 태그)
+ * @throws {Error} - 추천 검색어 조회 중 오류 발생 시 예외 처리
+ */
+
+// 검색어 자동완성 API (GET /jobs/suggest) - /:id보다 먼저 등록해야 함
+router.get('/suggest', authenticateJWT, async (req, res) => {
+    const { q = '', limit = 5 } = req.query;
+
+    try {
+        // q=a&q=b처럼 여러 번 보내면 배열이 되므로 문자열 하나만 받음
+        const query = typeof q === 'string' ? q.trim() : '';
+        if (!query || query.length > MAX_SUGGEST_QUERY_LENGTH) {
+            return res.status(400).json({
+                status: 'error',
+                message: `검색어(q)는 1자 이상 ${MAX_SUGGEST_QUERY_LENGTH}자 이하의 문자열 하나로 입력해야 합니다.`,
+            });
+        }
+
+        const data = await suggest(query, { limit: parseInt(limit, 10) || 5 });
+        res.status(200).json({
+            status: 'success',
+            data,
+        });
+    } catch (error) {
+        console.error('Suggest Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '추천 검색어 조회 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+// 내 공고 목록에서 보여줄 필드
+const MY_JOB_ATTRIBUTES = [
+    'id', 'title', 'company', 'companyId', 'userId', 'location', 'deadline', 'deadlineType', 'status',
+    'salary', 'salaryMin', 'salaryMax', 'salaryPeriod', 'salaryNegotiable', 'source', 'views', 'createdAt', 'updatedAt',
+];
+
+/**
+ * @swagger
+ * /jobs/mine:
+ *   get:
+ *     summary: 우리 회사 채용 공고 목록 조회
+ *     description: "회사 사용자가 소속 회사의 채용 공고를 상태와 관계없이 조회합니다. 관리자는 companyId로 회사를 지정해야 합니다."
+ *     parameters:
+ *       - name: companyId
+ *         in: query
+ *         description: "조회할 회사 ID (관리자는 필수, 회사 사용자는 무시하고 소속 회사로 조회)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - name: status
+ *         in: query
+ *         description: "공고 상태 (draft, scheduled, open, closed, expired, archived를 쉼표로 구분하거나 여러 번 지정, 생략하면 모든 상태)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 'open,closed'
+ *       - name: page
+ *         in: query
+ *         description: "페이지 번호 (기본값: 1)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         description: "페이지 크기 (기본값: 20, 최대 100)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - name: sort
+ *         in: query
+ *         description: "정렬 기준 (쉼표로 여러 필드, 앞에 -를 붙이면 내림차순). id, createdAt, views, salary, deadline 사용 가능"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *       - name: cursor
+ *         in: query
+ *         description: "이전 응답의 pagination.nextCursor. 지정하면 page 대신 커서 다음 항목부터 조회"
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "공고 목록 조회 성공 (Link 헤더에 다른 페이지 주소 포함)"
+ *       400:
+ *         description: "잘못된 상태, 페이지, 정렬 또는 커서이거나 관리자가 companyId를 지정하지 않음"
+ *       403:
+ *         description: "권한이 없음 (회사 사용자나 관리자가 아니거나 소속 회사가 없는 회사 사용자)"
+ *       500:
+ *         description: "서버 오류"
+ */
+/**
+ * 우리 회사 채용 공고 목록 조회 API (GET /jobs/mine)
+ *
+ * @param {Object} req - 요청 객체, `companyId`, `status`, `page`, `limit`, `sort`, `cursor` 쿼리 포함
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 회사의 채용 공고 목록과 페이지 정보
+ * @throws {Error} - 공고 조회 중 오류 발생 시 예외 처리
+ */
+
+// 우리 회사 채용 공고 목록 조회 API (GET /jobs/mine) - /:id보다 먼저 등록해야 함
+router.get('/mine', authenticateJWT, authorizeRoles(JOB_MANAGER_ROLES), loadUserCompany, async (req, res) => {
+    const { status } = req.query;
+    const companyId = req.userCompanyId ?? parseInt(req.query.companyId, 10);
+    if (!Number.isInteger(companyId) || companyId < 1) {
+        return res.status(400).json({
+            status: 'error',
+            message: '조회할 회사 ID(companyId)를 지정해야 합니다.',
+        });
+    }
+
+    const where = { companyId };
+    if (status) {
+        // 쉼표로 구분하거나 status=open&status=closed처럼 여러 번 보낼 수 있음
+        const statuses = splitQueryValues(status);
+        if (!statuses) {
+            return res.status(400).json({
+                status: 'error',
+                message: '공고 상태(status)는 쉼표로 구분한 문자열이어야 합니다.',
+            });
+        }
+        const unknown = statuses.filter(value => !Object.values(JOB_STATUS).includes(value));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: `알 수 없는 공고 상태입니다: ${unknown.join(', ')} (사용 가능: ${Object.values(JOB_STATUS).join(', ')})`,
+            });
+        }
+        where.status = { [Op.in]: statuses };
+    }
+
+    const { error, value: list } = parseListQuery(req.query, { sortFields: JOB_SORT_FIELDS, defaultSort: '-createdAt' });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
+        });
+    }
+
+    try {
+        const { rows, pagination } = await findPage(Job, { where, attributes: MY_JOB_ATTRIBUTES }, list);
+
+        setLinkHeader(req, res, pagination);
+        res.status(200).json({
+            status: 'success',
+            data: rows,
+            pagination,
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            status: 'error',
+            message: '우리 회사 채용 공고 조회 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+// 한 번에 가져올 수 있는 최대 공고 수
+const MAX_IMPORT_ROWS = 500;
+
+// 가져오기 요청 본문 (CSV, JSONL 또는 format을 지정한 일반 텍스트)
+const importBodyParser = express.text({
+    type: [...Object.values(CONTENT_TYPES).flat(), 'text/plain'],
+    limit: '5mb',
+});
+
+/**
+ * 가져올 공고를 검증하고 행마다 등록할지 수정할지 정하는 함수 (저장하지 않음)
+ * 각 행은 POST /jobs와 같은 스키마로 검증하고, 같은 링크(link)의 공고가 이미 있으면 upsert일 때만 그 공고를 수정합니다.
+ * @param {Object} req - loadUserCompany를 거친 요청 객체
+ * @param {Object[]} rows - parseImportRows 결과
+ * @param {boolean} upsert - 같은 링크의 공고를 수정할지 여부
+ * @returns {Promise<{ errors: Object[], planned: Object[] }>} 행별 오류 [{ row, messages }]와 처리할 행 [{ row, action, fields, job }]
+ */
+async function planJobImport(req, rows, upsert) {
+    const errors = [];
+    const valid = [];
+    const rowsByLink = new Map();
+    rows.forEach(({ row, fields, error: parseError }) => {
+        if (parseError) {
+            errors.push({ row, messages: [parseError] });
+            return;
+        }
+        const { error } = createJobSchema.validate(fields, { abortEarly: false });
+        if (error) {
+            errors.push({ row, messages: error.details.map(err => err.message) });
+            return;
+        }
+        if (rowsByLink.has(fields.link)) {
+            errors.push({ row, messages: [`${rowsByLink.get(fields.link)}행과 링크(link)가 같습니다.`] });
+            return;
+        }
+        rowsByLink.set(fields.link, row);
+        valid.push({ row, fields });
+    });
+
+    const existingJobs = valid.length > 0
+        ? await Job.findAll({ where: { link: { [Op.in]: valid.map(({ fields }) => fields.link) } } })
+        : [];
+    const jobsByLink = new Map(existingJobs.map(job => [job.link, job]));
+
+    const planned = [];
+    valid.forEach(({ row, fields }) => {
+        const job = jobsByLink.get(fields.link);
+        if (!job) {
+            planned.push({ row, action: 'create', fields, job: null });
+        } else if (!upsert) {
+            errors.push({ row, messages: [`같은 링크(link)의 채용 공고가 이미 있습니다. (ID ${job.id}) 수정하려면 upsert=true로 요청하세요.`] });
+        } else if (!canManageJob(req, job)) {
+            errors.push({ row, messages: [`같은 링크(link)의 채용 공고(ID ${job.id})를 수정할 권한이 없습니다.`] });
+        } else if (job.status === JOB_STATUS.ARCHIVED) {
+            errors.push({ row, messages: [`같은 링크(link)의 채용 공고(ID ${job.id})가 보관되어 수정할 수 없습니다.`] });
+        } else {
+            planned.push({ row, action: 'update', fields, job });
+        }
+    });
+
+    errors.sort((a, b) => a.row - b.row);
+    return { errors, planned };
+}
+
+/**
+ * @swagger
+ * /jobs/import:
+ *   post:
+ *     summary: 채용 공고 일괄 가져오기
+ *     description: "CSV 또는 JSONL로 여러 공고를 한 번에 등록합니다. 각 행은 POST /jobs와 같은 규칙으로 검증하며, 오류가 있는 행이 하나라도 있으면 아무것도 저장하지 않고 행별 오류를 돌려줍니다. CSV는 첫 줄에 POST /jobs 본문의 필드 이름을 쓰고 techStack은 쉼표로 구분합니다. GET /jobs/export로 내보낸 파일도 그대로 가져올 수 있습니다. (id, status, views 등 서버가 정하는 열은 무시)"
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         description: "본문 형식 (생략하면 Content-Type으로 판단: text/csv는 csv, application/x-ndjson은 jsonl)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *       - name: dryRun
+ *         in: query
+ *         description: "true이면 검증만 하고 저장하지 않음 (행별로 등록/수정될지 확인)"
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: upsert
+ *         in: query
+ *         description: "true이면 같은 링크(link)의 공고가 이미 있을 때 그 공고를 수정 (기본값은 오류로 처리)"
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "title,company,location,experience,education,employmentType,deadline,techStack,salary,description,link\n백엔드 개발자 모집,ABC Corp,서울 강남구,3년 이상,학사 이상,full-time,2026-12-31,\"Node.js, MySQL\",연봉 4000만원,Node.js 기반 API 서버 개발,https://example.com/jobs/1"
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             example: '{"title":"백엔드 개발자 모집","company":"ABC Corp","location":"서울 강남구","experience":"3년 이상","education":"학사 이상","employmentType":"full-time","deadline":"2026-12-31","techStack":["Node.js","MySQL"],"salary":"연봉 4000만원","description":"Node.js 기반 API 서버 개발","link":"https://example.com/jobs/1"}'
+ *     responses:
+ *       200:
+ *         description: "가져오기 성공 (data.rows에 행별 처리 결과, dryRun이면 저장하지 않은 예상 결과)"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                       example: false
+ *                     total:
+ *                       type: integer
+ *                       example: 2
+ *                     created:
+ *                       type: integer
+ *                       example: 1
+ *                     updated:
+ *                       type: integer
+ *                       example: 1
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                             description: 본문에서의 행 번호 (CSV는 헤더가 1행)
+ *                             example: 2
+ *                           action:
+ *                             type: string
+ *                             enum: [create, update]
+ *                           id:
+ *                             type: integer
+ *                             nullable: true
+ *                             description: 등록/수정된 공고 ID (dryRun으로 등록할 행은 null)
+ *       400:
+ *         description: "잘못된 형식이나 빈 본문, 최대 개수 초과 또는 오류가 있는 행 (data.errors에 [{ row, messages }])"
+ *       403:
+ *         description: 권한이 없음 (회사 사용자나 관리자가 아니거나 소속 회사가 없는 회사 사용자)
+ *       409:
+ *         description: 가져오는 동안 수정할 공고가 다른 요청으로 수정됨 (아무것도 저장하지 않음)
+ *       500:
+ *         description: 서버 오류
+ */
+/**
+ * 채용 공고 일괄 가져오기 API (POST /jobs/import)
+ *
+ * @param {Object} req - 요청 객체, 본문에 CSV 또는 JSONL, `format`, `dryRun`, `upsert` 쿼리 포함
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 행별 등록/수정 결과 또는 행별 오류
+ * @throws {Error} - 공고 저장 중 오류 발생 시 예외 처리
+ */
+
+// 채용 공고 일괄 가져오기 API (POST /jobs/import)
+router.post('/import', authenticateJWT, authorizeRoles(JOB_MANAGER_ROLES), loadUserCompany, importBodyParser, async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    const upsert = req.query.upsert === 'true';
+    const format = req.query.format || TRANSFER_FORMATS.find(name => req.is(CONTENT_TYPES[name]));
+
+    if (!TRANSFER_FORMATS.includes(format)) {
+        return res.status(400).json({
+            status: 'error',
+            message: `가져오기 형식은 ${TRANSFER_FORMATS.join(', ')} 중 하나여야 합니다. (format 쿼리나 Content-Type으로 지정)`,
+        });
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({
+            status: 'error',
+            message: '가져올 공고를 CSV 또는 JSONL 본문으로 보내야 합니다.',
+        });
+    }
+
+    let rows;
+    try {
+        rows = parseImportRows(req.body, format);
+    } catch (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error.message,
+        });
+    }
+    if (rows.length === 0) {
+        return res.status(400).json({
+            status: 'error',
+            message: '가져올 공고가 없습니다.',
+        });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+            status: 'error',
+            message: `한 번에 최대 ${MAX_IMPORT_ROWS}개의 공고를 가져올 수 있습니다.`,
+        });
+    }
+
+    try {
+        const { errors, planned } = await planJobImport(req, rows, upsert);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: `${errors.length}개 행에 오류가 있어 공고를 가져오지 않았습니다.`,
+                data: { errors },
+            });
+        }
+
+        let results = planned.map(({ row, action, job }) => ({ row, action, id: job ? job.id : null }));
+        if (!dryRun) {
+            // 중간에 실패하면 앞서 저장한 행도 되돌리도록 모든 행을 하나의 트랜잭션으로 저장
+            let rowError = null;
+            try {
+                results = await sequelize.transaction(async (transaction) => {
+                    const saved = [];
+                    for (const { row, action, fields, job } of planned) {
+                        if (action === 'create') {
+                            const newJob = await createJob(req, fields, { transaction });
+                            saved.push({ row, action, id: newJob.id });
+                            continue;
+                        }
+                        // 게시 상태는 바꾸지 않고 공고 내용만 PUT과 같이 수정
+                        const { draft, publishAt, ...changes } = fields;
+                        const changeError = await applyJobChanges(req, job, { deadlineType: DEADLINE_TYPES.FIXED, ...changes }, { transaction });
+                        if (changeError) {
+                            rowError = { row, messages: [changeError] };
+                            throw new Error(changeError);
+                        }
+                        await saveJobChanges(job, { transaction });
+                        saved.push({ row, action, id: job.id });
+                    }
+                    return saved;
+                });
+            } catch (error) {
+                if (!rowError) {
+                    throw error;
+                }
+                return res.status(400).json({
+                    status: 'error',
+                    message: '1개 행에 오류가 있어 공고를 가져오지 않았습니다.',
+                    data: { errors: [rowError] },
+                });
+            }
+        }
+
+        const count = (action) => results.filter(result => result.action === action).length;
+        res.status(200).json({
+            status: 'success',
+            message: dryRun ? '가져올 공고를 확인했습니다. (저장하지 않음)' : '채용 공고를 가져왔습니다.',
+            data: {
+                dryRun,
+                total: results.length,
+                created: count('create'),
+                updated: count('update'),
+                rows: results,
+            },
+        });
+    } catch (error) {
+        if (error instanceof OptimisticLockError) {
+            return res.status(409).json({
+                status: 'error',
+                message: '가져오는 동안 다른 사용자가 채용 공고를 수정해 공고를 가져오지 않았습니다. 다시 시도해 주세요.',
+            });
+        }
+        console.error('Import Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '채용 공고를 가져오는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /jobs/export:
+ *   get:
+ *     summary: 채용 공고 내보내기
+ *     description: "GET /jobs와 같은 필터와 정렬로 조회한 공고 전체를 CSV 또는 JSONL 파일로 내려받습니다. 페이지 없이 모든 결과를 스트리밍하며, page, limit, cursor, facets는 무시합니다. 내보낸 파일은 POST /jobs/import로 다시 가져올 수 있습니다."
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         description: "파일 형식 (기본값: csv)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *           default: csv
+ *       - name: sort
+ *         in: query
+ *         description: "정렬 기준 (GET /jobs와 같음)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: 'id'
+ *       - name: status
+ *         in: query
+ *         description: "공고 상태 (GET /jobs와 같음). 그 밖의 필터(location, region, tags, keyword, salaryMin 등)도 GET /jobs와 같이 사용"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: 'open'
+ *     responses:
+ *       200:
+ *         description: "내보내기 성공 (CSV는 text/csv, JSONL은 application/x-ndjson. 열: id, title, company, location, experience, education, employmentType, deadline, deadlineType, techStack, salary, salaryMin, salaryMax, salaryPeriod, salaryNegotiable, description, link, status, views, createdAt)"
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: 잘못된 형식, 필터 또는 정렬 (GET /jobs와 같음)
  *       500:
  *         description: 서버 오류
  */
 /**
- * 채용 공고 목록 조회 API (GET /jobs)
- * 
- * @param {Object} req - 요청 객체
+ * 채용 공고 내보내기 API (GET /jobs/export)
+ *
+ * @param {Object} req - 요청 객체, `format`과 GET /jobs의 필터, 정렬 쿼리 포함
  * @param {Object} res - 응답 객체
- * @returns {Object} - 채용 공고 목록과 관련 데이터
- * @throws {Error} - 데이터 조회 및 필터링 중 오류 발생 시 예외 처리
+ * @returns {void} - 공고 목록을 CSV 또는 JSONL로 스트리밍
+ * @throws {Error} - 공고 조회 중 오류 발생 시 예외 처리
  */
 
-// 채용 공고 목록 조회 API (GET /jobs)
-router.get('/', authenticateJWT, async (req, res) => {
-    const {
-        page = 1, // 기본 페이지는 1
-        sortBy = 'id', // 기본 정렬 기준
-        sortOrder = 'ASC', // 기본 정렬 순서
-        location,
-        experience,
-        salary,
-        techStack,
-        keyword,
-        company,
-        position,
-    } = req.query;
-
-    const pageSize = 20; // 페이지 크기
+// 채용 공고 내보내기 API (GET /jobs/export) - /:id보다 먼저 등록해야 함
+router.get('/export', authenticateJWT, async (req, res) => {
+    const { format = 'csv' } = req.query;
+    if (!TRANSFER_FORMATS.includes(format)) {
+        return res.status(400).json({
+            status: 'error',
+            message: `내보내기 형식은 ${TRANSFER_FORMATS.join(', ')} 중 하나여야 합니다.`,
+        });
+    }
 
     try {
-        const filters = {};
-
-        // 필터링 조건 추가
-        if (location) filters.location = { [Op.like]: `%${location}%` };
-        if (experience) filters.experience = { [Op.like]: experience };
-        if (salary) filters.salary = { [Op.like]: `%${salary}%` };
-        if (techStack) filters.techStack = { [Op.like]: `%${techStack}%` };
-
-        // 검색 기능
-        if (keyword) {
-            filters[Op.or] = [
-                { title: { [Op.like]: `%${keyword}%` } },
-                { description: { [Op.like]: `%${keyword}%` } },
-            ];
+        const { error: queryError, value: listQuery } = buildJobListQuery(req.query);
+        if (queryError) {
+            return res.status(400).json({
+                status: 'error',
+                message: queryError,
+            });
         }
-        if (company) filters.company = { [Op.like]: `%${company}%` };
-        if (position) filters.description = { [Op.like]: `%${position}%` };
 
-        // 데이터 조회 (필드 제한: id, title, company, deadline)
-        const { count, rows } = await Job.findAndCountAll({
-            where: filters,
-            order: [[sortBy, sortOrder]],
-            limit: pageSize,
-            offset: (page - 1) * pageSize,
-            attributes: ['id', 'title', 'company', 'deadline'], // 필요한 필드만 조회
+        res.set({
+            'Content-Type': `${CONTENT_TYPES[format][0]}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="jobs-${toDateString(new Date())}.${format}"`,
         });
-
-        // 빈 문자열을 '미기제'로 변환
-        const modifiedRows = rows.map(job => ({
-            id: job.id,
-            title: handleEmptyField(job.title),
-            company: handleEmptyField(job.company),
-            deadline: handleEmptyField(job.deadline),
-        }));
-
-        // 결과 반환
-        res.status(200).json({
-            status: 'success',
-            data: modifiedRows,
-            totalItems: count,
-            totalPages: Math.ceil(count / pageSize),
-            currentPage: parseInt(page),
+        const writer = createExportWriter(res, format);
+        await findEach(Job, { where: listQuery.buildWhere(), attributes: EXPORT_FIELDS }, listQuery.list, async (jobs) => {
+            for (const job of jobs) {
+                await writer.write(job);
+            }
+            return !res.destroyed; // 연결이 끊기면 조회 중단
         });
+        res.end();
     } catch (error) {
-        console.error('Search Error:', error);
+        console.error('Export Error:', error);
+        if (res.headersSent) {
+            // 이미 보내기 시작했으면 연결을 끊어 파일이 완성되지 않았음을 알림
+            return res.destroy(error);
+        }
         res.status(500).json({
             status: 'error',
-            message: '채용 공고 검색/필터링 중 오류가 발생했습니다.',
+            message: '채용 공고를 내보내는 중 오류가 발생했습니다.',
         });
     }
 });
@@ -216,7 +1626,7 @@ router.get('/', authenticateJWT, async (req, res) => {
  * /jobs/{id}:
  *   get:
  *     summary: 특정 채용 공고 상세 조회
- *     description: 특정 채용 공고의 상세 정보와 관련된 다른 공고들을 조회합니다.
+ *     description: 특정 채용 공고의 상세 정보와 관련된 다른 공고들을 조회합니다. 관련 공고는 크롤링이 끝날 때마다 미리 계산한 유사 공고 목록에서 가져옵니다.
  *     parameters:
  *       - name: id
  *         in: path
@@ -224,6 +1634,13 @@ router.get('/', authenticateJWT, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - name: relatedLimit
+ *         in: query
+ *         description: "관련 공고 최대 개수 (기본값: 5, 최대 20)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 5
  *     responses:
  *       200:
  *         description: 공고 상세 조회 성공
@@ -259,8 +1676,74 @@ router.get('/', authenticateJWT, async (req, res) => {
  *                         salary:
  *                           type: string
  *                           example: '5,000,000원'
+ *                         tags:
+ *                           type: array
+ *                           description: 정규화된 기술 스택 태그
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                                 example: 3
+ *                               name:
+ *                                 type: string
+ *                                 example: 'React'
+ *                         regions:
+ *                           type: array
+ *                           description: 근무지에서 추출한 지역 코드
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               sidoCode:
+ *                                 type: string
+ *                                 example: '41'
+ *                               regionCode:
+ *                                 type: string
+ *                                 example: '41002'
+ *                         canonicalJob:
+ *                           type: object
+ *                           nullable: true
+ *                           description: 이 공고가 중복 공고이면 대표 공고 (id, title, company, source, link, status)
+ *                         duplicates:
+ *                           type: array
+ *                           description: 이 공고로 묶인 중복 공고 (다른 URL이나 다른 소스에 올라온 같은 공고)
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                                 example: 15
+ *                               source:
+ *                                 type: string
+ *                                 example: 'saramin'
+ *                               link:
+ *                                 type: string
+ *                               status:
+ *                                 type: string
+ *                                 example: 'open'
+ *                         positions:
+ *                           type: array
+ *                           description: 상세 페이지에서 추출한 모집 내용
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               description:
+ *                                 type: string
+ *                               responsibilities:
+ *                                 type: string
+ *                                 example: 'REST API 개발 및 운영'
+ *                               requirements:
+ *                                 type: string
+ *                                 example: 'Node.js 실무 경험 3년 이상'
+ *                               benefits:
+ *                                 type: string
+ *                                 example: '4대보험, 연차'
+ *                               hiringProcess:
+ *                                 type: string
+ *                                 example: '서류전형 > 면접 > 최종합격'
  *                     relatedJobs:
  *                       type: array
+ *                       description: 제목, 기술 스택, 근무지, 경력, 고용 형태가 비슷한 모집 중인 공고 (유사도 높은 순)
  *                       items:
  *                         type: object
  *                         properties:
@@ -273,9 +1756,19 @@ router.get('/', authenticateJWT, async (req, res) => {
  *                           company:
  *                             type: string
  *                             example: 'XYZ Corp'
+ *                           location:
+ *                             type: string
+ *                             example: '서울 강남구'
  *                           deadline:
  *                             type: string
  *                             example: '2024-12-30'
+ *                           deadlineType:
+ *                             type: string
+ *                             example: 'fixed'
+ *                           score:
+ *                             type: number
+ *                             description: 유사도 점수 (0~1)
+ *                             example: 0.642
  *       404:
  *         description: 해당 공고를 찾을 수 없음
  *       500:
@@ -285,32 +1778,36 @@ router.get('/', authenticateJWT, async (req, res) => {
 // 채용 공고 상세 조회 API (GET /jobs/:id)
 router.get('/:id', authenticateJWT, async (req, res) => {
     const { id } = req.params;
+    const { relatedLimit } = req.query;
 
     try {
-        // 공고 상세 정보 조회 (전체 데이터 조회)
-        const job = await Job.findByPk(id);
+        // 공고 상세 정보 조회 (전체 데이터 및 상세 모집 내용 조회)
+        const job = await Job.findByPk(id, {
+            include: [
+                { model: JobPosition, as: 'positions' },
+                { model: JobRegion, as: 'regions', attributes: ['sidoCode', 'regionCode'] },
+                { model: Tag, as: 'tags', attributes: ['id', 'name'], through: { attributes: [] } },
+                // 대표 공고/중복 공고 중 작성 중이거나 보관된 공고는 보여주지 않음
+                { model: Job, as: 'canonicalJob', attributes: DUPLICATE_ATTRIBUTES, where: { status: { [Op.in]: PUBLIC_JOB_STATUSES } }, required: false },
+                { model: Job, as: 'duplicates', attributes: DUPLICATE_ATTRIBUTES, where: { status: { [Op.in]: PUBLIC_JOB_STATUSES } }, required: false },
+            ],
+        });
 
-        if (!job) {
+        if (!job || !(await canViewJob(req, job))) {
             return res.status(404).json({
                 status: 'error',
                 message: '해당 공고를 찾을 수 없습니다.',
             });
         }
 
-        // 조회수 증가
-        await job.increment('views');
+        // 조회수 증가 (공개되지 않은 공고를 등록한 회사가 미리 보는 경우는 제외)
+        // increment는 공고 버전(version)도 올리므로, 버전이 그대로 유지되는 update 사용
+        if (PUBLIC_JOB_STATUSES.includes(job.status)) {
+            await Job.update({ views: sequelize.literal('views + 1') }, { where: { id: job.id } });
+        }
 
-        // 관련 공고 추천: 동일 회사 또는 유사 기술 스택
-        const relatedJobs = await Job.findAll({
-            where: {
-                [Op.or]: [
-                    { company: job.company },
-                    { techStack: { [Op.like]: `%${job.techStack}%` } },
-                ],
-                id: { [Op.ne]: job.id }, // 현재 공고 제외
-            },
-            limit: 5, // 추천 공고 최대 5개
-        });
+        // 관련 공고 추천: 제목, 기술 스택, 근무지, 경력, 고용 형태가 비슷한 모집 중인 공고 (유사도 높은 순, 같은 공고 묶음 제외)
+        const relatedJobs = await findRelatedJobs(job, { limit: parseInt(relatedLimit, 10) || 5 });
 
         // 빈 문자열을 '미기제'로 변환
         const modifiedJob = {
@@ -324,14 +1821,18 @@ router.get('/:id', authenticateJWT, async (req, res) => {
             techStack: handleEmptyField(job.techStack),
         };
 
-        const modifiedRelatedJobs = relatedJobs.map(relatedJob => ({
+        const modifiedRelatedJobs = relatedJobs.map(({ job: relatedJob, score }) => ({
             id: relatedJob.id,
             title: handleEmptyField(relatedJob.title),
             company: handleEmptyField(relatedJob.company),
+            location: handleEmptyField(relatedJob.location),
             deadline: handleEmptyField(relatedJob.deadline),
+            deadlineType: relatedJob.deadlineType,
+            score,
         }));
 
-        // 상세 정보 및 추천 공고 반환
+        // 상세 정보 및 추천 공고 반환 (ETag는 수정, 삭제, 게시, 마감, 다시 열기의 If-Match에 사용)
+        res.set('ETag', jobETag(job));
         res.status(200).json({
             status: 'success',
             data: {
@@ -348,6 +1849,93 @@ router.get('/:id', authenticateJWT, async (req, res) => {
     }
 });
 
+/**
+ * 채용 공고 변경 이력 조회 API (GET /jobs/:id/history)
+ * 
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 공고의 필드별 변경 이력 (최신순)
+ * @throws {Error} - 변경 이력 조회 중 오류 발생 시 예외 처리
+ */
+/**
+ * @swagger
+ * /jobs/{id}/history:
+ *   get:
+ *     summary: 채용 공고 변경 이력 조회
+ *     description: 재크롤링 중 감지된 공고 변경 내역(마감일 연장, 급여 변경 등)을 최신순으로 조회합니다.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: 채용 공고 ID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 변경 이력 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 1
+ *                       crawlRunId:
+ *                         type: integer
+ *                         example: 12
+ *                       changes:
+ *                         type: object
+ *                         example: { deadline: { from: '2024-12-15', to: '2024-12-31' } }
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: 해당 공고를 찾을 수 없음
+ *       500:
+ *         description: 서버 오류
+ */
+
+// 채용 공고 변경 이력 조회 API (GET /jobs/:id/history)
+router.get('/:id/history', authenticateJWT, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const job = await Job.findByPk(id, { attributes: ['id', 'status', 'companyId'] });
+        if (!job || !(await canViewJob(req, job))) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 공고를 찾을 수 없습니다.',
+            });
+        }
+
+        const revisions = await JobRevision.findAll({
+            where: { jobId: id },
+            attributes: ['id', 'crawlRunId', 'changes', 'createdAt'],
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        });
+
+        res.status(200).json({
+            status: 'success',
+            data: revisions,
+        });
+    } catch (error) {
+        console.error('History Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '공고 변경 이력 조회 중 오류가 발생했습니다.',
+        });
+    }
+});
+
 /**
  * 채용 공고 수정 API (PUT /jobs/:id)
  * 
@@ -361,7 +1949,7 @@ router.get('/:id', authenticateJWT, async (req, res) => {
  * /jobs/{id}:
  *   put:
  *     summary: 채용 공고 수정
- *     description: 채용 공고의 정보를 수정합니다.
+ *     description: 채용 공고의 모든 정보를 수정합니다. (일부만 수정하려면 PATCH 사용, 조회수는 바뀌지 않음) 회사 사용자는 소속 회사의 공고만, 관리자는 모든 공고를 수정할 수 있습니다.
  *     parameters:
  *       - name: id
  *         in: path
@@ -369,6 +1957,13 @@ router.get('/:id', authenticateJWT, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - name: If-Match
+ *         in: header
+ *         description: "GET /jobs/{id} 응답의 ETag. 그사이 공고가 수정되었으면 412 (생략하면 확인하지 않음)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '"3"'
  *     requestBody:
  *       required: true
  *       content:
@@ -398,21 +1993,40 @@ router.get('/:id', authenticateJWT, async (req, res) => {
  *               deadline:
  *                 type: string
  *                 format: date
+ *                 description: "마감일 (deadlineType이 fixed일 때 필수)"
  *                 example: "2024-12-31"
+ *               deadlineType:
+ *                 type: string
+ *                 enum: ["fixed", "rolling", "until_filled"]
+ *                 description: "마감 유형 (기본값: fixed, rolling은 상시채용, until_filled는 채용 시 마감)"
+ *                 example: "fixed"
  *               techStack:
  *                 type: array
  *                 items:
  *                   type: string
  *                 example: ["React", "Node.js"]
  *               salary:
- *                 type: number
- *                 example: 5000000
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: "금액(원) 또는 급여 문구. 문구는 최소/최대 금액, 지급 주기, 협의 여부로 자동 해석"
+ *                 example: "연봉 3,000~4,000만원"
+ *               salaryPeriod:
+ *                 type: string
+ *                 enum: [annual, monthly, daily, hourly]
+ *                 description: "급여 지급 주기 (생략 시 문구에서 추정, 금액은 annual)"
  *               description:
  *                 type: string
  *                 example: "React, JavaScript, Node.js 등 프론트엔드 개발자 모집"
  *               link:
  *                 type: string
  *                 example: "https://example.com/job-posting"
+ *               closeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: "마감 예정 시각 (이 시각에 자동으로 마감하고 지원자에게 알림, null이면 마감 예정 없음)"
+ *                 example: "2026-11-30T18:00:00+09:00"
  *     responses:
  *       200:
  *         description: 채용 공고 수정 성공
@@ -443,113 +2057,225 @@ router.get('/:id', authenticateJWT, async (req, res) => {
  *                       type: string
  *                       example: "서울"
  *       400:
- *         description: 잘못된 입력값
+ *         description: 잘못된 입력값이거나 보관된 공고
+ *       403:
+ *         description: 권한이 없음 (다른 회사의 공고이거나 소속 회사가 없는 회사 사용자)
  *       404:
  *         description: 해당 채용 공고를 찾을 수 없음
+ *       412:
+ *         description: If-Match가 현재 ETag와 다름 (다른 사용자가 먼저 수정함)
  *       500:
  *         description: 서버 오류
  */
 
 // 채용 공고 수정 API (PUT /jobs/:id)
-router.put('/:id', authenticateJWT, async (req, res) => {
+router.put('/:id', authenticateJWT, authorizeRoles(JOB_MANAGER_ROLES), loadUserCompany, async (req, res) => {
     const jobId = req.params.id;
-    const { title, company, location, experience, education, employmentType, deadline, techStack, salary, description, link } = req.body;
-
-    // Joi를 이용한 입력 데이터 검증 스키마 정의
-    const schema = Joi.object({
-        title: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '제목은 필수 항목입니다.',
-            'string.min': '제목은 최소 3자 이상이어야 합니다.',
-            'string.max': '제목은 최대 255자까지 가능합니다.',
-        }),
-        company: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '회사명은 필수 항목입니다.',
-            'string.min': '회사명은 최소 3자 이상이어야 합니다.',
-            'string.max': '회사명은 최대 255자까지 가능합니다.',
-        }),
-        location: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '위치는 필수 항목입니다.',
-            'string.min': '위치는 최소 3자 이상이어야 합니다.',
-            'string.max': '위치는 최대 255자까지 가능합니다.',
-        }),
-        experience: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '경력 요구사항은 필수 항목입니다.',
-            'string.min': '경력 요구사항은 최소 3자 이상이어야 합니다.',
-            'string.max': '경력 요구사항은 최대 255자까지 가능합니다.',
-        }),
-        education: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '학력 요구사항은 필수 항목입니다.',
-            'string.min': '학력 요구사항은 최소 3자 이상이어야 합니다.',
-            'string.max': '학력 요구사항은 최대 255자까지 가능합니다.',
-        }),
-        employmentType: Joi.string().valid('full-time', 'part-time', 'contract', 'internship').required().messages({
-            'any.only': '고용 형태는 full-time, part-time, contract, internship 중 하나여야 합니다.',
-            'string.empty': '고용 형태는 필수 항목입니다.',
-        }),
-        deadline: Joi.date().iso().required().messages({
-            'string.empty': '마감일은 필수 항목입니다.',
-            'date.format': '마감일은 유효한 날짜 형식이어야 합니다.',
-        }),
-        techStack: Joi.array().items(Joi.string()).min(1).required().messages({
-            'array.min': '기술 스택은 최소 1개 이상이어야 합니다.',
-            'array.base': '기술 스택은 배열 형태여야 합니다.',
-            'string.base': '기술 스택의 각 항목은 문자열이어야 합니다.',
-        }),
-        salary: Joi.number().positive().required().messages({
-            'number.base': '급여는 숫자여야 합니다.',
-            'number.positive': '급여는 양수여야 합니다.',
-            'any.required': '급여는 필수 항목입니다.',
-        }),
-        description: Joi.string().min(10).required().messages({
-            'string.empty': '설명은 필수 항목입니다.',
-            'string.min': '설명은 최소 10자 이상이어야 합니다.',
-        }),
-        link: Joi.string().uri().required().messages({
-            'string.uri': '링크는 유효한 URL 형식이어야 합니다.',
-            'string.empty': '링크는 필수 항목입니다.',
-        }),
-    });
 
-    // 입력값 검증
-    const { error } = schema.validate(req.body, { abortEarly: false });
+    // 입력값 검증
+    const { error } = jobSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: validationMessage(error),
+        });
+    }
+
+    try {
+        const job = await Job.findByPk(jobId);
+        if (!job) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 채용 공고를 찾을 수 없습니다.',
+            });
+        }
+        if (!canManageJob(req, job)) {
+            return res.status(403).json({
+                status: 'error',
+                message: '해당 채용 공고를 수정할 권한이 없습니다.',
+            });
+        }
+        if (job.status === JOB_STATUS.ARCHIVED) {
+            return res.status(400).json({
+                status: 'error',
+                message: '보관된 채용 공고는 수정할 수 없습니다.',
+            });
+        }
+        if (!matchesIfMatch(req, job)) {
+            res.set('ETag', jobETag(job));
+            return res.status(412).json({
+                status: 'error',
+                message: JOB_MODIFIED_MESSAGE,
+            });
+        }
+
+        // 채용 공고 수정 (마감 유형을 보내지 않으면 fixed, 조회수는 그대로 유지)
+        await applyJobChanges(req, job, { deadlineType: DEADLINE_TYPES.FIXED, ...req.body });
+        await saveJobChanges(job);
+
+        res.set('ETag', jobETag(job));
+        res.status(200).json({
+            status: 'success',
+            message: '채용 공고가 성공적으로 수정되었습니다.',
+            data: job,
+        });
+    } catch (error) {
+        if (error instanceof OptimisticLockError) {
+            return res.status(412).json({
+                status: 'error',
+                message: JOB_MODIFIED_MESSAGE,
+            });
+        }
+        console.error(error);
+        res.status(500).json({
+            status: 'error',
+            message: '채용 공고 수정 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * 채용 공고 부분 수정 API (PATCH /jobs/:id)
+ *
+ * @param {Object} req - 요청 객체, 본문에 수정할 필드만 포함
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 수정된 채용 공고 데이터
+ * @throws {Error} - 공고 수정 중 오류 발생 시 예외 처리
+ */
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   patch:
+ *     summary: 채용 공고 부분 수정
+ *     description: "보낸 필드만 수정합니다. 각 필드는 PUT과 같은 규칙으로 검증하며, 조회수는 바뀌지 않습니다. 마감 유형이 fixed가 되면 마감일이 있어야 합니다. 회사 사용자는 소속 회사의 공고만, 관리자는 모든 공고를 수정할 수 있습니다."
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: 수정할 채용 공고의 ID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: If-Match
+ *         in: header
+ *         description: "GET /jobs/{id} 응답의 ETag. 그사이 공고가 수정되었으면 412 (생략하면 확인하지 않음)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '"3"'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               title:
+ *                 type: string
+ *               company:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               experience:
+ *                 type: string
+ *               education:
+ *                 type: string
+ *               employmentType:
+ *                 type: string
+ *                 enum: ["full-time", "part-time", "contract", "internship"]
+ *               deadline:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               deadlineType:
+ *                 type: string
+ *                 enum: ["fixed", "rolling", "until_filled"]
+ *               techStack:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               salary:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *               salaryPeriod:
+ *                 type: string
+ *                 enum: [annual, monthly, daily, hourly]
+ *               description:
+ *                 type: string
+ *               link:
+ *                 type: string
+ *               closeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *             example:
+ *               deadline: "2026-12-31"
+ *               salary: "연봉 4,000~5,000만원"
+ *     responses:
+ *       200:
+ *         description: 채용 공고 수정 성공 (ETag 헤더에 새 버전 포함)
+ *       400:
+ *         description: 잘못된 입력값이거나 보관된 공고
+ *       403:
+ *         description: 권한이 없음 (다른 회사의 공고이거나 소속 회사가 없는 회사 사용자)
+ *       404:
+ *         description: 해당 채용 공고를 찾을 수 없음
+ *       412:
+ *         description: If-Match가 현재 ETag와 다름 (다른 사용자가 먼저 수정함)
+ *       500:
+ *         description: 서버 오류
+ */
+
+// 채용 공고 부분 수정 API (PATCH /jobs/:id)
+router.patch('/:id', authenticateJWT, authorizeRoles(JOB_MANAGER_ROLES), loadUserCompany, loadManagedJob, async (req, res) => {
+    // 입력값 검증 (보낸 필드만)
+    const { error } = patchJobSchema.validate(req.body, { abortEarly: false });
     if (error) {
-        const errorMessages = error.details.map((err) => err.message);
         return res.status(400).json({
             status: 'error',
-            message: errorMessages.join(', '),
+            message: validationMessage(error),
+        });
+    }
+
+    const { job } = req;
+    if (job.status === JOB_STATUS.ARCHIVED) {
+        return res.status(400).json({
+            status: 'error',
+            message: '보관된 채용 공고는 수정할 수 없습니다.',
+        });
+    }
+    if (!matchesIfMatch(req, job)) {
+        res.set('ETag', jobETag(job));
+        return res.status(412).json({
+            status: 'error',
+            message: JOB_MODIFIED_MESSAGE,
         });
     }
 
     try {
-        const job = await Job.findByPk(jobId);
-        if (!job) {
-            return res.status(404).json({
+        const changeError = await applyJobChanges(req, job, req.body);
+        if (changeError) {
+            return res.status(400).json({
                 status: 'error',
-                message: '해당 채용 공고를 찾을 수 없습니다.',
+                message: changeError,
             });
         }
+        await saveJobChanges(job);
 
-        // 채용 공고 수정
-        job.title = title;
-        job.company = company;
-        job.location = location;
-        job.experience = experience;
-        job.education = education;
-        job.employmentType = employmentType;
-        job.deadline = deadline;
-        job.techStack = techStack;
-        job.description = description;
-        job.salary = salary;
-        job.link = link;
-        job.views = 0;
-        await job.save();
-
+        res.set('ETag', jobETag(job));
         res.status(200).json({
             status: 'success',
             message: '채용 공고가 성공적으로 수정되었습니다.',
             data: job,
         });
     } catch (error) {
+        if (error instanceof OptimisticLockError) {
+            return res.status(412).json({
+                status: 'error',
+                message: JOB_MODIFIED_MESSAGE,
+            });
+        }
         console.error(error);
         res.status(500).json({
             status: 'error',
@@ -571,7 +2297,7 @@ router.put('/:id', authenticateJWT, async (req, res) => {
  * /jobs/{id}:
  *   delete:
  *     summary: 채용 공고 삭제
- *     description: 채용 공고를 삭제합니다.
+ *     description: 작성 중이거나 게시 예정인 공고는 삭제하고, 게시된 공고는 지원 내역이 남도록 보관(archived)합니다. 모집 중인 공고는 마감한 뒤 보관하며 지원자에게 알림을 보냅니다. 회사 사용자는 소속 회사의 공고만, 관리자는 모든 공고를 삭제할 수 있습니다.
  *     parameters:
  *       - name: id
  *         in: path
@@ -579,6 +2305,13 @@ router.put('/:id', authenticateJWT, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - name: If-Match
+ *         in: header
+ *         description: "GET /jobs/{id} 응답의 ETag. 그사이 공고가 수정되었으면 412 (생략하면 확인하지 않음)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '"3"'
  *     responses:
  *       200:
  *         description: 채용 공고 삭제 성공
@@ -593,14 +2326,20 @@ router.put('/:id', authenticateJWT, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: 채용 공고가 성공적으로 삭제되었습니다.
+ *       400:
+ *         description: 이미 보관된 공고
+ *       403:
+ *         description: 권한이 없음 (다른 회사의 공고이거나 소속 회사가 없는 회사 사용자)
  *       404:
  *         description: 해당 채용 공고를 찾을 수 없음
+ *       412:
+ *         description: If-Match가 현재 ETag와 다름 (다른 사용자가 먼저 수정함)
  *       500:
  *         description: 서버 오류
  */
 
 // 채용 공고 삭제 API (DELETE /jobs/:id)
-router.delete('/:id', authenticateJWT, async (req, res) => {
+router.delete('/:id', authenticateJWT, authorizeRoles(JOB_MANAGER_ROLES), loadUserCompany, async (req, res) => {
     const jobId = req.params.id;
 
     try {
@@ -611,15 +2350,62 @@ router.delete('/:id', authenticateJWT, async (req, res) => {
                 message: '해당 채용 공고를 찾을 수 없습니다.',
             });
         }
+        if (!canManageJob(req, job)) {
+            return res.status(403).json({
+                status: 'error',
+                message: '해당 채용 공고를 삭제할 권한이 없습니다.',
+            });
+        }
+        if (!matchesIfMatch(req, job)) {
+            res.set('ETag', jobETag(job));
+            return res.status(412).json({
+                status: 'error',
+                message: JOB_MODIFIED_MESSAGE,
+            });
+        }
+
+        // 게시된 적 없는 공고(작성 중, 게시 예정)는 지원 내역이 없으므로 삭제
+        if (job.status === JOB_STATUS.DRAFT || job.status === JOB_STATUS.SCHEDULED) {
+            await job.destroy();
+            return res.status(200).json({
+                status: 'success',
+                message: '채용 공고가 성공적으로 삭제되었습니다.',
+            });
+        }
+
+        if (job.status === JOB_STATUS.ARCHIVED) {
+            return res.status(400).json({
+                status: 'error',
+                message: '이미 보관된 채용 공고입니다.',
+            });
+        }
 
-        // 채용 공고 삭제
-        await job.destroy();
+        // 게시된 공고는 지원 내역이 남도록 보관 (모집 중이면 마감하고 지원자에게 알림)
+        if (job.status === JOB_STATUS.OPEN) {
+            const closed = await closeJobs({ id: job.id, status: JOB_STATUS.OPEN, version: job.version });
+            if (closed === 0) {
+                return res.status(412).json({
+                    status: 'error',
+                    message: JOB_MODIFIED_MESSAGE,
+                });
+            }
+            await job.reload();
+        }
+        await job.update({ status: JOB_STATUS.ARCHIVED, archivedAt: new Date() });
 
+        res.set('ETag', jobETag(job));
         res.status(200).json({
             status: 'success',
-            message: '채용 공고가 성공적으로 삭제되었습니다.',
+            message: '채용 공고를 보관했습니다.',
+            data: job,
         });
     } catch (error) {
+        if (error instanceof OptimisticLockError) {
+            return res.status(412).json({
+                status: 'error',
+                message: JOB_MODIFIED_MESSAGE,
+            });
+        }
         console.error(error);
         res.status(500).json({
             status: 'error',
@@ -628,6 +2414,325 @@ router.delete('/:id', authenticateJWT, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /jobs/{id}/publish:
+ *   post:
+ *     summary: 채용 공고 게시
+ *     description: "작성 중이거나 게시 예정인 공고를 게시합니다. publishAt이 미래이면 그 시각에 게시되도록 예약하고, 없거나 지났으면 바로 게시합니다. 회사 사용자는 소속 회사의 공고만, 관리자는 모든 공고를 게시할 수 있습니다."
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: 게시할 채용 공고의 ID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: If-Match
+ *         in: header
+ *         description: "GET /jobs/{id} 응답의 ETag. 그사이 공고가 수정되었으면 412 (생략하면 확인하지 않음)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '"3"'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: "게시 시각 (생략하면 임시 저장할 때 지정한 시각, 그것도 없으면 바로 게시)"
+ *                 example: "2026-11-01T09:00:00+09:00"
+ *               closeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: "마감 예정 시각 (이 시각에 자동으로 마감, null이면 마감 예정 없음)"
+ *                 example: "2026-11-30T18:00:00+09:00"
+ *     responses:
+ *       200:
+ *         description: 게시 또는 게시 예약 성공 (data에 공고 포함, status가 open이면 게시됨, scheduled이면 예약됨)
+ *       400:
+ *         description: 잘못된 입력값이거나 작성 중/게시 예정인 공고가 아님
+ *       403:
+ *         description: 권한이 없음
+ *       404:
+ *         description: 해당 채용 공고를 찾을 수 없음
+ *       412:
+ *         description: If-Match가 현재 ETag와 다름 (다른 사용자가 먼저 수정함)
+ *       500:
+ *         description: 서버 오류
+ */
+/**
+ * 채용 공고 게시 API (POST /jobs/:id/publish)
+ *
+ * @param {Object} req - 요청 객체, 본문에 `publishAt`, `closeAt` 포함 (선택)
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 게시되었거나 게시 예약된 공고
+ * @throws {Error} - 공고 게시 중 오류 발생 시 예외 처리
+ */
+
+// 채용 공고 게시 API (POST /jobs/:id/publish)
+router.post('/:id/publish', authenticateJWT, authorizeRoles(JOB_MANAGER_ROLES), loadUserCompany, loadManagedJob, async (req, res) => {
+    const { error, value } = publishSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: validationMessage(error),
+        });
+    }
+
+    const { job } = req;
+    if (job.status !== JOB_STATUS.DRAFT && job.status !== JOB_STATUS.SCHEDULED) {
+        return res.status(400).json({
+            status: 'error',
+            message: '작성 중이거나 게시 예정인 공고만 게시할 수 있습니다.',
+        });
+    }
+    if (!matchesIfMatch(req, job)) {
+        res.set('ETag', jobETag(job));
+        return res.status(412).json({
+            status: 'error',
+            message: JOB_MODIFIED_MESSAGE,
+        });
+    }
+
+    // 본문에 없으면 임시 저장할 때 지정한 게시/마감 예정 시각 사용
+    const publishAt = value.publishAt !== undefined ? value.publishAt : job.publishAt;
+    const closeAt = value.closeAt !== undefined ? value.closeAt : job.closeAt;
+    const status = publishStatus(publishAt);
+    const publishedAt = status === JOB_STATUS.SCHEDULED ? new Date(publishAt) : new Date();
+    if (closeAt && new Date(closeAt) <= publishedAt) {
+        return res.status(400).json({
+            status: 'error',
+            message: '마감 예정 시각(closeAt)은 현재와 게시 시각 이후여야 합니다.',
+        });
+    }
+
+    try {
+        await job.update({ status, publishAt: publishedAt, closeAt });
+
+        res.set('ETag', jobETag(job));
+        res.status(200).json({
+            status: 'success',
+            message: status === JOB_STATUS.SCHEDULED ? '채용 공고 게시를 예약했습니다.' : '채용 공고를 게시했습니다.',
+            data: job,
+        });
+    } catch (error) {
+        if (error instanceof OptimisticLockError) {
+            return res.status(412).json({
+                status: 'error',
+                message: JOB_MODIFIED_MESSAGE,
+            });
+        }
+        console.error(error);
+        res.status(500).json({
+            status: 'error',
+            message: '채용 공고 게시 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /jobs/{id}/close:
+ *   post:
+ *     summary: 채용 공고 마감
+ *     description: "모집 중인 공고를 바로 마감하고, 공고에 지원한 사용자에게 알림을 보냅니다. 회사 사용자는 소속 회사의 공고만, 관리자는 모든 공고를 마감할 수 있습니다."
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: 마감할 채용 공고의 ID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: If-Match
+ *         in: header
+ *         description: "GET /jobs/{id} 응답의 ETag. 그사이 공고가 수정되었으면 412 (생략하면 확인하지 않음)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '"3"'
+ *     responses:
+ *       200:
+ *         description: 마감 성공 (data에 공고 포함)
+ *       400:
+ *         description: 모집 중인 공고가 아님
+ *       403:
+ *         description: 권한이 없음
+ *       404:
+ *         description: 해당 채용 공고를 찾을 수 없음
+ *       412:
+ *         description: If-Match가 현재 ETag와 다름 (다른 사용자가 먼저 수정함)
+ *       500:
+ *         description: 서버 오류
+ */
+/**
+ * 채용 공고 마감 API (POST /jobs/:id/close)
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 마감된 공고
+ * @throws {Error} - 공고 마감 중 오류 발생 시 예외 처리
+ */
+
+// 채용 공고 마감 API (POST /jobs/:id/close)
+router.post('/:id/close', authenticateJWT, authorizeRoles(JOB_MANAGER_ROLES), loadUserCompany, loadManagedJob, async (req, res) => {
+    const { job } = req;
+    if (job.status !== JOB_STATUS.OPEN) {
+        return res.status(400).json({
+            status: 'error',
+            message: '모집 중인 공고만 마감할 수 있습니다.',
+        });
+    }
+    if (!matchesIfMatch(req, job)) {
+        res.set('ETag', jobETag(job));
+        return res.status(412).json({
+            status: 'error',
+            message: JOB_MODIFIED_MESSAGE,
+        });
+    }
+
+    try {
+        // 조회한 뒤 다른 요청이 공고를 수정했으면(버전이 다르면) 마감하지 않음
+        const closed = await closeJobs({ id: job.id, status: JOB_STATUS.OPEN, version: job.version });
+        if (closed === 0) {
+            return res.status(412).json({
+                status: 'error',
+                message: JOB_MODIFIED_MESSAGE,
+            });
+        }
+        await job.reload();
+
+        res.set('ETag', jobETag(job));
+        res.status(200).json({
+            status: 'success',
+            message: '채용 공고를 마감했습니다.',
+            data: job,
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            status: 'error',
+            message: '채용 공고 마감 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /jobs/{id}/reopen:
+ *   post:
+ *     summary: 채용 공고 다시 열기
+ *     description: "마감된 공고를 다시 모집 중으로 바꿉니다. 마감일(deadline)이 지난 공고는 먼저 마감일을 수정해야 합니다. 회사 사용자는 소속 회사의 공고만, 관리자는 모든 공고를 다시 열 수 있습니다."
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: 다시 열 채용 공고의 ID
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: If-Match
+ *         in: header
+ *         description: "GET /jobs/{id} 응답의 ETag. 그사이 공고가 수정되었으면 412 (생략하면 확인하지 않음)"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '"3"'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               closeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: "새 마감 예정 시각 (생략하면 마감 예정 없음)"
+ *                 example: "2026-12-31T18:00:00+09:00"
+ *     responses:
+ *       200:
+ *         description: 다시 열기 성공 (data에 공고 포함)
+ *       400:
+ *         description: 잘못된 입력값이거나 마감된 공고가 아님, 또는 마감일이 지남
+ *       403:
+ *         description: 권한이 없음
+ *       404:
+ *         description: 해당 채용 공고를 찾을 수 없음
+ *       412:
+ *         description: If-Match가 현재 ETag와 다름 (다른 사용자가 먼저 수정함)
+ *       500:
+ *         description: 서버 오류
+ */
+/**
+ * 채용 공고 다시 열기 API (POST /jobs/:id/reopen)
+ *
+ * @param {Object} req - 요청 객체, 본문에 `closeAt` 포함 (선택)
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 다시 열린 공고
+ * @throws {Error} - 공고를 다시 여는 중 오류 발생 시 예외 처리
+ */
+
+// 채용 공고 다시 열기 API (POST /jobs/:id/reopen)
+router.post('/:id/reopen', authenticateJWT, authorizeRoles(JOB_MANAGER_ROLES), loadUserCompany, loadManagedJob, async (req, res) => {
+    const { error, value } = reopenSchema.validate(req.body || {}, { abortEarly: false });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: validationMessage(error),
+        });
+    }
+
+    const { job } = req;
+    if (job.status !== JOB_STATUS.CLOSED && job.status !== JOB_STATUS.EXPIRED) {
+        return res.status(400).json({
+            status: 'error',
+            message: '마감된 공고만 다시 열 수 있습니다.',
+        });
+    }
+    if (job.deadlineType === DEADLINE_TYPES.FIXED && job.deadline && job.deadline < toDateString(new Date())) {
+        return res.status(400).json({
+            status: 'error',
+            message: '마감일이 지난 공고입니다. 마감일을 수정한 뒤 다시 열어 주세요.',
+        });
+    }
+    if (!matchesIfMatch(req, job)) {
+        res.set('ETag', jobETag(job));
+        return res.status(412).json({
+            status: 'error',
+            message: JOB_MODIFIED_MESSAGE,
+        });
+    }
+
+    try {
+        await job.update({ status: JOB_STATUS.OPEN, closedAt: null, closeReason: null, closeAt: value.closeAt ?? null });
+
+        res.set('ETag', jobETag(job));
+        res.status(200).json({
+            status: 'success',
+            message: '채용 공고를 다시 열었습니다.',
+            data: job,
+        });
+    } catch (error) {
+        if (error instanceof OptimisticLockError) {
+            return res.status(412).json({
+                status: 'error',
+                message: JOB_MODIFIED_MESSAGE,
+            });
+        }
+        console.error(error);
+        res.status(500).json({
+            status: 'error',
+            message: '채용 공고를 다시 여는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
 /**
  * 채용 공고 등록 API (POST /jobs)
  * 
@@ -641,7 +2746,7 @@ router.delete('/:id', authenticateJWT, async (req, res) => {
  * /jobs:
  *   post:
  *     summary: 채용 공고 등록
- *     description: 새로운 채용 공고를 등록합니다.
+ *     description: 새로운 채용 공고를 등록합니다. 회사 사용자와 관리자만 등록할 수 있으며, 회사 사용자가 등록한 공고는 소속 회사의 공고가 됩니다. draft가 true이면 임시 저장(작성 중)하고, publishAt이 미래이면 그 시각에 게시되도록 예약합니다.
  *     requestBody:
  *       required: true
  *       content:
@@ -671,21 +2776,49 @@ router.delete('/:id', authenticateJWT, async (req, res) => {
  *               deadline:
  *                 type: string
  *                 format: date
+ *                 description: "마감일 (deadlineType이 fixed일 때 필수)"
  *                 example: "2024-12-31"
+ *               deadlineType:
+ *                 type: string
+ *                 enum: ["fixed", "rolling", "until_filled"]
+ *                 description: "마감 유형 (기본값: fixed, rolling은 상시채용, until_filled는 채용 시 마감)"
+ *                 example: "fixed"
  *               techStack:
  *                 type: array
  *                 items:
  *                   type: string
  *                 example: ["React", "Node.js"]
  *               salary:
- *                 type: number
- *                 example: 5000000
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: "금액(원) 또는 급여 문구. 문구는 최소/최대 금액, 지급 주기, 협의 여부로 자동 해석"
+ *                 example: "연봉 3,000~4,000만원"
+ *               salaryPeriod:
+ *                 type: string
+ *                 enum: [annual, monthly, daily, hourly]
+ *                 description: "급여 지급 주기 (생략 시 문구에서 추정, 금액은 annual)"
  *               description:
  *                 type: string
  *                 example: "React, JavaScript, Node.js 등 프론트엔드 개발자 모집"
  *               link:
  *                 type: string
  *                 example: "https://example.com/job-posting"
+ *               draft:
+ *                 type: boolean
+ *                 description: "true이면 임시 저장 (등록한 회사와 관리자만 볼 수 있고, POST /jobs/{id}/publish로 게시)"
+ *                 example: false
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: "게시 시각 (미래이면 게시 예약, 생략하면 바로 게시)"
+ *                 example: "2026-11-01T09:00:00+09:00"
+ *               closeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: "마감 예정 시각 (이 시각에 자동으로 마감하고 지원자에게 알림, null이면 마감 예정 없음)"
+ *                 example: "2026-11-30T18:00:00+09:00"
  *     responses:
  *       201:
  *         description: 채용 공고 등록 성공
@@ -714,96 +2847,27 @@ router.delete('/:id', authenticateJWT, async (req, res) => {
  *                       example: "서울"
  *       400:
  *         description: 잘못된 입력값
+ *       403:
+ *         description: 권한이 없음 (회사 사용자나 관리자가 아니거나 소속 회사가 없는 회사 사용자)
  *       500:
  *         description: 서버 오류
  */
 
 // 채용 공고 등록 API (POST /jobs)
-router.post('/', authenticateJWT, async (req, res) => {
-    const { title, company, location, experience, education, employmentType, deadline, techStack, salary, description, link } = req.body;
-
-    // Joi를 이용한 입력 데이터 검증 스키마 정의
-    const schema = Joi.object({
-        title: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '제목은 필수 항목입니다.',
-            'string.min': '제목은 최소 3자 이상이어야 합니다.',
-            'string.max': '제목은 최대 255자까지 가능합니다.',
-        }),
-        company: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '회사명은 필수 항목입니다.',
-            'string.min': '회사명은 최소 3자 이상이어야 합니다.',
-            'string.max': '회사명은 최대 255자까지 가능합니다.',
-        }),
-        location: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '위치는 필수 항목입니다.',
-            'string.min': '위치는 최소 3자 이상이어야 합니다.',
-            'string.max': '위치는 최대 255자까지 가능합니다.',
-        }),
-        experience: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '경력 요구사항은 필수 항목입니다.',
-            'string.min': '경력 요구사항은 최소 3자 이상이어야 합니다.',
-            'string.max': '경력 요구사항은 최대 255자까지 가능합니다.',
-        }),
-        education: Joi.string().min(3).max(255).required().messages({
-            'string.empty': '학력 요구사항은 필수 항목입니다.',
-            'string.min': '학력 요구사항은 최소 3자 이상이어야 합니다.',
-            'string.max': '학력 요구사항은 최대 255자까지 가능합니다.',
-        }),
-        employmentType: Joi.string().valid('full-time', 'part-time', 'contract', 'internship').required().messages({
-            'any.only': '고용 형태는 full-time, part-time, contract, internship 중 하나여야 합니다.',
-            'string.empty': '고용 형태는 필수 항목입니다.',
-        }),
-        deadline: Joi.date().iso().required().messages({
-            'string.empty': '마감일은 필수 항목입니다.',
-            'date.format': '마감일은 유효한 날짜 형식이어야 합니다.',
-        }),
-        techStack: Joi.array().items(Joi.string()).min(1).required().messages({
-            'array.min': '기술 스택은 최소 1개 이상이어야 합니다.',
-            'array.base': '기술 스택은 배열 형태여야 합니다.',
-            'string.base': '기술 스택의 각 항목은 문자열이어야 합니다.',
-        }),
-        salary: Joi.number().positive().required().messages({
-            'number.base': '급여는 숫자여야 합니다.',
-            'number.positive': '급여는 양수여야 합니다.',
-            'any.required': '급여는 필수 항목입니다.',
-        }),
-        description: Joi.string().min(10).required().messages({
-            'string.empty': '설명은 필수 항목입니다.',
-            'string.min': '설명은 최소 10자 이상이어야 합니다.',
-        }),
-        link: Joi.string().uri().required().messages({
-            'string.uri': '링크는 유효한 URL 형식이어야 합니다.',
-            'string.empty': '링크는 필수 항목입니다.',
-        }),
-    });
-
+router.post('/', authenticateJWT, authorizeRoles(JOB_MANAGER_ROLES), loadUserCompany, async (req, res) => {
     // 입력값 검증
-    const { error } = schema.validate(req.body, { abortEarly: false });
+    const { error } = createJobSchema.validate(req.body, { abortEarly: false });
     if (error) {
-        const errorMessages = error.details.map((err) => err.message);
         return res.status(400).json({
             status: 'error',
-            message: errorMessages.join(', '),
+            message: validationMessage(error),
         });
     }
 
     try {
-        const newJob = await Job.create({
-            title,
-            company,
-            location,
-            experience,
-            education,
-            employmentType,
-            deadline,
-            techStack,
-            salary,
-            description,
-            link,
-            views: 0,
-            userId: req.user.id, // 공고를 등록한 사용자 ID
-        });
+        const newJob = await createJob(req, req.body);
 
+        res.set('ETag', jobETag(newJob));
         res.status(201).json({
             status: 'success',
             data: newJob,
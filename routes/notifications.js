@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const { Notification } = require('../models');
+const { authenticateJWT } = require('../middleware/authenticateJWT');
+const { parseListQuery, findPage, setLinkHeader } = require('../services/pagination');
+
+// 알림 목록에서 정렬할 수 있는 필드
+const NOTIFICATION_SORT_FIELDS = {
+    id: 'id',
+    createdAt: { column: 'createdAt', type: 'date' },
+};
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: "알림 목록 조회"
+ *     description: "로그인한 사용자의 알림을 최신순으로 조회합니다. 관리자는 크롤링 이상 알림도 여기서 확인합니다."
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [unread, read]
+ *         description: "읽음 상태 필터"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: "페이지 번호"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: "페이지 크기 (최대 100)"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *         description: "정렬 기준 (쉼표로 여러 필드, 앞에 -를 붙이면 내림차순). id, createdAt 사용 가능"
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: "이전 응답의 pagination.nextCursor. 지정하면 page 대신 커서 다음 항목부터 조회"
+ *     responses:
+ *       200:
+ *         description: "알림 목록 조회 성공 (Link 헤더에 다른 페이지 주소 포함)"
+ *       400:
+ *         description: "잘못된 페이지, 정렬 또는 커서"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 로그인한 사용자의 알림 목록을 조회하는 API
+ *
+ * @param {Object} req - Express 요청 객체, `status`, `page`, `limit`, `sort`, `cursor` 쿼리 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (알림 목록), 400 Bad Request 응답 객체 (잘못된 페이지/정렬 조건),
+ * 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 알림 목록 조회 API (GET /notifications)
+router.get('/', authenticateJWT, async (req, res) => {
+    const { status } = req.query;
+    const { error, value: list } = parseListQuery(req.query, { sortFields: NOTIFICATION_SORT_FIELDS, defaultSort: '-createdAt' });
+    if (error) {
+        return res.status(400).json({
+            status: 'error',
+            message: error,
+        });
+    }
+
+    try {
+        const filter = { userId: req.user.id };
+        if (status) filter.status = status;
+
+        const { rows, pagination } = await findPage(Notification, { where: filter }, list);
+
+        setLinkHeader(req, res, pagination);
+        res.status(200).json({
+            status: 'success',
+            data: rows,
+            pagination,
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '알림을 조회하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   put:
+ *     summary: "알림 읽음 처리"
+ *     description: "본인의 알림을 읽음 상태로 바꿉니다."
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: "알림 ID"
+ *     responses:
+ *       200:
+ *         description: "읽음 처리 성공"
+ *       404:
+ *         description: "알림을 찾을 수 없음"
+ *       500:
+ *         description: "서버 오류"
+ */
+
+/**
+ * 알림을 읽음 상태로 바꾸는 API
+ *
+ * @param {Object} req - Express 요청 객체, `id` 파라미터 포함
+ * @param {Object} res - Express 응답 객체
+ *
+ * @returns {Object} 200 OK 응답 객체 (읽음 처리된 알림), 404 Not Found 응답 객체 (알림 없음),
+ * 500 Internal Server Error 응답 객체 (서버 오류)
+ */
+
+// 알림 읽음 처리 API (PUT /notifications/:id/read)
+router.put('/:id/read', authenticateJWT, async (req, res) => {
+    try {
+        // 다른 사용자의 알림은 없는 것으로 처리
+        const notification = await Notification.findOne({ where: { id: req.params.id, userId: req.user.id } });
+        if (!notification) {
+            return res.status(404).json({
+                status: 'error',
+                message: '해당 알림을 찾을 수 없습니다.',
+            });
+        }
+
+        await notification.update({ status: 'read' });
+        res.status(200).json({
+            status: 'success',
+            data: notification,
+        });
+    } catch (error) {
+        console.error('Error updating notification:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '알림을 처리하는 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const { Job, JobRegion, sequelize } = require('../models');
+const { authenticateJWT } = require('../middleware/authenticateJWT');
+const { JOB_STATUS } = require('../services/jobStatus');
+const { regions } = require('../services/regions');
+
+/**
+ * @swagger
+ * /regions:
+ *   get:
+ *     summary: 지역 목록 조회
+ *     description: 시/도와 하위 시/군/구 목록을 모집 중인 공고 수와 함께 조회합니다. 코드는 GET /jobs의 region 필터에 사용할 수 있습니다.
+ *     responses:
+ *       200:
+ *         description: 지역 목록 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code:
+ *                         type: string
+ *                         example: '41'
+ *                       name:
+ *                         type: string
+ *                         example: '경기'
+ *                       fullName:
+ *                         type: string
+ *                         example: '경기도'
+ *                       jobCount:
+ *                         type: integer
+ *                         example: 120
+ *                       districts:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             code:
+ *                               type: string
+ *                               example: '41002'
+ *                             name:
+ *                               type: string
+ *                               example: '성남시'
+ *                             jobCount:
+ *                               type: integer
+ *                               example: 35
+ *       500:
+ *         description: 서버 오류
+ */
+/**
+ * 지역 목록 조회 API (GET /regions)
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 시/도별 시/군/구 목록과 모집 중인 공고 수
+ * @throws {Error} - 공고 수 집계 중 오류 발생 시 예외 처리
+ */
+
+// 지역 목록 조회 API (GET /regions)
+router.get('/', authenticateJWT, async (req, res) => {
+    try {
+        // 한 공고가 같은 시/도의 여러 시/군/구에 걸칠 수 있으므로 시/도 단위는 따로 중복 없이 셈
+        const countJobs = (groupField) => JobRegion.findAll({
+            attributes: [groupField, [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('jobId'))), 'jobCount']],
+            include: [{ model: Job, as: 'job', attributes: [], where: { status: JOB_STATUS.OPEN } }],
+            group: [groupField],
+            raw: true,
+        });
+
+        const [sidoCounts, districtCounts] = await Promise.all([countJobs('sidoCode'), countJobs('regionCode')]);
+        const sidoCountMap = new Map(sidoCounts.map(row => [row.sidoCode, parseInt(row.jobCount, 10)]));
+        const districtCountMap = new Map(districtCounts.map(row => [row.regionCode, parseInt(row.jobCount, 10)]));
+
+        const data = regions.map(sido => ({
+            code: sido.code,
+            name: sido.name,
+            fullName: sido.fullName,
+            jobCount: sidoCountMap.get(sido.code) || 0,
+            districts: sido.districts.map(district => ({
+                code: district.code,
+                name: district.name,
+                jobCount: districtCountMap.get(district.code) || 0,
+            })),
+        }));
+
+        res.status(200).json({
+            status: 'success',
+            data,
+        });
+    } catch (error) {
+        console.error('Region Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '지역 목록 조회 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+module.exports = router;
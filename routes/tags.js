@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { Tag, sequelize } = require('../models');
+const { authenticateJWT } = require('../middleware/authenticateJWT');
+const { Op } = require('sequelize');
+const { JOB_STATUS } = require('../services/jobStatus');
+const { canonicalTagName, getAliases } = require('../services/tags');
+
+/**
+ * @swagger
+ * /tags:
+ *   get:
+ *     summary: 기술 스택 태그 목록 조회
+ *     description: 태그를 모집 중인 공고 수가 많은 순으로 조회합니다. 태그 이름은 GET /jobs의 tags 필터에 사용할 수 있습니다.
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         description: "태그 이름 검색어 (별칭으로도 검색 가능. 예: '리액트')"
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         description: "조회할 태그 수 (기본값: 50, 최대 200)"
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: 태그 목록 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 3
+ *                       name:
+ *                         type: string
+ *                         example: 'React'
+ *                       aliases:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ['리액트', 'React.js', 'ReactJS']
+ *                       jobCount:
+ *                         type: integer
+ *                         example: 42
+ *       500:
+ *         description: 서버 오류
+ */
+/**
+ * 태그 목록 조회 API (GET /tags)
+ *
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @returns {Object} - 모집 중인 공고 수 순으로 정렬된 태그 목록
+ * @throws {Error} - 태그 조회 중 오류 발생 시 예외 처리
+ */
+
+// 태그 목록 조회 API (GET /tags)
+router.get('/', authenticateJWT, async (req, res) => {
+    const { q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    try {
+        const where = {};
+        if (q) {
+            // 별칭으로 검색한 경우 대표 이름도 함께 찾음 ("리액트" → React)
+            where[Op.or] = [
+                { name: { [Op.like]: `%${q}%` } },
+                { name: canonicalTagName(q) },
+            ];
+        }
+
+        const jobCount = sequelize.literal(
+            '(SELECT COUNT(*) FROM job_tags JOIN jobs ON jobs.id = job_tags.jobId'
+            + ` WHERE job_tags.tagId = Tag.id AND jobs.status = ${sequelize.escape(JOB_STATUS.OPEN)})`
+        );
+
+        const tags = await Tag.findAll({
+            where,
+            attributes: ['id', 'name', [jobCount, 'jobCount']],
+            order: [[jobCount, 'DESC'], ['name', 'ASC']],
+            limit,
+        });
+
+        res.status(200).json({
+            status: 'success',
+            data: tags.map(tag => ({
+                id: tag.id,
+                name: tag.name,
+                aliases: getAliases(tag.name),
+                jobCount: parseInt(tag.get('jobCount'), 10),
+            })),
+        });
+    } catch (error) {
+        console.error('Tag Error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '태그 목록 조회 중 오류가 발생했습니다.',
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/*
+ * 크롤러 명령줄 실행 스크립트
+ * API 서버 없이 크롤링을 한 번 실행하거나, --dry-run으로 DB에 쓰지 않고 파싱 결과만 파일로 내보냅니다.
+ *
+ * 예시:
+ *   npm run crawl -- --pages 2 --keyword 백엔드
+ *   npm run crawl -- --dry-run --pages 1 --out snapshot.jsonl
+ *   npm run crawl -- --dry-run --category 84 --detail --out snapshot.csv
+ *   npm run crawl -- --keyword 프론트엔드 --region 11 --career entry
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { parseArgs } = require('util');
+const { getSource, listSources } = require('../services/sources');
+const { collectJobs } = require('../services/collector');
+const { CAREER_LEVELS, getCrawlConfig } = require('../services/crawlConfig');
+const { toCsvLine } = require('../services/csv');
+const regions = require('../data/regions.json');
+
+const USAGE = `사용법: node scripts/crawl.js [옵션]
+
+옵션:
+  -p, --pages <수>          크롤링할 페이지 수 (기본값: CRAWL_PAGES)
+  -k, --keyword <검색어>     검색어로 공고 검색
+  -c, --category <코드>      직무 카테고리 코드 (사람인 cat_kewd, 쉼표로 여러 개)
+  -r, --region <코드>        지역 코드 (data/regions.json의 시/도 또는 시/군/구 코드)
+      --career <조건>        경력 조건 (entry: 신입, experienced: 경력, any: 경력무관)
+  -s, --source <이름>        크롤링 소스 (기본값: CRAWL_SOURCE)
+      --dry-run             DB에 저장하지 않고 파싱만 실행
+      --detail              --dry-run에서 상세 페이지 내용도 포함
+  -o, --out <파일>           정규화된 공고를 파일로 저장 (.csv면 CSV, 그 외는 JSONL)
+      --format <jsonl|csv>  저장 형식 (기본값: 파일 확장자로 판단)
+  -h, --help                도움말 출력`;
+
+// 내보낼 공고 필드 (CSV 열 순서)
+const EXPORT_FIELDS = [
+    'title', 'company', 'companyKey', 'link', 'location', 'experience', 'education', 'employmentType',
+    'deadline', 'deadlineType', 'techStack', 'salary', 'salaryMin', 'salaryMax', 'salaryPeriod',
+    'salaryNegotiable', 'source',
+];
+const DETAIL_FIELDS = ['description', 'responsibilities', 'requirements', 'benefits', 'hiringProcess'];
+
+/**
+ * 명령줄 인자를 읽고 검증하는 함수
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Object} 크롤링 옵션
+ * @throws {Error} 잘못된 옵션이 있으면 예외 발생
+ */
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            pages: { type: 'string', short: 'p' },
+            keyword: { type: 'string', short: 'k' },
+            category: { type: 'string', short: 'c' },
+            region: { type: 'string', short: 'r' },
+            career: { type: 'string' },
+            source: { type: 'string', short: 's' },
+            'dry-run': { type: 'boolean', default: false },
+            detail: { type: 'boolean', default: false },
+            out: { type: 'string', short: 'o' },
+            format: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const config = getCrawlConfig();
+    const pages = values.pages === undefined ? config.pages : parseInt(values.pages, 10);
+    if (Number.isNaN(pages) || pages < 1) {
+        throw new Error('페이지 수는 1 이상의 숫자여야 합니다.');
+    }
+
+    const source = values.source || config.source;
+    if (!listSources().includes(source)) {
+        throw new Error(`지원하지 않는 크롤링 소스입니다. (${listSources().join(', ')})`);
+    }
+
+    // 모델 없이 확인할 수 있도록 지역 코드만 받음 (이름 → 코드 변환은 API의 크롤링 프로필에서 지원)
+    if (values.region) {
+        const sido = regions.find(item => item.code === values.region.slice(0, 2));
+        const known = sido && (values.region === sido.code || sido.districts.some(district => district.code === values.region));
+        if (!known) {
+            throw new Error(`알 수 없는 지역 코드입니다: ${values.region}`);
+        }
+    }
+
+    if (values.career && !CAREER_LEVELS.includes(values.career)) {
+        throw new Error(`경력 조건은 ${CAREER_LEVELS.join(', ')} 중 하나여야 합니다.`);
+    }
+
+    const format = values.format || (values.out && path.extname(values.out).toLowerCase() === '.csv' ? 'csv' : 'jsonl');
+    if (!['jsonl', 'csv'].includes(format)) {
+        throw new Error('저장 형식은 jsonl 또는 csv여야 합니다.');
+    }
+
+    if (values.detail && !values['dry-run']) {
+        throw new Error('--detail은 --dry-run과 함께 사용할 수 있습니다. (실제 크롤링은 상세 페이지를 DB에 저장합니다)');
+    }
+
+    return {
+        help: values.help,
+        pages,
+        source,
+        query: { keyword: values.keyword, category: values.category, region: values.region, careerLevel: values.career },
+        dryRun: values['dry-run'],
+        withDetail: values.detail,
+        out: values.out,
+        format,
+        replayDir: config.replayDir,
+        captureDir: config.captureDir,
+    };
+}
+
+/**
+ * 공고를 JSONL 또는 CSV 파일로 쓰는 함수를 만드는 함수
+ * @param {string} filePath - 저장할 파일 경로
+ * @param {string} format - 'jsonl' 또는 'csv'
+ * @param {string[]} fields - 저장할 필드 목록
+ * @returns {{ write: function(Object): Promise<void>, close: function(): Promise<void> }}
+ */
+function createWriter(filePath, format, fields) {
+    const stream = fs.createWriteStream(filePath, { encoding: 'utf-8' });
+
+    const writeText = async (text) => {
+        if (!stream.write(text)) {
+            await once(stream, 'drain'); // 버퍼가 비워질 때까지 대기
+        }
+    };
+
+    if (format === 'csv') {
+        // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+        stream.write(`\uFEFF${toCsvLine(fields)}`);
+    }
+
+    return {
+        write: (item) => {
+            const row = fields.map(field => item[field] ?? null);
+            if (format === 'csv') {
+                return writeText(toCsvLine(row));
+            }
+            return writeText(`${JSON.stringify(Object.fromEntries(fields.map((field, index) => [field, row[index]])))}\n`);
+        },
+        close: () => new Promise((resolve, reject) => {
+            stream.on('error', reject);
+            stream.end(resolve);
+        }),
+    };
+}
+
+/**
+ * 크롤링을 실행하는 함수
+ * 실제 크롤링은 DB 연결이 필요하므로 모델을 이때 불러옵니다. (--dry-run은 DB 설정 없이 실행 가능)
+ * @param {Object} options - parseOptions 결과
+ * @returns {Promise<Object>} 처리 결과 집계
+ */
+async function run(options) {
+    const source = getSource(options.source, { replayDir: options.replayDir, captureDir: options.captureDir });
+    const fields = options.withDetail ? [...EXPORT_FIELDS, ...DETAIL_FIELDS] : EXPORT_FIELDS;
+    const writer = options.out ? createWriter(options.out, options.format, fields) : null;
+    const onItem = writer ? writer.write : undefined;
+
+    try {
+        if (options.dryRun) {
+            return await collectJobs(source, {
+                pages: options.pages,
+                query: options.query,
+                withDetail: options.withDetail,
+                onItem: onItem || (() => {}),
+            });
+        }
+
+        const { CrawlRun, sequelize } = require('../models');
+        const { crawlSource } = require('../services/crawler');
+        try {
+            const crawlRun = await CrawlRun.create({
+                source: source.name,
+                triggeredBy: 'cli',
+                pages: options.pages,
+                status: 'running',
+                startedAt: new Date(),
+            });
+            console.log(`[${source.name}] 크롤링 시작 #${crawlRun.id} (${options.pages}페이지)`);
+            return await crawlSource(source, { pages: options.pages, run: crawlRun, query: options.query, onItem });
+        } finally {
+            await sequelize.close();
+        }
+    } finally {
+        if (writer) {
+            await writer.close();
+        }
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const stats = await run(options);
+    const { errors, quality, ...counts } = stats;
+    console.log('크롤링 결과:', counts);
+    if (errors && errors.length > 0) {
+        console.log('오류 목록:', errors);
+    }
+    if (quality && quality.issues.length > 0) {
+        // 파서가 깨졌을 가능성이 있으므로 드라이런에서도 실패로 종료
+        console.warn('파싱 품질 이상:', quality.issues);
+        process.exitCode = 1;
+    }
+    if (options.out) {
+        console.log(`저장 완료: ${options.out} (${options.format})`);
+    }
+    if (stats.pagesCrawled === 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error('크롤링 중 오류 발생:', error);
+    process.exitCode = 1;
+});
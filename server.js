@@ -9,9 +9,16 @@ const interviewRoutes = require('./routes/interviews');
 const companyRoutes = require('./routes/company');
 const jobreviewRoutes = require('./routes/jobreview');
 const bookmarksRoutes = require('./routes/bookmarks');
+const crawlRoutes = require('./routes/crawls');
+const crawlProfileRoutes = require('./routes/crawlProfiles');
+const regionRoutes = require('./routes/regions');
+const tagRoutes = require('./routes/tags');
+const notificationRoutes = require('./routes/notifications');
+const duplicateRoutes = require('./routes/duplicates');
 const { swaggerSpec, swaggerUi } = require('./swagger/swagger');
 const cors = require('cors');
-const crawl_saramin = require('./services/crawl_saramin'); // 크롤링 함수 import
+const { startCrawlScheduler } = require('./services/crawlScheduler'); // 크롤링 스케줄러 import
+const { startJobScheduler } = require('./services/jobScheduler'); // 공고 게시/마감 스케줄러 import
 
 dotenv.config();
 const app = express();
@@ -19,6 +26,11 @@ const app = express();
 sequelize.sync({ force: false }) // true일 경우 기존 테이블 삭제 후 재생성
     .then(() => {
         console.log('데이터베이스와 테이블이 성공적으로 동기화되었습니다.');
+
+        // 테이블이 준비된 뒤 백그라운드 크롤링 시작 (서버 기동을 막지 않음)
+        startCrawlScheduler();
+        // 게시/마감 예정 시각이 된 공고 처리
+        startJobScheduler();
     })
     .catch((error) => {
         console.error('데이터베이스 동기화 중 오류 발생:', error.message); // 오류 메시지 출력
@@ -46,6 +58,18 @@ app.use('/companies', companyRoutes);
 
 app.use('/jobreviews', jobreviewRoutes);
 
+app.use('/crawls', crawlRoutes);
+
+app.use('/crawl-profiles', crawlProfileRoutes);
+
+app.use('/regions', regionRoutes);
+
+app.use('/tags', tagRoutes);
+
+app.use('/notifications', notificationRoutes);
+
+app.use('/duplicates', duplicateRoutes);
+
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // 기본 라우트
@@ -57,25 +81,16 @@ app.get('/', (req, res) => {
 const PORT = process.env.PORT;
 const HOST = "0.0.0.0";
 
-// 서버 시작 시 크롤링 실행
-async function startServer() {
-    try {
-        await crawl_saramin(3);
-        
-        console.log('서버 시작 전에 크롤링 완료');
-        
-        // 서버 실행
-        app.listen(PORT, HOST, async () => {
-            try {
-                await sequelize.authenticate();
-                console.log('Database connected successfully.');
-            } catch (error) {
-                console.error('Unable to connect to the database:', error);
-            }
-        });
-    } catch (error) {
-        console.error('크롤링 중 오류 발생:', error.message);
-    }
+// 크롤링 완료를 기다리지 않고 바로 요청을 받음
+function startServer() {
+    app.listen(PORT, HOST, async () => {
+        try {
+            await sequelize.authenticate();
+            console.log('Database connected successfully.');
+        } catch (error) {
+            console.error('Unable to connect to the database:', error);
+        }
+    });
 }
 
 // 서버 시작
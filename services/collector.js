@@ -0,0 +1,124 @@
+const { parseSalary } = require('./salary');
+const { createQualityTracker } = require('./parseQuality');
+
+// CrawlRun에 저장할 오류 내용의 최대 개수
+const MAX_RECORDED_ERRORS = 100;
+
+/**
+ * 오류 개수는 모두 세고 내용은 최대 MAX_RECORDED_ERRORS개까지만 보관하는 기록 함수를 만드는 함수
+ * @param {Object} stats - errorCount를 증가시킬 집계 객체
+ * @returns {{ errors: Object[], recordError: function(string, Object=): void }}
+ */
+function createErrorRecorder(stats) {
+    const errors = [];
+    const recordError = (message, context = {}) => {
+        stats.errorCount++;
+        if (errors.length < MAX_RECORDED_ERRORS) {
+            errors.push({ ...context, message });
+        }
+    };
+    return { errors, recordError };
+}
+
+// 검색 조건이 하나라도 있는지 (전체 목록이 아닌 일부 공고만 보는 크롤링)
+function hasQuery(query = {}) {
+    return Object.values(query).some(Boolean);
+}
+
+/**
+ * 소스 어댑터가 목록에서 채워야 하는 필드로 파싱 품질 집계 객체를 만드는 함수
+ * 검색 결과는 0건일 수 있으므로, 검색 조건이 없는 목록 크롤링에서만 공고가 없는 것을 이상으로 봅니다.
+ * @param {Object} source - 소스 어댑터
+ * @param {Object} [query] - 목록 검색 조건
+ * @returns {Object} createQualityTracker 결과
+ */
+function createSourceQualityTracker(source, query = {}) {
+    return createQualityTracker({
+        fields: source.expectedFields ? source.expectedFields(query) : undefined,
+        expectItems: !hasQuery(query),
+    });
+}
+
+// 정규화된 공고에 급여 구조화 값과 소스 이름을 붙임
+function toItem(source, normalizedData) {
+    // 급여가 없는 목록(검색 결과)은 급여 필드를 비워 두어 기존 공고의 급여를 덮어쓰지 않음
+    const salaryFields = normalizedData.salary === undefined ? {} : parseSalary(normalizedData.salary);
+    return { ...normalizedData, ...salaryFields, source: source.name };
+}
+
+/**
+ * DB에 저장하지 않고 공고 목록만 크롤링하는 함수 (드라이런, 파일 내보내기용)
+ * withDetail이면 상세 페이지도 가져와서 description 등 항목별 내용을 함께 넘깁니다.
+ * @param {Object} source - 소스 어댑터
+ * @param {Object} options
+ * @param {number} options.pages - 크롤링할 페이지 수
+ * @param {Object} [options.query] - 목록 검색 조건 ({ keyword, category, region, careerLevel })
+ * @param {boolean} [options.withDetail] - 상세 페이지 포함 여부
+ * @param {Function} options.onItem - 정규화된 공고마다 목록 순서대로 호출할 함수
+ * @returns {Promise<Object>} 처리 결과 집계 (pagesCrawled, itemsSeen, collected, skipped, errorCount, errors, quality)
+ */
+async function collectJobs(source, { pages, query = {}, withDetail = false, onItem }) {
+    const stats = { pagesCrawled: 0, itemsSeen: 0, collected: 0, skipped: 0, errorCount: 0 };
+    const { errors, recordError } = createErrorRecorder(stats);
+    const qualityTracker = createSourceQualityTracker(source, query);
+
+    for (let page = 1; page <= pages; page++) {
+        try {
+            const rawJobs = source.parseList(await source.fetch(source.listUrl(page, query)));
+            stats.itemsSeen += rawJobs.length;
+            qualityTracker.recordPage(rawJobs);
+
+            const items = [];
+            rawJobs.forEach((rawJobData) => {
+                const normalizedData = source.normalize(rawJobData);
+                if (!normalizedData) {
+                    stats.skipped++;
+                    recordError('필수 필드 누락: title, company, 또는 link가 없습니다.', { page, link: rawJobData.link || null });
+                    return;
+                }
+                items.push(toItem(source, normalizedData));
+            });
+
+            if (withDetail) {
+                await Promise.all(items.map(async (item) => {
+                    Object.assign(item, await fetchJobDetail(source, item.link, recordError));
+                }));
+            }
+
+            for (const item of items) {
+                await onItem(item);
+                stats.collected++;
+            }
+            stats.pagesCrawled++;
+            console.log(`[${source.name}] ${page}페이지 수집 완료 (${items.length}건)`);
+        } catch (error) {
+            recordError(`페이지 요청 중 에러 발생: ${error.message}`, { page });
+            console.error(`[${source.name}] 페이지 요청 중 에러 발생: ${error}`);
+        }
+    }
+
+    return { ...stats, errors, quality: qualityTracker.summarize() };
+}
+
+/**
+ * 공고 상세 페이지를 가져와서 파싱하는 함수
+ * @param {Object} source - 소스 어댑터
+ * @param {string} link - 공고 링크
+ * @param {Function} recordError - 오류 기록 함수
+ * @returns {Promise<Object|null>} parseDetail 결과 (상세 페이지가 없거나 오류가 나면 null)
+ */
+async function fetchJobDetail(source, link, recordError) {
+    try {
+        const detailUrl = source.detailUrl(link);
+        if (!detailUrl) {
+            return null;
+        }
+        return source.parseDetail(await source.fetch(detailUrl));
+    } catch (error) {
+        recordError(`상세 페이지 크롤링 중 에러 발생: ${error.message}`, { link });
+        console.error(`상세 페이지 크롤링 중 에러 발생 (${link}): ${error}`);
+        return null;
+    }
+}
+
+module.exports = { createErrorRecorder, hasQuery, createSourceQualityTracker, toItem, fetchJobDetail, collectJobs };
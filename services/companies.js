@@ -0,0 +1,72 @@
+const { Company } = require('../models');
+
+// 기업정보를 다시 가져오기까지의 기본 일수
+const DEFAULT_REFRESH_DAYS = 30;
+
+/**
+ * 기업정보를 다시 가져올 주기(일)를 환경 변수에서 읽는 함수
+ * COMPANY_REFRESH_DAYS가 0이면 기업정보를 가져오지 않습니다.
+ * @returns {number}
+ */
+function getRefreshDays() {
+    const days = parseInt(process.env.COMPANY_REFRESH_DAYS ?? DEFAULT_REFRESH_DAYS, 10);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_REFRESH_DAYS : days;
+}
+
+/**
+ * 공고의 회사명과 소스 식별자로 회사를 찾거나 만드는 함수
+ * 식별자가 있으면 식별자로 먼저 찾고, 없으면 같은 이름의 회사를 연결합니다.
+ * @param {Object} data
+ * @param {string} data.name - 회사명
+ * @param {string} [data.source] - 크롤링 소스 이름
+ * @param {string} [data.externalId] - 소스에서 쓰는 회사 식별자
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - 함께 묶을 트랜잭션
+ * @returns {Promise<Object|null>} Company 인스턴스 (회사명이 없으면 null)
+ */
+async function findOrCreateCompany({ name, source = null, externalId = null }, { transaction } = {}) {
+    if (!name) {
+        return null;
+    }
+
+    if (source && externalId) {
+        const company = await Company.findOne({ where: { source, externalId }, transaction });
+        if (company) {
+            // 회사명이 바뀐 경우 최신 이름으로 갱신
+            if (company.name !== name) {
+                await company.update({ name }, { transaction });
+            }
+            return company;
+        }
+    }
+
+    // 직접 등록되었거나 식별자 없이 만들어진 같은 이름의 회사를 재사용
+    const sameName = await Company.findOne({ where: { name, externalId: null }, transaction });
+    if (sameName) {
+        if (source && externalId) {
+            await sameName.update({ source, externalId }, { transaction });
+        }
+        return sameName;
+    }
+
+    return Company.create({ name, source, externalId }, { transaction });
+}
+
+/**
+ * 기업정보 페이지를 다시 가져와야 하는지 확인하는 함수
+ * @param {Object} company - Company 인스턴스
+ * @returns {boolean}
+ */
+function needsDetail(company) {
+    const refreshDays = getRefreshDays();
+    if (!company.externalId || refreshDays === 0) {
+        return false;
+    }
+    if (!company.detailFetchedAt) {
+        return true;
+    }
+
+    return Date.now() - new Date(company.detailFetchedAt).getTime() > refreshDays * 24 * 60 * 60 * 1000;
+}
+
+module.exports = { findOrCreateCompany, needsDetail };
@@ -0,0 +1,41 @@
+const { Op } = require('sequelize');
+const { CrawlRun, Notification, User } = require('../models');
+
+// 같은 크롤링(소스, 프로필)의 이상 알림을 다시 보내기까지의 간격
+const ALERT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+// notifications.message 컬럼 길이
+const MAX_MESSAGE_LENGTH = 255;
+
+/**
+ * 파싱 품질이 기준에 못 미친 크롤링을 관리자에게 알리는 함수
+ * 파서가 깨지면 매 크롤링마다 같은 문제가 나오므로, 같은 소스와 프로필에 대해서는 하루에 한 번만 알립니다.
+ * @param {Object} run - 이상이 감지된 CrawlRun 인스턴스
+ * @param {Object} quality - createQualityTracker().summarize() 결과
+ * @returns {Promise<number>} 생성한 알림 수 (최근에 이미 알렸으면 0)
+ */
+async function notifyDegradedRun(run, quality) {
+    const recentAlert = await CrawlRun.findOne({
+        where: {
+            id: { [Op.ne]: run.id },
+            source: run.source,
+            profileId: run.profileId ?? null,
+            alertedAt: { [Op.gte]: new Date(Date.now() - ALERT_COOLDOWN_MS) },
+        },
+    });
+    if (recentAlert) {
+        return 0;
+    }
+
+    const admins = await User.findAll({ where: { role: 'admin' }, attributes: ['id'] });
+    const message = `[크롤링 이상] ${run.source} 크롤링 #${run.id}: ${quality.issues.join(', ')}`;
+    await Notification.bulkCreate(admins.map(admin => ({
+        userId: admin.id,
+        message: message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH - 3)}...` : message,
+    })));
+
+    await run.update({ alertedAt: new Date() });
+    return admins.length;
+}
+
+module.exports = { notifyDegradedRun };
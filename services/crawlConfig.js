@@ -0,0 +1,30 @@
+// 환경 변수가 없을 때 사용할 기본값
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_PAGES = 3;
+const DEFAULT_SOURCE = 'saramin';
+
+// 크롤링 프로필의 경력 조건 ('entry': 신입, 'experienced': 경력, 'any': 경력무관)
+const CAREER_LEVELS = ['entry', 'experienced', 'any'];
+
+/**
+ * 환경 변수에서 크롤링 설정을 읽어오는 함수
+ * CRAWL_INTERVAL_MINUTES가 0이면 주기 실행을 하지 않습니다.
+ * CRAWL_DEFAULT_FEED가 false이면 전체 공고 목록은 크롤링하지 않고 크롤링 프로필만 실행합니다.
+ * CRAWL_REPLAY_DIR가 있으면 네트워크 대신 저장된 HTML을 사용합니다.
+ * @returns {{ intervalMinutes: number, pages: number, source: string, defaultFeed: boolean, replayDir?: string, captureDir?: string }}
+ */
+function getCrawlConfig() {
+    const intervalMinutes = parseInt(process.env.CRAWL_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES, 10);
+    const pages = parseInt(process.env.CRAWL_PAGES ?? DEFAULT_PAGES, 10);
+
+    return {
+        intervalMinutes: Number.isNaN(intervalMinutes) ? DEFAULT_INTERVAL_MINUTES : intervalMinutes,
+        pages: Number.isNaN(pages) || pages < 1 ? DEFAULT_PAGES : pages,
+        source: process.env.CRAWL_SOURCE || DEFAULT_SOURCE,
+        defaultFeed: process.env.CRAWL_DEFAULT_FEED !== 'false',
+        replayDir: process.env.CRAWL_REPLAY_DIR || undefined,
+        captureDir: process.env.CRAWL_CAPTURE_DIR || undefined,
+    };
+}
+
+module.exports = { CAREER_LEVELS, getCrawlConfig };
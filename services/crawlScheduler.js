@@ -0,0 +1,203 @@
+const { CrawlRun, CrawlProfile } = require('../models');
+const { crawlSource } = require('./crawler');
+const { getSource } = require('./sources');
+const { getCrawlConfig } = require('./crawlConfig');
+
+// 실행할 크롤링이 있는지 확인하는 간격
+const TICK_MS = 60 * 1000;
+
+let timer = null;
+let currentCrawl = null; // 진행 중인 크롤링 Promise (동시에 하나만 실행)
+let currentRun = null; // 진행 중인 크롤링의 CrawlRun
+let lastDefaultRunAt = null; // 전체 공고 목록을 마지막으로 크롤링한 시각
+
+/**
+ * 크롤링 프로필의 검색 조건을 소스 어댑터의 listUrl에 넘길 형태로 바꾸는 함수
+ * @param {Object} profile - CrawlProfile 인스턴스
+ * @returns {{ keyword?: string, category?: string, region?: string, careerLevel?: string }}
+ */
+function profileQuery(profile) {
+    const query = {};
+    ['keyword', 'category', 'region', 'careerLevel'].forEach((field) => {
+        if (profile[field]) {
+            query[field] = profile[field];
+        }
+    });
+    return query;
+}
+
+/**
+ * 크롤링 프로필을 실행할 때가 되었는지 확인하는 함수
+ * @param {Object} profile - CrawlProfile 인스턴스
+ * @param {number} now - 현재 시각 (ms)
+ * @returns {boolean}
+ */
+function isProfileDue(profile, now) {
+    if (!profile.enabled || profile.intervalMinutes <= 0) {
+        return false;
+    }
+    if (!profile.lastRunAt) {
+        return true;
+    }
+
+    return now - new Date(profile.lastRunAt).getTime() >= profile.intervalMinutes * 60 * 1000;
+}
+
+/**
+ * 크롤링을 시작하는 함수 (크롤링 완료를 기다리지 않음)
+ * 실행 기록(CrawlRun)을 만든 뒤 백그라운드에서 크롤링을 진행합니다.
+ * 프로필을 주면 프로필의 소스, 페이지 수, 검색 조건으로 크롤링합니다.
+ * @param {Object} [options]
+ * @param {number} [options.pages] - 크롤링할 페이지 수 (기본값: CRAWL_PAGES)
+ * @param {string} [options.source] - 크롤링할 소스 이름 (기본값: CRAWL_SOURCE)
+ * @param {Object} [options.profile] - 실행할 CrawlProfile 인스턴스
+ * @param {string} [options.trigger] - 실행 계기 ('schedule' 또는 'manual')
+ * @returns {Promise<Object>|null} 생성된 CrawlRun, 이미 실행 중이면 null
+ */
+function startCrawl({ pages, source: sourceName, profile = null, trigger = 'manual' } = {}) {
+    if (currentCrawl) {
+        return null;
+    }
+
+    const config = getCrawlConfig();
+    const crawlPages = (profile && profile.pages) || pages || config.pages;
+    const query = profile ? profileQuery(profile) : {};
+
+    // 알 수 없는 소스 이름 등의 오류도 Promise 거부로 전달되도록 then 안에서 어댑터 생성
+    const runCreated = Promise.resolve().then(async () => {
+        const source = getSource((profile && profile.source) || sourceName || config.source, {
+            replayDir: config.replayDir,
+            captureDir: config.captureDir,
+        });
+        const run = await CrawlRun.create({
+            source: source.name,
+            profileId: profile ? profile.id : null,
+            triggeredBy: trigger,
+            pages: crawlPages,
+            status: 'running',
+            startedAt: new Date(),
+        });
+
+        if (profile) {
+            // 실패하더라도 다음 주기까지 다시 실행하지 않도록 시작 시각을 기록
+            await profile.update({ lastRunAt: run.startedAt });
+        }
+
+        const label = profile ? `프로필 '${profile.name}', ` : '';
+        console.log(`[${source.name}] 크롤링 시작 #${run.id} (${label}${crawlPages}페이지${config.replayDir ? ', 리플레이 모드' : ''})`);
+        return { source, run };
+    });
+
+    currentCrawl = runCreated
+        .then(({ source, run }) => {
+            currentRun = run;
+            return crawlSource(source, { pages: crawlPages, run, query });
+        })
+        .catch((error) => {
+            console.error('크롤링 중 오류 발생:', error.message);
+        })
+        .finally(() => {
+            currentCrawl = null;
+            currentRun = null;
+        });
+
+    return runCreated.then(({ run }) => run);
+}
+
+// 크롤링 실행 여부 확인
+function isCrawlRunning() {
+    return currentCrawl !== null;
+}
+
+// 진행 중인 크롤링의 CrawlRun (없으면 null)
+function getCurrentRun() {
+    return currentRun;
+}
+
+/**
+ * 실행할 때가 된 크롤링을 하나 시작하는 함수
+ * 전체 공고 목록을 먼저 확인하고, 그다음 마지막 실행이 가장 오래된 프로필부터 확인합니다.
+ * 다른 크롤링이 진행 중이면 아무것도 하지 않고, 다음 확인 때 다시 시도합니다.
+ */
+async function runScheduledCrawl() {
+    if (isCrawlRunning()) {
+        return;
+    }
+
+    const now = Date.now();
+    const { intervalMinutes, defaultFeed } = getCrawlConfig();
+
+    // 전체 공고 목록: 서버 시작 직후 한 번, 이후 CRAWL_INTERVAL_MINUTES마다
+    const defaultDue = defaultFeed && (lastDefaultRunAt === null
+        || (intervalMinutes > 0 && now - lastDefaultRunAt >= intervalMinutes * 60 * 1000));
+    if (defaultDue) {
+        const started = startCrawl({ trigger: 'schedule' });
+        if (started) {
+            lastDefaultRunAt = now;
+            started.catch(() => {}); // 오류는 currentCrawl에서 기록됨
+        }
+        return;
+    }
+
+    try {
+        const profiles = await CrawlProfile.findAll({
+            where: { enabled: true },
+            order: [['lastRunAt', 'ASC'], ['id', 'ASC']], // 한 번도 실행하지 않은 프로필(null)이 먼저
+        });
+        const profile = profiles.find(item => isProfileDue(item, now));
+        if (profile) {
+            const started = startCrawl({ profile, trigger: 'schedule' });
+            if (started) {
+                started.catch(() => {});
+            }
+        }
+    } catch (error) {
+        console.error('크롤링 프로필 조회 중 오류 발생:', error.message);
+    }
+}
+
+/**
+ * 백그라운드 크롤링 스케줄러를 시작하는 함수
+ * 서버 시작 직후 전체 공고 목록을 한 번 크롤링하고, 이후 1분마다 실행할 때가 된
+ * 전체 공고 목록 크롤링이나 크롤링 프로필이 있는지 확인합니다. (크롤링은 한 번에 하나씩 실행)
+ */
+async function startCrawlScheduler() {
+    if (timer) {
+        return;
+    }
+
+    // 서버가 크롤링 도중 종료되어 'running'으로 남은 기록을 정리
+    try {
+        await CrawlRun.update(
+            { status: 'failed', finishedAt: new Date() },
+            { where: { status: 'running' } }
+        );
+    } catch (error) {
+        console.error('중단된 크롤링 기록 정리 중 오류 발생:', error.message);
+    }
+
+    const { intervalMinutes, defaultFeed } = getCrawlConfig();
+    await runScheduledCrawl();
+
+    timer = setInterval(runScheduledCrawl, TICK_MS);
+    console.log(defaultFeed
+        ? `크롤링 스케줄러 시작: 전체 공고 목록 ${intervalMinutes > 0 ? `${intervalMinutes}분 주기` : '시작 시 한 번'}, 크롤링 프로필은 프로필별 주기`
+        : '크롤링 스케줄러 시작: 크롤링 프로필만 실행');
+}
+
+// 크롤링 스케줄러 중지
+function stopCrawlScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    getCrawlConfig,
+    startCrawl,
+    isCrawlRunning,
+    getCurrentRun,
+    startCrawlScheduler,
+    stopCrawlScheduler,
+};
@@ -0,0 +1,331 @@
+const { OptimisticLockError } = require('sequelize');
+const { Job, JobPosition, JobRevision } = require('../models'); // Job, JobPosition, JobRevision 모델 import
+const { syncSeenJobs, refreshExpiredJobs } = require('./jobStatus');
+const { createErrorRecorder, hasQuery, createSourceQualityTracker, toItem, fetchJobDetail } = require('./collector');
+const { syncJobRegions } = require('./regions');
+const { syncJobTags } = require('./tags');
+const { DUPLICATE_FIELDS, syncJobDuplicate } = require('./duplicates');
+const { buildSuggestFields } = require('./suggest');
+const { findOrCreateCompany, needsDetail } = require('./companies');
+const { notifyDegradedRun } = require('./crawlAlerts');
+const { refreshJobNeighbors } = require('./similarity');
+
+// 재크롤링 시 변경 여부를 비교할 필드 목록
+const SYNC_FIELDS = [
+    'title', 'company', 'location', 'experience', 'education',
+    'employmentType', 'deadline', 'deadlineType', 'techStack', 'salary', 'description',
+    'salaryMin', 'salaryMax', 'salaryPeriod', 'salaryNegotiable', 'companyId',
+];
+
+// 변경 이력(JobRevision)으로 남길 필드 목록
+// 설명은 상세 페이지 재수집으로 바뀌고, 급여 구조화 값은 salary 문구 변경에 따라오므로 제외
+const REVISION_FIELDS = [
+    'title', 'company', 'location', 'experience', 'education',
+    'employmentType', 'deadline', 'deadlineType', 'techStack', 'salary',
+];
+
+/**
+ * 채용 공고 소스 어댑터를 이용해 공고 목록을 크롤링하고 jobs 테이블에 반영하는 함수
+ * 기존 공고는 link 기준으로 찾아 변경된 필드만 갱신하고, 새 공고는 추가합니다.
+ * run이 주어지면 페이지마다 진행 상황과 오류를 CrawlRun에 기록합니다.
+ * 목록 파싱 품질(필드별 누락 비율)이 기준에 못 미치면 실행을 degraded로 기록하고 관리자에게 알립니다.
+ * @param {Object} source - 소스 어댑터 (services/sources 참고)
+ * @param {Object} options - 크롤링 옵션
+ * @param {number} options.pages - 크롤링할 페이지 수
+ * @param {Object} [options.run] - 진행 상황을 기록할 CrawlRun 인스턴스
+ * @param {Object} [options.query] - 목록 검색 조건 ({ keyword, category, region, careerLevel }, 소스의 listUrl로 전달)
+ * @param {Function} [options.onItem] - 정규화된 공고마다 호출할 함수 (파일 내보내기 등)
+ * @returns {Promise<Object>} 처리 결과 집계 (pagesCrawled, itemsSeen, inserted, updated, skipped, errorCount, status, quality)
+ */
+async function crawlSource(source, { pages, run, query = {}, onItem }) {
+    const stats = { pagesCrawled: 0, itemsSeen: 0, inserted: 0, updated: 0, skipped: 0, errorCount: 0 };
+    const { errors, recordError } = createErrorRecorder(stats);
+    const qualityTracker = createSourceQualityTracker(source, query);
+    const seenJobIds = []; // 이번 크롤링에서 목록에 보인 공고
+    const checkedCompanyIds = new Set(); // 이번 크롤링에서 기업정보를 확인한 회사
+
+    const saveProgress = async (extra = {}) => {
+        if (run) {
+            // 같은 배열을 넘기면 변경이 감지되지 않으므로 복사본 저장
+            await run.update({ ...stats, errors: [...errors], ...extra });
+        }
+    };
+
+    try {
+        for (let page = 1; page <= pages; page++) {
+            try {
+                const html = await source.fetch(source.listUrl(page, query));
+                const rawJobs = source.parseList(html);
+                stats.itemsSeen += rawJobs.length;
+                qualityTracker.recordPage(rawJobs);
+
+                // 목록 항목은 순서대로 저장하고 (같은 회사/태그를 동시에 만들지 않도록),
+                // 상세/기업정보 페이지는 모아 두었다가 요청 큐의 동시 요청 수만큼 병렬로 가져옴
+                const detailJobs = [];
+                const detailCompanies = [];
+                for (const rawJobData of rawJobs) {
+                    try {
+                        // 데이터 정규화 및 유효성 검사
+                        const normalizedData = source.normalize(rawJobData);
+                        if (!normalizedData) {
+                            stats.skipped++;
+                            recordError('필수 필드 누락: title, company, 또는 link가 없습니다.', { page, link: rawJobData.link || null });
+                            continue;
+                        }
+
+                        const item = toItem(source, normalizedData);
+                        if (onItem) {
+                            await onItem(item);
+                        }
+
+                        // 회사를 먼저 연결해야 공고에 companyId를 함께 저장할 수 있음
+                        const { companyKey, ...jobData } = item;
+                        const company = await findOrCreateCompany({
+                            name: jobData.company,
+                            source: source.name,
+                            externalId: companyKey,
+                        });
+
+                        const { result, job } = await upsertJob(
+                            { ...jobData, companyId: company ? company.id : null },
+                            { crawlRunId: run ? run.id : null }
+                        );
+                        seenJobIds.push(job.id);
+                        if (result === 'unchanged') {
+                            stats.skipped++;
+                        } else {
+                            stats[result]++;
+                        }
+
+                        // 새로 추가되었거나 변경된 공고, 상세 정보가 없는 공고만 상세 페이지를 크롤링
+                        const hasPosition = result === 'unchanged' && await JobPosition.count({ where: { jobId: job.id } }) > 0;
+                        if (!hasPosition) {
+                            detailJobs.push(job);
+                        }
+
+                        // 기업정보는 회사마다 한 번, COMPANY_REFRESH_DAYS가 지났을 때만 다시 가져옴
+                        if (company && !checkedCompanyIds.has(company.id)) {
+                            checkedCompanyIds.add(company.id);
+                            if (needsDetail(company)) {
+                                detailCompanies.push(company);
+                            }
+                        }
+                    } catch (error) {
+                        recordError(`항목 저장 중 에러 발생: ${error.message}`, { page, link: rawJobData.link || null });
+                        console.error(`항목 저장 중 에러 발생: ${error}`);
+                    }
+                }
+
+                // 페이지 완료 로그가 실제 저장 이후에 찍히도록 모든 상세 크롤링을 기다림 (오류는 각 함수에서 기록)
+                await Promise.all([
+                    ...detailJobs.map(job => crawlJobDetail(source, job, recordError)),
+                    ...detailCompanies.map(company => crawlCompanyDetail(source, company, recordError)),
+                ]);
+
+                stats.pagesCrawled++;
+                console.log(`[${source.name}] ${page}페이지 크롤링 완료`);
+            } catch (error) {
+                recordError(`페이지 요청 중 에러 발생: ${error.message}`, { page });
+                console.error(`[${source.name}] 페이지 요청 중 에러 발생: ${error}`);
+            }
+
+            await saveProgress();
+        }
+
+        // 모든 페이지를 가져온 경우에만 목록에서 사라진 공고를 판단 (일부 실패 시 오판 방지)
+        // 검색 조건이 있는 크롤링은 일부 공고만 보므로, 확인된 공고만 갱신하고 누락 처리는 하지 않음
+        if (stats.pagesCrawled === pages) {
+            const { reopened, closed } = await syncSeenJobs(source.name, seenJobIds, { markMissing: !hasQuery(query) });
+            console.log(`[${source.name}] 목록에서 사라진 공고 마감: ${closed}, 다시 열린 공고: ${reopened}`);
+        }
+
+        const { expired } = await refreshExpiredJobs();
+        console.log(`마감일이 지난 공고 만료 처리: ${expired}`);
+    } catch (error) {
+        // 진행 상황 저장 등 예상하지 못한 오류는 실행 실패로 기록 후 다시 던짐
+        recordError(`크롤링 중단: ${error.message}`);
+        await saveProgress({ status: 'failed', finishedAt: new Date() }).catch(() => {});
+        throw error;
+    }
+
+    // 한 페이지도 처리하지 못했으면 실패, 페이지는 가져왔지만 파싱 품질이 기준 미달이면 degraded로 기록
+    const quality = qualityTracker.summarize();
+    let status = stats.pagesCrawled > 0 ? 'completed' : 'failed';
+    if (status === 'completed' && quality.degraded) {
+        status = 'degraded';
+    }
+    await saveProgress({ status, quality, finishedAt: new Date() });
+
+    console.log(`[${source.name}] 크롤링 결과 - 추가: ${stats.inserted}, 수정: ${stats.updated}, 건너뜀: ${stats.skipped}, 오류: ${stats.errorCount}`);
+
+    // 새로 들어오거나 마감된 공고를 반영해 유사 공고 목록 다시 계산 (실패해도 크롤링 결과는 유지)
+    if (stats.pagesCrawled > 0) {
+        try {
+            const { jobs, neighbors } = await refreshJobNeighbors();
+            console.log(`유사 공고 목록 갱신 - 공고: ${jobs}, 유사 공고: ${neighbors}`);
+        } catch (error) {
+            console.error('유사 공고 목록 갱신 중 오류 발생:', error.message);
+        }
+    }
+    if (status === 'degraded') {
+        console.warn(`[${source.name}] 목록 파싱 결과가 이상합니다. 선택자가 바뀌었는지 확인하세요: ${quality.issues.join(', ')}`);
+        if (run) {
+            try {
+                await notifyDegradedRun(run, quality);
+            } catch (error) {
+                console.error('크롤링 이상 알림 생성 중 오류 발생:', error.message);
+            }
+        }
+    }
+
+    return { ...stats, status, quality };
+}
+
+/**
+ * link 기준으로 공고를 추가하거나 변경된 필드만 갱신하는 함수
+ * 의미 있는 필드가 바뀌면 필드별 변경 내역을 JobRevision으로 남기고, 근무지나 기술 스택이 바뀌면 지역/태그 매핑을 다시 만듭니다.
+ * 새 공고와 회사명, 제목, 근무지, 마감일이 바뀐 공고는 다른 URL로 올라온 같은 공고가 있는지 확인합니다.
+ * @param {Object} data - 정규화된 공고 데이터
+ * @param {Object} [options]
+ * @param {number} [options.crawlRunId] - 변경을 감지한 크롤링 실행 기록 ID
+ * @returns {Promise<{ result: string, job: Object }>} result는 'inserted', 'updated', 'unchanged' 중 하나
+ */
+async function upsertJob(data, { crawlRunId = null } = {}) {
+    const existingJob = await Job.findOne({ where: { link: data.link } });
+    if (!existingJob) {
+        // 상세 페이지를 가져오기 전까지는 제목을 설명으로 사용
+        const job = await Job.create({ ...data, ...buildSuggestFields(data), description: data.title });
+        await syncJobRegions(job);
+        await syncJobTags(job);
+        await syncJobDuplicate(job);
+        return { result: 'inserted', job };
+    }
+
+    // 값이 달라진 필드만 골라서 갱신 (조회수 등 다른 컬럼은 건드리지 않음)
+    const changes = {};
+    SYNC_FIELDS.forEach((field) => {
+        if (data[field] !== undefined && existingJob[field] !== data[field]) {
+            changes[field] = data[field];
+        }
+    });
+
+    if (Object.keys(changes).length === 0) {
+        return { result: 'unchanged', job: existingJob };
+    }
+
+    // 갱신 전에 이전 값을 기록해 두어야 from/to를 남길 수 있음
+    const revisionChanges = {};
+    Object.keys(changes)
+        .filter(field => REVISION_FIELDS.includes(field))
+        .forEach((field) => {
+            revisionChanges[field] = { from: existingJob[field], to: changes[field] };
+        });
+
+    if (changes.title !== undefined || changes.company !== undefined) {
+        Object.assign(changes, buildSuggestFields({ ...existingJob.get(), ...changes }));
+    }
+    await existingJob.update(changes);
+    if (changes.location !== undefined) {
+        await syncJobRegions(existingJob);
+    }
+    if (changes.techStack !== undefined) {
+        await syncJobTags(existingJob);
+    }
+    if (DUPLICATE_FIELDS.some(field => changes[field] !== undefined)) {
+        await syncJobDuplicate(existingJob);
+    }
+
+    if (Object.keys(revisionChanges).length > 0) {
+        await JobRevision.create({
+            jobId: existingJob.id,
+            crawlRunId,
+            changes: revisionChanges,
+        });
+    }
+
+    return { result: 'updated', job: existingJob };
+}
+
+/**
+ * 공고 설명을 저장하는 함수
+ * 상세 페이지를 가져오는 사이 다른 요청이 공고를 수정해 버전이 바뀌었으면(OptimisticLockError) 다시 읽어 한 번 더 저장합니다.
+ * @param {Object} job - Job 인스턴스
+ * @param {string} description - 상세 페이지의 공고 설명
+ */
+async function updateDescription(job, description) {
+    try {
+        await job.update({ description });
+    } catch (error) {
+        if (!(error instanceof OptimisticLockError)) {
+            throw error;
+        }
+        await job.reload();
+        await job.update({ description });
+    }
+}
+
+/**
+ * 공고 상세 페이지를 크롤링하여 JobPosition과 공고 설명을 저장하는 함수
+ * 상세 페이지 오류는 목록 크롤링을 멈추지 않도록 기록만 남깁니다.
+ * @param {Object} source - 소스 어댑터
+ * @param {Object} job - 상세 정보를 채울 Job 인스턴스
+ * @param {Function} recordError - 오류 기록 함수
+ */
+async function crawlJobDetail(source, job, recordError) {
+    const detail = await fetchJobDetail(source, job.link, recordError);
+    if (!detail) {
+        return;
+    }
+
+    try {
+        const positionData = {
+            jobId: job.id,
+            title: job.title,
+            ...detail,
+        };
+
+        const position = await JobPosition.findOne({ where: { jobId: job.id } });
+        if (position) {
+            await position.update(positionData);
+        } else {
+            await JobPosition.create(positionData);
+        }
+
+        await updateDescription(job, detail.description);
+    } catch (error) {
+        recordError(`상세 정보 저장 중 에러 발생: ${error.message}`, { link: job.link });
+        console.error(`상세 정보 저장 중 에러 발생 (${job.link}): ${error}`);
+    }
+}
+
+/**
+ * 기업정보 페이지를 크롤링하여 회사의 업종, 규모, 설립 연도, 주소, 홈페이지를 채우는 함수
+ * 페이지에서 찾지 못한 항목은 기존 값을 유지합니다.
+ * @param {Object} source - 소스 어댑터
+ * @param {Object} company - 정보를 채울 Company 인스턴스
+ * @param {Function} recordError - 오류 기록 함수
+ */
+async function crawlCompanyDetail(source, company, recordError) {
+    if (!source.companyUrl || !source.parseCompany) {
+        return;
+    }
+
+    const url = source.companyUrl(company.externalId);
+    try {
+        const html = await source.fetch(url);
+        const detail = source.parseCompany(html) || {};
+
+        const changes = { detailFetchedAt: new Date() };
+        Object.keys(detail).forEach((field) => {
+            if (detail[field] !== null && detail[field] !== undefined) {
+                changes[field] = detail[field];
+            }
+        });
+        await company.update(changes);
+    } catch (error) {
+        recordError(`기업정보 크롤링 중 에러 발생: ${error.message}`, { link: url });
+        console.error(`기업정보 크롤링 중 에러 발생 (${url}): ${error}`);
+    }
+}
+
+module.exports = { crawlSource, upsertJob };
@@ -0,0 +1,94 @@
+// 스프레드시트가 수식으로 해석하는 첫 글자 (CSV 수식 주입)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * CSV 값 하나를 이스케이프하는 함수
+ * 쉼표, 큰따옴표, 줄바꿈이 있으면 큰따옴표로 감싸고 내부 큰따옴표는 두 번 씁니다.
+ * 크롤링하거나 사용자가 입력한 문자열이 =, +, -, @로 시작하면 스프레드시트에서 수식으로 실행되지 않도록 앞에 '를 붙입니다.
+ * @param {*} value - 값 (null/undefined는 빈 칸)
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * escapeCsvValue가 수식 방지를 위해 붙인 '를 떼는 함수 (내보낸 CSV를 다시 읽을 때 사용)
+ * @param {string} text - CSV에서 읽은 값
+ * @returns {string}
+ */
+function unescapeCsvFormula(text) {
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * 값 목록을 CSV 한 줄로 만드는 함수 (줄바꿈 문자 포함)
+ * @param {Array} values
+ * @returns {string}
+ */
+function toCsvLine(values) {
+    return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * CSV 문자열을 행 목록으로 나누는 함수 (RFC 4180)
+ * 큰따옴표로 감싼 값 안의 쉼표, 줄바꿈, 두 번 쓴 큰따옴표를 처리하고, 맨 앞의 BOM은 무시합니다.
+ * @param {string} text - CSV 문자열 (줄바꿈은 \r\n 또는 \n)
+ * @returns {string[][]} 행마다 값 목록
+ * @throws {Error} 닫히지 않은 큰따옴표가 있으면 예외 발생
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let index = 0; index < input.length; index += 1) {
+        const char = input[index];
+        if (quoted) {
+            if (char !== '"') {
+                value += char;
+            } else if (input[index + 1] === '"') {
+                value += '"';
+                index += 1;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[index + 1] === '\n') {
+                index += 1;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('CSV에 닫히지 않은 큰따옴표가 있습니다.');
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows;
+}
+
+module.exports = { escapeCsvValue, unescapeCsvFormula, toCsvLine, parseCsv };
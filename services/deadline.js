@@ -0,0 +1,94 @@
+// 마감 유형
+const DEADLINE_TYPES = {
+    FIXED: 'fixed',               // 마감일이 정해진 공고
+    ROLLING: 'rolling',           // 상시채용, 수시채용
+    UNTIL_FILLED: 'until_filled', // 채용 시 마감
+};
+
+// 월/일만 있는 마감일이 오늘보다 이만큼 이전이면 다음 해로 봄 (12월에 본 "~01.05" 등)
+const YEAR_ROLLOVER_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 날짜를 로컬 기준 YYYY-MM-DD 문자열로 바꾸는 함수
+ * toISOString은 UTC 기준이라 한국 시간 자정 전후로 하루가 밀리므로 사용하지 않습니다.
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// 기준일로부터 days일 뒤의 날짜 (시각은 자정으로 맞춤)
+function addDays(base, days) {
+    return new Date(base.getFullYear(), base.getMonth(), base.getDate() + days);
+}
+
+/**
+ * 사람인 마감일 문구를 마감일과 마감 유형으로 바꾸는 함수
+ * 지원 형식: "~12.31(화)", "~ 12/31(화)", "~2025.01.05", "D-3", "D-day", "오늘마감", "내일마감", "상시채용", "채용시"
+ * @param {string|null} text - 마감일 문구
+ * @param {Date} [now] - 기준 시각 (기본값: 현재 시각)
+ * @returns {{ deadline: string|null, deadlineType: string|null }} 해석할 수 없으면 둘 다 null
+ */
+function parseDeadline(text, now = new Date()) {
+    const value = (text || '').replace(/\s+/g, '');
+    const today = addDays(now, 0);
+
+    if (!value) {
+        return { deadline: null, deadlineType: null };
+    }
+
+    if (/상시|수시/.test(value)) {
+        return { deadline: null, deadlineType: DEADLINE_TYPES.ROLLING };
+    }
+
+    if (/채용시/.test(value)) {
+        return { deadline: null, deadlineType: DEADLINE_TYPES.UNTIL_FILLED };
+    }
+
+    const fixed = (date) => ({ deadline: toDateString(date), deadlineType: DEADLINE_TYPES.FIXED });
+
+    if (/오늘마감|D-?day/i.test(value)) {
+        return fixed(today);
+    }
+
+    if (/내일마감/.test(value)) {
+        return fixed(addDays(today, 1));
+    }
+
+    // D-3: 마감까지 3일 남음
+    const dDayMatch = value.match(/D-(\d+)/i);
+    if (dDayMatch) {
+        return fixed(addDays(today, parseInt(dDayMatch[1], 10)));
+    }
+
+    // 연도가 있는 날짜: 2025.01.05, 25.01.05, 2025-01-05
+    const fullDateMatch = value.match(/(\d{2}|\d{4})[./-](\d{1,2})[./-](\d{1,2})/);
+    if (fullDateMatch) {
+        const year = fullDateMatch[1].length === 2 ? 2000 + parseInt(fullDateMatch[1], 10) : parseInt(fullDateMatch[1], 10);
+        return fixed(new Date(year, parseInt(fullDateMatch[2], 10) - 1, parseInt(fullDateMatch[3], 10)));
+    }
+
+    // 월/일만 있는 날짜: ~12.31(화), ~ 12/31(화)
+    const monthDayMatch = value.match(/(\d{1,2})[./](\d{1,2})/);
+    if (monthDayMatch) {
+        const month = parseInt(monthDayMatch[1], 10) - 1;
+        const day = parseInt(monthDayMatch[2], 10);
+        let date = new Date(today.getFullYear(), month, day);
+
+        // 연말에 본 내년 초 마감일은 다음 해로 보정
+        if (today - date > YEAR_ROLLOVER_DAYS * DAY_MS) {
+            date = new Date(today.getFullYear() + 1, month, day);
+        }
+        return fixed(date);
+    }
+
+    // 값이 다른 형식일 경우 null 반환
+    return { deadline: null, deadlineType: null };
+}
+
+module.exports = { DEADLINE_TYPES, parseDeadline, toDateString };
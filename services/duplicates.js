@@ -0,0 +1,269 @@
+const { Op } = require('sequelize');
+const { Job, sequelize } = require('../models');
+const { matchRegions } = require('./regions');
+const { DEADLINE_TYPES } = require('./deadline');
+const { PUBLIC_JOB_STATUSES } = require('./jobStatus');
+
+// 같은 공고로 볼 제목 유사도 기준 (글자 2-gram Dice 계수)
+const TITLE_SIMILARITY_THRESHOLD = 0.8;
+
+// 같은 공고로 볼 마감일 차이 (재게시하면서 마감일을 연장하는 경우가 많음)
+const MAX_DEADLINE_DIFF_DAYS = 14;
+
+// 한 회사의 대표 공고 후보를 비교할 최대 개수
+const MAX_CANDIDATES = 200;
+
+// 바뀌면 중복 공고 여부를 다시 판단할 필드 목록
+const DUPLICATE_FIELDS = ['title', 'company', 'location', 'deadline', 'deadlineType'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 회사명 앞뒤에 붙는 법인 표기 ("(주)카카오", "카카오 주식회사", "㈜카카오")
+const COMPANY_SUFFIX_PATTERN = /\(주\)|\(유\)|\(사\)|\(재\)|㈜|주식회사|유한회사|유한책임회사|사단법인|재단법인/g;
+
+// 제목에서 공고를 구분하는 데 의미 없는 단어
+const TITLE_NOISE_PATTERN = /채용|모집|공고|구인|급구|상시/g;
+
+// 비교용 문자열: 한글, 영문, 숫자만 남기고 소문자로
+const compact = (text) => (text || '').toLowerCase().replace(/[^0-9a-z가-힣]/g, '');
+
+/**
+ * 비교용 회사명을 만드는 함수 (법인 표기, 공백, 기호 제거)
+ * 예: "(주)카카오", "카카오 주식회사" → "카카오"
+ * @param {string|null} name - 회사명
+ * @returns {string|null} 정규화된 회사명 (비어 있으면 null)
+ */
+function normalizeCompanyName(name) {
+    return compact((name || '').replace(COMPANY_SUFFIX_PATTERN, '')) || null;
+}
+
+/**
+ * 비교용 제목을 만드는 함수
+ * 제목 앞에 붙은 회사명과 "채용", "모집" 같은 단어, 공백과 기호를 제거합니다.
+ * @param {string|null} title - 공고 제목
+ * @param {string|null} normalizedCompany - 정규화된 회사명
+ * @returns {string}
+ */
+function normalizeTitle(title, normalizedCompany) {
+    let normalized = compact((title || '').replace(TITLE_NOISE_PATTERN, ''));
+    if (normalizedCompany && normalized.length > normalizedCompany.length) {
+        normalized = normalized.split(normalizedCompany).join('');
+    }
+    return normalized;
+}
+
+// 글자 2-gram 목록 (한 글자짜리는 그대로)
+function bigrams(text) {
+    if (text.length < 2) {
+        return text ? [text] : [];
+    }
+    const grams = [];
+    for (let index = 0; index < text.length - 1; index++) {
+        grams.push(text.slice(index, index + 2));
+    }
+    return grams;
+}
+
+/**
+ * 두 제목의 유사도를 계산하는 함수 (글자 2-gram Dice 계수, 0~1)
+ * @param {string} a - normalizeTitle 결과
+ * @param {string} b - normalizeTitle 결과
+ * @returns {number}
+ */
+function titleSimilarity(a, b) {
+    if (!a || !b) {
+        return 0;
+    }
+    if (a === b) {
+        return 1;
+    }
+
+    const gramsA = bigrams(a);
+    const counts = new Map();
+    gramsA.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+    let overlap = 0;
+    const gramsB = bigrams(b);
+    gramsB.forEach((gram) => {
+        if (counts.get(gram) > 0) {
+            overlap++;
+            counts.set(gram, counts.get(gram) - 1);
+        }
+    });
+
+    return (2 * overlap) / (gramsA.length + gramsB.length);
+}
+
+// 근무지가 겹치는지 (둘 중 하나라도 알 수 없으면 겹치는 것으로 봄)
+function locationsOverlap(a, b) {
+    const sidoA = matchRegions(a).map(match => match.sidoCode);
+    const sidoB = matchRegions(b).map(match => match.sidoCode);
+    if (sidoA.length === 0 || sidoB.length === 0) {
+        return true;
+    }
+    return sidoA.some(code => sidoB.includes(code));
+}
+
+// 마감일이 비슷한지 (정해진 마감일이 없는 공고는 비교하지 않음)
+function deadlinesClose(a, b) {
+    if (a.deadlineType !== DEADLINE_TYPES.FIXED || b.deadlineType !== DEADLINE_TYPES.FIXED || !a.deadline || !b.deadline) {
+        return true;
+    }
+    return Math.abs(new Date(a.deadline).getTime() - new Date(b.deadline).getTime()) <= MAX_DEADLINE_DIFF_DAYS * DAY_MS;
+}
+
+/**
+ * 두 공고가 같은 공고로 보이면 제목 유사도를, 아니면 0을 반환하는 함수
+ * 회사명이 같고, 제목이 비슷하고, 근무지 시/도가 겹치고, 마감일이 MAX_DEADLINE_DIFF_DAYS일 이내여야 합니다.
+ * @param {Object} a - 공고 (company, title, location, deadline, deadlineType)
+ * @param {Object} b - 비교할 공고
+ * @returns {number} 0 또는 TITLE_SIMILARITY_THRESHOLD 이상의 유사도
+ */
+function duplicateScore(a, b) {
+    const company = normalizeCompanyName(a.company);
+    if (!company || company !== normalizeCompanyName(b.company)) {
+        return 0;
+    }
+
+    const similarity = titleSimilarity(normalizeTitle(a.title, company), normalizeTitle(b.title, company));
+    if (similarity < TITLE_SIMILARITY_THRESHOLD) {
+        return 0;
+    }
+
+    return locationsOverlap(a.location, b.location) && deadlinesClose(a, b) ? similarity : 0;
+}
+
+/**
+ * 후보 중에서 공고의 대표 공고를 고르는 함수 (유사도가 가장 높고, 같으면 먼저 등록된 공고)
+ * @param {Object} job - 공고
+ * @param {Object[]} candidates - 같은 회사의 대표 공고 목록
+ * @returns {Object|null} 대표 공고 (중복이 아니면 null)
+ */
+function pickCanonical(job, candidates) {
+    let best = null;
+    let bestScore = 0;
+    candidates.forEach((candidate) => {
+        if (candidate.id === job.id) {
+            return;
+        }
+        const score = duplicateScore(job, candidate);
+        if (score > bestScore || (score > 0 && score === bestScore && candidate.id < best.id)) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * 공고의 정규화된 회사명과 대표 공고 연결(canonicalJobId)을 갱신하는 함수
+ * 관리자가 직접 묶거나 분리한 공고(duplicateLocked)와 이미 다른 공고의 대표 공고인 공고는 연결을 바꾸지 않습니다.
+ * 대표 공고는 다른 공고의 중복이 아닌 공개된 공고 중에서 고르므로 묶음은 항상 한 단계이고, 작성 중이거나 보관된 공고는 대표 공고가 되지 않습니다.
+ * @param {Object} job - Job 인스턴스
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - 함께 묶을 트랜잭션
+ * @returns {Promise<number|null>} 대표 공고 ID (중복이 아니면 null)
+ */
+async function syncJobDuplicate(job, { transaction } = {}) {
+    const changes = {};
+    const normalizedCompany = normalizeCompanyName(job.company);
+    if (job.normalizedCompany !== normalizedCompany) {
+        changes.normalizedCompany = normalizedCompany;
+    }
+
+    if (!job.duplicateLocked && normalizedCompany) {
+        const hasDuplicates = await Job.count({ where: { canonicalJobId: job.id }, transaction }) > 0;
+        if (!hasDuplicates) {
+            const candidates = await Job.findAll({
+                where: { normalizedCompany, canonicalJobId: null, id: { [Op.ne]: job.id }, status: { [Op.in]: PUBLIC_JOB_STATUSES } },
+                attributes: ['id', 'title', 'company', 'location', 'deadline', 'deadlineType'],
+                order: [['id', 'ASC']],
+                limit: MAX_CANDIDATES,
+                transaction,
+            });
+            const canonical = pickCanonical(job, candidates);
+            const canonicalJobId = canonical ? canonical.id : null;
+            if (job.canonicalJobId !== canonicalJobId) {
+                changes.canonicalJobId = canonicalJobId;
+            }
+        }
+    }
+
+    if (Object.keys(changes).length > 0) {
+        await job.update(changes, { transaction });
+    }
+    return job.canonicalJobId;
+}
+
+/**
+ * 관리자가 고른 공고들을 하나의 대표 공고로 묶는 함수
+ * 묶은 공고의 중복 공고도 새 대표 공고로 옮기고, 직접 정한 연결은 자동 판단에서 바꾸지 않도록 잠급니다.
+ * @param {number} canonicalJobId - 대표 공고 ID
+ * @param {number[]} jobIds - 대표 공고에 묶을 공고 ID 목록
+ * @returns {Promise<void>}
+ */
+async function mergeJobs(canonicalJobId, jobIds) {
+    const ids = [...new Set(jobIds)].filter(id => id !== canonicalJobId);
+
+    await sequelize.transaction(async (transaction) => {
+        await Job.update(
+            { canonicalJobId: null, duplicateLocked: true },
+            { where: { id: canonicalJobId }, transaction }
+        );
+        await Job.update(
+            { canonicalJobId },
+            { where: { canonicalJobId: { [Op.in]: ids } }, transaction }
+        );
+        await Job.update(
+            { canonicalJobId, duplicateLocked: true },
+            { where: { id: { [Op.in]: ids } }, transaction }
+        );
+    });
+}
+
+/**
+ * 관리자가 고른 공고를 묶음에서 분리하는 함수
+ * 분리한 공고가 대표 공고였다면 남은 중복 공고 중 가장 먼저 등록된 공고가 새 대표 공고가 됩니다.
+ * @param {number[]} jobIds - 분리할 공고 ID 목록
+ * @returns {Promise<void>}
+ */
+async function splitJobs(jobIds) {
+    const ids = [...new Set(jobIds)];
+
+    await sequelize.transaction(async (transaction) => {
+        for (const id of ids) {
+            const remaining = await Job.findAll({
+                where: { canonicalJobId: id, id: { [Op.notIn]: ids } },
+                attributes: ['id'],
+                order: [['id', 'ASC']],
+                transaction,
+            });
+            if (remaining.length > 0) {
+                const [newCanonical, ...rest] = remaining;
+                await Job.update({ canonicalJobId: null }, { where: { id: newCanonical.id }, transaction });
+                if (rest.length > 0) {
+                    await Job.update(
+                        { canonicalJobId: newCanonical.id },
+                        { where: { id: { [Op.in]: rest.map(job => job.id) } }, transaction }
+                    );
+                }
+            }
+        }
+
+        await Job.update(
+            { canonicalJobId: null, duplicateLocked: true },
+            { where: { id: { [Op.in]: ids } }, transaction }
+        );
+    });
+}
+
+module.exports = {
+    DUPLICATE_FIELDS,
+    normalizeCompanyName,
+    normalizeTitle,
+    titleSimilarity,
+    duplicateScore,
+    pickCanonical,
+    syncJobDuplicate,
+    mergeJobs,
+    splitJobs,
+};
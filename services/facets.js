@@ -0,0 +1,98 @@
+const { Op } = require('sequelize');
+const { Job, JobRegion, Tag, sequelize } = require('../models');
+const { regions } = require('./regions');
+
+// GET /jobs?facets= 로 요청할 수 있는 패싯
+const FACETS = ['location', 'experience', 'education', 'employmentType', 'techStack'];
+
+// 패싯마다 보여줄 최대 값 개수 (공고가 많은 순)
+const MAX_FACET_VALUES = 20;
+
+// 시/도 코드 → 이름 (예: '41' → '경기')
+const sidoNames = new Map(regions.map(sido => [sido.code, sido.name]));
+
+const countJobs = sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('Job.id')));
+
+/**
+ * facets 쿼리 값을 패싯 이름 목록으로 바꾸는 함수
+ * 'true' 또는 'all'이면 모든 패싯, 그 외에는 쉼표로 구분된 패싯 이름
+ * @param {string} value - facets 쿼리 값
+ * @returns {{ facets: string[], unknown: string[] }} 요청한 패싯과 알 수 없는 패싯 이름
+ */
+function parseFacets(value) {
+    if (value === 'true' || value === 'all') {
+        return { facets: FACETS, unknown: [] };
+    }
+
+    const names = [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+    return {
+        facets: names.filter(name => FACETS.includes(name)),
+        unknown: names.filter(name => !FACETS.includes(name)),
+    };
+}
+
+// 근무지 시/도별 공고 수 (한 공고가 같은 시/도의 여러 시/군/구에 걸칠 수 있으므로 중복 없이 셈)
+async function countByRegion(where) {
+    const rows = await Job.findAll({
+        where,
+        attributes: [[sequelize.col('regions.sidoCode'), 'value'], [countJobs, 'count']],
+        include: [{ model: JobRegion, as: 'regions', attributes: [], required: true }],
+        group: ['regions.sidoCode'],
+        order: [[countJobs, 'DESC'], [sequelize.col('regions.sidoCode'), 'ASC']],
+        raw: true,
+    });
+    return rows.map(row => ({ value: row.value, label: sidoNames.get(row.value) || row.value, count: parseInt(row.count, 10) }));
+}
+
+// 기술 스택 태그별 공고 수
+async function countByTag(where) {
+    const rows = await Job.findAll({
+        where,
+        attributes: [[sequelize.col('tags.name'), 'value'], [countJobs, 'count']],
+        include: [{ model: Tag, as: 'tags', attributes: [], through: { attributes: [] }, required: true }],
+        group: ['tags.id', 'tags.name'],
+        order: [[countJobs, 'DESC'], [sequelize.col('tags.name'), 'ASC']],
+        limit: MAX_FACET_VALUES,
+        subQuery: false, // 조인한 결과를 그대로 그룹으로 묶도록
+        raw: true,
+    });
+    return rows.map(row => ({ value: row.value, label: row.value, count: parseInt(row.count, 10) }));
+}
+
+// 공고 컬럼 값별 공고 수 (빈 값은 제외)
+async function countByColumn(column, where) {
+    const rows = await Job.findAll({
+        where: { [Op.and]: [where, { [column]: { [Op.ne]: '' } }] }, // NULL도 함께 제외됨
+        attributes: [[sequelize.col(column), 'value'], [countJobs, 'count']],
+        group: [column],
+        order: [[countJobs, 'DESC'], [sequelize.col(column), 'ASC']],
+        limit: MAX_FACET_VALUES,
+        raw: true,
+    });
+    return rows.map(row => ({ value: row.value, label: row.value, count: parseInt(row.count, 10) }));
+}
+
+/**
+ * 패싯별 공고 수를 계산하는 함수
+ * 각 패싯은 자기 필터를 뺀 나머지 필터를 적용한 조건으로 셉니다.
+ * (지역을 '서울'로 골라도 location 패싯에는 다른 지역의 공고 수가 함께 나옴)
+ * @param {string[]} facets - 계산할 패싯 이름 (FACETS 참고)
+ * @param {Function} buildWhere - 패싯 이름을 받아 그 패싯의 필터를 뺀 where 조건을 돌려주는 함수
+ * @returns {Promise<Object>} 패싯 이름 → [{ value, label, count }]
+ */
+async function countFacets(facets, buildWhere) {
+    const counts = await Promise.all(facets.map((facet) => {
+        const where = buildWhere(facet);
+        if (facet === 'location') {
+            return countByRegion(where);
+        }
+        if (facet === 'techStack') {
+            return countByTag(where);
+        }
+        return countByColumn(facet, where);
+    }));
+
+    return Object.fromEntries(facets.map((facet, index) => [facet, counts[index]]));
+}
+
+module.exports = { FACETS, parseFacets, countFacets };
@@ -0,0 +1,150 @@
+const axios = require('axios');
+
+// 환경 변수가 없을 때 사용할 기본값
+const DEFAULT_REQUESTS_PER_SECOND = 1;
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; JobInfoCrawler/1.0)';
+
+// 재시도 대기 시간 (첫 재시도 1초, 이후 2배씩, 최대 1분)
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+// 일시적인 네트워크 오류 코드 (타임아웃 포함)
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 숫자 환경 변수 읽기 (숫자가 아니거나 min보다 작으면 기본값)
+function readNumber(name, defaultValue, { min = 0 } = {}) {
+    const value = parseFloat(process.env[name] ?? defaultValue);
+    return Number.isNaN(value) || value < min ? defaultValue : value;
+}
+
+/**
+ * 환경 변수에서 요청 큐 설정을 읽어오는 함수
+ * CRAWL_REQUESTS_PER_SECOND가 0이면 요청 간격을 두지 않습니다.
+ * @returns {{ requestsPerSecond: number, concurrency: number, retries: number, timeoutMs: number, userAgent: string }}
+ */
+function getFetchConfig() {
+    return {
+        requestsPerSecond: readNumber('CRAWL_REQUESTS_PER_SECOND', DEFAULT_REQUESTS_PER_SECOND),
+        concurrency: Math.floor(readNumber('CRAWL_CONCURRENCY', DEFAULT_CONCURRENCY, { min: 1 })),
+        retries: Math.floor(readNumber('CRAWL_RETRIES', DEFAULT_RETRIES)),
+        timeoutMs: readNumber('CRAWL_TIMEOUT_MS', DEFAULT_TIMEOUT_MS, { min: 1 }),
+        userAgent: process.env.CRAWL_USER_AGENT || DEFAULT_USER_AGENT,
+    };
+}
+
+/**
+ * 다시 시도할 만한 오류인지 확인하는 함수 (429, 5xx, 타임아웃 등 일시적인 네트워크 오류)
+ * @param {Error} error - axios 오류
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    const status = error.response?.status;
+    if (status) {
+        return status === 429 || status >= 500;
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * 재시도 전 대기 시간을 계산하는 함수
+ * 서버가 Retry-After를 주면 그 값을, 아니면 지수 백오프에 약간의 무작위 값을 더해 사용합니다.
+ * @param {number} attempt - 지금까지 실패한 횟수 (0부터)
+ * @param {Error} error - axios 오류
+ * @returns {number} 대기 시간 (ms)
+ */
+function retryDelay(attempt, error) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (delay >= 0) {
+            return Math.min(delay, MAX_RETRY_DELAY_MS);
+        }
+    }
+
+    const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+    return Math.min(backoff + Math.random() * BASE_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * 초당 요청 수와 동시 요청 수를 제한하고 실패한 요청을 재시도하는 요청 큐를 만드는 함수
+ * 같은 큐를 쓰는 요청은 모두 같은 제한을 공유합니다.
+ * @param {Object} [options] - getFetchConfig()와 같은 형태의 설정 (생략한 값은 환경 변수 기준)
+ * @returns {{ fetch: function(string): Promise<string> }} HTML을 가져오는 fetch 함수
+ */
+function createFetchQueue(options = {}) {
+    const { requestsPerSecond, concurrency, retries, timeoutMs, userAgent } = { ...getFetchConfig(), ...options };
+    const minInterval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+
+    let active = 0; // 진행 중인 요청 수
+    const waiting = []; // 동시 요청 수 제한으로 대기 중인 요청
+    let nextStartAt = 0; // 다음 요청을 보낼 수 있는 시각
+
+    // 동시 요청 자리가 날 때까지 대기
+    const acquire = () => {
+        if (active < concurrency) {
+            active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => waiting.push(resolve));
+    };
+
+    // 대기 중인 요청이 있으면 자리를 바로 넘겨줌
+    const release = () => {
+        const next = waiting.shift();
+        if (next) {
+            next();
+        } else {
+            active--;
+        }
+    };
+
+    // 요청 시작 간격을 minInterval 이상으로 유지 (재시도 요청 포함)
+    const throttle = async () => {
+        const now = Date.now();
+        const startAt = Math.max(now, nextStartAt);
+        nextStartAt = startAt + minInterval;
+        if (startAt > now) {
+            await sleep(startAt - now);
+        }
+    };
+
+    const request = async (url) => {
+        for (let attempt = 0; ; attempt++) {
+            await throttle();
+            try {
+                const response = await axios.get(url, {
+                    headers: { 'User-Agent': userAgent },
+                    timeout: timeoutMs,
+                });
+                return response.data;
+            } catch (error) {
+                if (attempt >= retries || !isRetryable(error)) {
+                    throw error;
+                }
+
+                const delay = retryDelay(attempt, error);
+                console.warn(`요청 실패, ${Math.round(delay / 1000)}초 후 재시도 (${attempt + 1}/${retries}): ${url} - ${error.message}`);
+                await sleep(delay);
+            }
+        }
+    };
+
+    return {
+        fetch: async (url) => {
+            await acquire();
+            try {
+                return await request(url);
+            } finally {
+                release();
+            }
+        },
+    };
+}
+
+module.exports = { getFetchConfig, createFetchQueue, isRetryable };
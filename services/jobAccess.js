@@ -0,0 +1,28 @@
+const { PUBLIC_JOB_STATUSES } = require('./jobStatus');
+
+/**
+ * 회사 사용자의 소속 회사 ID를 돌려주는 함수
+ * 소속 회사는 관리자가 바꿀 수 있으므로 토큰이 아닌, authenticateJWT가 DB에서 읽은 값을 사용합니다.
+ * @param {Object} user - authenticateJWT를 거친 사용자 정보 (req.user)
+ * @returns {number|null} 소속 회사 ID (회사 사용자가 아니거나 소속 회사가 없으면 null)
+ */
+function findUserCompanyId(user) {
+    return user.role === 'companyuser' ? user.companyId ?? null : null;
+}
+
+/**
+ * 요청한 사용자가 공고를 볼 수 있는지 확인하는 함수
+ * 작성 중, 게시 예정, 보관된 공고는 등록한 회사의 회사 사용자와 관리자만 볼 수 있습니다.
+ * @param {Object} req - 요청 객체 (authenticateJWT 이후)
+ * @param {Object} job - 공고
+ * @returns {Promise<boolean>}
+ */
+async function canViewJob(req, job) {
+    if (PUBLIC_JOB_STATUSES.includes(job.status) || req.user.role === 'admin') {
+        return true;
+    }
+    const companyId = findUserCompanyId(req.user);
+    return companyId !== null && job.companyId === companyId;
+}
+
+module.exports = { findUserCompanyId, canViewJob };
@@ -0,0 +1,53 @@
+const { refreshScheduledJobs, refreshExpiredJobs } = require('./jobStatus');
+
+// 게시/마감 예정 공고를 확인하는 간격
+const TICK_MS = 60 * 1000;
+
+let timer = null;
+
+// 게시 시각, 마감 시각이 된 공고와 마감일이 지난 공고의 상태 갱신 (오류가 나도 다음 확인 때 다시 시도)
+async function runScheduledJobs() {
+    try {
+        const { published, closed } = await refreshScheduledJobs();
+        if (published > 0 || closed > 0) {
+            console.log(`예약된 공고 처리 - 게시: ${published}, 마감: ${closed}`);
+        }
+    } catch (error) {
+        console.error('예약된 공고 처리 중 오류 발생:', error.message);
+    }
+
+    // 크롤링이 멈춰 있어도 마감일이 지난 공고가 모집 중으로 남지 않도록 따로 처리 (한쪽이 실패해도 다른 쪽은 진행)
+    try {
+        const { expired, reopened } = await refreshExpiredJobs();
+        if (expired > 0 || reopened > 0) {
+            console.log(`마감일 기준 공고 처리 - 만료: ${expired}, 다시 열림: ${reopened}`);
+        }
+    } catch (error) {
+        console.error('마감일이 지난 공고 처리 중 오류 발생:', error.message);
+    }
+}
+
+/**
+ * 공고 게시/마감 스케줄러를 시작하는 함수
+ * 서버 시작 직후 한 번, 이후 1분마다 publishAt이 된 공고를 게시하고 closeAt이 된 공고를 마감합니다.
+ * 마감일(deadline)이 지난 공고도 크롤링과 별개로 함께 만료 처리합니다.
+ */
+async function startJobScheduler() {
+    if (timer) {
+        return;
+    }
+
+    await runScheduledJobs();
+    timer = setInterval(runScheduledJobs, TICK_MS);
+    console.log('공고 게시/마감 스케줄러 시작: 1분 주기');
+}
+
+// 공고 게시/마감 스케줄러 중지
+function stopJobScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = { startJobScheduler, stopJobScheduler };
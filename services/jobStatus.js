@@ -0,0 +1,207 @@
+const { Op } = require('sequelize');
+const { Job, Application, Notification, sequelize } = require('../models');
+const { DEADLINE_TYPES, toDateString } = require('./deadline');
+
+// 목록에서 연속으로 몇 번 보이지 않으면 마감으로 볼지 (기본값: 3회)
+const DEFAULT_MISSING_THRESHOLD = 3;
+
+// notifications.message 컬럼 길이
+const MAX_MESSAGE_LENGTH = 255;
+
+// 공고 상태 값
+const JOB_STATUS = {
+    DRAFT: 'draft',         // 작성 중 (등록한 회사와 관리자만 볼 수 있음)
+    SCHEDULED: 'scheduled', // publishAt에 게시 예정
+    OPEN: 'open',           // 모집 중 (게시됨)
+    CLOSED: 'closed',       // 마감됨 (직접 마감, closeAt 도래, 소스 목록에서 사라짐)
+    EXPIRED: 'expired',     // 마감일이 지남
+    ARCHIVED: 'archived',   // 보관됨 (삭제 대신 보관, 등록한 회사와 관리자만 볼 수 있음)
+};
+
+// 공고 마감 사유 (크롤러가 마감한 공고만 목록에서 다시 보이면 자동으로 다시 엶)
+const CLOSE_REASONS = {
+    MANUAL: 'manual',       // 등록한 회사나 관리자가 직접 마감
+    SCHEDULED: 'scheduled', // 마감 예정 시각(closeAt) 도래
+    MISSING: 'missing',     // 크롤링 목록에서 연속으로 보이지 않음
+    DEADLINE: 'deadline',   // 마감일이 지남 (expired)
+};
+
+// 누구나 조회할 수 있는 공고 상태 (게시된 뒤 보관되지 않은 공고)
+const PUBLIC_JOB_STATUSES = [JOB_STATUS.OPEN, JOB_STATUS.CLOSED, JOB_STATUS.EXPIRED];
+
+// 마감 상태별 지원자 알림 문구
+const CLOSE_MESSAGES = {
+    [JOB_STATUS.CLOSED]: '공고가 마감되었습니다.',
+    [JOB_STATUS.EXPIRED]: '공고의 마감일이 지나 마감되었습니다.',
+};
+
+// 정적 update는 공고 버전을 올리지 않으므로 상태를 바꿀 때 직접 올림 (이전 ETag로 바뀐 상태를 덮어쓰지 못하도록)
+const bumpVersion = () => ({ version: sequelize.literal('version + 1') });
+
+function getMissingThreshold() {
+    const threshold = parseInt(process.env.CRAWL_MISSING_THRESHOLD ?? DEFAULT_MISSING_THRESHOLD, 10);
+    return Number.isNaN(threshold) ? DEFAULT_MISSING_THRESHOLD : threshold;
+}
+
+/**
+ * 크롤링에서 확인된 공고와 확인되지 않은 공고의 상태를 갱신하는 함수
+ * 확인된 공고는 lastSeenAt과 누락 횟수를 초기화하고, 목록에서 사라져 마감됐던 공고는 다시 엽니다. (직접 마감한 공고는 그대로)
+ * 확인되지 않은 같은 소스의 공고는 누락 횟수를 늘리고, CRAWL_MISSING_THRESHOLD 이상이면 마감 처리합니다.
+ * @param {string} source - 크롤링한 소스 이름
+ * @param {number[]} seenJobIds - 이번 크롤링에서 확인된 공고 ID 목록
+ * @param {Object} [options]
+ * @param {boolean} [options.markMissing=true] - 확인되지 않은 공고의 누락 횟수를 늘릴지 (검색 조건으로 일부만 크롤링한 경우 false)
+ * @returns {Promise<{ reopened: number, closed: number }>}
+ */
+async function syncSeenJobs(source, seenJobIds, { markMissing = true } = {}) {
+    const now = new Date();
+
+    await Job.update(
+        { lastSeenAt: now, missedCrawls: 0 },
+        { where: { id: { [Op.in]: seenJobIds } } }
+    );
+
+    const [reopened] = await Job.update(
+        { status: JOB_STATUS.OPEN, closedAt: null, closeReason: null, ...bumpVersion() },
+        { where: { id: { [Op.in]: seenJobIds }, status: JOB_STATUS.CLOSED, closeReason: CLOSE_REASONS.MISSING } }
+    );
+
+    const threshold = getMissingThreshold();
+    if (!markMissing || threshold <= 0) {
+        return { reopened, closed: 0 };
+    }
+
+    const missingFilter = {
+        source,
+        status: JOB_STATUS.OPEN,
+        ...(seenJobIds.length > 0 ? { id: { [Op.notIn]: seenJobIds } } : {}),
+    };
+    // increment는 공고 버전도 올리므로, 버전이 그대로 유지되는 update 사용 (누락 횟수는 공고 내용이 아님)
+    await Job.update({ missedCrawls: sequelize.literal('missedCrawls + 1') }, { where: missingFilter });
+
+    const closed = await closeJobs({ ...missingFilter, missedCrawls: { [Op.gte]: threshold } }, JOB_STATUS.CLOSED, CLOSE_REASONS.MISSING);
+
+    return { reopened, closed };
+}
+
+/**
+ * 마감일 기준으로 공고 상태를 갱신하는 함수
+ * 마감일이 지난 모집 중 공고는 expired로, 마감일이 연장된 expired 공고는 다시 open으로 바꿉니다.
+ * @returns {Promise<{ expired: number, reopened: number }>}
+ */
+async function refreshExpiredJobs() {
+    const today = toDateString(new Date());
+
+    const expired = await closeJobs(
+        { status: JOB_STATUS.OPEN, deadlineType: DEADLINE_TYPES.FIXED, deadline: { [Op.lt]: today } },
+        JOB_STATUS.EXPIRED,
+        CLOSE_REASONS.DEADLINE
+    );
+
+    // 마감일이 연장되었거나 상시채용으로 바뀐 공고는 다시 모집 중으로
+    const [reopened] = await Job.update(
+        { status: JOB_STATUS.OPEN, closedAt: null, closeReason: null, ...bumpVersion() },
+        {
+            where: {
+                status: JOB_STATUS.EXPIRED,
+                [Op.or]: [
+                    { deadline: { [Op.gte]: today } },
+                    { deadlineType: { [Op.in]: [DEADLINE_TYPES.ROLLING, DEADLINE_TYPES.UNTIL_FILLED] } },
+                ],
+            },
+        }
+    );
+
+    return { expired, reopened };
+}
+
+/**
+ * 마감된 공고에 지원한 사용자에게 알림을 보내는 함수 (지원을 취소한 사용자는 제외)
+ * @param {Object[]} jobs - 마감된 공고 (id, title, company)
+ * @param {string} status - 마감 상태 (JOB_STATUS.CLOSED 또는 JOB_STATUS.EXPIRED)
+ * @returns {Promise<number>} 생성한 알림 수
+ */
+async function notifyApplicants(jobs, status) {
+    const applications = await Application.findAll({
+        where: { jobId: { [Op.in]: jobs.map(job => job.id) }, status: { [Op.ne]: '지원 취소' } },
+        attributes: ['userId', 'jobId'],
+    });
+    const jobsById = new Map(jobs.map(job => [job.id, job]));
+
+    await Notification.bulkCreate(applications.map((application) => {
+        const job = jobsById.get(application.jobId);
+        const message = `[지원 공고 마감] ${job.company} - ${job.title}: ${CLOSE_MESSAGES[status]}`;
+        return {
+            userId: application.userId,
+            message: message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH - 3)}...` : message,
+        };
+    }));
+    return applications.length;
+}
+
+/**
+ * 조건에 맞는 공고를 마감하고 지원자에게 알리는 함수
+ * 공고마다 조회한 버전을 조건으로 마감하므로, 그사이 수정된 공고는 마감하지 않고 마감한 공고 수에서도 뺍니다.
+ * @param {Object} where - 마감할 공고 조건
+ * @param {string} [status] - 마감 상태 (JOB_STATUS.CLOSED 또는 JOB_STATUS.EXPIRED)
+ * @param {string} [reason] - 마감 사유 (CLOSE_REASONS)
+ * @returns {Promise<number>} 마감한 공고 수
+ */
+async function closeJobs(where, status = JOB_STATUS.CLOSED, reason = CLOSE_REASONS.MANUAL) {
+    const jobs = await Job.findAll({ where, attributes: ['id', 'title', 'company', 'version'] });
+
+    // 조회한 뒤 다른 요청이 공고를 수정했으면(버전이 다르면) 그 공고는 마감하지 않음
+    const closedJobs = [];
+    for (const job of jobs) {
+        const [count] = await Job.update(
+            { status, closedAt: new Date(), closeReason: reason, ...bumpVersion() },
+            { where: { id: job.id, version: job.version } }
+        );
+        if (count > 0) {
+            closedJobs.push(job);
+        }
+    }
+    if (closedJobs.length === 0) {
+        return 0;
+    }
+
+    await notifyApplicants(closedJobs, status);
+    return closedJobs.length;
+}
+
+/**
+ * 게시 시각에 따라 게시할 공고의 상태를 정하는 함수
+ * @param {Date|string|null} publishAt - 게시 시각 (없으면 바로 게시)
+ * @returns {string} 게시 시각이 미래이면 JOB_STATUS.SCHEDULED, 아니면 JOB_STATUS.OPEN
+ */
+function publishStatus(publishAt) {
+    return publishAt && new Date(publishAt) > new Date() ? JOB_STATUS.SCHEDULED : JOB_STATUS.OPEN;
+}
+
+/**
+ * 게시 예정 시각(publishAt)과 마감 예정 시각(closeAt)이 된 공고의 상태를 갱신하는 함수
+ * 게시 시각이 된 공고는 모집 중으로, 마감 시각이 된 모집 중 공고는 마감하고 지원자에게 알립니다.
+ * @returns {Promise<{ published: number, closed: number }>}
+ */
+async function refreshScheduledJobs() {
+    const now = new Date();
+
+    const [published] = await Job.update(
+        { status: JOB_STATUS.OPEN, ...bumpVersion() },
+        { where: { status: JOB_STATUS.SCHEDULED, publishAt: { [Op.lte]: now } } }
+    );
+    const closed = await closeJobs({ status: JOB_STATUS.OPEN, closeAt: { [Op.lte]: now } }, JOB_STATUS.CLOSED, CLOSE_REASONS.SCHEDULED);
+
+    return { published, closed };
+}
+
+module.exports = {
+    JOB_STATUS,
+    CLOSE_REASONS,
+    PUBLIC_JOB_STATUSES,
+    syncSeenJobs,
+    refreshExpiredJobs,
+    closeJobs,
+    publishStatus,
+    refreshScheduledJobs,
+};
@@ -0,0 +1,136 @@
+const { toCsvLine, parseCsv, unescapeCsvFormula } = require('./csv');
+
+// 공고 가져오기/내보내기 형식과 형식별 Content-Type
+const TRANSFER_FORMATS = ['csv', 'jsonl'];
+const CONTENT_TYPES = {
+    csv: ['text/csv'],
+    jsonl: ['application/x-ndjson', 'application/jsonl'],
+};
+
+// 내보낼 공고 필드 (CSV 열 순서)
+const EXPORT_FIELDS = [
+    'id', 'title', 'company', 'location', 'experience', 'education', 'employmentType', 'deadline', 'deadlineType',
+    'techStack', 'salary', 'salaryMin', 'salaryMax', 'salaryPeriod', 'salaryNegotiable', 'description', 'link',
+    'status', 'views', 'createdAt',
+];
+
+// 서버가 정하는 값이라 가져오기에서 무시하는 필드 (내보낸 파일을 그대로 다시 가져올 수 있도록)
+const SERVER_FIELDS = ['id', 'salaryMin', 'salaryMax', 'salaryNegotiable', 'status', 'views', 'createdAt'];
+
+/**
+ * 가져온 행 하나를 POST /jobs 요청 본문 형태로 바꾸는 함수
+ * 빈 값과 서버가 정하는 필드는 빼고, 쉼표로 구분된 기술 스택은 배열로, CSV의 'true'/'false'는 불리언으로 바꿉니다.
+ * @param {Object} item - 필드 이름 → 값
+ * @returns {Object}
+ */
+function toJobFields(item) {
+    const fields = {};
+    Object.entries(item).forEach(([name, value]) => {
+        if (SERVER_FIELDS.includes(name) || value === null || value === undefined || value === '') {
+            return;
+        }
+        fields[name] = value;
+    });
+
+    if (typeof fields.techStack === 'string') {
+        fields.techStack = fields.techStack.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    if (fields.draft === 'true' || fields.draft === 'false') {
+        fields.draft = fields.draft === 'true';
+    }
+    return fields;
+}
+
+// 값이 모두 비어 있는 CSV 행 (빈 줄)
+const isBlankRow = (values) => values.every(value => value.trim() === '');
+
+/**
+ * CSV 또는 JSONL 본문을 가져올 공고 목록으로 나누는 함수
+ * CSV는 첫 줄을 열 이름(POST /jobs 본문의 필드 이름)으로 읽고 수식 방지용 '를 떼며, JSONL은 줄마다 공고 하나를 JSON 객체로 읽습니다. 빈 줄은 건너뜁니다.
+ * @param {string} text - 요청 본문
+ * @param {string} format - 'csv' 또는 'jsonl'
+ * @returns {Object[]} [{ row, fields }] 또는 읽을 수 없는 행은 [{ row, error }] (row는 본문에서의 행 번호, CSV 헤더가 1행)
+ * @throws {Error} CSV 형식이 잘못되었으면 예외 발생
+ */
+function parseImportRows(text, format) {
+    if (format === 'csv') {
+        const [header = [], ...records] = parseCsv(text);
+        const columns = header.map(name => name.trim());
+        return records
+            .map((values, index) => ({ row: index + 2, values }))
+            .filter(({ values }) => !isBlankRow(values))
+            .map(({ row, values }) => {
+                if (values.length > columns.length) {
+                    return { row, error: '열 이름보다 값이 많습니다.' };
+                }
+                // 내보낼 때 수식 방지로 붙인 '는 떼고 읽음
+                const item = Object.fromEntries(columns.map((column, index) => [column, values[index] && unescapeCsvFormula(values[index])]));
+                return { row, fields: toJobFields(item) };
+            });
+    }
+
+    return text.split(/\r?\n/)
+        .map((line, index) => ({ row: index + 1, line: line.trim() }))
+        .filter(({ line }) => line)
+        .map(({ row, line }) => {
+            let item;
+            try {
+                item = JSON.parse(line);
+            } catch (error) {
+                return { row, error: '올바른 JSON이 아닙니다.' };
+            }
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                return { row, error: '각 줄은 공고 하나를 나타내는 JSON 객체여야 합니다.' };
+            }
+            return { row, fields: toJobFields(item) };
+        });
+}
+
+/**
+ * 공고를 CSV 또는 JSONL로 스트림에 쓰는 함수를 만드는 함수 (scripts/crawl.js의 파일 저장과 같은 형식)
+ * @param {Object} stream - 쓸 스트림 (Express 응답 객체 등)
+ * @param {string} format - 'csv' 또는 'jsonl'
+ * @param {string[]} [fields] - 내보낼 필드 목록
+ * @returns {{ write: function(Object): Promise<void> }}
+ */
+function createExportWriter(stream, format, fields = EXPORT_FIELDS) {
+    // 버퍼가 비워지거나 연결이 끊길 때까지 대기 (어느 쪽이 먼저 오든 두 리스너를 모두 떼어 쌓이지 않도록)
+    const waitForDrain = () => new Promise((resolve) => {
+        const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+    });
+
+    const writeText = async (text) => {
+        if (!stream.write(text)) {
+            await waitForDrain();
+        }
+    };
+
+    if (format === 'csv') {
+        // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+        stream.write(`\uFEFF${toCsvLine(fields)}`);
+    }
+
+    return {
+        write: (job) => {
+            const row = fields.map(field => job.get(field) ?? null);
+            if (format === 'csv') {
+                return writeText(toCsvLine(row));
+            }
+            return writeText(`${JSON.stringify(Object.fromEntries(fields.map((field, index) => [field, row[index]])))}\n`);
+        },
+    };
+}
+
+module.exports = {
+    TRANSFER_FORMATS,
+    CONTENT_TYPES,
+    EXPORT_FIELDS,
+    parseImportRows,
+    createExportWriter,
+};
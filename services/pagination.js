@@ -0,0 +1,369 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../models');
+
+// 기본 페이지 크기와 요청할 수 있는 최대 페이지 크기
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// 정렬 방향
+const DIRECTIONS = ['ASC', 'DESC'];
+
+/**
+ * 목록 API의 정렬 필드 정의를 정리하는 함수
+ * 정렬 필드는 컬럼 이름 문자열 또는 아래 속성을 가진 객체로 정의합니다.
+ * - column: 정렬할 컬럼 이름 / expression: 정렬할 SQL 식 (둘 중 하나)
+ * - value: 커서를 만들 때 행에서 정렬 값을 꺼내는 함수 (expression이면 필수)
+ * - type: 'date'이면 커서 값을 Date로 되돌림 (DATETIME 컬럼)
+ * - nullsLast: 값이 없는 행을 정렬 방향과 관계없이 뒤로 보냄
+ * - defaultDirection: 방향을 지정하지 않았을 때의 정렬 방향
+ * - cursor: false이면 커서 페이지네이션에 사용할 수 없음 (관련도처럼 같은 값 비교가 불안정한 식)
+ * @param {Object} fields - 필드 이름 → 정의
+ * @returns {Object} 필드 이름 → 정리된 정의
+ */
+function normalizeSortFields(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([name, spec]) => {
+        const field = typeof spec === 'string' ? { column: spec } : { ...spec };
+        if (!field.value) {
+            field.value = row => row.get(field.column);
+        }
+        return [name, { cursor: true, nullsLast: false, ...field, name }];
+    }));
+}
+
+/**
+ * 정렬 파라미터를 [{ field, direction }] 목록으로 바꾸는 함수
+ * sort=deadline,-salary 형식(앞에 -가 붙으면 내림차순)과 sortBy=deadline,salary&sortOrder=ASC,DESC 형식을 모두 받습니다.
+ * @returns {{ error: string|null, sort: Object[] }}
+ */
+function parseSort({ sort, sortBy, sortOrder }, fields, defaultSort) {
+    let keys;
+    if (sort) {
+        keys = String(sort).split(',').map(value => value.trim()).filter(Boolean).map(value => (value.startsWith('-')
+            ? { name: value.slice(1), direction: 'DESC' }
+            : { name: value.replace(/^\+/, ''), direction: null }));
+    } else if (sortBy) {
+        const orders = String(sortOrder || '').split(',').map(value => value.trim().toUpperCase());
+        keys = String(sortBy).split(',').map(value => value.trim()).filter(Boolean).map((name, index) => ({
+            name,
+            direction: orders[index] || orders[0] || null, // 방향을 하나만 지정하면 모든 필드에 적용
+        }));
+    } else {
+        keys = defaultSort.map(({ name, direction }) => ({ name, direction }));
+    }
+
+    const unknown = keys.filter(key => !fields[key.name]).map(key => key.name);
+    if (unknown.length > 0) {
+        return { error: `정렬할 수 없는 필드입니다: ${unknown.join(', ')} (사용 가능: ${Object.keys(fields).join(', ')})`, sort: [] };
+    }
+    const invalid = keys.find(key => key.direction && !DIRECTIONS.includes(key.direction));
+    if (invalid) {
+        return { error: '정렬 순서는 ASC 또는 DESC여야 합니다.', sort: [] };
+    }
+
+    const seen = new Set();
+    const parsed = keys
+        .filter(key => !seen.has(key.name) && seen.add(key.name))
+        .map(key => ({ field: fields[key.name], direction: key.direction || fields[key.name].defaultDirection || 'ASC' }));
+    return { error: null, sort: parsed };
+}
+
+// 정렬 키 목록 문자열 (커서가 같은 정렬로 만들어졌는지 확인하는 데 사용)
+const sortSignature = (sort) => sort.map(({ field, direction }) => `${field.name}:${direction}`).join(',');
+
+// 커서 문자열 → { s: 정렬, v: 정렬 값 목록, id }
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return decoded && Array.isArray(decoded.v) && decoded.id !== undefined ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 커서의 정렬 값이 정렬 필드에 맞는 형식인지 확인 (날짜 필드는 날짜 문자열, 그 밖에는 문자열이나 숫자, 값이 없으면 null)
+function isCursorValue(value, field) {
+    if (value === null) {
+        return true;
+    }
+    if (field.type === 'date') {
+        return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+    }
+    return typeof value === 'string' || Number.isFinite(value);
+}
+
+/**
+ * 목록 API의 page, limit, 정렬, cursor 쿼리를 검증하고 정리하는 함수
+ * limit은 maxLimit을 넘으면 maxLimit으로 줄입니다.
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {Object} options.sortFields - 정렬할 수 있는 필드 (normalizeSortFields 참고)
+ * @param {string} options.defaultSort - 기본 정렬 (sort 쿼리와 같은 형식, 예: '-createdAt')
+ * @param {number} [options.defaultLimit] - 기본 페이지 크기
+ * @param {number} [options.maxLimit] - 최대 페이지 크기
+ * @returns {{ error: string|null, value: Object|null }} 오류 메시지 또는 findPage에 넘길 목록 조회 조건
+ */
+function parseListQuery(query, { sortFields, defaultSort, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT }) {
+    const fields = normalizeSortFields(sortFields);
+    const defaults = defaultSort.split(',').map(value => (value.startsWith('-')
+        ? { name: value.slice(1), direction: 'DESC' }
+        : { name: value, direction: null }));
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: '페이지 번호(page)는 1 이상의 정수여야 합니다.', value: null };
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        return { error: '페이지 크기(limit)는 1 이상의 정수여야 합니다.', value: null };
+    }
+
+    const { error, sort } = parseSort(query, fields, defaults);
+    if (error) {
+        return { error, value: null };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        const nonCursorable = sort.find(({ field }) => !field.cursor);
+        if (nonCursorable) {
+            return { error: `${nonCursorable.field.name} 정렬은 커서(cursor)와 함께 사용할 수 없습니다.`, value: null };
+        }
+        cursor = decodeCursor(String(query.cursor));
+        // 같은 정렬로 만든 커서라도 값을 고쳐 보낼 수 있으므로 정렬 값과 id의 형식까지 확인
+        if (!cursor || cursor.s !== sortSignature(sort) || cursor.v.length !== sort.length
+            || !Number.isInteger(cursor.id) || !cursor.v.every((value, index) => isCursorValue(value, sort[index].field))) {
+            return { error: '유효하지 않은 커서입니다. 정렬 조건을 바꿨다면 첫 페이지부터 다시 조회하세요.', value: null };
+        }
+        cursor.v = cursor.v.map((value, index) => (value !== null && sort[index].field.type === 'date' ? new Date(value) : value));
+    }
+
+    return {
+        error: null,
+        value: {
+            page,
+            limit: Math.min(limit, maxLimit),
+            sort,
+            cursor,
+        },
+    };
+}
+
+// 정렬 필드를 SQL 식으로 (컬럼은 모델 별칭을 붙여 조인한 테이블과 구분)
+const sortExpression = (Model, field) => field.expression || sequelize.col(`${Model.name}.${field.column}`);
+
+// 정렬 필드와 값 비교 조건
+function compare(field, operator, value) {
+    return field.column
+        ? { [field.column]: { [operator]: value } }
+        : sequelize.where(field.expression, { [operator]: value });
+}
+
+// 정렬 키 목록 (같은 값을 구분하도록 마지막에 id를 붙임)
+function sortKeys(sort) {
+    if (sort.some(({ field }) => field.column === 'id')) {
+        return sort;
+    }
+    const idField = { name: 'id', column: 'id', nullsLast: false };
+    return [...sort, { field: idField, direction: sort.length > 0 ? sort[sort.length - 1].direction : 'ASC' }];
+}
+
+/**
+ * 정렬 조건을 Sequelize order로 바꾸는 함수 (같은 값은 id 순으로 정렬)
+ * @param {Object} Model - 조회할 모델
+ * @param {Object[]} sort - parseListQuery 결과의 sort
+ * @returns {Array}
+ */
+function buildOrder(Model, sort) {
+    const order = [];
+    sortKeys(sort).forEach(({ field, direction }) => {
+        if (field.nullsLast) {
+            order.push([sequelize.fn('ISNULL', sortExpression(Model, field)), 'ASC']);
+        }
+        order.push(field.column ? [field.column, direction] : [field.expression, direction]);
+    });
+    return order;
+}
+
+/**
+ * 커서 다음에 오는 행만 고르는 조건을 만드는 함수 (keyset 페이지네이션)
+ * (a > x) OR (a = x AND b > y) OR ... 형태입니다.
+ * 값이 없는(NULL) 행은 nullsLast 필드에서는 항상 뒤에, 그 밖의 필드에서는 MySQL처럼 오름차순이면 앞, 내림차순이면 뒤에 온다고 봅니다.
+ * @returns {Object}
+ */
+function cursorCondition(sort, cursor) {
+    const keys = sortKeys(sort);
+    const values = keys.length > sort.length ? [...cursor.v, cursor.id] : cursor.v;
+
+    const branches = [];
+    keys.forEach(({ field, direction }, index) => {
+        const value = values[index];
+        const nullsAfter = field.nullsLast || direction === 'DESC';
+
+        let after;
+        if (value === null) {
+            if (nullsAfter) {
+                return; // 값이 없는 행이 맨 뒤이므로 이 필드로는 뒤에 오는 행이 없음
+            }
+            after = compare(field, Op.not, null); // 값이 없는 행이 맨 앞이므로 값이 있는 행은 모두 뒤
+        } else {
+            after = compare(field, direction === 'ASC' ? Op.gt : Op.lt, value);
+            if (nullsAfter) {
+                after = { [Op.or]: [after, compare(field, Op.is, null)] };
+            }
+        }
+        const equals = keys.slice(0, index).map((key, previous) => (values[previous] === null
+            ? compare(key.field, Op.is, null)
+            : compare(key.field, Op.eq, values[previous])));
+        branches.push({ [Op.and]: [...equals, after] });
+    });
+
+    return { [Op.or]: branches };
+}
+
+// where 조건에 커서 다음 행 조건을 더하기
+const afterCursor = (where, sort, cursor) => (where
+    ? { [Op.and]: [where, cursorCondition(sort, cursor)] }
+    : cursorCondition(sort, cursor));
+
+// 조회할 필드를 지정했으면 커서를 만들 수 있도록 정렬 컬럼도 함께 조회
+function withSortColumns(options, sort) {
+    if (!Array.isArray(options.attributes)) {
+        return options;
+    }
+    const sortColumns = sortKeys(sort).map(({ field }) => field.column).filter(Boolean);
+    return { ...options, attributes: [...new Set([...options.attributes, ...sortColumns])] };
+}
+
+// 마지막 행으로 다음 페이지 커서 만들기
+function encodeCursor(sort, row) {
+    const values = sort.map(({ field }) => {
+        const value = field.value(row);
+        if (value === undefined || value === null) {
+            return null;
+        }
+        return value instanceof Date ? value.toISOString() : value;
+    });
+    const payload = { s: sortSignature(sort), v: values, id: row.get('id') };
+    return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+/**
+ * 목록 조회 조건에 맞는 한 페이지를 조회하는 함수
+ * cursor가 있으면 커서 다음 행부터 limit개를 조회하고(전체 개수는 세지 않음), 없으면 page 번호로 조회합니다.
+ * 정렬에 커서를 사용할 수 있으면 어느 방식이든 다음 페이지를 이어서 볼 수 있는 nextCursor를 돌려줍니다.
+ * @param {Object} Model - 조회할 모델
+ * @param {Object} options - findAll 옵션 (where, include, attributes 등. order는 목록 정렬 뒤에 붙음)
+ * @param {Object} list - parseListQuery 결과
+ * @returns {Promise<{ rows: Object[], pagination: Object }>}
+ */
+async function findPage(Model, options, list) {
+    const { page, limit, sort, cursor } = list;
+    const order = [...buildOrder(Model, sort), ...(options.order || [])];
+    const canUseCursor = sort.every(({ field }) => field.cursor);
+    options = withSortColumns(options, sort);
+
+    let rows;
+    let totalCount = null;
+    let hasMore;
+    if (cursor) {
+        const where = afterCursor(options.where, sort, cursor);
+        rows = await Model.findAll({ ...options, where, order, limit: limit + 1 }); // 다음 페이지가 있는지 보려고 하나 더 조회
+        hasMore = rows.length > limit;
+        rows = rows.slice(0, limit);
+    } else {
+        const result = await Model.findAndCountAll({ ...options, order, limit, offset: (page - 1) * limit });
+        rows = result.rows;
+        totalCount = result.count;
+        hasMore = (page - 1) * limit + rows.length < totalCount;
+    }
+
+    return {
+        rows,
+        pagination: {
+            totalCount,
+            totalPages: totalCount === null ? null : Math.ceil(totalCount / limit),
+            currentPage: cursor ? null : page,
+            pageSize: limit,
+            hasMore,
+            nextCursor: hasMore && canUseCursor && rows.length > 0 ? encodeCursor(sort, rows[rows.length - 1]) : null,
+        },
+    };
+}
+
+/**
+ * 목록 조회 조건에 맞는 모든 행을 batchSize개씩 차례로 조회하는 함수 (내보내기처럼 결과 전체를 보낼 때)
+ * page, limit, cursor는 무시합니다. 정렬에 커서를 사용할 수 있으면 앞 묶음의 마지막 행 다음부터, 아니면 offset으로 다음 묶음을 조회합니다.
+ * @param {Object} Model - 조회할 모델
+ * @param {Object} options - findAll 옵션 (findPage와 같음)
+ * @param {Object} list - parseListQuery 결과
+ * @param {function(Object[]): Promise<boolean|void>} onRows - 묶음마다 호출되는 함수 (false를 돌려주면 조회 중단)
+ * @param {number} [batchSize] - 한 번에 조회할 행 수
+ * @returns {Promise<number>} 조회한 행 수
+ */
+async function findEach(Model, options, list, onRows, batchSize = MAX_LIMIT * 5) {
+    const { sort } = list;
+    const order = [...buildOrder(Model, sort), ...(options.order || [])];
+    const canUseCursor = sort.every(({ field }) => field.cursor);
+    options = withSortColumns(options, sort);
+
+    let count = 0;
+    let cursor = null;
+    for (;;) {
+        const rows = await Model.findAll({
+            ...options,
+            where: cursor ? afterCursor(options.where, sort, cursor) : options.where,
+            order,
+            limit: batchSize,
+            ...(canUseCursor ? {} : { offset: count }),
+        });
+        count += rows.length;
+        if (rows.length === 0 || (await onRows(rows)) === false || rows.length < batchSize) {
+            return count;
+        }
+
+        const last = rows[rows.length - 1];
+        cursor = { v: sort.map(({ field }) => field.value(last) ?? null), id: last.get('id') };
+    }
+}
+
+/**
+ * 목록 응답에 Link 헤더(RFC 8288)를 붙이는 함수
+ * 페이지 번호로 조회했으면 first, prev, next, last를, 커서로 조회했으면 first와 next를 붙입니다.
+ * @param {Object} req - Express 요청 객체
+ * @param {Object} res - Express 응답 객체
+ * @param {Object} pagination - findPage 결과의 pagination
+ */
+function setLinkHeader(req, res, pagination) {
+    const path = req.originalUrl.split('?')[0];
+    const link = (changes) => {
+        const params = new URLSearchParams();
+        Object.entries({ ...req.query, ...changes }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                params.set(key, value);
+            }
+        });
+        const search = params.toString();
+        return `<${path}${search ? `?${search}` : ''}>`;
+    };
+
+    const links = [`${link({ page: undefined, cursor: undefined })}; rel="first"`];
+    if (pagination.currentPage === null) {
+        if (pagination.nextCursor) {
+            links.push(`${link({ page: undefined, cursor: pagination.nextCursor })}; rel="next"`);
+        }
+    } else {
+        const { currentPage, totalPages } = pagination;
+        if (currentPage > 1) {
+            links.push(`${link({ page: Math.min(currentPage - 1, Math.max(totalPages, 1)) })}; rel="prev"`);
+        }
+        if (currentPage < totalPages) {
+            links.push(`${link({ page: currentPage + 1 })}; rel="next"`);
+        }
+        if (totalPages > 0) {
+            links.push(`${link({ page: totalPages })}; rel="last"`);
+        }
+    }
+    res.set('Link', links.join(', '));
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parseListQuery, findPage, findEach, setLinkHeader };
@@ -0,0 +1,112 @@
+// 필드별 누락 비율 기준 기본값 (이 비율을 넘으면 파서가 깨진 것으로 판단)
+const DEFAULT_THRESHOLDS = {
+    title: 0.2,
+    company: 0.2,
+    link: 0.2,
+    deadline: 0.5,
+    salary: 0.9,
+};
+
+// 비율을 판단하기 위한 최소 공고 수 (공고가 적으면 우연히 비율이 높을 수 있음)
+const DEFAULT_MIN_ITEMS = 20;
+
+// 소스가 expectedFields를 정하지 않았을 때 확인할 필드
+const DEFAULT_FIELDS = ['title', 'company', 'link'];
+
+// 알림 메시지에 쓸 필드 이름
+const FIELD_LABELS = {
+    title: '제목',
+    company: '회사명',
+    link: '링크',
+    location: '근무지',
+    deadline: '마감일',
+    salary: '급여',
+};
+
+/**
+ * 환경 변수에서 파싱 품질 기준을 읽어오는 함수
+ * CRAWL_QUALITY_THRESHOLDS는 "title=0.2,salary=0.95" 형식이며, 적지 않은 필드는 기본값을 사용합니다.
+ * @returns {{ thresholds: Object<string, number>, minItems: number }}
+ */
+function getQualityConfig() {
+    const thresholds = { ...DEFAULT_THRESHOLDS };
+    (process.env.CRAWL_QUALITY_THRESHOLDS || '').split(',').forEach((entry) => {
+        const [field, value] = entry.split('=').map(part => (part || '').trim());
+        const ratio = parseFloat(value);
+        if (field && !Number.isNaN(ratio) && ratio >= 0 && ratio <= 1) {
+            thresholds[field] = ratio;
+        }
+    });
+
+    const minItems = parseInt(process.env.CRAWL_QUALITY_MIN_ITEMS ?? DEFAULT_MIN_ITEMS, 10);
+    return {
+        thresholds,
+        minItems: Number.isNaN(minItems) || minItems < 1 ? DEFAULT_MIN_ITEMS : minItems,
+    };
+}
+
+const isMissing = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const toPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+/**
+ * 크롤링 한 번의 파싱 품질(필드별 누락 비율)을 집계하는 객체를 만드는 함수
+ * 정규화 전 데이터로 세므로, 필수 필드가 빠져 건너뛴 공고도 집계에 포함됩니다.
+ * @param {Object} [options]
+ * @param {string[]} [options.fields] - 확인할 필드 (소스 어댑터의 expectedFields 결과)
+ * @param {boolean} [options.expectItems] - 공고가 하나도 없으면 이상으로 볼지 (검색 조건이 없는 목록 크롤링)
+ * @returns {{ recordPage: function(Object[]): void, summarize: function(): Object }}
+ */
+function createQualityTracker({ fields = DEFAULT_FIELDS, expectItems = true } = {}) {
+    const missing = Object.fromEntries(fields.map(field => [field, 0]));
+    let items = 0;
+    let pages = 0;
+    let emptyPages = 0;
+
+    return {
+        // 목록 페이지 하나에서 읽은 공고를 집계
+        recordPage: (rawJobs) => {
+            pages++;
+            if (rawJobs.length === 0) {
+                emptyPages++;
+            }
+
+            rawJobs.forEach((rawJobData) => {
+                items++;
+                fields.forEach((field) => {
+                    if (isMissing(rawJobData[field])) {
+                        missing[field]++;
+                    }
+                });
+            });
+        },
+
+        /**
+         * 집계 결과와 기준을 넘은 항목을 반환
+         * @returns {{ items: number, pages: number, emptyPages: number, fields: Object, issues: string[], degraded: boolean }}
+         */
+        summarize: () => {
+            const { thresholds, minItems } = getQualityConfig();
+            const fieldStats = {};
+            const issues = [];
+
+            fields.forEach((field) => {
+                const ratio = items > 0 ? missing[field] / items : 0;
+                const threshold = thresholds[field] ?? null;
+                fieldStats[field] = { missing: missing[field], ratio: Math.round(ratio * 1000) / 1000, threshold };
+
+                if (items >= minItems && threshold !== null && ratio > threshold) {
+                    issues.push(`${FIELD_LABELS[field] || field} 누락 ${toPercent(ratio)} (기준 ${toPercent(threshold)})`);
+                }
+            });
+
+            if (expectItems && pages > 0 && emptyPages === pages) {
+                issues.push('가져온 목록 페이지에서 공고를 하나도 찾지 못했습니다.');
+            }
+
+            return { items, pages, emptyPages, fields: fieldStats, issues, degraded: issues.length > 0 };
+        },
+    };
+}
+
+module.exports = { getQualityConfig, createQualityTracker };
@@ -0,0 +1,126 @@
+const { JobRegion } = require('../models');
+const regions = require('../data/regions.json');
+
+// 시/도 이름과 별칭 → 시/도 (예: "경기", "경기도" → 경기)
+const sidoByName = new Map();
+// 시/군/구 코드 → { 시/도, 시/군/구 }
+const districtByCode = new Map();
+
+regions.forEach((sido) => {
+    [sido.name, sido.fullName, ...sido.aliases].forEach(name => sidoByName.set(name, sido));
+    sido.districts.forEach(district => districtByCode.set(district.code, { sido, district }));
+});
+
+// 근무지 문구를 여러 지역으로 나누는 구분자 ("서울 강남구, 서초구", "경기 성남시 분당구 외")
+const SEGMENT_SEPARATOR = /[,/·|]|\s외(?=\s|$)/;
+
+/**
+ * 토큰에 해당하는 시/도를 찾는 함수
+ * "서울전체", "경기도전지역"처럼 시/도 전체를 뜻하는 토큰도 인식합니다.
+ * @param {string} token
+ * @returns {Object|null}
+ */
+function findSido(token) {
+    if (sidoByName.has(token)) {
+        return sidoByName.get(token);
+    }
+
+    const whole = token.match(/^(.+?)(전체|전지역)$/);
+    return whole ? sidoByName.get(whole[1]) || null : null;
+}
+
+// 시/도 안에서 토큰에 해당하는 시/군/구 찾기 ("강남구", "성남시")
+function findDistrict(sido, token) {
+    return sido.districts.find(district => district.name === token) || null;
+}
+
+/**
+ * 근무지 문구를 지역 코드 목록으로 바꾸는 함수
+ * 예: "경기 성남시 분당구 외" → [{ sidoCode: '41', regionCode: '41002' }]
+ *     "서울 강남구, 서초구" → 서울 강남구, 서울 서초구 (시/도가 생략된 뒤쪽 지역은 앞의 시/도를 따름)
+ *     "경기도" → [{ sidoCode: '41', regionCode: null }]
+ * @param {string|null} text - 근무지 문구
+ * @returns {{ sidoCode: string, regionCode: string|null }[]} 중복 없는 지역 목록, 인식할 수 없으면 빈 배열
+ */
+function matchRegions(text) {
+    const matches = [];
+    let currentSido = null;
+
+    (text || '').split(SEGMENT_SEPARATOR).forEach((segment) => {
+        const tokens = segment.trim().split(/\s+/).filter(Boolean);
+        let segmentSido = null;
+        let district = null;
+
+        tokens.forEach((token) => {
+            if (!segmentSido) {
+                const sido = findSido(token);
+                if (sido) {
+                    segmentSido = sido;
+                    return;
+                }
+            }
+
+            const sido = segmentSido || currentSido;
+            if (sido && !district) {
+                district = findDistrict(sido, token);
+                if (district) {
+                    segmentSido = sido;
+                }
+            }
+        });
+
+        if (!segmentSido) {
+            return;
+        }
+
+        currentSido = segmentSido;
+        const match = { sidoCode: segmentSido.code, regionCode: district ? district.code : null };
+        if (!matches.some(item => item.sidoCode === match.sidoCode && item.regionCode === match.regionCode)) {
+            matches.push(match);
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * 지역 필터 값을 지역 코드로 바꾸는 함수
+ * 코드("41", "41002")와 이름("경기도", "경기 성남시")을 모두 받습니다.
+ * @param {string} value - 지역 필터 값
+ * @returns {{ sidoCode: string, regionCode: string|null }|null} 알 수 없는 지역이면 null
+ */
+function resolveRegion(value) {
+    const query = (value || '').trim();
+
+    const sidoByCode = regions.find(sido => sido.code === query);
+    if (sidoByCode) {
+        return { sidoCode: sidoByCode.code, regionCode: null };
+    }
+
+    if (districtByCode.has(query)) {
+        const { sido, district } = districtByCode.get(query);
+        return { sidoCode: sido.code, regionCode: district.code };
+    }
+
+    return matchRegions(query)[0] || null;
+}
+
+/**
+ * 공고의 근무지 문구로 지역 매핑(JobRegion)을 다시 만드는 함수
+ * @param {Object} job - Job 인스턴스 (id, location 사용)
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - 함께 묶을 트랜잭션
+ * @returns {Promise<Object[]>} 매핑된 지역 목록
+ */
+async function syncJobRegions(job, { transaction } = {}) {
+    const matches = matchRegions(job.location);
+
+    await JobRegion.destroy({ where: { jobId: job.id }, transaction });
+    if (matches.length > 0) {
+        await JobRegion.bulkCreate(matches.map(match => ({ jobId: job.id, ...match })), { transaction });
+    }
+
+    return matches;
+}
+
+module.exports = { regions, matchRegions, resolveRegion, syncJobRegions };
@@ -0,0 +1,132 @@
+// 급여 지급 주기
+const SALARY_PERIODS = ['annual', 'monthly', 'daily', 'hourly'];
+
+// 급여 문구 앞에 붙는 지급 주기 표기
+const PERIOD_PATTERNS = [
+    { period: 'annual', pattern: /연봉|연\s*\d/ },
+    { period: 'monthly', pattern: /월급|월\s*\d|월\s*급여/ },
+    { period: 'daily', pattern: /일급|일당/ },
+    { period: 'hourly', pattern: /시급|시간당/ },
+];
+
+// 금액을 정할 수 없는 협의형 문구
+const NEGOTIABLE_PATTERN = /면접\s*후|협의|내규|결정/;
+
+// 금액 단위
+const UNIT_MULTIPLIERS = { 억: 100000000, 천만: 10000000, 만: 10000, 천: 1000 };
+
+/**
+ * "1억 2,000만", "3,000만" 같은 금액 문자열을 원 단위 숫자로 바꾸는 함수
+ * 첫 금액과, 공백만 사이에 두고 더 작은 단위로 이어 쓴 금액("1억 2,000만")만 더하고 그 뒤의 숫자("주 5일", "수습 3개월")는 무시합니다.
+ * @param {string} text - 금액 문자열
+ * @returns {{ value: number, unit: string|null }|null} 마지막으로 쓰인 단위와 함께 반환, 숫자가 없으면 null
+ */
+function parseAmount(text) {
+    const amountPattern = /(\d[\d,]*(?:\.\d+)?)\s*(억|천만|만|천)?/g;
+    let match = amountPattern.exec(text);
+    if (!match) {
+        return null;
+    }
+
+    let value = 0;
+    let unit = null;
+    for (;;) {
+        value += parseFloat(match[1].replace(/,/g, '')) * (UNIT_MULTIPLIERS[match[2]] || 1);
+        unit = match[2] || null;
+
+        const end = match.index + match[0].length;
+        const next = amountPattern.exec(text);
+        const continues = next && unit && next[2]
+            && UNIT_MULTIPLIERS[next[2]] < UNIT_MULTIPLIERS[unit]
+            && !text.slice(end, next.index).trim();
+        if (!continues) {
+            return { value: Math.round(value), unit };
+        }
+        match = next;
+    }
+}
+
+// 지급 주기 표기가 없을 때 금액 크기로 주기를 추정
+function guessPeriod(amount) {
+    if (amount >= 10000000) return 'annual';   // 1,000만원 이상
+    if (amount >= 500000) return 'monthly';    // 50만원 이상
+    if (amount >= 50000) return 'daily';       // 5만원 이상
+    return 'hourly';
+}
+
+/**
+ * 급여 문구를 최소/최대 금액, 지급 주기, 협의 여부로 나누는 함수
+ * 예: "연봉 3,000~4,000만원" → { salaryMin: 30000000, salaryMax: 40000000, salaryPeriod: 'annual', salaryNegotiable: false }
+ *     "면접 후 결정" → { salaryMin: null, salaryMax: null, salaryPeriod: null, salaryNegotiable: true }
+ * @param {string|null} text - 급여 문구
+ * @returns {{ salaryMin: number|null, salaryMax: number|null, salaryPeriod: string|null, salaryNegotiable: boolean }}
+ */
+function parseSalary(text) {
+    const result = { salaryMin: null, salaryMax: null, salaryPeriod: null, salaryNegotiable: false };
+    if (!text) {
+        return result;
+    }
+
+    result.salaryNegotiable = NEGOTIABLE_PATTERN.test(text);
+
+    // 범위 구분 기호로 나눈 뒤 단위가 없는 앞쪽 금액에는 뒤쪽 단위를 적용 ("3,000~4,000만원")
+    const parts = text.split(/[~∼～]/).map(parseAmount);
+    const amounts = parts.filter(Boolean);
+    if (amounts.length === 0) {
+        return result;
+    }
+
+    const unitAmount = [...amounts].reverse().find(amount => amount.unit);
+    const values = parts.map((amount) => {
+        if (!amount) {
+            return null;
+        }
+        if (!amount.unit && unitAmount) {
+            return amount.value * UNIT_MULTIPLIERS[unitAmount.unit];
+        }
+        // "4천~5천만원"처럼 뒤쪽의 만 단위가 천 단위로 끝나는 앞쪽 금액에도 붙는 경우 ("9천~1만원"은 그대로)
+        if (amount.unit === '천' && amount !== unitAmount && amount.value * UNIT_MULTIPLIERS.만 <= unitAmount.value) {
+            return amount.value * UNIT_MULTIPLIERS.만;
+        }
+        return amount.value;
+    });
+
+    // "3,000만원 이상", "3,000만원~"처럼 최소 금액만 있는 경우 최대 금액은 비워 둠
+    const isMinimumOnly = /이상|부터/.test(text) || (parts.length > 1 && !parts[1]);
+
+    result.salaryMin = values[0];
+    result.salaryMax = parts.length > 1 ? values[1] : (isMinimumOnly ? null : values[0]);
+
+    const matchedPeriod = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(text));
+    result.salaryPeriod = matchedPeriod ? matchedPeriod.period : guessPeriod(result.salaryMin ?? result.salaryMax);
+
+    return result;
+}
+
+/**
+ * 공고 등록/수정 요청의 급여 값을 저장할 컬럼 값으로 바꾸는 함수
+ * 숫자는 그대로 금액으로, 문자열은 parseSalary로 해석합니다.
+ * @param {number|string} salary - 요청의 급여 값
+ * @param {string} [salaryPeriod] - 요청에서 지정한 지급 주기 (없으면 추정, 숫자는 연봉)
+ * @returns {Object} salary, salaryMin, salaryMax, salaryPeriod, salaryNegotiable
+ */
+function buildSalaryFields(salary, salaryPeriod) {
+    if (typeof salary === 'number') {
+        return {
+            salary: `${salary.toLocaleString('ko-KR')}원`,
+            salaryMin: salary,
+            salaryMax: salary,
+            salaryPeriod: salaryPeriod || 'annual',
+            salaryNegotiable: false,
+        };
+    }
+
+    const parsed = parseSalary(salary);
+    return {
+        salary,
+        ...parsed,
+        salaryPeriod: salaryPeriod || parsed.salaryPeriod,
+    };
+}
+
+module.exports = { SALARY_PERIODS, parseSalary, buildSalaryFields };
@@ -0,0 +1,167 @@
+// MySQL ngram 파서의 토큰 길이 (ngram_token_size 기본값). 이보다 짧은 검색어는 전문 검색으로 찾을 수 없음
+const NGRAM_TOKEN_SIZE = 2;
+
+// 검색어 개수 제한 (너무 긴 검색식 방지)
+const MAX_TERMS = 10;
+
+// 스니펫에서 검색어 앞뒤로 보여줄 글자 수
+const SNIPPET_CONTEXT = 60;
+
+// 제목 일치를 본문 일치보다 높게 치는 가중치
+const TITLE_WEIGHT = 2;
+
+// 불리언 모드에서 연산자로 해석되는 문자 (사용자 입력에서 제거)
+const BOOLEAN_OPERATORS = /[+\-<>()~*"@]/g;
+
+/**
+ * 검색어 문자열을 단어와 구문으로 나누는 함수
+ * 큰따옴표로 감싼 부분은 구문, 앞에 -가 붙은 단어는 제외어로 처리합니다.
+ * 예: '백엔드 "node js" -인턴' → terms: ['백엔드'], phrases: ['node js'], excluded: ['인턴']
+ * @param {string} keyword - 사용자가 입력한 검색어
+ * @returns {{ terms: string[], phrases: string[], excluded: string[] }}
+ */
+function parseSearchQuery(keyword) {
+    const terms = [];
+    const phrases = [];
+    const excluded = [];
+    const clean = (text) => text.replace(BOOLEAN_OPERATORS, ' ').replace(/\s+/g, ' ').trim();
+
+    const rest = (keyword || '').replace(/"([^"]*)"/g, (_, phrase) => {
+        const cleaned = clean(phrase);
+        if (cleaned) {
+            phrases.push(cleaned);
+        }
+        return ' ';
+    });
+
+    rest.split(/\s+/).filter(Boolean).forEach((token) => {
+        const isExcluded = token.startsWith('-');
+        const cleaned = clean(token);
+        if (!cleaned) {
+            return;
+        }
+        cleaned.split(' ').forEach(word => (isExcluded ? excluded : terms).push(word));
+    });
+
+    const unique = (values) => [...new Set(values)].slice(0, MAX_TERMS);
+    return { terms: unique(terms), phrases: unique(phrases), excluded: unique(excluded) };
+}
+
+/**
+ * 파싱한 검색어로 MATCH ... AGAINST에 쓸 불리언 모드 검색식을 만드는 함수
+ * 모든 단어와 구문이 있어야 하고(+), 제외어가 있으면 제외(-)합니다.
+ * ngram 파서는 불리언 모드의 단어를 n-gram 구문으로 검색하므로 "백엔드개발자"도 "백엔드"로 찾을 수 있습니다.
+ * NGRAM_TOKEN_SIZE보다 짧은 단어는 전문 검색으로 찾을 수 없어 shortTerms, shortExcluded로 따로 돌려줍니다.
+ * 불리언 모드는 제외어만으로는 검색할 수 없으므로, 찾을 단어 없이 제외어만 있으면
+ * 제외어 중 하나라도 포함하는 공고를 찾는 검색식을 excluding으로 돌려줍니다. (이 검색식에 걸리지 않는 공고만 조회)
+ * @param {{ terms: string[], phrases: string[], excluded: string[] }} parsed - parseSearchQuery 결과
+ * @returns {{ against: string|null, excluding: string|null, shortTerms: string[], shortExcluded: string[] }}
+ *   검색식 (검색할 단어가 없으면 null), 제외어만 있을 때의 제외 검색식, 짧은 단어와 짧은 제외어 목록
+ */
+function buildBooleanQuery({ terms, phrases, excluded }) {
+    const isSearchable = (word) => word.length >= NGRAM_TOKEN_SIZE;
+    const required = [
+        ...terms.filter(isSearchable).map(term => `+${term}`),
+        ...phrases.filter(isSearchable).map(phrase => `+"${phrase}"`),
+    ];
+    const shortTerms = [...terms, ...phrases].filter(word => !isSearchable(word));
+    const searchableExcluded = excluded.filter(isSearchable);
+    const shortExcluded = excluded.filter(word => !isSearchable(word));
+
+    if (required.length === 0) {
+        const excluding = searchableExcluded.length > 0 ? searchableExcluded.join(' ') : null;
+        return { against: null, excluding, shortTerms, shortExcluded };
+    }
+
+    const exclusions = searchableExcluded.map(word => `-${word}`);
+    return { against: [...required, ...exclusions].join(' '), excluding: null, shortTerms, shortExcluded };
+}
+
+/**
+ * 관련도 점수 SQL을 만드는 함수 (제목 일치는 TITLE_WEIGHT배)
+ * @param {Function} escape - sequelize.escape
+ * @param {string} against - buildBooleanQuery의 검색식
+ * @param {string} [table] - 컬럼 앞에 붙일 테이블 별칭
+ * @returns {string} SQL 식
+ */
+function relevanceSql(escape, against, table = 'Job') {
+    const value = escape(against);
+    return `(MATCH(${table}.title) AGAINST(${value} IN BOOLEAN MODE) * ${TITLE_WEIGHT}`
+        + ` + MATCH(${table}.title, ${table}.description) AGAINST(${value} IN BOOLEAN MODE))`;
+}
+
+/**
+ * 제외 검색식에 걸리는지 확인하는 SQL을 만드는 함수 (0이면 제외어가 없는 공고)
+ * @param {Function} escape - sequelize.escape
+ * @param {string} excluding - buildBooleanQuery의 제외 검색식
+ * @param {string} [table] - 컬럼 앞에 붙일 테이블 별칭
+ * @returns {string} SQL 식
+ */
+function exclusionSql(escape, excluding, table = 'Job') {
+    return `MATCH(${table}.title, ${table}.description) AGAINST(${escape(excluding)} IN BOOLEAN MODE)`;
+}
+
+// HTML 특수문자 이스케이프 (스니펫을 HTML로 보여줄 수 있도록)
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 텍스트에서 검색어를 <mark>로 감싸는 함수 (대소문자 구분 없음, HTML은 이스케이프)
+ * @param {string} text - 원문
+ * @param {string[]} words - 강조할 단어와 구문
+ * @returns {string}
+ */
+function highlight(text, words) {
+    const escaped = escapeHtml(text || '');
+    const patterns = words
+        .map(word => escapeHtml(word))
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length) // 긴 구문을 먼저 감싸도록
+        .map(escapeRegExp);
+    if (patterns.length === 0) {
+        return escaped;
+    }
+
+    return escaped.replace(new RegExp(`(${patterns.join('|')})`, 'gi'), '<mark>$1</mark>');
+}
+
+/**
+ * 본문에서 처음 나오는 검색어 주변을 잘라 강조한 스니펫을 만드는 함수
+ * @param {string|null} text - 본문
+ * @param {string[]} words - 강조할 단어와 구문
+ * @returns {string|null} 검색어가 본문에 없으면 앞부분, 본문이 없으면 null
+ */
+function buildSnippet(text, words) {
+    const plain = (text || '').replace(/\s+/g, ' ').trim();
+    if (!plain) {
+        return null;
+    }
+
+    const lower = plain.toLowerCase();
+    const positions = words
+        .map(word => lower.indexOf(word.toLowerCase()))
+        .filter(position => position !== -1);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+    const start = Math.max(0, first - SNIPPET_CONTEXT);
+    const end = Math.min(plain.length, first + SNIPPET_CONTEXT * 2);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < plain.length ? '…' : '';
+    return `${prefix}${highlight(plain.slice(start, end), words)}${suffix}`;
+}
+
+module.exports = {
+    parseSearchQuery,
+    buildBooleanQuery,
+    relevanceSql,
+    exclusionSql,
+    highlight,
+    buildSnippet,
+};
@@ -0,0 +1,335 @@
+const { setImmediate: yieldToEventLoop } = require('timers/promises');
+const { Op } = require('sequelize');
+const { Job, JobNeighbor, JobRegion, JobTag, sequelize } = require('../models');
+const { JOB_STATUS } = require('./jobStatus');
+
+// 항목별 가중치 (합이 1이므로 점수는 0~1)
+const SIMILARITY_WEIGHTS = {
+    title: 0.35,
+    tags: 0.35,
+    location: 0.15,
+    experience: 0.1,
+    employmentType: 0.05,
+};
+
+// 공고마다 미리 계산해 둘 유사 공고 수와 최소 점수 (근무지, 경력, 고용 형태만 같은 공고는 제외되는 정도)
+const NEIGHBOR_COUNT = 20;
+const MIN_SCORE = 0.35;
+
+// 미리 계산한 목록이 없을 때 바로 비교할 최대 후보 공고 수
+const MAX_CANDIDATES = 300;
+
+// 이 비율(공고가 적을 때는 이 수)보다 많은 공고에 나오는 제목 단어/태그로는 후보를 찾지 않음 (점수 계산에는 포함)
+const COMMON_FEATURE_RATIO = 0.2;
+const MIN_COMMON_FEATURE_JOBS = 100;
+
+// 미리 계산할 때 다른 요청이 기다리지 않도록 이 수만큼 공고를 비교할 때마다 이벤트 루프에 양보
+const YIELD_EVERY = 200;
+
+// 한 번에 저장할 유사 공고 행 수
+const INSERT_BATCH_SIZE = 1000;
+
+// 제목에서 공고를 구분하는 데 도움이 되지 않는 단어
+const TITLE_STOPWORDS = new Set([
+    '채용', '모집', '채용공고', '공고', '신입', '경력', '신입경력', '경력무관', '정규직', '계약직', '인턴',
+    '부문', '분야', '담당', '담당자', '직원', '사원', '급구', '우대',
+]);
+
+// 불리언 모드 전문 검색에서 연산자로 해석되는 문자 (services/search.js와 같음)
+const BOOLEAN_OPERATORS = /[+\-<>()~*"@]/g;
+
+// 비교에 사용하는 공고 필드 (관련 공고 응답에 필요한 필드 포함)
+const JOB_ATTRIBUTES = ['id', 'title', 'company', 'location', 'deadline', 'deadlineType', 'experience', 'employmentType', 'canonicalJobId'];
+
+// 목록에 보이는 모집 중인 공고 (대표 공고가 모집 중인 중복 공고는 제외, GET /jobs와 같음)
+const listedJobsWhere = () => ({
+    status: JOB_STATUS.OPEN,
+    [Op.or]: [
+        { canonicalJobId: null },
+        sequelize.literal(
+            'NOT EXISTS (SELECT 1 FROM jobs AS canonicalJob WHERE canonicalJob.id = Job.canonicalJobId'
+            + ` AND canonicalJob.status = ${sequelize.escape(JOB_STATUS.OPEN)})`
+        ),
+    ],
+});
+
+/**
+ * 공고 제목을 비교용 단어 목록으로 나누는 함수
+ * [회사명] 같은 대괄호 머리말과 불용어는 빼고, 한글 단어는 2글자씩 나눠 "백엔드개발자"와 "백엔드 개발자"도 비교할 수 있게 합니다. (전문 검색의 ngram 파서와 같은 방식)
+ * 예: "[네이버] 백엔드 개발자 (Node.js)" → ['백엔', '엔드', '개발', '발자', 'node', 'js']
+ * @param {string|null} title - 공고 제목
+ * @returns {string[]} 단어 목록 (같은 단어가 여러 번 나올 수 있음)
+ */
+function titleTerms(title) {
+    return (title || '')
+        .toLowerCase()
+        .replace(/\[[^\]]*\]/g, ' ')
+        .split(/[^0-9a-z가-힣+#]+/)
+        .filter(word => word.length >= 2 && !TITLE_STOPWORDS.has(word))
+        .flatMap(word => (/^[가-힣]{3,}$/.test(word)
+            ? Array.from({ length: word.length - 1 }, (_, index) => word.slice(index, index + 2))
+            : [word]));
+}
+
+/**
+ * 경력 문구를 신입/경력 구분으로 바꾸는 함수
+ * 예: "신입·경력" → {entry, experienced}, "경력 3년↑" → {experienced}, "경력무관" → {entry, experienced}
+ * @param {string|null} experience - 경력 문구
+ * @returns {Set<string>} 'entry', 'experienced' 중 해당하는 값 (알 수 없으면 빈 집합)
+ */
+function experienceLevels(experience) {
+    const text = experience || '';
+    if (text.includes('무관')) {
+        return new Set(['entry', 'experienced']);
+    }
+    const levels = new Set();
+    if (text.includes('신입')) {
+        levels.add('entry');
+    }
+    if (text.includes('경력')) {
+        levels.add('experienced');
+    }
+    return levels;
+}
+
+/**
+ * 공고마다 비교할 특징(제목 단어, 태그, 지역, 경력, 고용 형태)을 모으는 함수
+ * @param {Object[]} jobs - JOB_ATTRIBUTES를 조회한 공고 목록
+ * @returns {Promise<Object[]>} 공고 순서대로 특징 목록
+ */
+async function loadFeatures(jobs) {
+    const ids = jobs.map(job => job.id);
+    const [jobTags, jobRegions] = ids.length > 0
+        ? await Promise.all([
+            JobTag.findAll({ where: { jobId: { [Op.in]: ids } }, attributes: ['jobId', 'tagId'], raw: true }),
+            JobRegion.findAll({ where: { jobId: { [Op.in]: ids } }, attributes: ['jobId', 'sidoCode', 'regionCode'], raw: true }),
+        ])
+        : [[], []];
+
+    const features = new Map(jobs.map(job => [job.id, {
+        job,
+        group: job.canonicalJobId || job.id, // 같은 공고 묶음(대표 공고와 중복 공고)끼리는 비교하지 않음
+        terms: titleTerms(job.title),
+        tags: new Set(),
+        sidoCodes: new Set(),
+        regionCodes: new Set(),
+        experience: experienceLevels(job.experience),
+        employmentType: job.employmentType || null,
+    }]));
+    jobTags.forEach(({ jobId, tagId }) => features.get(jobId).tags.add(tagId));
+    jobRegions.forEach(({ jobId, sidoCode, regionCode }) => {
+        const feature = features.get(jobId);
+        feature.sidoCodes.add(sidoCode);
+        if (regionCode) {
+            feature.regionCodes.add(regionCode);
+        }
+    });
+    return [...features.values()];
+}
+
+/**
+ * 제목 단어에 TF-IDF 가중치를 매기는 함수 (feature.vector, feature.norm을 채움)
+ * 비교하는 공고 전체에서 드물게 나오는 단어일수록 가중치가 큽니다.
+ * @param {Object[]} features - loadFeatures 결과
+ */
+function weightTitleTerms(features) {
+    const documentFrequency = new Map();
+    features.forEach(({ terms }) => {
+        new Set(terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    features.forEach((feature) => {
+        const counts = new Map();
+        feature.terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+        feature.vector = new Map();
+        counts.forEach((count, term) => {
+            const idf = Math.log((features.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+            feature.vector.set(term, (1 + Math.log(count)) * idf);
+        });
+        feature.norm = Math.sqrt([...feature.vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    });
+}
+
+// 두 TF-IDF 벡터의 코사인 유사도
+function cosine(a, b) {
+    if (a.norm === 0 || b.norm === 0) {
+        return 0;
+    }
+    let dot = 0;
+    a.vector.forEach((weight, term) => {
+        dot += weight * (b.vector.get(term) || 0);
+    });
+    return dot / (a.norm * b.norm);
+}
+
+// 두 집합의 자카드 유사도 (둘 다 비어 있으면 0)
+function jaccard(a, b) {
+    let shared = 0;
+    a.forEach((value) => {
+        if (b.has(value)) {
+            shared++;
+        }
+    });
+    const union = a.size + b.size - shared;
+    return union === 0 ? 0 : shared / union;
+}
+
+// 근무지 유사도 (같은 시/군/구 1, 같은 시/도 0.5)
+function locationSimilarity(a, b) {
+    if (jaccard(a.regionCodes, b.regionCodes) > 0) {
+        return 1;
+    }
+    return jaccard(a.sidoCodes, b.sidoCodes) > 0 ? 0.5 : 0;
+}
+
+/**
+ * 두 공고의 유사도 점수를 계산하는 함수 (0~1, SIMILARITY_WEIGHTS로 항목별 유사도를 가중 합산)
+ * 제목은 TF-IDF 코사인 유사도, 기술 스택 태그와 경력은 자카드 유사도, 근무지는 시/군/구와 시/도 일치, 고용 형태는 일치 여부로 비교합니다.
+ * @param {Object} a - weightTitleTerms를 거친 특징
+ * @param {Object} b - weightTitleTerms를 거친 특징
+ * @returns {number} 소수점 셋째 자리까지의 점수
+ */
+function scoreSimilarity(a, b) {
+    const score = SIMILARITY_WEIGHTS.title * cosine(a, b)
+        + SIMILARITY_WEIGHTS.tags * jaccard(a.tags, b.tags)
+        + SIMILARITY_WEIGHTS.location * locationSimilarity(a, b)
+        + SIMILARITY_WEIGHTS.experience * jaccard(a.experience, b.experience)
+        + SIMILARITY_WEIGHTS.employmentType * (a.employmentType && a.employmentType === b.employmentType ? 1 : 0);
+    return Math.round(score * 1000) / 1000;
+}
+
+// 점수가 높은 순으로 최소 점수 이상인 공고만 limit개 (같은 점수는 최근 공고 먼저)
+function topMatches(feature, candidates, limit) {
+    return candidates
+        .filter(candidate => candidate.group !== feature.group)
+        .map(candidate => ({ feature: candidate, score: scoreSimilarity(feature, candidate) }))
+        .filter(({ score }) => score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score || b.feature.job.id - a.feature.job.id)
+        .slice(0, limit);
+}
+
+/**
+ * 모집 중인 모든 공고의 유사 공고 목록을 다시 계산해 job_neighbors에 저장하는 함수 (크롤링이 끝날 때마다 실행)
+ * 제목 단어나 기술 스택 태그를 하나 이상 공유하는 공고끼리만 비교하고, 공고마다 점수가 높은 NEIGHBOR_COUNT개를 저장합니다.
+ * @returns {Promise<{ jobs: number, neighbors: number }>} 비교한 공고 수와 저장한 유사 공고 수
+ */
+async function refreshJobNeighbors() {
+    const jobs = await Job.findAll({ where: listedJobsWhere(), attributes: JOB_ATTRIBUTES });
+    const features = await loadFeatures(jobs);
+    weightTitleTerms(features);
+
+    // 제목 단어와 태그 → 그 값을 가진 공고 (너무 흔한 값은 후보를 찾는 데 쓰지 않음)
+    const postings = new Map();
+    features.forEach((feature) => {
+        feature.keys = [...new Set(feature.terms)].map(term => `term:${term}`)
+            .concat([...feature.tags].map(tagId => `tag:${tagId}`));
+        feature.keys.forEach((key) => {
+            if (!postings.has(key)) {
+                postings.set(key, []);
+            }
+            postings.get(key).push(feature);
+        });
+    });
+    const maxPostings = Math.max(COMMON_FEATURE_RATIO * features.length, MIN_COMMON_FEATURE_JOBS);
+
+    const rows = [];
+    for (const [index, feature] of features.entries()) {
+        if (index > 0 && index % YIELD_EVERY === 0) {
+            await yieldToEventLoop();
+        }
+
+        const candidates = new Set();
+        feature.keys.forEach((key) => {
+            const matches = postings.get(key);
+            if (matches.length <= maxPostings) {
+                matches.forEach(match => candidates.add(match));
+            }
+        });
+        candidates.delete(feature);
+
+        topMatches(feature, [...candidates], NEIGHBOR_COUNT).forEach(({ feature: neighbor, score }) => {
+            rows.push({ jobId: feature.job.id, neighborJobId: neighbor.job.id, score });
+        });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        await JobNeighbor.destroy({ where: {}, transaction });
+        for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+            await JobNeighbor.bulkCreate(rows.slice(start, start + INSERT_BATCH_SIZE), { transaction });
+        }
+    });
+    return { jobs: features.length, neighbors: rows.length };
+}
+
+/**
+ * 공고와 비슷한 모집 중인 공고를 바로 계산하는 함수 (미리 계산한 목록이 없을 때)
+ * 기술 스택 태그를 공유하거나 제목 전문 검색에 걸리는 최근 공고 MAX_CANDIDATES개와 비교하며, IDF도 이 후보들로 계산합니다.
+ * @param {Object} job - 기준 공고
+ * @param {number} limit - 최대 개수
+ * @returns {Promise<Object[]>} [{ job, score }]
+ */
+async function scoreRelatedJobs(job, limit) {
+    const [target] = await loadFeatures([job]);
+    const searchTerms = [...new Set(target.terms)]
+        .map(term => term.replace(BOOLEAN_OPERATORS, ''))
+        .filter(term => term.length >= 2);
+
+    const matches = [];
+    if (target.tags.size > 0) {
+        matches.push({ id: { [Op.in]: sequelize.literal(`(SELECT jobId FROM job_tags WHERE tagId IN (${[...target.tags].join(', ')}))`) } });
+    }
+    if (searchTerms.length > 0) {
+        // 연산자 없는 불리언 모드는 단어 중 하나라도 있으면 일치
+        matches.push(sequelize.where(
+            sequelize.literal(`MATCH(Job.title) AGAINST(${sequelize.escape(searchTerms.join(' '))} IN BOOLEAN MODE)`),
+            { [Op.gt]: 0 }
+        ));
+    }
+    if (matches.length === 0) {
+        return [];
+    }
+
+    const candidates = await Job.findAll({
+        where: { [Op.and]: [listedJobsWhere(), { [Op.or]: matches }], id: { [Op.ne]: job.id } },
+        attributes: JOB_ATTRIBUTES,
+        order: [['id', 'DESC']],
+        limit: MAX_CANDIDATES,
+    });
+    const features = await loadFeatures(candidates);
+    weightTitleTerms([target, ...features]);
+
+    return topMatches(target, features, limit).map(({ feature, score }) => ({ job: feature.job, score }));
+}
+
+/**
+ * 공고와 비슷한 모집 중인 공고를 유사도 높은 순으로 찾는 함수
+ * 크롤링이 끝날 때 미리 계산한 목록을 사용하고, 목록이 없으면(마지막 크롤링 이후 등록된 공고 등) 바로 계산합니다.
+ * @param {Object} job - 기준 공고
+ * @param {Object} [options]
+ * @param {number} [options.limit] - 최대 개수 (1~NEIGHBOR_COUNT)
+ * @returns {Promise<Object[]>} [{ job, score }] (job은 JOB_ATTRIBUTES만 조회)
+ */
+async function findRelatedJobs(job, { limit = 5 } = {}) {
+    const size = Math.min(Math.max(limit, 1), NEIGHBOR_COUNT);
+    const neighbors = await JobNeighbor.findAll({
+        where: { jobId: job.id },
+        include: [{ model: Job, as: 'neighbor', attributes: JOB_ATTRIBUTES, where: { status: JOB_STATUS.OPEN } }],
+        order: [['score', 'DESC'], ['neighborJobId', 'DESC']],
+        limit: size,
+    });
+    if (neighbors.length > 0) {
+        return neighbors.map(neighbor => ({ job: neighbor.neighbor, score: neighbor.score }));
+    }
+    return scoreRelatedJobs(job, size);
+}
+
+module.exports = {
+    SIMILARITY_WEIGHTS,
+    NEIGHBOR_COUNT,
+    titleTerms,
+    experienceLevels,
+    scoreSimilarity,
+    refreshJobNeighbors,
+    findRelatedJobs,
+};
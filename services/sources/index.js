@@ -0,0 +1,51 @@
+const saramin = require('./saramin');
+const { createReplaySource, createCaptureSource } = require('./replay');
+
+/*
+ * 채용 공고 소스 어댑터 목록
+ * 어댑터는 다음 속성을 가진 객체입니다.
+ *   name                  소스 이름 (jobs.source 컬럼에 저장)
+ *   fetch(url)            페이지 HTML 요청
+ *   listUrl(page, query)  목록 페이지 URL (query: { keyword, category, region, careerLevel }, 지원하지 않는 조건은 무시)
+ *   expectedFields(query) 목록에서 값이 있어야 하는 필드 (선택, 파싱 품질 확인용. 없으면 title, company, link)
+ *   detailUrl(link)       상세 페이지 URL (없으면 null)
+ *   companyUrl(key)       기업정보 페이지 URL (선택, 없으면 회사 정보를 가져오지 않음)
+ *   parseList(html)       목록 HTML → 정규화 전 공고 데이터 배열
+ *   parseDetail(html)     상세 HTML → { description, responsibilities, requirements, benefits, hiringProcess }
+ *   parseCompany(html)    기업정보 HTML → { industry, size, foundedYear, address, website } (선택)
+ *   normalize(rawData)    정규화 전 데이터 → Job 컬럼 형태와 회사 식별자 companyKey (유효하지 않으면 null)
+ */
+const sources = {
+    [saramin.name]: saramin,
+};
+
+/**
+ * 이름으로 소스 어댑터를 가져오는 함수
+ * replayDir가 있으면 저장된 HTML을 읽고, captureDir가 있으면 가져온 HTML을 저장합니다.
+ * @param {string} name - 소스 이름
+ * @param {Object} [options]
+ * @param {string} [options.replayDir] - 리플레이할 HTML 디렉터리
+ * @param {string} [options.captureDir] - HTML을 저장할 디렉터리
+ * @returns {Object} 소스 어댑터
+ */
+function getSource(name, { replayDir, captureDir } = {}) {
+    const source = sources[name];
+    if (!source) {
+        throw new Error(`알 수 없는 크롤링 소스입니다: ${name}`);
+    }
+
+    if (replayDir) {
+        return createReplaySource(source, replayDir);
+    }
+    if (captureDir) {
+        return createCaptureSource(source, captureDir);
+    }
+    return source;
+}
+
+// 등록된 소스 이름 목록
+function listSources() {
+    return Object.keys(sources);
+}
+
+module.exports = { getSource, listSources };
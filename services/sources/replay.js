@@ -0,0 +1,60 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * URL을 저장용 파일 이름으로 변환하는 함수
+ * 예: https://www.saramin.co.kr/zf_user/jobs/public/list?page=1 → www.saramin.co.kr_zf_user_jobs_public_list_page_1.html
+ * @param {string} url - 변환할 URL
+ * @returns {string} 파일 이름
+ */
+function toFileName(url) {
+    return url
+        .replace(/^https?:\/\//, '')
+        .replace(/[^a-zA-Z0-9.-]+/g, '_')
+        .replace(/_+$/, '') + '.html';
+}
+
+/**
+ * 네트워크 대신 디스크에 저장된 HTML을 읽는 리플레이 어댑터를 만드는 함수
+ * 파일은 `<dir>/<소스 이름>/<toFileName(url)>` 경로에서 찾습니다.
+ * @param {Object} source - 원본 소스 어댑터
+ * @param {string} dir - 저장된 HTML이 있는 디렉터리
+ * @returns {Object} fetch만 교체된 소스 어댑터
+ */
+function createReplaySource(source, dir) {
+    return {
+        ...source,
+        fetch: async (url) => {
+            const filePath = path.join(dir, source.name, toFileName(url));
+            try {
+                return await fs.readFile(filePath, 'utf-8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error(`저장된 페이지가 없습니다: ${filePath}`);
+                }
+                throw error;
+            }
+        },
+    };
+}
+
+/**
+ * 네트워크로 가져온 HTML을 리플레이용으로 디스크에 저장하는 어댑터를 만드는 함수
+ * @param {Object} source - 원본 소스 어댑터
+ * @param {string} dir - HTML을 저장할 디렉터리
+ * @returns {Object} fetch 결과를 저장하는 소스 어댑터
+ */
+function createCaptureSource(source, dir) {
+    return {
+        ...source,
+        fetch: async (url) => {
+            const html = await source.fetch(url);
+            const sourceDir = path.join(dir, source.name);
+            await fs.mkdir(sourceDir, { recursive: true });
+            await fs.writeFile(path.join(sourceDir, toFileName(url)), html);
+            return html;
+        },
+    };
+}
+
+module.exports = { toFileName, createReplaySource, createCaptureSource };
@@ -0,0 +1,368 @@
+const cheerio = require('cheerio');
+const { parseDeadline } = require('../deadline');
+const { createFetchQueue } = require('../fetchQueue');
+
+const BASE_URL = 'https://www.saramin.co.kr';
+
+// 사람인 요청은 모두 하나의 큐를 거쳐 초당 요청 수와 동시 요청 수를 제한 (처음 요청할 때 설정을 읽음)
+let queue = null;
+
+// 상세 페이지 본문에서 항목을 구분하는 제목 패턴
+const DETAIL_SECTIONS = {
+    responsibilities: /^(주요\s*업무|담당\s*업무|업무\s*내용|하는\s*일)/,
+    requirements: /^(자격\s*요건|지원\s*자격|자격\s*조건|필수\s*요건|우대\s*사항|우대\s*조건)/,
+    benefits: /^(복리\s*후생|복지\s*및\s*혜택|혜택\s*및\s*복지|근무\s*환경)/,
+    hiringProcess: /^(채용\s*절차|전형\s*절차|채용\s*프로세스|전형\s*방법)/,
+};
+
+/**
+ * 페이지 HTML을 가져오는 함수
+ * 429, 5xx 응답과 타임아웃은 CRAWL_RETRIES만큼 간격을 늘려가며 재시도합니다.
+ * @param {string} url - 요청할 URL
+ * @returns {Promise<string>} 응답 HTML
+ */
+async function fetch(url) {
+    if (!queue) {
+        queue = createFetchQueue();
+    }
+    return queue.fetch(url);
+}
+
+// data/regions.json의 시/도 코드 → 사람인 지역 코드 (loc_mcd)
+const REGION_CODES = {
+    11: '101000', // 서울
+    41: '102000', // 경기
+    29: '103000', // 광주
+    27: '104000', // 대구
+    30: '105000', // 대전
+    26: '106000', // 부산
+    31: '107000', // 울산
+    28: '108000', // 인천
+    51: '109000', // 강원
+    48: '110000', // 경남
+    47: '111000', // 경북
+    46: '112000', // 전남
+    52: '113000', // 전북
+    43: '114000', // 충북
+    44: '115000', // 충남
+    50: '116000', // 제주
+    36: '118000', // 세종
+};
+
+// 경력 조건 → 사람인 검색 파라미터
+const CAREER_PARAMS = {
+    entry: 'exp_cd=1',
+    experienced: 'exp_cd=2',
+    any: 'exp_none=y',
+};
+
+// 검색 결과 페이지로 크롤링하는 조건인지 (직무 카테고리만 있으면 전체 공고 목록에서 필터링)
+function isSearchQuery({ keyword, region, careerLevel } = {}) {
+    return Boolean(keyword || region || careerLevel);
+}
+
+/**
+ * 공고 목록 페이지 URL을 만드는 함수
+ * 검색어, 지역, 경력 조건이 있으면 검색 결과 페이지를, 없으면 전체 공고 목록 페이지를 사용합니다.
+ * 시/군/구 코드는 사람인 검색에서 해당 시/도 전체로 검색합니다.
+ * @param {number} page - 페이지 번호
+ * @param {Object} [query]
+ * @param {string} [query.keyword] - 검색어
+ * @param {string} [query.category] - 직무 카테고리 코드 (cat_kewd, 쉼표로 여러 개)
+ * @param {string} [query.region] - 지역 코드 (data/regions.json의 시/도 또는 시/군/구 코드)
+ * @param {string} [query.careerLevel] - 경력 조건 ('entry', 'experienced', 'any')
+ * @returns {string} 목록 페이지 URL
+ * @throws {Error} 사람인에서 검색할 수 없는 지역 코드나 경력 조건이면 예외 발생
+ */
+function listUrl(page, query = {}) {
+    const { keyword, category, region, careerLevel } = query;
+    const categoryParam = category ? `&cat_kewd=${encodeURIComponent(category)}` : '';
+
+    if (isSearchQuery(query)) {
+        const params = [];
+        if (region) {
+            const regionCode = REGION_CODES[String(region).slice(0, 2)];
+            if (!regionCode) {
+                throw new Error(`사람인에서 검색할 수 없는 지역 코드입니다: ${region}`);
+            }
+            params.push(`loc_mcd=${regionCode}`);
+        }
+        if (careerLevel) {
+            if (!CAREER_PARAMS[careerLevel]) {
+                throw new Error(`알 수 없는 경력 조건입니다: ${careerLevel}`);
+            }
+            params.push(CAREER_PARAMS[careerLevel]);
+        }
+
+        return `${BASE_URL}/zf_user/search/recruit?searchType=search&searchword=${encodeURIComponent(keyword || '')}`
+            + `&recruitPage=${page}&recruitPageCount=50${categoryParam}${params.map(param => `&${param}`).join('')}`;
+    }
+    return `${BASE_URL}/zf_user/jobs/public/list?page=${page}&&type=all&page_count=50&isAjaxRequest=y${categoryParam}`;
+}
+
+/**
+ * 목록에서 값이 있어야 하는 필드 목록 (파싱 품질 확인용)
+ * 검색 결과 페이지에는 급여가 표시되지 않으므로 급여는 전체 공고 목록에서만 확인합니다.
+ * @param {Object} [query] - 목록 검색 조건
+ * @returns {string[]}
+ */
+function expectedFields(query = {}) {
+    const fields = ['title', 'company', 'link', 'location', 'deadline'];
+    return isSearchQuery(query) ? fields : [...fields, 'salary'];
+}
+
+/**
+ * 공고 링크로 상세 페이지 URL을 만드는 함수
+ * 공고 본문은 iframe으로 분리된 view-detail 페이지에 있습니다.
+ * @param {string} link - 공고 링크
+ * @returns {string|null} 상세 페이지 URL (rec_idx가 없으면 null)
+ */
+function detailUrl(link) {
+    const recIdx = new URL(link).searchParams.get('rec_idx');
+    if (!recIdx) {
+        return null;
+    }
+
+    return `${BASE_URL}/zf_user/jobs/relay/view-detail?rec_idx=${recIdx}&rec_seq=0`;
+}
+
+/**
+ * 회사 식별자로 기업정보 페이지 URL을 만드는 함수
+ * @param {string} companyKey - 사람인 회사 식별자 (csn)
+ * @returns {string} 기업정보 페이지 URL
+ */
+function companyUrl(companyKey) {
+    return `${BASE_URL}/zf_user/company-info/view?csn=${encodeURIComponent(companyKey)}`;
+}
+
+// 목록의 상대 경로 링크를 절대 URL로 (링크를 찾지 못하면 null)
+function toAbsoluteUrl(href) {
+    return href ? BASE_URL + href : null;
+}
+
+/**
+ * 공고 목록 HTML에서 공고 카드별 원본 데이터를 추출하는 함수
+ * 전체 공고 목록(.box_item)과 검색 결과(.item_recruit) 형식을 모두 읽습니다.
+ * @param {string} html - 목록 또는 검색 결과 페이지 HTML
+ * @returns {Object[]} 정규화 전 공고 데이터 목록
+ */
+function parseList(html) {
+    const $ = cheerio.load(html);
+
+    if ($('.item_recruit').length > 0) {
+        return parseSearchResults($);
+    }
+
+    return $('.box_item').map((_, job) => ({
+        title: $(job).find('.job_tit a').text(),
+        company: $(job).find('.company_nm a').text(),
+        companyLink: $(job).find('.company_nm a').attr('href') || null,
+        link: toAbsoluteUrl($(job).find('.job_tit a').attr('href')),
+        location: $(job).find('.work_place').text(),
+        education: $(job).find('.education').text(),
+        career: $(job).find('.career').text(),
+        deadline: $(job).find('.support_detail .date').text(),
+        techStack: $(job).find('.job_sector span').map(function() {
+            return $(this).text().trim(); // 각 span의 텍스트를 가져와서 앞뒤 공백을 제거
+        }).get().join(', ') || null, // 배열로 변환 후 쉼표로 결합
+        salary: $(job).find('.salary').text(),
+    })).get();
+}
+
+/**
+ * 검색 결과 페이지의 공고 카드에서 원본 데이터를 추출하는 함수
+ * 근무지, 경력, 학력, 고용형태가 .job_condition의 span에 순서대로 있고 급여는 표시되지 않습니다.
+ * @param {Function} $ - 검색 결과 페이지를 읽은 cheerio 객체
+ * @returns {Object[]} 정규화 전 공고 데이터 목록
+ */
+function parseSearchResults($) {
+    return $('.item_recruit').map((_, job) => {
+        const conditions = $(job).find('.job_condition > span').map(function() {
+            return $(this).text().replace(/\s+/g, ' ').trim();
+        }).get();
+        const titleLink = $(job).find('.job_tit a');
+
+        return {
+            title: titleLink.attr('title') || titleLink.text(),
+            company: $(job).find('.corp_name a').text(),
+            companyLink: $(job).find('.corp_name a').attr('href') || null,
+            link: toAbsoluteUrl(titleLink.attr('href')),
+            location: conditions[0] || '',
+            career: [conditions[1], conditions[3]].filter(Boolean).join(' · '),
+            education: conditions[2] || '',
+            deadline: $(job).find('.job_date .date').text(),
+            techStack: $(job).find('.job_sector a').map(function() {
+                return $(this).text().trim();
+            }).get().join(', ') || null,
+            // 검색 결과 페이지에는 급여가 없으므로 salary는 비워 둠 (저장된 급여를 지우지 않도록 null이 아닌 undefined)
+        };
+    }).get();
+}
+
+/**
+ * 상세 페이지 HTML에서 본문과 항목별 내용을 추출하는 함수
+ * @param {string} html - view-detail 페이지 HTML
+ * @returns {Object|null} description, responsibilities, requirements, benefits, hiringProcess (본문이 없으면 null)
+ */
+function parseDetail(html) {
+    const $ = cheerio.load(html);
+    const content = $('.user_content').first();
+    if (content.length === 0) {
+        return null;
+    }
+
+    // 줄 단위로 나누기 위해 블록 요소와 줄바꿈 태그 뒤에 개행 추가
+    content.find('br').replaceWith('\n');
+    content.find('p, div, li, tr, h1, h2, h3, h4, h5, dt, dd').each(function() {
+        $(this).append('\n');
+    });
+
+    const lines = content.text()
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+
+    if (lines.length === 0) {
+        return null;
+    }
+
+    // 항목 제목을 만나면 이후 줄들을 해당 항목에 모음
+    const sections = { responsibilities: [], requirements: [], benefits: [], hiringProcess: [] };
+    let current = null;
+    lines.forEach((line) => {
+        const heading = line.replace(/^[[【■□●◆◇▶▷<\s]+/, '');
+        const section = heading.length <= 30
+            ? Object.keys(DETAIL_SECTIONS).find(key => DETAIL_SECTIONS[key].test(heading))
+            : null;
+
+        if (section) {
+            current = section;
+            // 우대사항은 자격요건에 제목과 함께 덧붙임
+            if (section === 'requirements' && sections.requirements.length > 0) {
+                sections.requirements.push(heading);
+            }
+
+            // "담당업무: 백엔드 개발"처럼 제목과 내용이 한 줄에 있는 경우
+            const rest = heading.replace(DETAIL_SECTIONS[section], '').replace(/^[\s\]】>:：-]+/, '');
+            if (rest) {
+                sections[section].push(rest);
+            }
+        } else if (current) {
+            sections[current].push(line);
+        }
+    });
+
+    const joinSection = (items) => (items.length > 0 ? items.join('\n') : null);
+
+    return {
+        description: lines.join('\n'),
+        responsibilities: joinSection(sections.responsibilities),
+        requirements: joinSection(sections.requirements),
+        benefits: joinSection(sections.benefits),
+        hiringProcess: joinSection(sections.hiringProcess),
+    };
+}
+
+/**
+ * 기업정보 페이지 HTML에서 회사 정보를 추출하는 함수
+ * 기업 요약(업력, 기업형태, 사원수)과 상세 정보(업종, 홈페이지, 주소)의 "항목명: 값" 목록을 읽습니다.
+ * @param {string} html - 기업정보 페이지 HTML
+ * @returns {Object|null} industry, size, foundedYear, address, website (읽은 항목이 없으면 null)
+ */
+function parseCompany(html) {
+    const $ = cheerio.load(html);
+    const fields = {};
+
+    // 요약 영역은 값(company_summary_tit)이 크게, 항목명(company_summary_desc)이 아래에 표시되고 상세 영역은 dt/dd 목록
+    $('.company_summary_item').each(function() {
+        const label = $(this).find('.company_summary_desc').text().trim();
+        const value = $(this).find('.company_summary_tit').text().replace(/\s+/g, ' ').trim();
+        if (label && value) fields[label] = value;
+    });
+    $('.company_details_group dt, .company_info dt').each(function() {
+        const label = $(this).text().trim();
+        const valueElement = $(this).next('dd');
+        // 홈페이지는 표시 문구 대신 링크 주소를 쓰고, 주소 옆의 "지도" 버튼 등은 제외
+        const href = label.startsWith('홈페이지') ? valueElement.find('a').attr('href') : null;
+        const text = valueElement.clone().find('a, button').remove().end().text() || valueElement.text();
+        const value = (href || text).replace(/\s+/g, ' ').trim();
+        if (label && value && !fields[label]) fields[label] = value;
+    });
+
+    // 앞의 항목명부터 순서대로 찾아서 실제 항목명을 반환 ("업력 (2010년 설립)"처럼 항목명에 값이 붙기도 함)
+    const findLabel = (...labels) => {
+        for (const name of labels) {
+            const label = Object.keys(fields).find(key => key.replace(/\s+/g, '').startsWith(name));
+            if (label) return label;
+        }
+        return null;
+    };
+    const findField = (...labels) => {
+        const label = findLabel(...labels);
+        return label ? fields[label] : null;
+    };
+
+    // "설립일 2010년 3월 2일", "업력 (2010년 설립) 14년차" 등에서 설립 연도 추출
+    const foundedLabel = findLabel('설립일', '업력');
+    const foundedText = foundedLabel ? `${foundedLabel} ${fields[foundedLabel]}` : '';
+    const foundedMatch = foundedText.match(/(\d{4})\s*년/);
+
+    const company = {
+        industry: findField('업종'),
+        size: findField('기업형태', '기업규모', '사원수'),
+        foundedYear: foundedMatch ? parseInt(foundedMatch[1], 10) : null,
+        address: findField('주소', '본사주소'),
+        website: findField('홈페이지'),
+    };
+
+    return Object.values(company).some(value => value !== null) ? company : null;
+}
+
+// 데이터 정규화 및 유효성 검사 함수
+function normalize(rawData) {
+    const normalizedData = {};
+
+    // 필수 필드 확인
+    if (!rawData.title || !rawData.company || !rawData.link) {
+        console.error('필수 필드 누락: title, company, 또는 link가 없습니다.');
+        return null;
+    }
+
+    // 문자열 트림 및 null 처리
+    normalizedData.title = rawData.title.trim();
+    normalizedData.company = rawData.company.trim();
+    normalizedData.link = rawData.link.trim();
+    normalizedData.location = rawData.location?.trim() || null;
+    normalizedData.education = rawData.education?.trim() || null;
+    normalizedData.techStack = rawData.techStack?.trim() || null;
+    if (rawData.salary !== undefined) {
+        normalizedData.salary = rawData.salary?.trim() || null;
+    }
+
+    // 경력 및 고용형태 처리
+    const careerParts = (rawData.career || '').split('·').map(part => part.trim());
+    normalizedData.experience = careerParts[0] || null;
+    normalizedData.employmentType = careerParts[1] || null;
+
+    // 마감일 및 마감 유형 (상시채용, 채용시 마감 포함)
+    Object.assign(normalizedData, parseDeadline(rawData.deadline));
+
+    // 회사 식별자 (기업정보 링크의 csn)
+    const companyLink = rawData.companyLink ? new URL(rawData.companyLink, BASE_URL) : null;
+    normalizedData.companyKey = companyLink?.searchParams.get('csn') || null;
+
+    return normalizedData;
+}
+
+module.exports = {
+    name: 'saramin',
+    fetch,
+    listUrl,
+    expectedFields,
+    detailUrl,
+    companyUrl,
+    parseList,
+    parseDetail,
+    parseCompany,
+    normalize,
+};
@@ -0,0 +1,153 @@
+const { Op } = require('sequelize');
+const { Job, Tag, sequelize } = require('../models');
+const { JOB_STATUS } = require('./jobStatus');
+const { normalizeCompanyName } = require('./duplicates');
+const synonyms = require('../data/tagSynonyms.json');
+
+// 한글 음절의 초성 (유니코드 음절 순서, 호환 자모)
+const CHOSEONG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+const HANGUL_START = 0xAC00; // '가'
+const HANGUL_END = 0xD7A3; // '힣'
+const SYLLABLES_PER_CHOSEONG = 21 * 28; // 중성 21개 × 종성 28개
+
+// 초성만으로 이루어진 검색어 (예: "ㄴㅇㅂ")
+const INITIALS_QUERY_PATTERN = /^[ㄱ-ㅎ]+$/;
+
+// 종류별 추천어 최대 개수
+const MAX_SUGGESTIONS = 20;
+
+/**
+ * 문자열을 초성 검색용 키로 바꾸는 함수
+ * 한글 음절은 초성으로, 영문은 소문자로 바꾸고 공백과 기호는 제거합니다.
+ * 예: "네이버 클라우드" → "ㄴㅇㅂㅋㄹㅇㄷ", "Node.js 개발" → "nodejsㄱㅂ"
+ * @param {string|null} text - 원문
+ * @returns {string|null} 초성 키 (비어 있으면 null)
+ */
+function toInitials(text) {
+    const initials = [...(text || '').toLowerCase()].map((char) => {
+        const code = char.charCodeAt(0);
+        if (code >= HANGUL_START && code <= HANGUL_END) {
+            return CHOSEONG[Math.floor((code - HANGUL_START) / SYLLABLES_PER_CHOSEONG)];
+        }
+        return /[0-9a-zㄱ-ㅎ]/.test(char) ? char : '';
+    }).join('');
+    return initials || null;
+}
+
+/**
+ * 공고의 초성 검색용 필드를 만드는 함수 (공고를 저장할 때 함께 저장)
+ * 회사명은 "(주)" 같은 법인 표기를 뺀 이름으로 만듭니다.
+ * @param {{ title: string, company: string }} job - 공고 제목과 회사명
+ * @returns {{ titleInitials: string|null, companyInitials: string|null }}
+ */
+function buildSuggestFields({ title, company }) {
+    return {
+        titleInitials: toInitials(title),
+        companyInitials: toInitials(normalizeCompanyName(company)),
+    };
+}
+
+/**
+ * 입력 중인 검색어가 초성 검색인지 확인하는 함수
+ * @param {string} query - 검색어
+ * @returns {boolean}
+ */
+function isInitialsQuery(query) {
+    return INITIALS_QUERY_PATTERN.test(query.replace(/\s+/g, ''));
+}
+
+// LIKE 패턴에서 와일드카드로 해석되는 문자 이스케이프
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// 조회수 합계 (인기도)와 모집 중인 공고 수
+const popularity = sequelize.fn('SUM', sequelize.col('views'));
+const jobCount = sequelize.fn('COUNT', sequelize.col('id'));
+
+// 제목 또는 회사명으로 모집 중인 공고를 묶어 인기순으로 조회
+async function suggestFromJobs(field, matchCondition, limit) {
+    const rows = await Job.findAll({
+        where: { [Op.and]: [{ status: JOB_STATUS.OPEN }, matchCondition] },
+        attributes: [[sequelize.col(field), 'value'], [popularity, 'popularity'], [jobCount, 'jobCount']],
+        group: [field],
+        order: [[popularity, 'DESC'], [jobCount, 'DESC'], [sequelize.col(field), 'ASC']],
+        limit,
+        raw: true,
+    });
+    return rows.map(row => ({
+        value: row.value,
+        popularity: parseInt(row.popularity, 10) || 0,
+        jobCount: parseInt(row.jobCount, 10),
+    }));
+}
+
+// 이름이나 별칭(한글 포함)이 검색어와 맞는 태그를 모집 중인 공고의 조회수 합계 순으로 조회
+async function suggestTags(query, initials, limit) {
+    const matches = (name) => (initials
+        ? (toInitials(name) || '').startsWith(query)
+        : name.toLowerCase().startsWith(query.toLowerCase()));
+    const aliasMatches = Object.entries(synonyms)
+        .filter(([canonical, aliases]) => [canonical, ...aliases].some(matches))
+        .map(([canonical]) => canonical);
+
+    const nameConditions = [{ [Op.in]: aliasMatches }];
+    if (!initials) {
+        nameConditions.push({ [Op.like]: `${escapeLike(query)}%` });
+    }
+
+    const openJobs = `FROM job_tags JOIN jobs ON jobs.id = job_tags.jobId WHERE job_tags.tagId = Tag.id AND jobs.status = ${sequelize.escape(JOB_STATUS.OPEN)}`;
+    const tagPopularity = sequelize.literal(`(SELECT COALESCE(SUM(jobs.views), 0) ${openJobs})`);
+    const tagJobCount = sequelize.literal(`(SELECT COUNT(*) ${openJobs})`);
+    const tags = await Tag.findAll({
+        where: {
+            name: { [Op.or]: nameConditions },
+            [Op.and]: [sequelize.where(tagJobCount, { [Op.gt]: 0 })], // 모집 중인 공고가 없는 태그는 제외
+        },
+        attributes: [['name', 'value'], [tagPopularity, 'popularity'], [tagJobCount, 'jobCount']],
+        order: [[tagPopularity, 'DESC'], [tagJobCount, 'DESC'], ['name', 'ASC']],
+        limit,
+        raw: true,
+    });
+    return tags.map(tag => ({ value: tag.value, popularity: parseInt(tag.popularity, 10), jobCount: parseInt(tag.jobCount, 10) }));
+}
+
+/**
+ * 입력 중인 검색어로 공고 제목, 회사명, 기술 스택 태그 추천어를 찾는 함수
+ * 검색어로 시작하는 값(접두어 일치)을 찾고, 검색어가 초성으로만 이루어져 있으면 초성으로 찾습니다. ("ㄴㅇㅂ" → 네이버)
+ * 추천어는 모집 중인 공고의 조회수(views) 합계가 높은 순으로 정렬합니다.
+ * @param {string} query - 입력 중인 검색어
+ * @param {Object} [options]
+ * @param {number} [options.limit] - 종류별 최대 개수
+ * @returns {Promise<{ titles: Object[], companies: Object[], tags: Object[] }>} 종류별 [{ value, popularity, jobCount }]
+ */
+async function suggest(query, { limit = 5 } = {}) {
+    const trimmed = query.replace(/\s+/g, ' ').trim();
+    const size = Math.min(Math.max(limit, 1), MAX_SUGGESTIONS);
+    const initials = isInitialsQuery(trimmed);
+    const searchText = initials ? trimmed.replace(/\s+/g, '') : trimmed; // 초성은 공백 없이 비교
+
+    let titleCondition;
+    let companyCondition;
+    if (initials) {
+        const prefix = `${searchText}%`;
+        titleCondition = { titleInitials: { [Op.like]: prefix } };
+        companyCondition = { companyInitials: { [Op.like]: prefix } };
+    } else {
+        const prefix = `${escapeLike(trimmed)}%`;
+        titleCondition = { title: { [Op.like]: prefix } };
+        // "(주)카카오"도 "카카오"로 찾을 수 있도록 정규화된 회사명도 비교
+        const normalizedPrefix = normalizeCompanyName(trimmed);
+        companyCondition = normalizedPrefix
+            ? { [Op.or]: [{ company: { [Op.like]: prefix } }, { normalizedCompany: { [Op.like]: `${escapeLike(normalizedPrefix)}%` } }] }
+            : { company: { [Op.like]: prefix } };
+    }
+
+    const [titles, companies, tags] = await Promise.all([
+        suggestFromJobs('title', titleCondition, size),
+        suggestFromJobs('company', companyCondition, size),
+        suggestTags(searchText, initials, size),
+    ]);
+    return { titles, companies, tags };
+}
+
+module.exports = { toInitials, buildSuggestFields, isInitialsQuery, escapeLike, suggest };
@@ -0,0 +1,68 @@
+const { Tag } = require('../models');
+const synonyms = require('../data/tagSynonyms.json');
+
+// 비교용 키: 대소문자와 공백 차이는 같은 태그로 봄 ("react js", "React JS")
+const toKey = (name) => name.toLowerCase().replace(/\s+/g, '');
+
+// 정규화 키 → 대표 이름 (예: "리액트", "react.js" → "React")
+const canonicalByKey = new Map();
+Object.entries(synonyms).forEach(([canonical, aliases]) => {
+    [canonical, ...aliases].forEach(name => canonicalByKey.set(toKey(name), canonical));
+});
+
+/**
+ * 태그 이름을 대표 이름으로 바꾸는 함수
+ * 별칭 목록에 없는 이름은 앞뒤 공백만 정리해서 그대로 사용합니다.
+ * @param {string} name - 태그 이름
+ * @returns {string|null} 대표 이름 (빈 이름이면 null)
+ */
+function canonicalTagName(name) {
+    const trimmed = (name || '').replace(/\s+/g, ' ').trim();
+    if (!trimmed) {
+        return null;
+    }
+
+    return canonicalByKey.get(toKey(trimmed)) || trimmed;
+}
+
+/**
+ * 기술 스택 값을 중복 없는 대표 태그 이름 목록으로 바꾸는 함수
+ * @param {string|string[]|null} techStack - 쉼표로 구분된 문자열 또는 배열
+ * @returns {string[]}
+ */
+function parseTags(techStack) {
+    const names = Array.isArray(techStack) ? techStack : (techStack || '').split(',');
+    const unique = new Map(); // 대소문자만 다른 이름은 하나로 취급
+    names.map(canonicalTagName).filter(Boolean).forEach((name) => {
+        if (!unique.has(toKey(name))) {
+            unique.set(toKey(name), name);
+        }
+    });
+    return [...unique.values()];
+}
+
+// 대표 이름의 별칭 목록 (없으면 빈 배열)
+function getAliases(name) {
+    return synonyms[name] || [];
+}
+
+/**
+ * 공고의 techStack으로 태그 연결(JobTag)을 다시 만드는 함수
+ * 처음 보는 태그는 새로 만듭니다.
+ * @param {Object} job - Job 인스턴스 (techStack 사용)
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - 함께 묶을 트랜잭션
+ * @returns {Promise<Object[]>} 연결된 Tag 목록
+ */
+async function syncJobTags(job, { transaction } = {}) {
+    const tags = [];
+    for (const name of parseTags(job.techStack)) {
+        const [tag] = await Tag.findOrCreate({ where: { name }, transaction });
+        tags.push(tag);
+    }
+
+    await job.setTags(tags, { transaction });
+    return tags;
+}
+
+module.exports = { canonicalTagName, parseTags, getAliases, syncJobTags };
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeCsvValue, unescapeCsvFormula, toCsvLine, parseCsv } = require('../services/csv');
+
+describe('escapeCsvValue', () => {
+    it('쉼표, 큰따옴표, 줄바꿈이 있는 값만 큰따옴표로 감쌈', () => {
+        assert.equal(escapeCsvValue('백엔드'), '백엔드');
+        assert.equal(escapeCsvValue('Node.js, Java'), '"Node.js, Java"');
+        assert.equal(escapeCsvValue('"신입" 환영'), '"""신입"" 환영"');
+        assert.equal(escapeCsvValue('첫 줄\n둘째 줄'), '"첫 줄\n둘째 줄"');
+    });
+
+    it('null, undefined는 빈 칸, 날짜는 ISO 문자열', () => {
+        assert.equal(escapeCsvValue(null), '');
+        assert.equal(escapeCsvValue(undefined), '');
+        assert.equal(escapeCsvValue(new Date(Date.UTC(2026, 0, 5))), '2026-01-05T00:00:00.000Z');
+    });
+
+    it('수식으로 시작하는 문자열 앞에 \'를 붙임', () => {
+        assert.equal(escapeCsvValue('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+        assert.equal(escapeCsvValue('+1'), "'+1");
+        assert.equal(escapeCsvValue('-5'), "'-5");
+        assert.equal(escapeCsvValue('@SUM(A1)'), "'@SUM(A1)");
+    });
+
+    it('숫자 값에는 \'를 붙이지 않음', () => {
+        assert.equal(escapeCsvValue(-5), '-5');
+        assert.equal(escapeCsvValue(30000000), '30000000');
+    });
+});
+
+describe('unescapeCsvFormula', () => {
+    it('수식 방지로 붙인 \'만 뗌', () => {
+        assert.equal(unescapeCsvFormula("'=1+1"), '=1+1');
+        assert.equal(unescapeCsvFormula("'-5"), '-5');
+        assert.equal(unescapeCsvFormula("'따옴표로 시작"), "'따옴표로 시작");
+        assert.equal(unescapeCsvFormula('일반 값'), '일반 값');
+    });
+});
+
+describe('parseCsv', () => {
+    it('toCsvLine으로 만든 줄을 같은 값으로 읽음', () => {
+        const values = ['Node.js, Java', '"신입" 환영', '첫 줄\r\n둘째 줄', ''];
+        assert.deepEqual(parseCsv(toCsvLine(values)), [values]);
+    });
+
+    it('맨 앞의 BOM을 무시하고 \\n 줄바꿈도 처리', () => {
+        assert.deepEqual(parseCsv('\uFEFFtitle,link\n백엔드,http://a\n'), [['title', 'link'], ['백엔드', 'http://a']]);
+    });
+
+    it('마지막 줄에 줄바꿈이 없어도 읽음', () => {
+        assert.deepEqual(parseCsv('a,b\r\n1,'), [['a', 'b'], ['1', '']]);
+    });
+
+    it('닫히지 않은 큰따옴표가 있으면 예외 발생', () => {
+        assert.throws(() => parseCsv('title\n"닫히지 않음'), /닫히지 않은 큰따옴표/);
+    });
+});
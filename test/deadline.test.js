@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDeadline, toDateString } = require('../services/deadline');
+
+// 연말 보정을 확인하기 위해 기준일을 12월로 고정
+const now = new Date(2026, 11, 20);
+
+const fixed = (deadline) => ({ deadline, deadlineType: 'fixed' });
+
+describe('parseDeadline', () => {
+    it('월/일만 있는 마감일은 기준일의 연도로 해석', () => {
+        assert.deepEqual(parseDeadline('~12.31(목)', now), fixed('2026-12-31'));
+    });
+
+    it('연말에 본 내년 초 마감일은 다음 해로 보정', () => {
+        assert.deepEqual(parseDeadline('~ 01/05(화)', now), fixed('2027-01-05'));
+    });
+
+    it('연도가 있는 마감일은 그대로 사용', () => {
+        assert.deepEqual(parseDeadline('~2027.02.01', now), fixed('2027-02-01'));
+        assert.deepEqual(parseDeadline('25.01.05', now), fixed('2025-01-05'));
+    });
+
+    it('D-n, 오늘마감, 내일마감은 기준일에서 계산', () => {
+        assert.deepEqual(parseDeadline('D-3', now), fixed('2026-12-23'));
+        assert.deepEqual(parseDeadline('D-day', now), fixed('2026-12-20'));
+        assert.deepEqual(parseDeadline('오늘마감', now), fixed('2026-12-20'));
+        assert.deepEqual(parseDeadline('내일마감', now), fixed('2026-12-21'));
+    });
+
+    it('상시/수시채용과 채용시 마감은 마감일 없이 유형만 저장', () => {
+        assert.deepEqual(parseDeadline('상시채용', now), { deadline: null, deadlineType: 'rolling' });
+        assert.deepEqual(parseDeadline('수시채용', now), { deadline: null, deadlineType: 'rolling' });
+        assert.deepEqual(parseDeadline('채용시', now), { deadline: null, deadlineType: 'until_filled' });
+    });
+
+    it('비어 있거나 해석할 수 없는 문구는 모두 null', () => {
+        for (const text of ['', null, '마감일 미정']) {
+            assert.deepEqual(parseDeadline(text, now), { deadline: null, deadlineType: null });
+        }
+    });
+});
+
+describe('toDateString', () => {
+    it('로컬 날짜 기준으로 YYYY-MM-DD 반환', () => {
+        assert.equal(toDateString(new Date(2026, 0, 5, 23, 30)), '2026-01-05');
+    });
+});
@@ -0,0 +1,81 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCompanyName, normalizeTitle, titleSimilarity, duplicateScore, pickCanonical } = require('../services/duplicates');
+const { DEADLINE_TYPES } = require('../services/deadline');
+
+// 비교 기준이 되는 공고
+const job = {
+    id: 10,
+    company: '(주)카카오',
+    title: '[카카오] 백엔드 개발자 채용',
+    location: '경기 성남시 분당구',
+    deadline: '2026-11-30',
+    deadlineType: DEADLINE_TYPES.FIXED,
+};
+
+describe('normalizeCompanyName', () => {
+    it('법인 표기, 공백, 기호를 빼고 소문자로', () => {
+        assert.equal(normalizeCompanyName('(주)카카오'), '카카오');
+        assert.equal(normalizeCompanyName('카카오 주식회사'), '카카오');
+        assert.equal(normalizeCompanyName('㈜ Kakao'), 'kakao');
+        assert.equal(normalizeCompanyName('(주)'), null);
+    });
+});
+
+describe('normalizeTitle', () => {
+    it('제목 속 회사명과 채용, 모집 같은 단어를 뺌', () => {
+        assert.equal(normalizeTitle('[카카오] 백엔드 개발자 채용', '카카오'), '백엔드개발자');
+        assert.equal(normalizeTitle('신입 모집', null), '신입');
+    });
+});
+
+describe('titleSimilarity', () => {
+    it('글자 2-gram Dice 계수로 계산', () => {
+        assert.equal(titleSimilarity('백엔드개발자', '백엔드개발자'), 1);
+        assert.equal(titleSimilarity('백엔드개발자', '백엔드개발'), 8 / 9);
+        assert.equal(titleSimilarity('백엔드', '디자이너'), 0);
+    });
+
+    it('같은 2-gram이 반복되면 겹치는 개수만큼만 셈', () => {
+        // aaaa: aa×3, aab: aa, ab → 겹치는 것은 aa 한 개
+        assert.equal(titleSimilarity('aaaa', 'aab'), 2 / 5);
+    });
+
+    it('빈 제목은 0', () => {
+        assert.equal(titleSimilarity('', '백엔드'), 0);
+    });
+});
+
+describe('duplicateScore', () => {
+    it('회사, 제목, 근무지, 마감일이 모두 비슷하면 제목 유사도', () => {
+        const other = { ...job, id: 11, company: '카카오', title: '백엔드 개발자 모집', location: '경기 성남시', deadline: '2026-12-10' };
+        assert.equal(duplicateScore(job, other), 1);
+    });
+
+    it('회사, 제목, 근무지, 마감일 중 하나라도 다르면 0', () => {
+        assert.equal(duplicateScore(job, { ...job, company: '네이버' }), 0);
+        assert.equal(duplicateScore(job, { ...job, title: '프론트엔드 개발자' }), 0);
+        assert.equal(duplicateScore(job, { ...job, location: '부산 해운대구' }), 0);
+        assert.equal(duplicateScore(job, { ...job, deadline: '2027-01-31' }), 0);
+    });
+
+    it('근무지를 알 수 없거나 마감일이 정해지지 않았으면 비교하지 않음', () => {
+        assert.equal(duplicateScore(job, { ...job, location: '재택' }), 1);
+        assert.equal(duplicateScore(job, { ...job, deadline: null, deadlineType: DEADLINE_TYPES.ROLLING }), 1);
+    });
+});
+
+describe('pickCanonical', () => {
+    it('유사도가 가장 높은 공고를 고르고 같으면 먼저 등록된 공고', () => {
+        const similar = { ...job, id: 3, title: '백엔드 개발자 (신입)' };
+        const same = { ...job, id: 5 };
+        const sameEarlier = { ...job, id: 4 };
+        assert.equal(pickCanonical(job, [similar, same, sameEarlier]), sameEarlier);
+    });
+
+    it('자기 자신은 빼고, 비슷한 공고가 없으면 null', () => {
+        assert.equal(pickCanonical(job, [job, { ...job, id: 1, company: '네이버' }]), null);
+    });
+});
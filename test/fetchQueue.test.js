@@ -0,0 +1,99 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { createFetchQueue, isRetryable } = require('../services/fetchQueue');
+
+// 요청 간격 제한 없이 바로 보내는 설정
+const options = { requestsPerSecond: 0, concurrency: 2, retries: 2, timeoutMs: 1000, userAgent: 'test' };
+
+// axios 오류와 같은 모양의 HTTP 오류
+function httpError(status, headers = {}) {
+    return Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+}
+
+describe('isRetryable', () => {
+    it('429, 5xx, 일시적인 네트워크 오류만 다시 시도', () => {
+        assert.equal(isRetryable(httpError(429)), true);
+        assert.equal(isRetryable(httpError(503)), true);
+        assert.equal(isRetryable(httpError(404)), false);
+        assert.equal(isRetryable(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })), true);
+        assert.equal(isRetryable(Object.assign(new Error('invalid url'), { code: 'ERR_INVALID_URL' })), false);
+    });
+});
+
+describe('createFetchQueue', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'warn', () => {});
+    });
+
+    it('동시 요청 수를 넘지 않고 모든 요청을 처리', async (t) => {
+        let active = 0;
+        let maxActive = 0;
+        t.mock.method(axios, 'get', async (url) => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active--;
+            return { data: url };
+        });
+
+        const queue = createFetchQueue(options);
+        const urls = ['/1', '/2', '/3', '/4', '/5'];
+        assert.deepEqual(await Promise.all(urls.map(url => queue.fetch(url))), urls);
+        assert.equal(maxActive, 2);
+    });
+
+    it('요청 시작 간격을 초당 요청 수에 맞춤', async (t) => {
+        const startedAt = [];
+        t.mock.method(axios, 'get', async () => {
+            startedAt.push(Date.now());
+            return { data: '' };
+        });
+
+        const queue = createFetchQueue({ ...options, requestsPerSecond: 20, concurrency: 3 });
+        await Promise.all(['/1', '/2', '/3'].map(url => queue.fetch(url)));
+        for (let index = 1; index < startedAt.length; index++) {
+            assert.ok(startedAt[index] - startedAt[index - 1] >= 45, `간격: ${startedAt[index] - startedAt[index - 1]}ms`);
+        }
+    });
+
+    it('일시적인 오류는 Retry-After만큼 기다렸다가 다시 시도', async (t) => {
+        const get = t.mock.method(axios, 'get', async () => {
+            if (get.mock.callCount() < 2) {
+                throw httpError(503, { 'retry-after': '0' });
+            }
+            return { data: 'ok' };
+        });
+
+        assert.equal(await createFetchQueue(options).fetch('/'), 'ok');
+        assert.equal(get.mock.callCount(), 3);
+    });
+
+    it('재시도 횟수를 넘거나 다시 시도할 수 없는 오류는 그대로 던짐', async (t) => {
+        const get = t.mock.method(axios, 'get', async () => {
+            throw httpError(429, { 'retry-after': '0' });
+        });
+        await assert.rejects(createFetchQueue(options).fetch('/'), /HTTP 429/);
+        assert.equal(get.mock.callCount(), 3);
+
+        get.mock.mockImplementation(async () => {
+            throw httpError(404);
+        });
+        get.mock.resetCalls();
+        await assert.rejects(createFetchQueue(options).fetch('/'), /HTTP 404/);
+        assert.equal(get.mock.callCount(), 1);
+    });
+
+    it('실패한 요청도 동시 요청 자리를 돌려줌', async (t) => {
+        t.mock.method(axios, 'get', async (url) => {
+            if (url === '/fail') {
+                throw httpError(404);
+            }
+            return { data: url };
+        });
+
+        const queue = createFetchQueue({ ...options, concurrency: 1 });
+        await assert.rejects(queue.fetch('/fail'));
+        assert.equal(await queue.fetch('/ok'), '/ok');
+    });
+});
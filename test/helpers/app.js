@@ -0,0 +1,48 @@
+require('./env');
+
+const { before, after } = require('node:test');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { User } = require('../../models');
+
+/**
+ * 라우터를 붙인 Express 서버를 테스트 동안 임의 포트로 띄우는 함수 (describe 안에서 호출)
+ * @param {string} mountPath - 라우터를 붙일 경로 (예: '/jobs')
+ * @param {Object} router - Express 라우터
+ * @returns {{ request: function(string, string, Object=): Promise<Response> }} 요청 함수 (method, path, { token, headers, body })
+ */
+function setupApp(mountPath, router) {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use(mountPath, router);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}${mountPath}`;
+    });
+
+    after(() => server.close());
+
+    const request = (method, path, { token, headers = {}, body } = {}) => fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+            ...(token ? { authorization: token } : {}),
+            ...(typeof body === 'object' ? { 'content-type': 'application/json' } : {}),
+            ...headers,
+        },
+        body: typeof body === 'object' ? JSON.stringify(body) : body,
+    });
+
+    return { request };
+}
+
+// 사용자의 액세스 토큰 (역할과 소속 회사는 인증 미들웨어가 User.findByPk로 다시 읽음)
+const signToken = (user) => jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET);
+
+// 인증 미들웨어가 읽는 현재 사용자를 user로 고정
+const mockCurrentUser = (t, user) => t.mock.method(User, 'findByPk', async () => user);
+
+module.exports = { setupApp, signToken, mockCurrentUser };
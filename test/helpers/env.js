@@ -0,0 +1,3 @@
+// DB 없이 모델과 라우트를 불러오도록 모델보다 먼저 설정 (테스트 파일에서 가장 먼저 require)
+process.env.DB_DIALECT = process.env.DB_DIALECT || 'mysql';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
@@ -0,0 +1,100 @@
+const { setupApp, signToken, mockCurrentUser } = require('./helpers/app');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize, Job } = require('../models');
+const jobsRoutes = require('../routes/jobs');
+
+const companyUser = { id: 1, role: 'companyuser', companyId: 7 };
+const token = signToken(companyUser);
+
+// DB에서 읽은 것처럼 만든 버전 3의 공고
+const buildJob = (values = {}) => Job.build({
+    id: 10,
+    title: '백엔드 개발자',
+    company: '테스트 회사',
+    companyId: companyUser.companyId,
+    location: '서울 강남구',
+    experience: '경력 3년 이상',
+    description: '백엔드 API를 개발합니다.',
+    status: 'open',
+    version: 3,
+    ...values,
+}, { isNewRecord: false, raw: true });
+
+describe('공고 ETag와 If-Match', () => {
+    const app = setupApp('/jobs', jobsRoutes);
+
+    beforeEach((t) => {
+        mockCurrentUser(t, companyUser);
+        t.mock.method(console, 'error', () => {});
+    });
+
+    const request = (method, path, { ifMatch, body } = {}) => app.request(method, path, {
+        token,
+        headers: ifMatch ? { 'if-match': ifMatch } : {},
+        body,
+    });
+
+    it('GET /jobs/:id는 공고 버전으로 만든 ETag를 반환', async (t) => {
+        t.mock.method(Job, 'findByPk', async () => buildJob());
+        // 조회수 증가, 관련 공고 조회는 결과 없이 처리
+        t.mock.method(sequelize, 'query', async (sql, options) => (options && options.type === 'SELECT' ? [] : 0));
+
+        const res = await request('GET', '/10');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('etag'), '"3"');
+    });
+
+    it('PATCH는 If-Match가 현재 ETag와 다르면 412와 현재 ETag를 반환', async (t) => {
+        const job = buildJob();
+        t.mock.method(Job, 'findByPk', async () => job);
+        const save = t.mock.method(job, 'save');
+
+        const res = await request('PATCH', '/10', { ifMatch: '"2"', body: { experience: '경력 5년 이상' } });
+        assert.equal(res.status, 412);
+        assert.equal(res.headers.get('etag'), '"3"');
+        assert.equal(save.mock.callCount(), 0);
+    });
+
+    it('PATCH는 If-Match가 맞으면 저장하고 새 ETag를 반환 (W/ 접두어와 목록 허용)', async (t) => {
+        t.mock.method(Job, 'findByPk', async () => buildJob());
+        // 수정된 행이 1개 (MySQL 드라이버처럼 저장한 인스턴스를 돌려줌)
+        t.mock.method(sequelize, 'query', async (sql, options) => [options.instance, 1]);
+
+        const res = await request('PATCH', '/10', { ifMatch: '"1", W/"3"', body: { experience: '경력 5년 이상' } });
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('etag'), '"4"');
+        assert.equal(body.data.experience, '경력 5년 이상');
+    });
+
+    it('저장할 때 버전이 달라졌으면(OptimisticLockError) 412', async (t) => {
+        t.mock.method(Job, 'findByPk', async () => buildJob());
+        // 버전 조건에 맞는 행이 없어 수정된 행이 0개
+        t.mock.method(sequelize, 'query', async (sql, options) => [options.instance, 0]);
+
+        const res = await request('PATCH', '/10', { body: { experience: '경력 5년 이상' } });
+        assert.equal(res.status, 412);
+    });
+
+    it('마감은 If-Match가 다르면 412', async (t) => {
+        t.mock.method(Job, 'findByPk', async () => buildJob());
+        const findAll = t.mock.method(Job, 'findAll', async () => []);
+
+        const res = await request('POST', '/10/close', { ifMatch: '"2"' });
+        assert.equal(res.status, 412);
+        assert.equal(res.headers.get('etag'), '"3"');
+        assert.equal(findAll.mock.callCount(), 0);
+    });
+
+    it('마감은 조회한 버전의 공고가 그사이 바뀌었으면 412', async (t) => {
+        t.mock.method(Job, 'findByPk', async () => buildJob());
+        // 버전 조건으로 찾은 공고가 없음 (다른 요청이 먼저 수정함)
+        const findAll = t.mock.method(Job, 'findAll', async () => []);
+
+        const res = await request('POST', '/10/close', { ifMatch: '"3"' });
+        assert.equal(res.status, 412);
+        assert.deepEqual(findAll.mock.calls[0].arguments[0].where, { id: 10, status: 'open', version: 3 });
+    });
+});
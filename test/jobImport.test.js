@@ -0,0 +1,108 @@
+const { setupApp, signToken, mockCurrentUser } = require('./helpers/app');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize, Job } = require('../models');
+const jobsRoutes = require('../routes/jobs');
+
+// 소속 회사가 있는 회사 사용자 (회사를 찾거나 만들지 않도록)
+const companyUser = { id: 1, role: 'companyuser', companyId: 7 };
+const token = signToken(companyUser);
+
+// POST /jobs 스키마를 통과하는 공고 한 줄
+const jobLine = (link) => JSON.stringify({
+    title: '백엔드 개발자',
+    company: '테스트 회사',
+    location: '서울 강남구',
+    experience: '경력 3년 이상',
+    education: '대학교 졸업',
+    employmentType: 'full-time',
+    deadline: '2026-12-31',
+    techStack: ['Node.js'],
+    salary: '연봉 4,000만원',
+    description: '백엔드 API를 개발합니다.',
+    link,
+});
+
+describe('POST /jobs/import', () => {
+    const app = setupApp('/jobs', jobsRoutes);
+
+    beforeEach((t) => {
+        mockCurrentUser(t, companyUser);
+    });
+
+    const postImport = (body, query = '') => app.request('POST', `/import${query}`, {
+        token,
+        headers: { 'content-type': 'application/x-ndjson' },
+        body,
+    });
+
+    it('dryRun이면 저장하지 않고 행별 처리 결과만 반환', async (t) => {
+        t.mock.method(Job, 'findAll', async () => []);
+        const transaction = t.mock.method(sequelize, 'transaction', async () => {
+            throw new Error('dryRun에서는 저장하지 않아야 합니다.');
+        });
+
+        const res = await postImport(`${jobLine('https://example.com/1')}\n${jobLine('https://example.com/2')}\n`, '?dryRun=true');
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(body.data, {
+            dryRun: true,
+            total: 2,
+            created: 2,
+            updated: 0,
+            rows: [{ row: 1, action: 'create', id: null }, { row: 2, action: 'create', id: null }],
+        });
+        assert.equal(transaction.mock.callCount(), 0);
+    });
+
+    it('오류가 있는 행이 하나라도 있으면 아무것도 가져오지 않음', async (t) => {
+        t.mock.method(Job, 'findAll', async () => []);
+        const transaction = t.mock.method(sequelize, 'transaction');
+
+        const body = [
+            jobLine('https://example.com/1'),
+            'not json',
+            jobLine('https://example.com/1'),
+            JSON.stringify({ title: '제목' }),
+        ].join('\n');
+        const res = await postImport(body);
+        const result = await res.json();
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(result.data.errors.map(({ row }) => row), [2, 3, 4]);
+        assert.deepEqual(result.data.errors[0].messages, ['올바른 JSON이 아닙니다.']);
+        assert.deepEqual(result.data.errors[1].messages, ['1행과 링크(link)가 같습니다.']);
+        assert.equal(transaction.mock.callCount(), 0);
+    });
+
+    it('같은 링크의 공고가 있으면 upsert일 때만 수정', async (t) => {
+        t.mock.method(Job, 'findAll', async () => [{ id: 5, link: 'https://example.com/1', companyId: 7, status: 'open' }]);
+
+        const res = await postImport(jobLine('https://example.com/1'), '?dryRun=true');
+        assert.equal(res.status, 400);
+
+        const upserted = await postImport(jobLine('https://example.com/1'), '?dryRun=true&upsert=true');
+        const body = await upserted.json();
+        assert.equal(upserted.status, 200);
+        assert.deepEqual(body.data.rows, [{ row: 1, action: 'update', id: 5 }]);
+    });
+
+    it('모든 행을 하나의 트랜잭션으로 저장하고 실패하면 500', async (t) => {
+        const fakeTransaction = { id: 'tx' };
+        t.mock.method(Job, 'findAll', async () => []);
+        t.mock.method(sequelize, 'transaction', async (callback) => callback(fakeTransaction));
+        const create = t.mock.method(Job, 'create', async () => {
+            throw new Error('저장 실패');
+        });
+        t.mock.method(console, 'error', () => {});
+
+        const res = await postImport(`${jobLine('https://example.com/1')}\n${jobLine('https://example.com/2')}\n`);
+
+        assert.equal(res.status, 500);
+        assert.equal(create.mock.callCount(), 1);
+        assert.equal(create.mock.calls[0].arguments[0].companyId, companyUser.companyId);
+        assert.equal(create.mock.calls[0].arguments[1].transaction, fakeTransaction);
+    });
+});
@@ -0,0 +1,123 @@
+const { setupApp, signToken, mockCurrentUser } = require('./helpers/app');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { Job } = require('../models');
+const jobsRoutes = require('../routes/jobs');
+
+// 마지막 목록 조회의 where를 SQL로
+function lastWhereSql(findAndCountAll) {
+    const { where } = findAndCountAll.mock.calls.at(-1).arguments[0];
+    return Job.sequelize.getQueryInterface().queryGenerator.getWhereConditions(where, 'Job', Job);
+}
+
+describe('GET /jobs/mine', () => {
+    const app = setupApp('/jobs', jobsRoutes);
+    const companyUser = { id: 1, role: 'companyuser', companyId: 7 };
+    const token = signToken(companyUser);
+    let findAndCountAll;
+
+    beforeEach((t) => {
+        mockCurrentUser(t, companyUser);
+        findAndCountAll = t.mock.method(Job, 'findAndCountAll', async () => ({ rows: [], count: 0 }));
+    });
+
+    it('상태를 쉼표로 구분하거나 여러 번 보낼 수 있음', async () => {
+        for (const query of ['status=open,closed', 'status=open&status=closed', 'status=open&status=closed,']) {
+            const res = await app.request('GET', `/mine?${query}`, { token });
+            assert.equal(res.status, 200, query);
+            const { where } = findAndCountAll.mock.calls.at(-1).arguments[0];
+            assert.deepEqual(where, { companyId: 7, status: { [Op.in]: ['open', 'closed'] } }, query);
+        }
+    });
+
+    it('알 수 없거나 문자열이 아닌 상태는 400', async () => {
+        for (const query of ['status=open,unknown', 'status[key]=open']) {
+            const res = await app.request('GET', `/mine?${query}`, { token });
+            assert.equal(res.status, 400, query);
+        }
+        assert.equal(findAndCountAll.mock.callCount(), 0);
+    });
+});
+
+describe('GET /jobs 필터', () => {
+    const app = setupApp('/jobs', jobsRoutes);
+    const user = { id: 1, role: 'user', companyId: null };
+    const token = signToken(user);
+    let findAndCountAll;
+
+    beforeEach((t) => {
+        mockCurrentUser(t, user);
+        findAndCountAll = t.mock.method(Job, 'findAndCountAll', async () => ({ rows: [], count: 0 }));
+    });
+
+    it('지역을 쉼표로 구분하거나 여러 번 보낼 수 있음', async () => {
+        for (const query of ['region=11,41', 'region=11&region=41']) {
+            const res = await app.request('GET', `/?${query}`, { token });
+            assert.equal(res.status, 200, query);
+            assert.match(lastWhereSql(findAndCountAll), /sidoCode = '11' OR sidoCode = '41'/, query);
+        }
+    });
+
+    it('알 수 없거나 비어 있는 지역은 400', async () => {
+        for (const query of ['region=없는지역', 'region=,', 'region[key]=11']) {
+            const res = await app.request('GET', `/?${query}`, { token });
+            assert.equal(res.status, 400, query);
+        }
+    });
+
+    it('부분 문구 필터는 %, _를 글자 그대로 비교', async () => {
+        const res = await app.request('GET', `/?company=${encodeURIComponent('50%_')}&location=${encodeURIComponent('서울_')}&position=%25`, { token });
+        assert.equal(res.status, 200);
+        const sql = lastWhereSql(findAndCountAll);
+        assert.match(sql, /`Job`.`company` LIKE '%50\\\\%\\\\_%'/);
+        assert.match(sql, /`Job`.`location` LIKE '%서울\\\\_%'/);
+        assert.match(sql, /`Job`.`description` LIKE '%\\\\%%'/);
+    });
+
+    it('한 글자 검색어도 %, _를 글자 그대로 비교', async () => {
+        const res = await app.request('GET', '/?keyword=%25', { token });
+        assert.equal(res.status, 200);
+        assert.match(lastWhereSql(findAndCountAll), /`Job`.`title` LIKE '%\\\\%%' OR `Job`.`description` LIKE '%\\\\%%'/);
+    });
+
+    it('제외어만 있으면 제외어가 들어간 공고만 뺌', async () => {
+        const res = await app.request('GET', `/?keyword=${encodeURIComponent('-java -a')}`, { token });
+        assert.equal(res.status, 200);
+        const sql = lastWhereSql(findAndCountAll);
+        assert.match(sql, /MATCH\(Job\.title, Job\.description\) AGAINST\('java' IN BOOLEAN MODE\) = 0/);
+        assert.match(sql, /`Job`.`title` NOT LIKE '%a%'/);
+        assert.match(sql, /COALESCE\(`description`, ''\) NOT LIKE '%a%'/);
+    });
+
+    it('검색어를 여러 번 보내면 400', async () => {
+        const res = await app.request('GET', '/?keyword=a&keyword=b', { token });
+        assert.equal(res.status, 400);
+    });
+});
+
+describe('GET /jobs 태그 필터', () => {
+    const app = setupApp('/jobs', jobsRoutes);
+    const user = { id: 1, role: 'user', companyId: null };
+    const token = signToken(user);
+    let findAndCountAll;
+
+    beforeEach((t) => {
+        mockCurrentUser(t, user);
+        findAndCountAll = t.mock.method(Job, 'findAndCountAll', async () => ({ rows: [], count: 0 }));
+    });
+
+    it('태그를 쉼표로 구분하거나 여러 번 보낼 수 있고 별칭은 대표 이름으로 찾음', async () => {
+        for (const query of ['tags=리액트,노드', 'tags=리액트&tags=노드']) {
+            const res = await app.request('GET', `/?${encodeURI(query)}&tagMatch=all`, { token });
+            assert.equal(res.status, 200, query);
+            assert.match(lastWhereSql(findAndCountAll), /tags\.name IN \('React', 'Node\.js'\) GROUP BY job_tags\.jobId HAVING COUNT\(DISTINCT tags\.id\) = 2/, query);
+        }
+    });
+
+    it('문자열이 아닌 태그는 400', async () => {
+        const res = await app.request('GET', '/?tags[key]=React', { token });
+        assert.equal(res.status, 400);
+    });
+});
@@ -0,0 +1,44 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Job } = require('../models');
+const { JOB_STATUS } = require('../services/jobStatus');
+const { startJobScheduler, stopJobScheduler } = require('../services/jobScheduler');
+
+describe('startJobScheduler', () => {
+    let findAll;
+
+    beforeEach((t) => {
+        findAll = t.mock.method(Job, 'findAll', async () => []);
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'error', () => {});
+    });
+
+    // 시작 직후 한 번 실행하고 바로 중지
+    async function runOnce() {
+        await startJobScheduler();
+        stopJobScheduler();
+    }
+
+    it('크롤링과 별개로 마감일이 지난 공고도 만료 처리', async (t) => {
+        t.mock.method(Job, 'update', async () => [0]);
+
+        await runOnce();
+
+        assert.ok(findAll.mock.calls.some(call => call.arguments[0].where.deadline), '마감일 조건으로 공고를 조회해야 함');
+    });
+
+    it('게시/마감 예정 공고 처리가 실패해도 마감일이 지난 공고는 처리', async (t) => {
+        t.mock.method(Job, 'update', async (values, { where }) => {
+            if (where.status === JOB_STATUS.SCHEDULED) {
+                throw new Error('게시 실패');
+            }
+            return [0];
+        });
+
+        await runOnce();
+
+        assert.ok(findAll.mock.calls.some(call => call.arguments[0].where.deadline), '마감일 조건으로 공고를 조회해야 함');
+    });
+});
@@ -0,0 +1,46 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { Job, Application, Notification } = require('../models');
+const { JOB_STATUS, CLOSE_REASONS, closeJobs } = require('../services/jobStatus');
+
+describe('closeJobs', () => {
+    let notifications;
+
+    beforeEach((t) => {
+        notifications = [];
+        t.mock.method(Job, 'findAll', async () => [
+            { id: 1, title: '백엔드 개발자', company: '가 회사', version: 3 },
+            { id: 2, title: '프론트엔드 개발자', company: '나 회사', version: 5 },
+        ]);
+        // 공고마다 지원자 한 명 (사용자 ID는 100 + 공고 ID)
+        t.mock.method(Application, 'findAll', async ({ where }) => where.jobId[Op.in].map(jobId => ({ userId: 100 + jobId, jobId })));
+        t.mock.method(Notification, 'bulkCreate', async (rows) => {
+            notifications.push(...rows);
+        });
+    });
+
+    it('조회한 버전을 조건으로 공고마다 마감', async (t) => {
+        const update = t.mock.method(Job, 'update', async () => [1]);
+
+        const closed = await closeJobs({ status: JOB_STATUS.OPEN }, JOB_STATUS.EXPIRED, CLOSE_REASONS.DEADLINE);
+
+        assert.equal(closed, 2);
+        assert.deepEqual(update.mock.calls.map(call => call.arguments[1].where), [{ id: 1, version: 3 }, { id: 2, version: 5 }]);
+        const [values] = update.mock.calls[0].arguments;
+        assert.equal(values.status, JOB_STATUS.EXPIRED);
+        assert.equal(values.closeReason, CLOSE_REASONS.DEADLINE);
+        assert.equal(notifications.length, 2);
+    });
+
+    it('그사이 수정된(버전이 다른) 공고는 마감하지 않고 알리지도 않음', async (t) => {
+        t.mock.method(Job, 'update', async (values, { where }) => [where.id === 1 ? 0 : 1]);
+
+        const closed = await closeJobs({ status: JOB_STATUS.OPEN });
+
+        assert.equal(closed, 1);
+        assert.deepEqual(notifications.map(({ userId }) => userId), [102]);
+    });
+});
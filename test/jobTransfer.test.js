@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { parseImportRows, createExportWriter } = require('../services/jobTransfer');
+
+// 문자열을 모으는 스트림 대신 쓰는 객체
+function createBufferStream() {
+    const chunks = [];
+    return {
+        chunks,
+        write: (text) => {
+            chunks.push(text);
+            return true;
+        },
+    };
+}
+
+// job.get(field)만 쓰는 내보내기용 공고 객체
+const toJob = (values) => ({ get: (field) => values[field] });
+
+describe('parseImportRows (csv)', () => {
+    it('첫 줄을 열 이름으로 읽고 서버가 정하는 필드와 빈 값은 뺌', () => {
+        const text = 'id,title,techStack,draft,status,salary\r\n3,백엔드 개발자,"Node.js, MySQL",true,open,\r\n';
+        assert.deepEqual(parseImportRows(text, 'csv'), [{
+            row: 2,
+            fields: { title: '백엔드 개발자', techStack: ['Node.js', 'MySQL'], draft: true },
+        }]);
+    });
+
+    it('빈 줄은 건너뛰고 행 번호는 본문 기준으로 유지', () => {
+        const rows = parseImportRows('title\n\n첫 공고\n,\n둘째 공고\n', 'csv');
+        assert.deepEqual(rows.map(({ row }) => row), [3, 5]);
+    });
+
+    it('열 이름보다 값이 많은 행은 오류', () => {
+        assert.deepEqual(parseImportRows('title\n공고,남는 값\n', 'csv'), [{ row: 2, error: '열 이름보다 값이 많습니다.' }]);
+    });
+
+    it('닫히지 않은 큰따옴표가 있으면 예외 발생', () => {
+        assert.throws(() => parseImportRows('title\n"공고\n', 'csv'));
+    });
+});
+
+describe('parseImportRows (jsonl)', () => {
+    it('줄마다 공고 하나를 읽고 잘못된 줄은 행별 오류로 반환', () => {
+        const text = '{"title":"백엔드 개발자","techStack":["Node.js"]}\n\nnot json\n[1,2]\n';
+        assert.deepEqual(parseImportRows(text, 'jsonl'), [
+            { row: 1, fields: { title: '백엔드 개발자', techStack: ['Node.js'] } },
+            { row: 3, error: '올바른 JSON이 아닙니다.' },
+            { row: 4, error: '각 줄은 공고 하나를 나타내는 JSON 객체여야 합니다.' },
+        ]);
+    });
+});
+
+describe('createExportWriter', () => {
+    it('CSV로 내보낸 수식 같은 값을 가져오기에서 원래 값으로 읽음', async () => {
+        const stream = createBufferStream();
+        const writer = createExportWriter(stream, 'csv', ['title', 'description', 'views']);
+        await writer.write(toJob({ title: '=HYPERLINK("http://evil","클릭")', description: '-야근 없음, 자율 출근', views: 3 }));
+
+        const text = stream.chunks.join('');
+        assert.ok(text.startsWith('\uFEFF'));
+        assert.ok(text.includes('"\'=HYPERLINK('));
+        assert.deepEqual(parseImportRows(text, 'csv'), [{
+            row: 2,
+            fields: { title: '=HYPERLINK("http://evil","클릭")', description: '-야근 없음, 자율 출근' },
+        }]);
+    });
+
+    it('JSONL은 필드 순서대로 한 줄에 공고 하나', async () => {
+        const stream = createBufferStream();
+        const writer = createExportWriter(stream, 'jsonl', ['id', 'title', 'salary']);
+        await writer.write(toJob({ id: 1, title: '백엔드' }));
+        assert.deepEqual(stream.chunks, ['{"id":1,"title":"백엔드","salary":null}\n']);
+    });
+
+    it('버퍼가 찰 때마다 drain을 기다리고 기다린 뒤에는 리스너를 남기지 않음', async () => {
+        // 쓸 때마다 버퍼가 차서 다음 틱에 drain이 오는 스트림
+        const stream = new EventEmitter();
+        stream.write = () => {
+            setImmediate(() => stream.emit('drain'));
+            return false;
+        };
+        const writer = createExportWriter(stream, 'jsonl', ['id']);
+
+        for (let id = 1; id <= 20; id += 1) {
+            await writer.write(toJob({ id }));
+        }
+        assert.equal(stream.listenerCount('drain'), 0);
+        assert.equal(stream.listenerCount('close'), 0);
+    });
+
+    it('기다리는 동안 연결이 끊기면 더 기다리지 않음', async () => {
+        const stream = new EventEmitter();
+        stream.write = () => false;
+        const writer = createExportWriter(stream, 'jsonl', ['id']);
+
+        const written = writer.write(toJob({ id: 1 }));
+        stream.emit('close');
+        await written;
+        assert.equal(stream.listenerCount('drain'), 0);
+        assert.equal(stream.listenerCount('close'), 0);
+    });
+});
@@ -0,0 +1,209 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { parseListQuery, findPage, findEach, setLinkHeader } = require('../services/pagination');
+
+const sortFields = {
+    id: 'id',
+    views: 'views',
+    deadline: { column: 'deadline', nullsLast: true },
+};
+const options = { sortFields, defaultSort: '-id' };
+
+// views, deadline에 값이 없는(NULL) 행이 섞인 테스트 데이터
+const data = Array.from({ length: 23 }, (_, index) => {
+    const id = index + 1;
+    return {
+        id,
+        views: id % 4 === 0 ? null : id % 5,
+        deadline: id % 3 === 0 ? null : `2026-12-${String(10 + (id % 7)).padStart(2, '0')}`,
+    };
+});
+
+// MySQL 정렬과 같은 비교 (NULL은 오름차순이면 앞, 내림차순이면 뒤, nullsLast이면 항상 뒤)
+function compareValues(a, b, direction, nullsLast) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === null) {
+        return nullsLast || direction === 'DESC' ? 1 : -1;
+    }
+    if (b === null) {
+        return nullsLast || direction === 'DESC' ? -1 : 1;
+    }
+    const result = a < b ? -1 : 1;
+    return direction === 'ASC' ? result : -result;
+}
+
+// 커서 조건에 쓰는 연산자만 처리하는 where 평가
+function matches(where, row) {
+    if (where[Op.or]) {
+        return where[Op.or].some(condition => matches(condition, row));
+    }
+    if (where[Op.and]) {
+        return where[Op.and].every(condition => matches(condition, row));
+    }
+    return Object.entries(where).every(([column, condition]) => {
+        const [operator] = Object.getOwnPropertySymbols(condition);
+        const expected = condition[operator];
+        const value = row[column];
+        switch (operator) {
+            case Op.gt: return value !== null && value > expected;
+            case Op.lt: return value !== null && value < expected;
+            case Op.eq: return value === expected;
+            case Op.is: return value === null;
+            case Op.not: return value !== null;
+            default: throw new Error(`처리하지 않는 연산자: ${String(operator)}`);
+        }
+    });
+}
+
+// list의 정렬대로 data를 정렬해 돌려주는 모델 (커서 조건은 matches로 평가)
+function createModel(list) {
+    const keys = [...list.sort];
+    if (!keys.some(({ field }) => field.column === 'id')) {
+        keys.push({ field: { column: 'id', nullsLast: false }, direction: keys[keys.length - 1].direction });
+    }
+    const sorted = [...data].sort((a, b) => {
+        for (const { field, direction } of keys) {
+            const result = compareValues(a[field.column], b[field.column], direction, field.nullsLast);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return 0;
+    });
+    const toRow = (row) => ({ ...row, get: (name) => row[name] });
+
+    return {
+        name: 'Job',
+        sorted,
+        findAll: async ({ where, limit }) => sorted.filter(row => !where || matches(where, row)).slice(0, limit).map(toRow),
+        findAndCountAll: async ({ limit, offset }) => ({ rows: sorted.slice(offset, offset + limit).map(toRow), count: sorted.length }),
+    };
+}
+
+describe('parseListQuery', () => {
+    it('기본값은 1페이지, 기본 페이지 크기, 기본 정렬', () => {
+        const { error, value } = parseListQuery({}, options);
+        assert.equal(error, null);
+        assert.equal(value.page, 1);
+        assert.equal(value.limit, 20);
+        assert.deepEqual(value.sort.map(({ field, direction }) => [field.name, direction]), [['id', 'DESC']]);
+        assert.equal(value.cursor, null);
+    });
+
+    it('page, limit이 1 이상의 정수가 아니면 오류', () => {
+        assert.match(parseListQuery({ page: '0' }, options).error, /page/);
+        assert.match(parseListQuery({ page: 'abc' }, options).error, /page/);
+        assert.match(parseListQuery({ limit: '1.5' }, options).error, /limit/);
+    });
+
+    it('limit은 최대 페이지 크기로 줄임', () => {
+        assert.equal(parseListQuery({ limit: '1000' }, options).value.limit, 100);
+    });
+
+    it('sort와 sortBy/sortOrder 형식을 모두 받음', () => {
+        const fromSort = parseListQuery({ sort: 'views,-deadline' }, options).value.sort;
+        const fromSortBy = parseListQuery({ sortBy: 'views,deadline', sortOrder: 'asc,desc' }, options).value.sort;
+        const expected = [['views', 'ASC'], ['deadline', 'DESC']];
+        assert.deepEqual(fromSort.map(({ field, direction }) => [field.name, direction]), expected);
+        assert.deepEqual(fromSortBy.map(({ field, direction }) => [field.name, direction]), expected);
+    });
+
+    it('정렬할 수 없는 필드나 잘못된 방향은 오류', () => {
+        assert.match(parseListQuery({ sort: 'password' }, options).error, /정렬할 수 없는 필드입니다: password/);
+        assert.equal(parseListQuery({ sortBy: 'views', sortOrder: 'UP' }, options).error, '정렬 순서는 ASC 또는 DESC여야 합니다.');
+    });
+
+    it('읽을 수 없거나 다른 정렬로 만든 커서는 오류', async () => {
+        assert.match(parseListQuery({ cursor: 'not-a-cursor' }, options).error, /유효하지 않은 커서/);
+
+        const { value: list } = parseListQuery({ sort: 'views', limit: '2' }, options);
+        const { pagination } = await findPage(createModel(list), {}, list);
+        assert.match(parseListQuery({ sort: '-views', cursor: pagination.nextCursor }, options).error, /유효하지 않은 커서/);
+    });
+
+    it('정렬 값이나 id의 형식이 맞지 않는 커서는 오류', () => {
+        const dateOptions = { sortFields: { ...sortFields, createdAt: { column: 'createdAt', type: 'date' } }, defaultSort: '-id' };
+        const encode = (payload) => Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+
+        for (const [sort, payload] of [
+            ['views', { s: 'views:ASC', v: [{ gt: 1 }], id: 3 }],
+            ['views', { s: 'views:ASC', v: [[1]], id: 3 }],
+            ['views', { s: 'views:ASC', v: [2], id: '3' }],
+            ['views', { s: 'views:ASC', v: [2], id: 3.5 }],
+            ['createdAt', { s: 'createdAt:ASC', v: ['not-a-date'], id: 3 }],
+            ['createdAt', { s: 'createdAt:ASC', v: [1700000000000], id: 3 }],
+        ]) {
+            const { error } = parseListQuery({ sort, cursor: encode(payload) }, dateOptions);
+            assert.match(error, /유효하지 않은 커서/, JSON.stringify(payload));
+        }
+
+        const { error, value } = parseListQuery({ sort: 'createdAt', cursor: encode({ s: 'createdAt:ASC', v: ['2026-10-19T00:00:00.000Z'], id: 3 }) }, dateOptions);
+        assert.equal(error, null);
+        assert.ok(value.cursor.v[0] instanceof Date);
+        assert.equal(parseListQuery({ sort: 'views', cursor: encode({ s: 'views:ASC', v: [null], id: 3 }) }, options).error, null);
+    });
+});
+
+describe('findPage', () => {
+    it('nextCursor로 조회하면 페이지 번호로 조회한 것과 같은 순서', async () => {
+        for (const sort of ['views', '-views', 'deadline', '-deadline', 'views,-deadline']) {
+            const { value: first } = parseListQuery({ sort, limit: '4' }, options);
+            const Model = createModel(first);
+
+            const ids = [];
+            let { rows, pagination } = await findPage(Model, {}, first);
+            assert.equal(pagination.totalCount, data.length);
+            ids.push(...rows.map(row => row.id));
+            while (pagination.nextCursor) {
+                const { error, value: list } = parseListQuery({ sort, limit: '4', cursor: pagination.nextCursor }, options);
+                assert.equal(error, null);
+                ({ rows, pagination } = await findPage(Model, {}, list));
+                assert.equal(pagination.currentPage, null);
+                ids.push(...rows.map(row => row.id));
+            }
+            assert.deepEqual(ids, Model.sorted.map(row => row.id), sort);
+        }
+    });
+});
+
+describe('findEach', () => {
+    it('값이 없는 정렬 값이 있어도 모든 행을 한 번씩 조회', async () => {
+        for (const sort of ['views', '-views', 'views,-id', '-views,id', 'deadline', '-deadline,views']) {
+            const { value: list } = parseListQuery({ sort }, options);
+            const Model = createModel(list);
+
+            const ids = [];
+            const count = await findEach(Model, {}, list, async (rows) => {
+                ids.push(...rows.map(row => row.id));
+            }, 4);
+            assert.equal(count, data.length, sort);
+            assert.deepEqual(ids, Model.sorted.map(row => row.id), sort);
+        }
+    });
+
+    it('onRows가 false를 돌려주면 조회 중단', async () => {
+        const { value: list } = parseListQuery({}, options);
+        const count = await findEach(createModel(list), {}, list, async () => false, 4);
+        assert.equal(count, 4);
+    });
+});
+
+describe('setLinkHeader', () => {
+    it('페이지 번호로 조회하면 first, prev, next, last 링크', () => {
+        const headers = {};
+        const req = { originalUrl: '/jobs?page=2&limit=5', query: { page: '2', limit: '5' } };
+        const res = { set: (name, value) => { headers[name] = value; } };
+        setLinkHeader(req, res, { currentPage: 2, totalPages: 5, nextCursor: null });
+        assert.equal(headers.Link, [
+            '</jobs?limit=5>; rel="first"',
+            '</jobs?page=1&limit=5>; rel="prev"',
+            '</jobs?page=3&limit=5>; rel="next"',
+            '</jobs?page=5&limit=5>; rel="last"',
+        ].join(', '));
+    });
+});
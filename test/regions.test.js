@@ -0,0 +1,71 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobRegion } = require('../models');
+const { matchRegions, resolveRegion, syncJobRegions } = require('../services/regions');
+
+describe('matchRegions', () => {
+    it('시/도와 시/군/구를 코드로 바꾸고 "외"는 무시', () => {
+        assert.deepEqual(matchRegions('경기 성남시 분당구 외'), [{ sidoCode: '41', regionCode: '41002' }]);
+    });
+
+    it('시/도가 생략된 뒤쪽 지역은 앞의 시/도를 따름', () => {
+        assert.deepEqual(matchRegions('서울 강남구, 서초구'), [
+            { sidoCode: '11', regionCode: '11023' },
+            { sidoCode: '11', regionCode: '11022' },
+        ]);
+    });
+
+    it('여러 시/도를 구분자로 나누고 같은 지역은 한 번만', () => {
+        assert.deepEqual(matchRegions('부산 해운대구 / 경기 수원시'), [
+            { sidoCode: '26', regionCode: '26009' },
+            { sidoCode: '41', regionCode: '41001' },
+        ]);
+        assert.deepEqual(matchRegions('서울 강남구, 서울 강남구'), [{ sidoCode: '11', regionCode: '11023' }]);
+    });
+
+    it('시/도 이름, 별칭, "전체"는 시/도 전체', () => {
+        assert.deepEqual(matchRegions('경기도'), [{ sidoCode: '41', regionCode: null }]);
+        assert.deepEqual(matchRegions('서울전체'), [{ sidoCode: '11', regionCode: null }]);
+    });
+
+    it('인식할 수 없으면 빈 배열', () => {
+        assert.deepEqual(matchRegions('해외'), []);
+        assert.deepEqual(matchRegions(null), []);
+    });
+});
+
+describe('resolveRegion', () => {
+    it('시/도 코드, 시/군/구 코드, 이름을 모두 받음', () => {
+        assert.deepEqual(resolveRegion('41'), { sidoCode: '41', regionCode: null });
+        assert.deepEqual(resolveRegion('41002'), { sidoCode: '41', regionCode: '41002' });
+        assert.deepEqual(resolveRegion(' 서울 강남구 '), { sidoCode: '11', regionCode: '11023' });
+    });
+
+    it('알 수 없는 지역은 null', () => {
+        assert.equal(resolveRegion('없는곳'), null);
+        assert.equal(resolveRegion('99999'), null);
+    });
+});
+
+describe('syncJobRegions', () => {
+    it('기존 매핑을 지우고 근무지 문구로 다시 만듦', async (t) => {
+        const destroy = t.mock.method(JobRegion, 'destroy', async () => 1);
+        const bulkCreate = t.mock.method(JobRegion, 'bulkCreate', async rows => rows);
+
+        const matches = await syncJobRegions({ id: 3, location: '경기도' });
+
+        assert.deepEqual(matches, [{ sidoCode: '41', regionCode: null }]);
+        assert.deepEqual(destroy.mock.calls[0].arguments[0].where, { jobId: 3 });
+        assert.deepEqual(bulkCreate.mock.calls[0].arguments[0], [{ jobId: 3, sidoCode: '41', regionCode: null }]);
+    });
+
+    it('인식할 수 없는 근무지는 매핑을 만들지 않음', async (t) => {
+        t.mock.method(JobRegion, 'destroy', async () => 0);
+        const bulkCreate = t.mock.method(JobRegion, 'bulkCreate', async rows => rows);
+
+        assert.deepEqual(await syncJobRegions({ id: 3, location: '해외' }), []);
+        assert.equal(bulkCreate.mock.callCount(), 0);
+    });
+});
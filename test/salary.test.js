@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSalary, buildSalaryFields } = require('../services/salary');
+
+describe('parseSalary', () => {
+    it('연봉 범위를 최소/최대 금액으로 나눔', () => {
+        assert.deepEqual(parseSalary('연봉 3,000~4,000만원'), {
+            salaryMin: 30000000,
+            salaryMax: 40000000,
+            salaryPeriod: 'annual',
+            salaryNegotiable: false,
+        });
+    });
+
+    it('억 단위와 만원 단위를 합쳐 계산', () => {
+        assert.equal(parseSalary('1억2천만원').salaryMin, 120000000);
+        const result = parseSalary('1억 2,000만원');
+        assert.equal(result.salaryMin, 120000000);
+        assert.equal(result.salaryMax, 120000000);
+        assert.equal(result.salaryPeriod, 'annual');
+    });
+
+    it('급여 뒤에 오는 근무 조건의 숫자는 더하지 않음', () => {
+        for (const [text, amount] of [['연봉 3,500만원, 주 5일', 35000000], ['2,800만원 (수습 3개월)', 28000000]]) {
+            const result = parseSalary(text);
+            assert.equal(result.salaryMin, amount, text);
+            assert.equal(result.salaryMax, amount, text);
+        }
+        const range = parseSalary('연봉 2,400만원 ~ 3,000만원 (경력 3년 이상)');
+        assert.equal(range.salaryMin, 24000000);
+        assert.equal(range.salaryMax, 30000000);
+    });
+
+    it('범위 뒤쪽의 만 단위를 천 단위로 끝나는 앞쪽 금액에도 적용', () => {
+        const result = parseSalary('연봉 4천~5천만원');
+        assert.equal(result.salaryMin, 40000000);
+        assert.equal(result.salaryMax, 50000000);
+        assert.equal(parseSalary('연봉 3천~3,500만원').salaryMin, 30000000);
+
+        const hourly = parseSalary('시급 9천~1만원');
+        assert.equal(hourly.salaryMin, 9000);
+        assert.equal(hourly.salaryMax, 10000);
+    });
+
+    it('월급, 일급, 시급의 지급 주기를 구분', () => {
+        assert.deepEqual(parseSalary('월급 250만원'), {
+            salaryMin: 2500000,
+            salaryMax: 2500000,
+            salaryPeriod: 'monthly',
+            salaryNegotiable: false,
+        });
+        assert.equal(parseSalary('일급 15만원').salaryPeriod, 'daily');
+        assert.equal(parseSalary('일급 15만원').salaryMin, 150000);
+        assert.equal(parseSalary('시급 10,030원').salaryPeriod, 'hourly');
+        assert.equal(parseSalary('시급 10,030원').salaryMin, 10030);
+    });
+
+    it('최소 금액만 있으면 최대 금액은 비워 둠', () => {
+        for (const text of ['3,000만원 이상', '연봉 3000만원~']) {
+            const result = parseSalary(text);
+            assert.equal(result.salaryMin, 30000000, text);
+            assert.equal(result.salaryMax, null, text);
+        }
+    });
+
+    it('면접 후 결정, 회사내규는 협의로 표시', () => {
+        for (const text of ['면접 후 결정', '회사내규에 따름']) {
+            const result = parseSalary(text);
+            assert.equal(result.salaryNegotiable, true, text);
+            assert.equal(result.salaryMin, null, text);
+            assert.equal(result.salaryMax, null, text);
+        }
+    });
+
+    it('값이 없으면 모두 null', () => {
+        assert.deepEqual(parseSalary(null), {
+            salaryMin: null,
+            salaryMax: null,
+            salaryPeriod: null,
+            salaryNegotiable: false,
+        });
+    });
+});
+
+describe('buildSalaryFields', () => {
+    it('숫자는 연봉 금액으로 저장', () => {
+        assert.deepEqual(buildSalaryFields(40000000), {
+            salary: '40,000,000원',
+            salaryMin: 40000000,
+            salaryMax: 40000000,
+            salaryPeriod: 'annual',
+            salaryNegotiable: false,
+        });
+    });
+
+    it('요청에서 지정한 지급 주기를 우선', () => {
+        const fields = buildSalaryFields('월 300만원', 'monthly');
+        assert.equal(fields.salary, '월 300만원');
+        assert.equal(fields.salaryMin, 3000000);
+        assert.equal(fields.salaryPeriod, 'monthly');
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, buildBooleanQuery, highlight, buildSnippet } = require('../services/search');
+
+describe('parseSearchQuery', () => {
+    it('단어, 큰따옴표 구문, -제외어를 나눔', () => {
+        assert.deepEqual(parseSearchQuery('백엔드 "node js" -인턴'), {
+            terms: ['백엔드'],
+            phrases: ['node js'],
+            excluded: ['인턴'],
+        });
+    });
+
+    it('불리언 연산자 문자는 지우고 중복 단어는 한 번만', () => {
+        assert.deepEqual(parseSearchQuery('+자바* (스프링) 자바'), {
+            terms: ['자바', '스프링'],
+            phrases: [],
+            excluded: [],
+        });
+    });
+});
+
+describe('buildBooleanQuery', () => {
+    it('단어와 구문은 필수(+), 제외어는 제외(-)로 검색식을 만듦', () => {
+        assert.deepEqual(buildBooleanQuery(parseSearchQuery('백엔드 "node js" -인턴')), {
+            against: '+백엔드 +"node js" -인턴',
+            excluding: null,
+            shortTerms: [],
+            shortExcluded: [],
+        });
+    });
+
+    it('ngram 토큰보다 짧은 단어와 제외어는 따로 돌려줌', () => {
+        assert.deepEqual(buildBooleanQuery(parseSearchQuery('백엔드 C -a')), {
+            against: '+백엔드',
+            excluding: null,
+            shortTerms: ['C'],
+            shortExcluded: ['a'],
+        });
+    });
+
+    it('제외어만 있으면 검색식 대신 제외 검색식을 돌려줌', () => {
+        assert.deepEqual(buildBooleanQuery(parseSearchQuery('-java -인턴')), {
+            against: null,
+            excluding: 'java 인턴',
+            shortTerms: [],
+            shortExcluded: [],
+        });
+    });
+});
+
+describe('highlight', () => {
+    it('검색어를 대소문자 구분 없이 <mark>로 감싸고 HTML은 이스케이프', () => {
+        assert.equal(highlight('<b>Node</b> 개발자', ['node']), '&lt;b&gt;<mark>Node</mark>&lt;/b&gt; 개발자');
+    });
+
+    it('긴 구문을 먼저 감쌈', () => {
+        assert.equal(highlight('node js 개발', ['node', 'node js']), '<mark>node js</mark> 개발');
+    });
+});
+
+describe('buildSnippet', () => {
+    it('처음 나오는 검색어 주변만 잘라 강조', () => {
+        const text = `${'가'.repeat(100)} 백엔드 ${'나'.repeat(200)}`;
+        const snippet = buildSnippet(text, ['백엔드']);
+        assert.ok(snippet.startsWith('…'));
+        assert.ok(snippet.endsWith('…'));
+        assert.match(snippet, /<mark>백엔드<\/mark>/);
+    });
+
+    it('본문이 없으면 null', () => {
+        assert.equal(buildSnippet('  ', ['백엔드']), null);
+        assert.equal(buildSnippet(null, ['백엔드']), null);
+    });
+});
@@ -0,0 +1,81 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Job, JobNeighbor, JobRegion, JobTag, sequelize } = require('../models');
+const { titleTerms, experienceLevels, scoreSimilarity, refreshJobNeighbors } = require('../services/similarity');
+
+// weightTitleTerms를 거친 것과 같은 모양의 특징
+function feature(overrides = {}) {
+    return {
+        vector: new Map([['백엔', 1]]),
+        norm: 1,
+        tags: new Set([1]),
+        sidoCodes: new Set(['11']),
+        regionCodes: new Set(['11680']),
+        experience: new Set(['experienced']),
+        employmentType: '정규직',
+        ...overrides,
+    };
+}
+
+describe('titleTerms', () => {
+    it('머리말과 불용어를 빼고 한글 단어는 2글자씩 나눔', () => {
+        assert.deepEqual(titleTerms('[네이버] 백엔드 개발자 (Node.js)'), ['백엔', '엔드', '개발', '발자', 'node', 'js']);
+        assert.deepEqual(titleTerms('신입 채용 C++ 개발'), ['c++', '개발']);
+        assert.deepEqual(titleTerms(null), []);
+    });
+});
+
+describe('experienceLevels', () => {
+    it('경력 문구를 신입/경력 구분으로', () => {
+        assert.deepEqual([...experienceLevels('신입·경력')], ['entry', 'experienced']);
+        assert.deepEqual([...experienceLevels('경력 3년↑')], ['experienced']);
+        assert.deepEqual([...experienceLevels('경력무관')], ['entry', 'experienced']);
+        assert.deepEqual([...experienceLevels(null)], []);
+    });
+});
+
+describe('scoreSimilarity', () => {
+    it('모든 항목이 같으면 1, 모두 다르면 0', () => {
+        assert.equal(scoreSimilarity(feature(), feature()), 1);
+        assert.equal(scoreSimilarity(feature(), feature({
+            vector: new Map([['디자', 1]]),
+            tags: new Set([2]),
+            sidoCodes: new Set(['26']),
+            regionCodes: new Set(['26350']),
+            experience: new Set(['entry']),
+            employmentType: '계약직',
+        })), 0);
+    });
+
+    it('근무지는 같은 시/군/구면 1, 같은 시/도면 절반', () => {
+        const base = { vector: new Map(), norm: 0, tags: new Set(), experience: new Set(), employmentType: null };
+        assert.equal(scoreSimilarity(feature(base), feature(base)), 0.15);
+        assert.equal(scoreSimilarity(feature(base), feature({ ...base, regionCodes: new Set(['11650']) })), 0.075);
+    });
+});
+
+describe('refreshJobNeighbors', () => {
+    it('제목 단어나 태그를 공유하는 다른 묶음의 공고만 유사 공고로 저장', async (t) => {
+        const job = (id, title, canonicalJobId = null) => ({ id, title, canonicalJobId, experience: '경력 3년↑', employmentType: '정규직' });
+        t.mock.method(Job, 'findAll', async () => [
+            job(1, '백엔드 개발자'),
+            job(2, '[카카오] 백엔드개발자 채용'),
+            job(3, '디자이너'),
+            job(4, '백엔드 개발자', 1), // 1번 공고의 중복 공고
+        ]);
+        t.mock.method(JobTag, 'findAll', async () => [{ jobId: 1, tagId: 1 }, { jobId: 2, tagId: 1 }]);
+        t.mock.method(JobRegion, 'findAll', async () => [1, 2, 3, 4].map(jobId => ({ jobId, sidoCode: '11', regionCode: '11680' })));
+        t.mock.method(sequelize, 'transaction', async callback => callback(null));
+        t.mock.method(JobNeighbor, 'destroy', async () => 0);
+        const bulkCreate = t.mock.method(JobNeighbor, 'bulkCreate', async () => []);
+
+        const result = await refreshJobNeighbors();
+
+        const rows = bulkCreate.mock.calls.flatMap(call => call.arguments[0]);
+        assert.deepEqual(rows.map(({ jobId, neighborJobId }) => [jobId, neighborJobId]), [[1, 2], [2, 1], [2, 4], [4, 2]]);
+        rows.forEach(({ score }) => assert.ok(score >= 0.35 && score <= 1));
+        assert.deepEqual(result, { jobs: 4, neighbors: 4 });
+    });
+});
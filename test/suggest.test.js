@@ -0,0 +1,70 @@
+const { setupApp, signToken, mockCurrentUser } = require('./helpers/app');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Job, Tag } = require('../models');
+const { toInitials, buildSuggestFields, isInitialsQuery, escapeLike } = require('../services/suggest');
+const jobsRoutes = require('../routes/jobs');
+
+describe('toInitials', () => {
+    it('한글은 초성으로, 영문은 소문자로 바꾸고 공백과 기호는 뺌', () => {
+        assert.equal(toInitials('네이버 클라우드'), 'ㄴㅇㅂㅋㄹㅇㄷ');
+        assert.equal(toInitials('Node.js 개발'), 'nodejsㄱㅂ');
+        assert.equal(toInitials('쌍용 ㄱ'), 'ㅆㅇㄱ');
+    });
+
+    it('남는 글자가 없으면 null', () => {
+        assert.equal(toInitials(''), null);
+        assert.equal(toInitials(null), null);
+        assert.equal(toInitials('(!)'), null);
+    });
+});
+
+describe('buildSuggestFields', () => {
+    it('회사명은 법인 표기를 뺀 이름으로 초성 키를 만듦', () => {
+        assert.deepEqual(buildSuggestFields({ title: '백엔드 개발자', company: '(주)카카오' }), {
+            titleInitials: 'ㅂㅇㄷㄱㅂㅈ',
+            companyInitials: 'ㅋㅋㅇ',
+        });
+    });
+});
+
+describe('isInitialsQuery', () => {
+    it('초성만 있는 검색어만 초성 검색으로 봄 (공백 무시)', () => {
+        assert.equal(isInitialsQuery('ㄴㅇㅂ'), true);
+        assert.equal(isInitialsQuery('ㄴㅇ ㅂ'), true);
+        assert.equal(isInitialsQuery('네ㅇㅂ'), false);
+        assert.equal(isInitialsQuery('node'), false);
+    });
+});
+
+describe('escapeLike', () => {
+    it('%, _, \\를 글자 그대로 비교하도록 이스케이프', () => {
+        assert.equal(escapeLike('100%_a\\'), '100\\%\\_a\\\\');
+    });
+});
+
+describe('GET /jobs/suggest', () => {
+    const app = setupApp('/jobs', jobsRoutes);
+    const user = { id: 1, role: 'user', companyId: null };
+    const token = signToken(user);
+
+    beforeEach((t) => {
+        mockCurrentUser(t, user);
+        t.mock.method(Job, 'findAll', async () => []);
+        t.mock.method(Tag, 'findAll', async () => []);
+    });
+
+    it('검색어를 종류별 추천어로 반환', async () => {
+        const res = await app.request('GET', '/suggest?q=%EB%B0%B1', { token });
+        assert.equal(res.status, 200);
+        assert.deepEqual((await res.json()).data, { titles: [], companies: [], tags: [] });
+    });
+
+    it('검색어가 없거나 여러 번 보내면 400', async () => {
+        for (const query of ['', '?q=%20', '?q=a&q=b', '?q[key]=a']) {
+            const res = await app.request('GET', `/suggest${query}`, { token });
+            assert.equal(res.status, 400, query);
+        }
+    });
+});
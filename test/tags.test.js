@@ -0,0 +1,53 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalTagName, parseTags, getAliases, syncJobTags } = require('../services/tags');
+const { Tag } = require('../models');
+
+describe('canonicalTagName', () => {
+    it('별칭은 대소문자와 공백 차이 없이 대표 이름으로 바꿈', () => {
+        assert.equal(canonicalTagName('리액트'), 'React');
+        assert.equal(canonicalTagName('react.js'), 'React');
+        assert.equal(canonicalTagName('  리액트   네이티브 '), 'React Native');
+        assert.equal(canonicalTagName('nodejs'), 'Node.js');
+    });
+
+    it('별칭 목록에 없는 이름은 공백만 정리해서 그대로', () => {
+        assert.equal(canonicalTagName('  Elixir   Phoenix '), 'Elixir Phoenix');
+    });
+
+    it('빈 이름은 null', () => {
+        assert.equal(canonicalTagName('   '), null);
+        assert.equal(canonicalTagName(null), null);
+    });
+});
+
+describe('parseTags', () => {
+    it('쉼표로 구분된 문자열과 배열을 중복 없는 대표 이름 목록으로', () => {
+        assert.deepEqual(parseTags('리액트, React.js, 노드,, Elixir'), ['React', 'Node.js', 'Elixir']);
+        assert.deepEqual(parseTags(['JS', 'javascript', 'elixir', 'Elixir']), ['JavaScript', 'elixir']);
+        assert.deepEqual(parseTags(null), []);
+    });
+});
+
+describe('getAliases', () => {
+    it('대표 이름의 별칭 목록 (없으면 빈 배열)', () => {
+        assert.deepEqual(getAliases('TypeScript'), ['타입스크립트', 'TS']);
+        assert.deepEqual(getAliases('Elixir'), []);
+    });
+});
+
+describe('syncJobTags', () => {
+    it('기술 스택의 대표 태그를 찾거나 만들어 공고에 연결', async (t) => {
+        const findOrCreate = t.mock.method(Tag, 'findOrCreate', async ({ where }) => [{ name: where.name }]);
+        const setTags = t.mock.fn(async () => {});
+        const transaction = { id: 'tx' };
+
+        const tags = await syncJobTags({ techStack: '리액트, 노드, React', setTags }, { transaction });
+
+        assert.deepEqual(tags.map(tag => tag.name), ['React', 'Node.js']);
+        assert.ok(findOrCreate.mock.calls.every(call => call.arguments[0].transaction === transaction));
+        assert.deepEqual(setTags.mock.calls[0].arguments, [tags, { transaction }]);
+    });
+});